@@ -0,0 +1,71 @@
+/**
+ * render-svg.js
+ *
+ * Batch renders saved state JSON files (from "Save State", any version) and
+ * preset files to SVG figures with GeometryRenderer's SVG backend. Runs
+ * under Node without a DOM.
+ *
+ * Usage: node scripts/render-svg.js [--width 800] [--height 800] [--out dir] state.json [...]
+ *
+ * Each state.json is written as state.svg, next to the input or in --out.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { stateToSvg } from '../src/modules/SvgExport.js';
+
+/**
+ * Parses command line arguments
+ * @param {Array} args - Arguments after the script name
+ * @returns {Object} - { width, height, out, files }
+ */
+function parseArgs(args) {
+  const options = { width: 800, height: 800, out: null, files: [] };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--width' || arg === '--height') {
+      const value = Number(args[++i]);
+      if (!Number.isFinite(value) || value <= 0) {
+        throw new TypeError(`${arg} needs a positive number`);
+      }
+      options[arg.slice(2)] = value;
+    } else if (arg === '--out') {
+      options.out = args[++i];
+    } else {
+      options.files.push(arg);
+    }
+  }
+
+  return options;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.files.length === 0) {
+    console.error('Usage: node scripts/render-svg.js [--width 800] [--height 800] [--out dir] state.json [...]');
+    process.exit(1);
+  }
+
+  if (options.out) fs.mkdirSync(options.out, { recursive: true });
+
+  let failed = 0;
+  options.files.forEach(file => {
+    try {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      const svg = stateToSvg(data, { width: options.width, height: options.height });
+
+      const name = `${path.basename(file, path.extname(file))}.svg`;
+      const target = path.join(options.out || path.dirname(file), name);
+      fs.writeFileSync(target, svg);
+      console.log(`${file} -> ${target}`);
+    } catch (error) {
+      console.error(`${file}: ${error.message}`);
+      failed++;
+    }
+  });
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
@@ -5,6 +5,8 @@
  * Separates configuration from initialization logic for better maintainability.
  */
 
+import { PARAM_SCHEMA, RUNTIME_PARAMS, defaultsFromSchema, constraintsFromSchema, coerceParam } from './param-schema.js';
+
 export const AppConfig = {
   // Debug and Development Settings
   debug: {
@@ -45,83 +47,158 @@ export const AppConfig = {
     activationFunction: 'relu'
   },
 
+  // Audio Engine Configuration
+  audio: {
+    useWorklet: true,      // Render partials in an AudioWorklet when supported
+    smoothingTime: 0.01,   // Parameter smoothing time constant (seconds)
+    masterVolume: 0.3,     // Main gain level
+    maxVoices: 16          // Simultaneous notes (oldest voice is stolen)
+  },
+
+  // Spectrum Analyzer Configuration
+  spectrum: {
+    fftSize: 8192,         // AnalyserNode FFT size (bins = fftSize / 2)
+    smoothing: 0.5,        // AnalyserNode smoothingTimeConstant
+    updateInterval: 50,    // Minimum time between analyses (ms)
+    peakThreshold: -90,    // Peaks below this level are ignored (dB)
+    peakRange: 60,         // Peaks further below the strongest are ignored (dB)
+    maxPeaks: 64,          // Strongest peaks kept per analysis
+    tolerance: 30,         // Max deviation for labelling a peak with a harmonic (cents)
+    minFrequency: 20,      // Display range (Hz)
+    maxFrequency: 20000
+  },
+
+  // Rendering Configuration
+  rendering: {
+    backend: 'auto',       // 'auto' | 'webgl' | 'canvas2d' (falls back to canvas2d)
+    antialias: true,       // Multisampled WebGL drawing buffer
+    logRangeDb: 48,        // Amplitude range of the logarithmic coordinate system (dB)
+    layers: true,          // One stacked canvas per layer, each redrawn only when dirty (see LayerManager.js)
+    gradientSegments: 64,  // Segments of a waveform drawn with a color gradient
+    maxPartialWaves: 32    // Partial waves drawn at most (showPartials)
+  },
+
+  // Animation Clock Configuration (see Clock.js)
+  clock: {
+    mode: 'realtime',      // realtime, fixed (one timestep per frame) or manual (step/seek only)
+    timestep: 1000 / 60,   // Frame duration of fixed and manual steps (ms)
+    referenceFrame: 1000 / 60  // Frame duration rotationSpeed (degrees per frame) refers to (ms)
+  },
+
+  // Lissajous Mode Configuration
+  lissajous: {
+    resolution: 1024,      // Segments per fundamental cycle
+    maxTrail: 24,          // Previous figures kept for the trail
+    minTrailAlpha: 0.02    // Trail figures fainter than this are dropped
+  },
+
+  // Cymatics Mode Configuration
+  cymatics: {
+    resolution: 128,       // Field grid points per side
+    maxModes: 64,          // Partials exciting plate modes (series source)
+    contourLevels: [0.5]   // Extra contour lines at ±level of the peak (nodal lines are always drawn)
+  },
+
+  // Spectrogram Configuration
+  spectrogram: {
+    bands: 128,            // Frequency bands per frame (on the spectrum axis)
+    interval: 50,          // Minimum time between frames (ms)
+    maxWindow: 60          // Longest time window (s); sizes the frame ring buffer
+  },
+
+  // Video Export Configuration
+  video: {
+    fps: 30,                   // Capture / frame-stepped frame rate
+    videoBitsPerSecond: 8000000, // MediaRecorder video bitrate
+    timeslice: 1000            // MediaRecorder chunk length (ms)
+  },
+
+  // Undo History Configuration (see StateHistory.js and HistoryManager.js)
+  history: {
+    maxEntries: 500,           // Entries kept (checkpoints are never pruned)
+    coalesceWindow: 1000,      // Edits of the same params closer than this are one entry (ms)
+    persist: true,             // Keep the history in localStorage across reloads
+    storageKey: 'harmonic-explorer-history',
+    saveDelay: 500             // Debounce of the localStorage writes (ms)
+  },
+
+  // Shareable URL Configuration (see StateUrl.js and UrlStateManager.js)
+  urlState: {
+    updateDelay: 500,          // Debounce of the URL hash updates (ms)
+    skipParams: [...RUNTIME_PARAMS, 'midiMappings'] // Runtime params and the MIDI device setup stay out of links
+  },
+
+  // Imported Themes Configuration (see ThemeManager.js)
+  themes: {
+    storageKey: 'harmonic-explorer-themes'
+  },
+
+  // Preset Library Configuration (see Preset.js and PresetManager.js)
+  presets: {
+    storageKey: 'harmonic-explorer-presets',
+    thumbnailWidth: 160,       // Thumbnail size (px)
+    thumbnailHeight: 100,
+    thumbnailQuality: 0.7      // JPEG quality (keeps the library small in localStorage)
+  },
+
   // DOM Binding Configuration
   domBinding: {
     enabled: true,
     attributePrefix: 'data-eg-bind'
   },
 
-  // Default Application Parameters
-  defaults: {
-    // Visualization parameters
-    axis: 3,
-    coordinateSystem: 'cartesian',
-    harmonics: 8,
-    harmonicsType: 'natural',
-    harmonicsPhase: 'phaseFull',
-    wavelength: 1.0,
-    rotationAngle: 0.0,
-    rotationSpeed: 0.01,
-    zoomManual: 1.0,
-
-    // Shape visibility
-    showAxis: true,
-    showCircle: true,
-    showHex: false,
-    showHexIn: false,
-    showSquare: false,
-    showSquareIn: false,
-    showTriangle: false,
-    showWave: false,
-
-    // Shape colors
-    AxisColor: '#444444',
-    circleColor: '#00ff00',
-    hexColor: '#ff00ff',
-    hexInColor: '#ffff00',
-    squareColor: '#00ffff',
-    squareInColor: '#ff8800',
-    triangleColor: '#ff0088',
-
-    // Audio parameters
-    isAddSynthPlaying: false,
-    calcFrequency: 440,
-
-    // System parameters
-    fps: 0,
-    calculationTime: 0
-  },
-
-  // Parameter constraints for validation
-  constraints: {
-    calcFrequency: { min: 20, max: 20000 },      // Human hearing range
-    harmonics: { min: 1, max: 32 },               // Reasonable harmonic count
-    rotationSpeed: { min: -0.5, max: 0.5 },       // Prevent extreme rotation
-    zoomManual: { min: 0.1, max: 10 },            // Reasonable zoom range
-    axis: { min: 1, max: 12 }                     // Reasonable axis count
-  }
+  // Parameter definitions (see param-schema.js)
+  schema: PARAM_SCHEMA,
+
+  // Default Application Parameters (derived from the schema)
+  defaults: defaultsFromSchema(PARAM_SCHEMA),
+
+  // Parameter constraints for validation (derived from the schema)
+  constraints: constraintsFromSchema(PARAM_SCHEMA)
 };
 
+/**
+ * Checks a parameter value against its schema definition
+ * @param {string} param - Parameter name
+ * @param {any} value - Value to check
+ * @returns {Object} - { valid, value (converted / clamped), error (when invalid) }
+ */
+export function checkParam(param, value) {
+  if (!PARAM_SCHEMA[param]) {
+    return { valid: false, value, error: `Unknown parameter "${param}"` };
+  }
+  return coerceParam(PARAM_SCHEMA[param], value);
+}
+
 /**
  * Validates and clamps a parameter value to its constraints
  * @param {string} param - Parameter name
  * @param {any} value - Value to validate
- * @returns {any} - Validated/clamped value
+ * @returns {any} - Validated/clamped value, the default when the value is invalid
  */
 export function validateParam(param, value) {
-  // If no constraints defined, return value as-is
-  if (!AppConfig.constraints[param]) {
+  // Params outside the schema are returned as-is
+  if (!PARAM_SCHEMA[param]) {
     return value;
   }
 
-  const { min, max } = AppConfig.constraints[param];
+  const result = coerceParam(PARAM_SCHEMA[param], value);
+  return result.valid ? result.value : AppConfig.defaults[param];
+}
 
-  // For numeric values, clamp to range
-  if (typeof value === 'number' && !isNaN(value)) {
-    return Math.max(min, Math.min(max, value));
+/**
+ * Replaces the options of an enum parameter (used by the registries)
+ * @param {string} param - Parameter name
+ * @param {Array} options - Allowed values
+ */
+export function setParamOptions(param, options) {
+  const definition = PARAM_SCHEMA[param];
+  if (!definition || definition.type !== 'enum') {
+    throw new TypeError(`"${param}" is not an enum parameter`);
   }
 
-  return value;
+  definition.options = [...options];
+  AppConfig.constraints[param] = { ...AppConfig.constraints[param], options: definition.options };
 }
 
 export default AppConfig;
@@ -5,3 +5,5 @@
  */
 
 export { AppConfig, default } from './app-config.js';
+export { validateParam, checkParam, setParamOptions } from './app-config.js';
+export { PARAM_SCHEMA, PARAM_TYPES, COMPUTED_PARAMS, coerceParam, isParamActive } from './param-schema.js';
@@ -0,0 +1,278 @@
+/**
+ * param-schema.js
+ *
+ * Typed definitions of the AppState parameters. Every param declares its
+ * type and default, and where it applies a range (min, max, step), enum
+ * options, unit, label, UI group and the params it depends on. The
+ * AppConfig defaults and constraints are derived from this schema, and
+ * coerceParam checks values against it (AppState.updateParam, the UI,
+ * loaded states and remote messages all go through it).
+ *
+ * Types:
+ *   number, integer  finite numbers (numeric strings are converted), clamped to min/max
+ *   boolean          true/false ('true'/'false' and 1/0 are converted)
+ *   enum             one of options (string forms of numeric options are converted)
+ *   string           any string
+ *   color            hex color (#rgb or #rrggbb)
+ *   colors           array of hex colors
+ *   array, object    arrays and plain objects (checked by the modules using them)
+ *
+ * `dependsOn` maps params to the value (or values) they must have for the
+ * param to take effect, e.g. the Lissajous params only apply in Lissajous mode.
+ *
+ * `runtime` marks params that describe the running session (animation,
+ * playback, device switches, measurements) rather than the sound or the
+ * picture: saved states, presets, links and spectrogram snapshots leave them
+ * alone (see RUNTIME_PARAMS).
+ */
+
+export const PARAM_TYPES = ['number', 'integer', 'boolean', 'enum', 'string', 'color', 'colors', 'array', 'object'];
+
+const LISSAJOUS = { visualizationMode: 'lissajous' };
+const CYMATICS = { visualizationMode: 'cymatics' };
+const SPECTROGRAM = { visualizationMode: 'spectrogram' };
+
+export const PARAM_SCHEMA = {
+  // Visualization parameters
+  axis: { type: 'integer', default: 3, min: 1, max: 12, step: 1, label: 'Axis', group: 'view' },
+  coordinateSystem: { type: 'enum', default: 'cartesian', options: ['cartesian', 'radial', 'logarithmic'], label: 'Coordinates', group: 'view' }, // See WaveformPlot.js
+  harmonics: { type: 'integer', default: 8, min: 1, max: 256, step: 1, label: 'Harmonics', group: 'series' }, // Partial bank size (AdditiveEngine handles hundreds)
+  harmonicsType: { type: 'enum', default: 'natural', options: [], label: 'Series', group: 'series' }, // Filled by the HarmonicTypes registry
+  harmonicsTypeParams: { type: 'object', default: {}, label: 'Series parameters', group: 'series' }, // Extra parameters of the selected harmonic type
+  harmonicsPhase: { type: 'enum', default: 'sine', label: 'Phase', group: 'series', // Phase mode (see PartialModel.PHASE_MODES)
+    // Phase modes plus the legacy phaseFull/phaseUp/phaseDown aliases
+    options: ['sine', 'cosine', 'alternating', 'inverted', 'random', 'schroeder', 'phaseFull', 'phaseUp', 'phaseDown'] },
+  harmonicsPhaseSeed: { type: 'integer', default: 1, min: 0, max: 4294967295, step: 1, label: 'Phase seed', group: 'series', dependsOn: { harmonicsPhase: 'random' } },
+  tuningSystem: { type: 'enum', default: 'edo12', options: [], label: 'Tuning', group: 'tuning' }, // Filled by the Tuning registry
+  tuningQuantize: { type: 'boolean', default: false, label: 'Quantize to tuning', group: 'tuning' }, // Snap series ratios to the tuning's scale degrees
+  tuningKeyboardMap: { type: 'string', default: '', label: 'Keyboard mapping', group: 'tuning' }, // Scala .kbm text mapping MIDI notes to degrees ('' = linear, A4 = 440 Hz)
+  partialRolloff: { type: 'enum', default: 'inverse', options: ['inverse', 'inverseSquare', 'flat', 'sawtooth', 'square', 'triangle'], label: 'Rolloff', group: 'series' }, // See PartialModel.ROLLOFF_LAWS
+  partialOverrides: { type: 'object', default: {}, label: 'Partial overrides', group: 'series' }, // Per-partial { amplitude, phase, detune } by index
+  wavelength: { type: 'number', default: 1.0, min: 0, label: 'Wavelength', group: 'view' },
+  rotationAngle: { type: 'number', default: 0.0, unit: 'deg', label: 'Rotation angle', group: 'view', runtime: true },
+  rotationSpeed: { type: 'number', default: 0.01, min: -0.5, max: 0.5, step: 0.01, unit: 'deg/frame', label: 'Rotation', group: 'view' }, // Prevent extreme rotation
+  zoomManual: { type: 'number', default: 1.0, min: 0.1, max: 10, step: 0.1, label: 'Zoom', group: 'view' },
+  visualizationMode: { type: 'enum', default: 'geometry', options: ['geometry', 'lissajous', 'cymatics', 'spectrogram'], label: 'Mode', group: 'view' }, // geometry = shapes + waveform
+
+  // Lissajous mode
+  lissajousSource: { type: 'enum', default: 'partials', options: ['partials', 'derivative', 'delay'], label: 'Lissajous source', group: 'lissajous', dependsOn: LISSAJOUS }, // See Lissajous.js
+  lissajousX: { type: 'integer', default: 1, min: 1, max: 256, step: 1, label: 'Partial x', group: 'lissajous', dependsOn: { ...LISSAJOUS, lissajousSource: 'partials' } },
+  lissajousY: { type: 'integer', default: 2, min: 1, max: 256, step: 1, label: 'Partial y', group: 'lissajous', dependsOn: { ...LISSAJOUS, lissajousSource: 'partials' } },
+  lissajousPhase: { type: 'number', default: 90, min: 0, max: 360, step: 1, unit: 'deg', label: 'Phase offset', group: 'lissajous', dependsOn: { ...LISSAJOUS, lissajousSource: 'partials' } },
+  lissajousDelay: { type: 'number', default: 0.25, min: 0, max: 1, step: 0.01, unit: 'cycles', label: 'Delay', group: 'lissajous', dependsOn: { ...LISSAJOUS, lissajousSource: 'delay' } },
+  lissajousTrail: { type: 'number', default: 0.6, min: 0, max: 0.95, step: 0.05, label: 'Trail', group: 'lissajous', dependsOn: LISSAJOUS }, // 0 = no trail
+
+  // Cymatics mode
+  cymaticsPlate: { type: 'enum', default: 'square', options: ['square', 'circular', 'radial'], label: 'Plate', group: 'cymatics', dependsOn: CYMATICS }, // See Cymatics.js
+  cymaticsSource: { type: 'enum', default: 'series', options: ['series', 'mode'], label: 'Modes', group: 'cymatics', dependsOn: CYMATICS }, // series (partials excite modes) or mode (single mode)
+  cymaticsM: { type: 'integer', default: 2, min: 0, max: 16, step: 1, label: 'Mode m', group: 'cymatics', dependsOn: { ...CYMATICS, cymaticsSource: 'mode' } }, // Angular order on round plates
+  cymaticsN: { type: 'integer', default: 3, min: 1, max: 16, step: 1, label: 'Mode n', group: 'cymatics', dependsOn: { ...CYMATICS, cymaticsSource: 'mode' } }, // Radial index on round plates
+
+  // Spectrogram mode
+  spectrogramSource: { type: 'enum', default: 'partials', options: ['partials', 'analyser'], label: 'Spectrogram source', group: 'spectrogram', dependsOn: SPECTROGRAM }, // See Spectrogram.js
+  spectrogramColorMap: { type: 'enum', default: 'viridis', options: ['viridis', 'magma', 'inferno', 'gray'], label: 'Color map', group: 'spectrogram', dependsOn: SPECTROGRAM },
+  spectrogramWindow: { type: 'number', default: 10, min: 1, max: 60, step: 1, unit: 's', label: 'Time window', group: 'spectrogram', dependsOn: SPECTROGRAM },
+
+  // Shape visibility
+  showAxis: { type: 'boolean', default: true, label: 'Axis', group: 'shapes' },
+  showCircle: { type: 'boolean', default: true, label: 'Circle', group: 'shapes' },
+  showHex: { type: 'boolean', default: false, label: 'Hexagon', group: 'shapes' },
+  showHexIn: { type: 'boolean', default: false, label: 'Inner hexagon', group: 'shapes' },
+  showSquare: { type: 'boolean', default: false, label: 'Square', group: 'shapes' },
+  showSquareIn: { type: 'boolean', default: false, label: 'Inner square', group: 'shapes' },
+  showTriangle: { type: 'boolean', default: false, label: 'Triangle', group: 'shapes' },
+  showWave: { type: 'boolean', default: false, label: 'Waveform', group: 'shapes' },
+  showRatios: { type: 'boolean', default: false, label: 'Ratios', group: 'shapes' },
+  showSpectrum: { type: 'boolean', default: false, label: 'Spectrum', group: 'spectrum' }, // Spectrum analyzer overlay
+  showPartials: { type: 'boolean', default: false, label: 'Partials', group: 'shapes', dependsOn: { showWave: true } }, // Each partial's wave under the waveform (colored by partialRamp)
+
+  // Colors (set together by a theme, see Theme.js)
+  theme: { type: 'enum', default: 'dark', options: [], label: 'Theme', group: 'colors' }, // Filled by the Theme registry
+  backgroundColor: { type: 'color', default: '#000000', label: 'Background', group: 'colors' },
+  AxisColor: { type: 'color', default: '#444444', label: 'Axis', group: 'colors' },
+  circleColor: { type: 'color', default: '#00ff00', label: 'Circle', group: 'colors' },
+  hexColor: { type: 'color', default: '#ff00ff', label: 'Hexagon', group: 'colors' },
+  hexInColor: { type: 'color', default: '#ffff00', label: 'Inner hexagon', group: 'colors' },
+  squareColor: { type: 'color', default: '#00ffff', label: 'Square', group: 'colors' },
+  squareInColor: { type: 'color', default: '#ff8800', label: 'Inner square', group: 'colors' },
+  triangleColor: { type: 'color', default: '#ff0088', label: 'Triangle', group: 'colors' },
+  ratioColor: { type: 'color', default: '#ffffff', label: 'Ratios', group: 'colors' },
+  spectrumColor: { type: 'color', default: '#00aaff', label: 'Spectrum', group: 'colors' },
+  lissajousColor: { type: 'color', default: '#ffaa00', label: 'Lissajous', group: 'colors' },
+  cymaticsColor: { type: 'color', default: '#ffe0a0', label: 'Cymatics', group: 'colors' },
+  waveColor: { type: 'color', default: '#00ccff', label: 'Waveform', group: 'colors' },
+  waveGradient: { type: 'colors', default: [], label: 'Waveform gradient', group: 'colors' }, // Color stops along the waveform (fewer than 2 = solid waveColor)
+  partialRamp: { type: 'colors', default: ['#ff0088', '#ffaa00', '#00ff88', '#00aaff'], label: 'Partial colors', group: 'colors' }, // From the first to the last partial
+
+  // Spectrum display
+  spectrumScale: { type: 'enum', default: 'log', options: ['log', 'linear'], label: 'Frequency axis', group: 'spectrum' },
+  spectrumMinDb: { type: 'number', default: -100, min: -200, max: 0, step: 1, unit: 'dB', label: 'Floor', group: 'spectrum' }, // Bottom of the dB scale
+  spectrumMaxDb: { type: 'number', default: -10, min: -200, max: 0, step: 1, unit: 'dB', label: 'Ceiling', group: 'spectrum' }, // Top of the dB scale
+
+  // Audio parameters
+  isAddSynthPlaying: { type: 'boolean', default: false, label: 'Playing', group: 'audio', runtime: true },
+  calcFrequency: { type: 'number', default: 440, min: 20, max: 20000, step: 1, unit: 'Hz', label: 'Frequency', group: 'audio' }, // Human hearing range
+  envelopeAttack: { type: 'number', default: 0.01, min: 0, max: 10, step: 0.01, sliderMax: 2, unit: 's', label: 'Attack', group: 'envelope' },
+  envelopeDecay: { type: 'number', default: 0.1, min: 0, max: 10, step: 0.01, sliderMax: 2, unit: 's', label: 'Decay', group: 'envelope' },
+  envelopeSustain: { type: 'number', default: 0.8, min: 0, max: 1, step: 0.01, label: 'Sustain', group: 'envelope' },
+  envelopeRelease: { type: 'number', default: 0.3, min: 0, max: 10, step: 0.01, sliderMax: 4, unit: 's', label: 'Release', group: 'envelope' },
+  audioExportDuration: { type: 'number', default: 2, min: 0.1, max: 60, step: 0.1, unit: 's', label: 'Export length', group: 'export' }, // Including the release
+  audioExportSampleRate: { type: 'enum', default: 44100, options: [22050, 44100, 48000, 88200, 96000], unit: 'Hz', label: 'Sample rate', group: 'export' },
+  audioExportBitDepth: { type: 'enum', default: 16, options: [16, 24, 32], unit: 'bit', label: 'Bit depth', group: 'export', dependsOn: { audioExportFloat: false } },
+  audioExportFloat: { type: 'boolean', default: false, label: '32-bit float', group: 'export' }, // Instead of integer PCM
+  audioExportEnvelope: { type: 'boolean', default: true, label: 'Apply envelope', group: 'export' },
+  videoDuration: { type: 'number', default: 10, min: 0, max: 600, step: 1, unit: 's', label: 'Video length', group: 'export' }, // 0 = until stopped in live mode
+  videoFrameStepped: { type: 'boolean', default: false, label: 'Frame-stepped', group: 'export' }, // Render frames at exact timestamps instead of live capture
+
+  // MIDI parameters
+  midiMappings: { type: 'array', default: [], label: 'MIDI mappings', group: 'midi' }, // CC/pitch bend to param mappings (see MidiController)
+  midiOutputEnabled: { type: 'boolean', default: false, label: 'MIDI output', group: 'midi', runtime: true }, // Mirror played notes to the selected MIDI output
+  midiExportMode: { type: 'enum', default: 'chord', options: ['chord', 'arpeggio', 'sequence'], label: 'Series layout', group: 'midi' },
+  midiPitchMode: { type: 'enum', default: 'mpe', options: ['mpe', 'bend', 'none'], label: 'Pitch mode', group: 'midi' }, // Non-12-TET pitches: MPE, rotating bend channels or none
+  midiBendRange: { type: 'integer', default: 2, min: 1, max: 96, step: 1, unit: 'semitones', label: 'Bend range', group: 'midi', dependsOn: { midiPitchMode: ['mpe', 'bend'] } },
+  midiNoteDuration: { type: 'number', default: 0.25, min: 0.02, max: 10, step: 0.01, unit: 's', label: 'Step length', group: 'midi', dependsOn: { midiExportMode: ['arpeggio', 'sequence'] } },
+
+  // System parameters
+  fps: { type: 'number', default: 0, min: 0, label: 'FPS', group: 'system', runtime: true },
+  calculationTime: { type: 'number', default: 0, min: 0, unit: 'ms', label: 'Calculation time', group: 'system', runtime: true }
+};
+
+// Params of the running session (not saved, shared or restored)
+export const RUNTIME_PARAMS = Object.keys(PARAM_SCHEMA).filter(param => PARAM_SCHEMA[param].runtime);
+
+// Speed of sound in air at 20 °C (m/s)
+export const SPEED_OF_SOUND = 343.2;
+
+/**
+ * Computed params: derived from params (`inputs`) by `compute`, and
+ * recalculated by AppState only when one of their inputs changes. They are
+ * read like params (AppState.getParam) but cannot be set.
+ */
+export const COMPUTED_PARAMS = {
+  period: { inputs: ['calcFrequency'], compute: ({ calcFrequency }) => 1000 / calcFrequency, unit: 'ms', label: 'Period', group: 'audio' },
+  acousticWavelength: { inputs: ['calcFrequency'], compute: ({ calcFrequency }) => SPEED_OF_SOUND / calcFrequency, unit: 'm', label: 'Wavelength in air', group: 'audio' },
+  // Partials not muted by an override (amplitude 0)
+  activePartials: {
+    inputs: ['harmonics', 'partialOverrides'],
+    compute: ({ harmonics, partialOverrides }) => harmonics - Object.entries(partialOverrides)
+      .filter(([index, override]) => Number(index) < harmonics && override && override.amplitude === 0).length,
+    label: 'Sounding partials',
+    group: 'series'
+  }
+};
+
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * Default values of a schema
+ * @param {Object} schema - Param definitions by name
+ * @returns {Object} - Default params
+ */
+export function defaultsFromSchema(schema) {
+  return Object.fromEntries(Object.entries(schema).map(([param, definition]) => [param, definition.default]));
+}
+
+/**
+ * Constraints of a schema ({ min, max } ranges and { options } enums)
+ * @param {Object} schema - Param definitions by name
+ * @returns {Object} - Constraints by param
+ */
+export function constraintsFromSchema(schema) {
+  const constraints = {};
+  Object.entries(schema).forEach(([param, { type, min, max, options }]) => {
+    if (type === 'enum') {
+      constraints[param] = { options };
+    } else if (min !== undefined && max !== undefined) {
+      constraints[param] = { min, max };
+    }
+  });
+  return constraints;
+}
+
+/**
+ * Converts a value to a number (numeric strings included)
+ * @param {any} value - Value
+ * @returns {number} - Number, NaN when the value is not numeric
+ */
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+}
+
+/**
+ * Checks a value against a param definition, converting it where the type allows
+ * @param {Object} definition - Param definition
+ * @param {any} value - Value to check
+ * @returns {Object} - { valid, value (converted / clamped), error (when invalid) }
+ */
+export function coerceParam(definition, value) {
+  const { type, min, max, options } = definition;
+  const invalid = (expected) => ({ valid: false, value, error: `Expected ${expected}, got ${JSON.stringify(value)}` });
+
+  switch (type) {
+    case 'number':
+    case 'integer': {
+      let number = toNumber(value);
+      if (!Number.isFinite(number)) return invalid('a number');
+      if (type === 'integer') number = Math.round(number);
+      if (min !== undefined) number = Math.max(min, number);
+      if (max !== undefined) number = Math.min(max, number);
+      return { valid: true, value: number };
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return { valid: true, value };
+      if (value === 'true' || value === 1) return { valid: true, value: true };
+      if (value === 'false' || value === 0) return { valid: true, value: false };
+      return invalid('a boolean');
+    case 'enum': {
+      // Registry enums accept any id until their registry is loaded
+      if (options.length === 0) {
+        return typeof value === 'string' ? { valid: true, value } : invalid('an id');
+      }
+      if (options.includes(value)) return { valid: true, value };
+      const match = options.find(option => String(option) === String(value));
+      return match !== undefined ? { valid: true, value: match } : invalid(`one of ${options.join(', ')}`);
+    }
+    case 'string':
+      return typeof value === 'string' ? { valid: true, value } : invalid('a string');
+    case 'color':
+      return typeof value === 'string' && HEX_COLOR.test(value) ? { valid: true, value } : invalid('a hex color');
+    case 'colors':
+      return Array.isArray(value) && value.every(color => typeof color === 'string' && HEX_COLOR.test(color))
+        ? { valid: true, value }
+        : invalid('an array of hex colors');
+    case 'array':
+      return Array.isArray(value) ? { valid: true, value } : invalid('an array');
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value) ? { valid: true, value } : invalid('an object');
+    default:
+      return { valid: true, value };
+  }
+}
+
+/**
+ * Whether a param takes effect with the given params (see dependsOn)
+ * @param {string} param - Parameter name
+ * @param {Object} params - Current params
+ * @returns {boolean} - Whether every dependency has one of its values
+ */
+export function isParamActive(param, params) {
+  const definition = PARAM_SCHEMA[param];
+  if (!definition || !definition.dependsOn) return true;
+
+  return Object.entries(definition.dependsOn).every(([param, values]) =>
+    (Array.isArray(values) ? values : [values]).includes(params[param]));
+}
+
+export default {
+  PARAM_TYPES,
+  PARAM_SCHEMA,
+  RUNTIME_PARAMS,
+  SPEED_OF_SOUND,
+  COMPUTED_PARAMS,
+  defaultsFromSchema,
+  constraintsFromSchema,
+  coerceParam,
+  isParamActive
+};
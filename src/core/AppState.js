@@ -5,7 +5,19 @@
  * Uses EventGear for communication with other modules.
  */
 
-import { AppConfig } from '../config/app-config.js';
+import { AppConfig, checkParam } from '../config/app-config.js';
+import { COMPUTED_PARAMS, RUNTIME_PARAMS } from '../config/param-schema.js';
+import StateHistory from './StateHistory.js';
+import { encodeUrlState, decodeUrlState, urlStateParams } from './StateUrl.js';
+
+/**
+ * Drops runtime params, which the undo history never holds
+ * @param {Object} values - Params or diff keyed by param
+ * @returns {Object} - Copy without runtime params
+ */
+function withoutRuntimeParams(values) {
+  return Object.fromEntries(Object.entries(values).filter(([param]) => !RUNTIME_PARAMS.includes(param)));
+}
 
 export default class AppState {
   constructor(eventGear) {
@@ -14,10 +26,16 @@ export default class AppState {
     // Application parameters from configuration
     this.params = { ...AppConfig.defaults };
     
-    // State change history for undo/redo functionality
-    this.stateHistory = [];
-    this.historyIndex = -1;
-    this.maxHistorySize = 50;
+    // Computed params (see COMPUTED_PARAMS), recalculated when an input changes
+    this.computedDefinitions = { ...COMPUTED_PARAMS };
+    this.computed = {};
+    this.recompute(null);
+    
+    // Open batch (see batch): { before, changes }
+    this.transaction = null;
+    
+    // Undo history as a tree of diffs (see StateHistory.js)
+    this.history = new StateHistory(withoutRuntimeParams(this.params), AppConfig.history);
 
     // Cached computed data (e.g., sin/cos values for rotation)
     this.cachedData = {};
@@ -55,8 +73,8 @@ export default class AppState {
         lastUpdate: Date.now(),
         modifiedParams: [],
         changeCount: 0,
-        historySize: this.stateHistory.length,
-        historyIndex: this.historyIndex
+        historySize: this.history.size,
+        historyEntry: this.history.current
       }
     });
     
@@ -104,7 +122,7 @@ export default class AppState {
     });
     
     // Set up frequency monitor to warn about high state change rates
-    this.eventGear.monitorEventFrequency('state.change', 1000, (frequency) => {
+    this.eventGear.monitorEventFrequency('state.changed', 1000, (frequency) => {
       // Update change frequency metrics
       this.metrics.changeFrequency = frequency;
       
@@ -192,8 +210,8 @@ export default class AppState {
       peakChangeFrequency: this.metrics.peakChangeFrequency,
       averageChangeInterval: avgInterval,
       mostFrequentlyChangedParams: this.metrics.frequentlyChangedParams,
-      historySize: this.stateHistory.length,
-      historyIndex: this.historyIndex
+      historySize: this.history.size,
+      historyEntry: this.history.current
     };
     
     // Register report event
@@ -231,26 +249,43 @@ export default class AppState {
    * @returns {boolean} - Whether the update was successful
    */
   updateParam(param, value, addToHistory = true) {
-    // Check if parameter exists and value is different
-    if (!(param in this.params) || this.params[param] === value) {
+    // Check if parameter exists
+    if (!(param in this.params)) {
       return false;
     }
     
-    // Track performance metrics for state changes
-    this.trackStateChange(param);
+    // Check the value against the param schema (rejected values change nothing)
+    const result = this.validateValue(param, value);
+    if (!result.valid) {
+      return false;
+    }
+    value = result.value;
     
-    // Get current state for history if needed
-    if (addToHistory) {
-      const currentState = { ...this.params };
-      this.addToHistory(currentState);
+    // Check if value is different
+    if (this.params[param] === value) {
+      return false;
     }
     
+    // Track performance metrics for state changes
+    this.trackStateChange(param);
+    
     // Store previous value for event data
     const previousValue = this.params[param];
     
     // Update the parameter
     this.params[param] = value;
     
+    // Inside a batch the events are emitted once when it completes
+    if (this.transaction) {
+      this.recordChange(param, previousValue, value, addToHistory);
+      return true;
+    }
+    
+    // Add the change to the history if needed (a batch adds one entry for all its changes)
+    if (addToHistory) {
+      this.recordHistory({ [param]: { oldValue: previousValue, newValue: value } }, 'update');
+    }
+    
     // Update metadata
     const metadata = this.eventGear.getMetadata() || {};
     const appStateMetadata = metadata.appState || {};
@@ -262,8 +297,8 @@ export default class AppState {
         lastUpdate: Date.now(),
         modifiedParams: [...(appStateMetadata.modifiedParams || []), param],
         changeCount: (appStateMetadata.changeCount || 0) + 1,
-        historySize: this.stateHistory.length,
-        historyIndex: this.historyIndex
+        historySize: this.history.size,
+        historyEntry: this.history.current
       }
     });
     
@@ -277,10 +312,7 @@ export default class AppState {
     });
     
     // Also emit a more generic state change event
-    this.eventGear.emit('state.change', {
-      changedParams: [param],
-      timestamp: performance.now()
-    });
+    this.emitStateChanged([param], { [param]: { oldValue: previousValue, newValue: value } });
     
     // Store change in history if tracking is enabled
     if (this.metrics.changeHistory.length < 100) {
@@ -296,6 +328,35 @@ export default class AppState {
     return true;
   }
   
+  /**
+   * Checks a new parameter value against the param schema. Values that
+   * had to be converted or clamped, and rejected values, are reported with
+   * a state.validation event
+   * @param {string} param - Parameter name
+   * @param {any} value - New parameter value
+   * @returns {Object} - { valid, value (converted / clamped), error (when invalid) }
+   */
+  validateValue(param, value) {
+    const result = checkParam(param, value);
+    
+    if (!result.valid || result.value !== value) {
+      this.eventGear.emit('state.validation', {
+        param,
+        value,
+        result: result.valid ? 'coerced' : 'rejected',
+        coercedValue: result.valid ? result.value : undefined,
+        error: result.error,
+        timestamp: performance.now()
+      });
+      
+      if (!result.valid) {
+        console.warn(`Rejected value for ${param}: ${result.error}`);
+      }
+    }
+    
+    return result;
+  }
+  
   /**
    * Tracks a state change for performance metrics
    * @param {string} param - The parameter that changed
@@ -319,7 +380,8 @@ export default class AppState {
   }
   
   /**
-   * Updates multiple parameters at once
+   * Updates multiple parameters at once (one batch: a single history entry
+   * and a single state.changed event)
    * @param {Object} updates - Object with parameter updates
    * @returns {boolean} - Whether any updates were successful
    */
@@ -328,35 +390,87 @@ export default class AppState {
       return false;
     }
     
-    // Get current state for history
-    const currentState = { ...this.params };
-    this.addToHistory(currentState);
+    const diff = this.batch(() => {
+      Object.entries(updates).forEach(([param, value]) => {
+        this.updateParam(param, value);
+      });
+    });
     
-    // Track which parameters were updated
-    const changedParams = [];
-    const paramChanges = {};
+    return Object.keys(diff).length > 0;
+  }
+  
+  /**
+   * Runs updates as one transaction: the changes made by fn (updateParam,
+   * updateMultipleParams, restoreState) are applied immediately but
+   * announced once when fn returns, with one history entry, one
+   * multipleParametersChanged and one state.changed event carrying the diff;
+   * computed params are recalculated once at that point. Params changed and
+   * changed back do not count, and changes made with addToHistory = false
+   * stay out of the history entry (no entry when none asked for one).
+   * Nested batches join the outer one (and return an empty diff). When fn
+   * throws, all its changes are rolled back silently.
+   * @param {Function} fn - Update function (receives the AppState)
+   * @returns {Object} - Diff ({ param: { oldValue, newValue } }), empty when nothing changed
+   */
+  batch(fn) {
+    if (this.transaction) {
+      fn(this);
+      return {};
+    }
     
-    // Apply all updates
-    Object.entries(updates).forEach(([param, value]) => {
-      if (param in this.params && this.params[param] !== value) {
-        // Store old value for event data
-        paramChanges[param] = {
-          oldValue: this.params[param],
-          newValue: value
-        };
-        
-        // Update the parameter
-        this.params[param] = value;
-        
-        // Track this parameter change
-        this.trackStateChange(param);
-        
-        changedParams.push(param);
+    const transaction = { before: { ...this.params }, changes: {} };
+    this.transaction = transaction;
+    
+    try {
+      fn(this);
+    } catch (error) {
+      this.params = transaction.before;
+      throw error;
+    } finally {
+      this.transaction = null;
+    }
+    
+    return this.commitTransaction(transaction);
+  }
+  
+  /**
+   * Remembers a change made inside a batch (the first old value is kept)
+   * @param {string} param - Parameter name
+   * @param {any} oldValue - Value before the change
+   * @param {any} newValue - Value after the change
+   * @param {boolean} addToHistory - Whether the change goes into the history entry
+   */
+  recordChange(param, oldValue, newValue, addToHistory = true) {
+    const { changes } = this.transaction;
+    if (!(param in changes)) {
+      changes[param] = { oldValue, addToHistory: false };
+    }
+    changes[param].newValue = newValue;
+    changes[param].addToHistory = changes[param].addToHistory || addToHistory;
+  }
+  
+  /**
+   * Adds a completed batch to the history and announces its changes
+   * @param {Object} transaction - Completed batch ({ before, changes })
+   * @returns {Object} - Diff of the batch
+   */
+  commitTransaction(transaction) {
+    const diff = {};
+    const historyDiff = {};
+    Object.entries(transaction.changes).forEach(([param, { oldValue, newValue, addToHistory }]) => {
+      if (oldValue !== newValue) {
+        diff[param] = { oldValue, newValue };
+        if (addToHistory) historyDiff[param] = diff[param];
       }
     });
     
+    const changedParams = Object.keys(diff);
     if (changedParams.length === 0) {
-      return false;
+      return diff;
+    }
+    
+    if (Object.keys(historyDiff).length > 0) {
+      this.recordHistory(historyDiff, 'batch');
     }
     
     // Update metadata
@@ -371,25 +485,21 @@ export default class AppState {
         modifiedParams: [...(appStateMetadata.modifiedParams || []), ...changedParams],
         changeCount: (appStateMetadata.changeCount || 0) + 1,
         batchUpdate: true,
-        historySize: this.stateHistory.length,
-        historyIndex: this.historyIndex
+        historySize: this.history.size,
+        historyEntry: this.history.current
       }
     });
     
     // Emit bulk parameter change event
     this.eventGear.emit('multipleParametersChanged', {
       changedParams,
-      paramChanges,
+      paramChanges: diff,
       timestamp: performance.now(),
-      source: 'appState.updateMultipleParams'
+      source: 'appState.batch'
     });
     
     // Also emit a more generic state change event
-    this.eventGear.emit('state.change', {
-      changedParams,
-      isBulkUpdate: true,
-      timestamp: performance.now()
-    });
+    this.emitStateChanged(changedParams, diff, { isBulkUpdate: true });
     
     // Store change in history if tracking is enabled
     if (this.metrics.changeHistory.length < 100) {
@@ -401,7 +511,87 @@ export default class AppState {
       });
     }
     
-    return true;
+    return diff;
+  }
+  
+  /**
+   * Recalculates the computed params and emits state.changed (and, for
+   * updates, the deprecated state.change)
+   * @param {Array} changedParams - Changed parameter names
+   * @param {Object} diff - Changes ({ param: { oldValue, newValue } })
+   * @param {Object} details - Extra event fields (action, isBulkUpdate)
+   */
+  emitStateChanged(changedParams, diff, details = {}) {
+    const computedParams = this.recompute(changedParams);
+    const data = {
+      changedParams,
+      computedParams,
+      diff,
+      ...details,
+      timestamp: performance.now()
+    };
+    
+    this.eventGear.emit('state.changed', data);
+    
+    // Deprecated name of the event for parameter updates, kept for old listeners
+    if (!details.action) {
+      this.eventGear.emit('state.change', data);
+    }
+  }
+  
+  /**
+   * Recalculates the computed params depending on changed params
+   * @param {Array|null} changedParams - Changed parameter names (null = all)
+   * @returns {Array} - Names of the computed params whose value changed
+   */
+  recompute(changedParams) {
+    const changed = [];
+    
+    Object.entries(this.computedDefinitions).forEach(([name, { inputs, compute }]) => {
+      if (changedParams && !inputs.some(input => changedParams.includes(input))) return;
+      
+      const inputValues = Object.fromEntries(inputs.map(input => [input, this.params[input]]));
+      const value = compute(inputValues);
+      if (this.computed[name] !== value) {
+        this.computed[name] = value;
+        changed.push(name);
+      }
+    });
+    
+    return changed;
+  }
+  
+  /**
+   * Adds a computed param
+   * @param {string} name - Computed param name (must not be a param)
+   * @param {Object} definition - { inputs (param names), compute (inputs => value) }
+   * @returns {any} - Initial value
+   */
+  defineComputed(name, definition) {
+    const { inputs, compute } = definition || {};
+    if (name in this.params) {
+      throw new TypeError(`"${name}" is a parameter`);
+    }
+    if (!Array.isArray(inputs) || inputs.length === 0 || !inputs.every(input => input in this.params)) {
+      throw new TypeError(`Computed param "${name}" needs parameter inputs`);
+    }
+    if (typeof compute !== 'function') {
+      throw new TypeError(`Computed param "${name}" needs a compute function`);
+    }
+    
+    this.computedDefinitions[name] = { ...definition, inputs: [...inputs] };
+    delete this.computed[name];
+    this.recompute(inputs);
+    return this.computed[name];
+  }
+  
+  /**
+   * Gets a computed param value
+   * @param {string} name - Computed param name
+   * @returns {any} - Value, undefined when not defined
+   */
+  getComputed(name) {
+    return this.computed[name];
   }
   
   /**
@@ -414,12 +604,12 @@ export default class AppState {
   }
   
   /**
-   * Gets a parameter value
+   * Gets a parameter value (or a computed param value)
    * @param {string} param - Parameter name
    * @returns {any} - Parameter value
    */
   getParam(param) {
-    return this.params[param];
+    return param in this.params ? this.params[param] : this.computed[param];
   }
   
   /**
@@ -456,24 +646,16 @@ export default class AppState {
   }
   
   /**
-   * Adds current state to history
-   * @param {Object} state - State to add to history
+   * Adds a change to the history (continuous edits of the same params are
+   * coalesced into one entry, see StateHistory); runtime params are left out
+   * @param {Object} diff - Changes ({ param: { oldValue, newValue } })
+   * @param {string} action - What made the change (update, batch, reset)
    */
-  addToHistory(state) {
-    // If we're not at the end of history, truncate
-    if (this.historyIndex < this.stateHistory.length - 1) {
-      this.stateHistory = this.stateHistory.slice(0, this.historyIndex + 1);
-    }
+  recordHistory(diff, action) {
+    const historyDiff = withoutRuntimeParams(diff);
+    if (Object.keys(historyDiff).length === 0) return;
     
-    // Add new state to history
-    this.stateHistory.push(state);
-    this.historyIndex = this.stateHistory.length - 1;
-    
-    // Limit history size
-    if (this.stateHistory.length > this.maxHistorySize) {
-      this.stateHistory.shift();
-      this.historyIndex--;
-    }
+    const { entry, coalesced } = this.history.record(historyDiff, action);
     
     // Update state metadata
     const metadata = this.eventGear.getMetadata() || {};
@@ -483,52 +665,133 @@ export default class AppState {
       ...metadata,
       appState: {
         ...appStateMetadata,
-        historySize: this.stateHistory.length,
-        historyIndex: this.historyIndex
+        historySize: this.history.size,
+        historyEntry: this.history.current
       }
     });
     
     // Register history event
     this.eventGear.registerEvent({
       type: 'state.history',
-      action: 'add',
-      historyLength: this.stateHistory.length,
-      historyIndex: this.historyIndex,
+      action: coalesced ? 'coalesce' : 'add',
+      historyLength: this.history.size,
+      historyEntry: entry.id,
       timestamp: performance.now()
     });
     
+    this.emitHistoryChanged(coalesced ? 'coalesce' : 'record');
+    
     // Store history action in change history
-    if (this.metrics.changeHistory.length < 100) {
+    if (!coalesced && this.metrics.changeHistory.length < 100) {
       this.metrics.changeHistory.push({
         type: 'historyAdd',
         timestamp: performance.now(),
-        historySize: this.stateHistory.length
+        historySize: this.history.size
       });
     }
   }
   
+  /**
+   * Announces a change of the history (entries, current entry or checkpoints)
+   * @param {string} action - record, coalesce, undo, redo, jump, checkpoint, load or clear
+   */
+  emitHistoryChanged(action) {
+    this.eventGear.emit('history.changed', {
+      action,
+      current: this.history.current,
+      size: this.history.size,
+      canUndo: this.history.canUndo(),
+      canRedo: this.history.canRedo(),
+      timestamp: performance.now()
+    });
+  }
+  
   /**
    * Undoes the last state change
    * @returns {boolean} - Whether undo was successful
    */
   undo() {
-    if (this.historyIndex <= 0) {
+    const move = this.history.undo();
+    if (!move) {
       return false;
     }
     
-    // Track undo operation
-    this.metrics.totalStateChanges++;
+    this.applyHistoryMove(move.changes, 'undo');
+    return true;
+  }
+  
+  /**
+   * Redoes the last undone state change (on the branch last visited)
+   * @returns {boolean} - Whether redo was successful
+   */
+  redo() {
+    const move = this.history.redo();
+    if (!move) {
+      return false;
+    }
+    
+    this.applyHistoryMove(move.changes, 'redo');
+    return true;
+  }
+  
+  /**
+   * Jumps to any history entry; the next change starts a new branch there
+   * @param {number} id - History entry id
+   * @returns {boolean} - Whether the entry exists
+   */
+  jumpTo(id) {
+    const move = this.history.jumpTo(id);
+    if (!move) {
+      return false;
+    }
     
-    this.historyIndex--;
-    const previousState = this.stateHistory[this.historyIndex];
+    this.applyHistoryMove(move.changes, 'jump');
+    return true;
+  }
+  
+  /**
+   * Names the current history entry
+   * @param {string} name - Checkpoint name
+   * @returns {Object} - History entry
+   */
+  checkpoint(name) {
+    const entry = this.history.checkpoint(name);
+    this.emitHistoryChanged('checkpoint');
+    return entry;
+  }
+  
+  /**
+   * Replaces the history (e.g. a persisted one) and moves to its current entry
+   * @param {StateHistory} history - History
+   */
+  loadHistory(history) {
+    this.history = history;
+    this.applyHistoryMove(history.stateAt(), 'load');
+  }
+  
+  /**
+   * Drops the history; the current params become its root
+   */
+  clearHistory() {
+    this.history.reset(withoutRuntimeParams(this.params));
+    this.emitHistoryChanged('clear');
+  }
+  
+  /**
+   * Applies params reached by moving in the history (without recording the move)
+   * @param {Object} changes - Param values ({ param: value }, unknown params are ignored)
+   * @param {string} action - undo, redo, jump or load
+   */
+  applyHistoryMove(changes, action) {
+    // Track the operation
+    this.metrics.totalStateChanges++;
     
     // Track changed parameters
     const changedParams = [];
     const paramChanges = {};
     
-    // Apply previous state without adding to history
-    Object.entries(previousState).forEach(([param, value]) => {
-      if (this.params[param] !== value) {
+    Object.entries(changes).forEach(([param, value]) => {
+      if (param in this.params && this.params[param] !== value) {
         // Store change data
         paramChanges[param] = {
           oldValue: this.params[param],
@@ -555,106 +818,97 @@ export default class AppState {
         lastUpdate: Date.now(),
         modifiedParams: [...(appStateMetadata.modifiedParams || []), ...changedParams],
         changeCount: (appStateMetadata.changeCount || 0) + 1,
-        lastAction: 'undo',
-        historySize: this.stateHistory.length,
-        historyIndex: this.historyIndex
+        lastAction: action,
+        historySize: this.history.size,
+        historyEntry: this.history.current
       }
     });
     
-    // Emit undo event
-    this.eventGear.emit('state.undo', {
+    // Emit the move (state.undo, state.redo, state.jump, state.load)
+    this.eventGear.emit(`state.${action}`, {
       changedParams,
       paramChanges,
-      historyIndex: this.historyIndex,
+      historyEntry: this.history.current,
       timestamp: performance.now()
     });
     
-    // Store undo in change history
+    // Also emit a more generic state change event
+    this.emitStateChanged(changedParams, paramChanges, { action });
+    this.emitHistoryChanged(action);
+    
+    // Store the move in change history
     if (this.metrics.changeHistory.length < 100) {
       this.metrics.changeHistory.push({
-        type: 'undo',
+        type: action,
         timestamp: performance.now(),
         changedParams,
-        historyIndex: this.historyIndex
+        historyEntry: this.history.current
       });
     }
-    
-    return true;
   }
   
   /**
-   * Redoes the last undone state change
-   * @returns {boolean} - Whether redo was successful
+   * Restores a parameter snapshot (e.g. a spectrogram column) as one
+   * undoable step with a single state.changed event (see batch)
+   * @param {Object} snapshot - Parameters to restore (unknown keys are ignored)
+   * @returns {boolean} - Whether any parameter changed
    */
-  redo() {
-    if (this.historyIndex >= this.stateHistory.length - 1) {
+  restoreState(snapshot) {
+    if (!snapshot || typeof snapshot !== 'object') {
       return false;
     }
     
-    // Track redo operation
-    this.metrics.totalStateChanges++;
-    
-    this.historyIndex++;
-    const nextState = this.stateHistory[this.historyIndex];
-    
-    // Track changed parameters
-    const changedParams = [];
-    const paramChanges = {};
-    
-    // Apply next state without adding to history
-    Object.entries(nextState).forEach(([param, value]) => {
-      if (this.params[param] !== value) {
-        // Store change data
-        paramChanges[param] = {
-          oldValue: this.params[param],
-          newValue: value
-        };
-        
-        // Update parameter
-        this.params[param] = value;
-        changedParams.push(param);
-        
-        // Track parameter change
-        this.trackStateChange(param);
-      }
+    const diff = this.batch(() => {
+      Object.entries(snapshot).forEach(([param, value]) => {
+        this.updateParam(param, value);
+      });
     });
     
-    // Update metadata
-    const metadata = this.eventGear.getMetadata() || {};
-    const appStateMetadata = metadata.appState || {};
-    
-    this.eventGear.setMetadata({
-      ...metadata,
-      appState: {
-        ...appStateMetadata,
-        lastUpdate: Date.now(),
-        modifiedParams: [...(appStateMetadata.modifiedParams || []), ...changedParams],
-        changeCount: (appStateMetadata.changeCount || 0) + 1,
-        lastAction: 'redo',
-        historySize: this.stateHistory.length,
-        historyIndex: this.historyIndex
-      }
-    });
+    const changedParams = Object.keys(diff);
+    if (changedParams.length === 0) {
+      return false;
+    }
     
-    // Emit redo event
-    this.eventGear.emit('state.redo', {
+    this.eventGear.emit('state.restored', {
       changedParams,
-      paramChanges,
-      historyIndex: this.historyIndex,
+      historyEntry: this.history.current,
       timestamp: performance.now()
     });
     
-    // Store redo in change history
-    if (this.metrics.changeHistory.length < 100) {
-      this.metrics.changeHistory.push({
-        type: 'redo',
-        timestamp: performance.now(),
-        changedParams,
-        historyIndex: this.historyIndex
-      });
+    return true;
+  }
+  
+  /**
+   * Shareable URL form of the params that differ from the defaults
+   * @returns {string} - Versioned query string for the URL hash (see StateUrl.js)
+   */
+  toUrlState() {
+    return encodeUrlState(this.params);
+  }
+  
+  /**
+   * Restores the state of a shared URL: the encoded params on top of the
+   * defaults, as one batch (one undo step). Values the param schema rejects
+   * are left at their defaults.
+   * @param {string} text - URL hash or query string
+   * @returns {Object|null} - { changedParams, rejected }, null when the text holds no state
+   */
+  applyUrlState(text) {
+    const decoded = decodeUrlState(text);
+    if (!decoded) {
+      return null;
     }
     
-    return true;
+    const diff = this.batch(() => {
+      Object.entries(urlStateParams(decoded.params)).forEach(([param, value]) => {
+        this.updateParam(param, value);
+      });
+    });
+    decoded.rejected.forEach(({ param, error }) => {
+      console.warn(`Ignoring "${param}" of the URL state: ${error}`);
+    });
+    
+    return { changedParams: Object.keys(diff), rejected: decoded.rejected };
   }
   
   /**
@@ -663,10 +917,6 @@ export default class AppState {
   resetToDefaults() {
     const defaultParams = { ...AppConfig.defaults };
     
-    // Get current state for history
-    const currentState = { ...this.params };
-    this.addToHistory(currentState);
-    
     // Track which parameters were reset
     const changedParams = [];
     const paramChanges = {};
@@ -689,6 +939,11 @@ export default class AppState {
       }
     });
     
+    // One history entry for the whole reset
+    if (changedParams.length > 0) {
+      this.recordHistory(paramChanges, 'reset');
+    }
+    
     // Update metadata
     const metadata = this.eventGear.getMetadata() || {};
     this.eventGear.setMetadata({
@@ -698,8 +953,8 @@ export default class AppState {
         modifiedParams: changedParams,
         changeCount: (metadata.appState?.changeCount || 0) + 1,
         lastAction: 'reset',
-        historySize: this.stateHistory.length,
-        historyIndex: this.historyIndex
+        historySize: this.history.size,
+        historyEntry: this.history.current
       }
     });
     
@@ -710,6 +965,9 @@ export default class AppState {
       timestamp: performance.now()
     });
     
+    // Also emit a more generic state change event
+    this.emitStateChanged(changedParams, paramChanges, { action: 'reset' });
+    
     // Store reset in change history
     if (this.metrics.changeHistory.length < 100) {
       this.metrics.changeHistory.push({
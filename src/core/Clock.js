@@ -0,0 +1,184 @@
+/**
+ * Clock.js
+ *
+ * Time source of the animation loop. Visualizer asks the clock for the time
+ * of every frame instead of using requestAnimationFrame timestamps directly,
+ * so the frame sequence can be reproduced:
+ *   realtime - clock time follows the wall clock (minus paused spans)
+ *   fixed    - every tick advances exactly one timestep, however long it took
+ *   manual   - time only moves with step(n) and seek(time)
+ * In every mode the clock can be paused now or at a given time and seeked.
+ * Times are in ms from the clock's start. No DOM; wall time comes from the
+ * `now` option (performance.now by default) or the tick argument.
+ */
+
+// Clock modes
+export const CLOCK_MODES = ['realtime', 'fixed', 'manual'];
+
+export default class Clock {
+  /**
+   * @param {Object} options - Clock options
+   * @param {string} options.mode - Clock mode (see CLOCK_MODES)
+   * @param {number} options.timestep - Frame duration of fixed and manual steps (ms)
+   * @param {Function} options.now - Wall clock (ms)
+   */
+  constructor({ mode = 'realtime', timestep = 1000 / 60, now = () => performance.now() } = {}) {
+    this.now = now;
+    this.time = 0;
+    this.frame = 0;
+    this.paused = false;
+
+    // Clock time at which the clock pauses itself (null = none)
+    this.pauseTime = null;
+
+    // Wall time at clock time 0 (realtime mode)
+    this.origin = 0;
+
+    this.setMode(mode, timestep);
+  }
+
+  /**
+   * Switches the clock mode, keeping the current time
+   * @param {string} mode - Clock mode (see CLOCK_MODES)
+   * @param {number} timestep - Frame duration (ms)
+   */
+  setMode(mode, timestep = this.timestep) {
+    if (!CLOCK_MODES.includes(mode)) {
+      throw new TypeError(`Unknown clock mode "${mode}"`);
+    }
+    if (!(timestep > 0)) {
+      throw new TypeError('Clock timestep must be greater than 0');
+    }
+
+    this.mode = mode;
+    this.timestep = timestep;
+    this.sync();
+  }
+
+  /**
+   * Anchors realtime mode so the wall clock continues from the current time
+   * (after the loop was stopped, or the clock paused or seeked)
+   * @param {number} wallTime - Wall time (ms)
+   */
+  sync(wallTime = this.now()) {
+    this.origin = wallTime - this.time;
+  }
+
+  /**
+   * Advances the clock for an animation frame
+   * @param {number} wallTime - Wall time of the frame (e.g. the requestAnimationFrame timestamp)
+   * @returns {Object} - Frame ({ time, delta }); delta is 0 while paused or in manual mode
+   */
+  tick(wallTime = this.now()) {
+    if (this.paused || this.mode === 'manual') {
+      return { time: this.time, delta: 0 };
+    }
+
+    return this.advance(this.mode === 'realtime' ? wallTime - this.origin : this.time + this.timestep);
+  }
+
+  /**
+   * Advances by whole timesteps, paused or not (stops at a pending pauseAt)
+   * @param {number} count - Number of steps
+   * @returns {Array} - Frames ({ time, delta }), one per step taken
+   */
+  step(count = 1) {
+    if (!Number.isInteger(count) || count < 0) {
+      throw new TypeError('Step count must be a non-negative integer');
+    }
+
+    const frames = [];
+    for (let i = 0; i < count; i++) {
+      const pauseTime = this.pauseTime;
+      frames.push(this.advance(this.time + this.timestep));
+      if (pauseTime !== null && this.time >= pauseTime) break;
+    }
+    this.sync();
+    return frames;
+  }
+
+  /**
+   * Moves the clock to a time (seeking past a pending pause time cancels it)
+   * @param {number} time - Clock time (ms)
+   * @returns {Object} - Frame ({ time, delta }), delta negative when seeking back
+   */
+  seek(time) {
+    if (!Number.isFinite(time)) {
+      throw new TypeError('Seek time must be a finite number');
+    }
+
+    if (this.pauseTime !== null && time > this.pauseTime) {
+      this.pauseTime = null;
+    }
+
+    const delta = time - this.time;
+    this.time = time;
+    this.sync();
+    return { time, delta };
+  }
+
+  /**
+   * Stops the clock at the current time
+   */
+  pause() {
+    this.paused = true;
+  }
+
+  /**
+   * Continues from the current time
+   */
+  resume() {
+    this.paused = false;
+    this.sync();
+  }
+
+  /**
+   * Pauses the clock when it reaches a time (right away when it is past it)
+   * @param {number|null} time - Clock time (ms), null to cancel
+   */
+  pauseAt(time) {
+    if (time !== null && !Number.isFinite(time)) {
+      throw new TypeError('Pause time must be a finite number or null');
+    }
+
+    if (time !== null && time <= this.time) {
+      this.pauseTime = null;
+      this.pause();
+      return;
+    }
+    this.pauseTime = time;
+  }
+
+  /**
+   * Moves the clock forward, stopping at a pending pause time
+   * @param {number} next - Clock time of the new frame (ms)
+   * @returns {Object} - Frame ({ time, delta })
+   */
+  advance(next) {
+    if (this.pauseTime !== null && next >= this.pauseTime && this.time <= this.pauseTime) {
+      next = this.pauseTime;
+      this.pauseTime = null;
+      this.paused = true;
+    }
+
+    const delta = next - this.time;
+    this.time = next;
+    this.frame++;
+    return { time: next, delta };
+  }
+
+  /**
+   * Current clock state
+   * @returns {Object} - { mode, time, frame, timestep, paused, pauseTime }
+   */
+  getState() {
+    return {
+      mode: this.mode,
+      time: this.time,
+      frame: this.frame,
+      timestep: this.timestep,
+      paused: this.paused,
+      pauseTime: this.pauseTime
+    };
+  }
+}
@@ -0,0 +1,475 @@
+/**
+ * StateHistory.js
+ *
+ * Undo history of AppState as a tree of diffs. The root holds the base
+ * params; every other entry holds the changes ({ param: { oldValue,
+ * newValue } }) leading to it from its parent. Undo walks up, redo walks
+ * down to the child last visited, and jumping to any entry walks up to the
+ * common ancestor and down again. Editing after an undo or a jump starts a
+ * new branch; the old branch stays reachable.
+ *
+ * Continuous edits of the same params (slider drags) are coalesced into one
+ * entry while they follow each other within the coalesce window. Entries
+ * can be named as checkpoints; checkpoints are never coalesced into or
+ * pruned. The tree serializes to JSON for persistence (see HistoryManager).
+ */
+
+export const HISTORY_FORMAT = 'harmonic-explorer-history';
+export const HISTORY_VERSION = 1;
+
+/**
+ * Copies a diff
+ * @param {Object} diff - Changes ({ param: { oldValue, newValue } })
+ * @returns {Object} - Copy
+ */
+function copyDiff(diff) {
+  return Object.fromEntries(Object.entries(diff).map(([param, { oldValue, newValue }]) => [param, { oldValue, newValue }]));
+}
+
+/**
+ * Whether two diffs change the same params
+ * @param {Object} a - Diff
+ * @param {Object} b - Diff
+ * @returns {boolean} - Whether the param sets are equal
+ */
+function sameParams(a, b) {
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(param => param in b);
+}
+
+export default class StateHistory {
+  /**
+   * @param {Object} base - Params at the root
+   * @param {Object} options - Options
+   * @param {number} options.maxEntries - Entries kept (oldest unnamed ones are pruned)
+   * @param {number} options.coalesceWindow - Longest pause within one continuous edit (ms)
+   * @param {Function} options.now - Clock (ms, wall time by default)
+   */
+  constructor(base, { maxEntries = 500, coalesceWindow = 1000, now = () => Date.now() } = {}) {
+    this.maxEntries = maxEntries;
+    this.coalesceWindow = coalesceWindow;
+    this.now = now;
+
+    this.reset(base);
+  }
+
+  /**
+   * Drops all entries and starts over from new base params
+   * @param {Object} base - Params at the root
+   */
+  reset(base) {
+    this.base = { ...base };
+    this.entries = new Map();
+    this.nextId = 0;
+
+    const root = this.createEntry(null, {}, 'initial', this.now());
+    this.root = root.id;
+    this.current = root.id;
+  }
+
+  /**
+   * Adds an entry
+   * @param {number|null} parent - Parent entry id
+   * @param {Object} diff - Changes from the parent
+   * @param {string} action - What made the change (update, batch, reset, initial)
+   * @param {number} time - Creation time (ms)
+   * @returns {Object} - Entry
+   */
+  createEntry(parent, diff, action, time) {
+    const entry = { id: this.nextId++, parent, children: [], next: null, diff, action, time, name: null };
+    this.entries.set(entry.id, entry);
+
+    if (parent !== null) {
+      const parentEntry = this.entries.get(parent);
+      parentEntry.children.push(entry.id);
+      parentEntry.next = entry.id;
+    }
+    return entry;
+  }
+
+  /**
+   * Gets an entry
+   * @param {number} id - Entry id
+   * @returns {Object|undefined} - Entry
+   */
+  get(id) {
+    return this.entries.get(id);
+  }
+
+  /**
+   * Number of entries (including the root)
+   * @returns {number} - Entry count
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Whether there is an entry to undo
+   * @returns {boolean} - Whether the current entry is not the root
+   */
+  canUndo() {
+    return this.current !== this.root;
+  }
+
+  /**
+   * Whether there is an entry to redo
+   * @returns {boolean} - Whether the current entry has children
+   */
+  canRedo() {
+    return this.entries.get(this.current).children.length > 0;
+  }
+
+  /**
+   * Records a change made from the current entry
+   * @param {Object} diff - Changes ({ param: { oldValue, newValue } })
+   * @param {string} action - What made the change (update edits may be coalesced)
+   * @returns {Object} - { entry, coalesced }
+   */
+  record(diff, action = 'update') {
+    const current = this.entries.get(this.current);
+    const time = this.now();
+
+    if (action === 'update' && this.canCoalesce(current, diff, time)) {
+      Object.entries(diff).forEach(([param, { newValue }]) => {
+        current.diff[param].newValue = newValue;
+      });
+      current.time = time;
+
+      // An edit that ended where it started leaves nothing to undo
+      if (Object.values(current.diff).every(({ oldValue, newValue }) => oldValue === newValue)) {
+        this.current = current.parent;
+        this.remove(current.id);
+        return { entry: this.entries.get(this.current), coalesced: true };
+      }
+      return { entry: current, coalesced: true };
+    }
+
+    const entry = this.createEntry(this.current, copyDiff(diff), action, time);
+    this.current = entry.id;
+    this.prune();
+    return { entry, coalesced: false };
+  }
+
+  /**
+   * Whether a change continues the edit of an entry
+   * @param {Object} entry - Current entry
+   * @param {Object} diff - New changes
+   * @param {number} time - Time of the change (ms)
+   * @returns {boolean} - Whether the change can be merged into the entry
+   */
+  canCoalesce(entry, diff, time) {
+    return entry.id !== this.root &&
+      entry.action === 'update' &&
+      entry.name === null &&
+      entry.children.length === 0 &&
+      time - entry.time <= this.coalesceWindow &&
+      sameParams(entry.diff, diff);
+  }
+
+  /**
+   * Moves to the parent entry
+   * @returns {Object|null} - { changes ({ param: value }), from, to }, null at the root
+   */
+  undo() {
+    if (!this.canUndo()) return null;
+
+    const entry = this.entries.get(this.current);
+    const changes = Object.fromEntries(Object.entries(entry.diff).map(([param, { oldValue }]) => [param, oldValue]));
+
+    this.entries.get(entry.parent).next = entry.id;
+    this.current = entry.parent;
+    return { changes, from: entry.id, to: entry.parent };
+  }
+
+  /**
+   * Moves to the child entry last visited (the newest child otherwise)
+   * @returns {Object|null} - { changes ({ param: value }), from, to }, null without children
+   */
+  redo() {
+    if (!this.canRedo()) return null;
+
+    const entry = this.entries.get(this.current);
+    const child = this.entries.get(entry.children.includes(entry.next) ? entry.next : entry.children[entry.children.length - 1]);
+    const changes = Object.fromEntries(Object.entries(child.diff).map(([param, { newValue }]) => [param, newValue]));
+
+    this.current = child.id;
+    return { changes, from: entry.id, to: child.id };
+  }
+
+  /**
+   * Ids from the root to an entry
+   * @param {number} id - Entry id
+   * @returns {Array} - Entry ids, root first
+   */
+  pathTo(id) {
+    const path = [];
+    for (let entry = this.entries.get(id); entry; entry = this.entries.get(entry.parent)) {
+      path.unshift(entry.id);
+    }
+    return path;
+  }
+
+  /**
+   * Moves to any entry (redo then follows the branch jumped to)
+   * @param {number} id - Entry id
+   * @returns {Object|null} - { changes ({ param: value }), from, to }, null for unknown ids
+   */
+  jumpTo(id) {
+    if (!this.entries.has(id)) return null;
+
+    const from = this.pathTo(this.current);
+    const to = this.pathTo(id);
+    let common = 0;
+    while (common < from.length && common < to.length && from[common] === to[common]) {
+      common++;
+    }
+
+    const changes = {};
+    from.slice(common).reverse().forEach(entryId => {
+      Object.entries(this.entries.get(entryId).diff).forEach(([param, { oldValue }]) => {
+        changes[param] = oldValue;
+      });
+    });
+    to.slice(common).forEach(entryId => {
+      const entry = this.entries.get(entryId);
+      this.entries.get(entry.parent).next = entry.id;
+      Object.entries(entry.diff).forEach(([param, { newValue }]) => {
+        changes[param] = newValue;
+      });
+    });
+
+    const previous = this.current;
+    this.current = id;
+    return { changes, from: previous, to: id };
+  }
+
+  /**
+   * Params at an entry
+   * @param {number} id - Entry id (current by default)
+   * @returns {Object} - Base params with the changes along the path applied
+   */
+  stateAt(id = this.current) {
+    const state = { ...this.base };
+    this.pathTo(id).forEach(entryId => {
+      Object.entries(this.entries.get(entryId).diff).forEach(([param, { newValue }]) => {
+        state[param] = newValue;
+      });
+    });
+    return state;
+  }
+
+  /**
+   * Names an entry as a checkpoint
+   * @param {string} name - Checkpoint name
+   * @param {number} id - Entry id (current by default)
+   * @returns {Object} - Entry
+   */
+  checkpoint(name, id = this.current) {
+    const entry = this.entries.get(id);
+    if (!entry) {
+      throw new TypeError(`Unknown history entry ${id}`);
+    }
+    if (typeof name !== 'string' || name.trim() === '') {
+      throw new TypeError('Checkpoint names must be non-empty strings');
+    }
+
+    entry.name = name.trim();
+    return entry;
+  }
+
+  /**
+   * Named entries
+   * @returns {Array} - Checkpoint entries, oldest first
+   */
+  checkpoints() {
+    return Array.from(this.entries.values()).filter(entry => entry.name !== null);
+  }
+
+  /**
+   * Finds a checkpoint by name
+   * @param {string} name - Checkpoint name
+   * @returns {Object|undefined} - Newest entry with that name
+   */
+  findCheckpoint(name) {
+    return this.checkpoints().reverse().find(entry => entry.name === name);
+  }
+
+  /**
+   * All entries for display, oldest first
+   * @returns {Array} - { id, parent, time, action, name, params, depth, current, active }
+   *   (depth = branches taken off the first branch, active = on the path to the current entry)
+   */
+  timeline() {
+    const active = new Set(this.pathTo(this.current));
+    const depths = new Map();
+
+    return Array.from(this.entries.values()).map(entry => {
+      const parent = this.entries.get(entry.parent);
+      const depth = parent ? depths.get(parent.id) + (parent.children[0] === entry.id ? 0 : 1) : 0;
+      depths.set(entry.id, depth);
+
+      return {
+        id: entry.id,
+        parent: entry.parent,
+        time: entry.time,
+        action: entry.action,
+        name: entry.name,
+        params: Object.keys(entry.diff),
+        depth,
+        current: entry.id === this.current,
+        active: active.has(entry.id)
+      };
+    });
+  }
+
+  /**
+   * Removes a leaf entry
+   * @param {number} id - Entry id
+   */
+  remove(id) {
+    const entry = this.entries.get(id);
+    const parent = this.entries.get(entry.parent);
+
+    parent.children = parent.children.filter(childId => childId !== id);
+    if (parent.next === id) {
+      parent.next = null;
+    }
+    this.entries.delete(id);
+  }
+
+  /**
+   * Folds an entry with a single child into that child (the child's diff
+   * then leads from the entry's parent)
+   * @param {number} id - Entry id
+   */
+  merge(id) {
+    const entry = this.entries.get(id);
+    const child = this.entries.get(entry.children[0]);
+    const parent = this.entries.get(entry.parent);
+
+    const diff = copyDiff(entry.diff);
+    Object.entries(child.diff).forEach(([param, { oldValue, newValue }]) => {
+      diff[param] = { oldValue: param in diff ? diff[param].oldValue : oldValue, newValue };
+    });
+    Object.keys(diff).forEach(param => {
+      if (diff[param].oldValue === diff[param].newValue) delete diff[param];
+    });
+
+    child.diff = diff;
+    child.parent = parent.id;
+    parent.children = parent.children.map(childId => (childId === id ? child.id : childId));
+    if (parent.next === id) {
+      parent.next = child.id;
+    }
+    this.entries.delete(id);
+  }
+
+  /**
+   * Drops the oldest entries beyond maxEntries: the root is folded into the
+   * base while the history is a single line behind the current entry,
+   * otherwise the oldest leaf off the current path goes, and at last the
+   * oldest steps between checkpoints are merged. Checkpoints and the
+   * current entry stay.
+   */
+  prune() {
+    while (this.entries.size > this.maxEntries) {
+      const root = this.entries.get(this.root);
+
+      if (root.children.length === 1 && root.name === null && this.current !== root.id) {
+        const child = this.entries.get(root.children[0]);
+        Object.entries(child.diff).forEach(([param, { newValue }]) => {
+          this.base[param] = newValue;
+        });
+        child.diff = {};
+        child.parent = null;
+        this.entries.delete(root.id);
+        this.root = child.id;
+        continue;
+      }
+
+      const active = new Set(this.pathTo(this.current));
+      const entries = Array.from(this.entries.values());
+      const leaf = entries.find(entry => entry.children.length === 0 && entry.name === null && !active.has(entry.id));
+      if (leaf) {
+        this.remove(leaf.id);
+        continue;
+      }
+
+      const step = entries.find(entry => entry.parent !== null && entry.children.length === 1 &&
+        entry.name === null && entry.id !== this.current);
+      if (!step) break;
+
+      this.merge(step.id);
+    }
+  }
+
+  /**
+   * Serializable form of the tree
+   * @returns {Object} - History document (see HISTORY_FORMAT)
+   */
+  serialize() {
+    return {
+      format: HISTORY_FORMAT,
+      version: HISTORY_VERSION,
+      base: { ...this.base },
+      root: this.root,
+      current: this.current,
+      nextId: this.nextId,
+      entries: Array.from(this.entries.values()).map(({ id, parent, next, diff, action, time, name }) =>
+        ({ id, parent, next, diff: copyDiff(diff), action, time, name }))
+    };
+  }
+
+  /**
+   * Rebuilds a history from its serialized form
+   * @param {Object} data - History document (see serialize)
+   * @param {Object} options - Constructor options, plus validate ((param, value) => boolean)
+   *   to drop stored values the current params no longer accept
+   * @returns {StateHistory} - History
+   */
+  static deserialize(data, { validate = () => true, ...options } = {}) {
+    if (!data || data.format !== HISTORY_FORMAT) {
+      throw new SyntaxError('Not a history document');
+    }
+    if (data.version !== HISTORY_VERSION) {
+      throw new SyntaxError(`Unsupported history version ${data.version}`);
+    }
+    if (!Array.isArray(data.entries) || !data.entries.some(entry => entry.id === data.root && entry.parent === null)) {
+      throw new SyntaxError('History document without a root entry');
+    }
+
+    const history = new StateHistory({}, options);
+    history.base = Object.fromEntries(Object.entries(data.base || {}).filter(([param, value]) => validate(param, value)));
+    history.entries = new Map();
+
+    data.entries.forEach(({ id, parent, next = null, diff = {}, action = 'update', time = 0, name = null }) => {
+      const validDiff = Object.fromEntries(Object.entries(diff)
+        .filter(([param, change]) => change && validate(param, change.oldValue) && validate(param, change.newValue)));
+      history.entries.set(id, { id, parent, children: [], next, diff: validDiff, action, time, name });
+    });
+
+    // Children in creation order; entries whose parent is missing are dropped with their subtree
+    Array.from(history.entries.values()).sort((a, b) => a.id - b.id).forEach(entry => {
+      if (entry.parent === null) return;
+      const parent = history.entries.get(entry.parent);
+      if (parent) {
+        parent.children.push(entry.id);
+      }
+    });
+    const reachable = new Set();
+    const visit = (id) => {
+      reachable.add(id);
+      history.entries.get(id).children.forEach(visit);
+    };
+    visit(data.root);
+    history.entries.forEach((entry, id) => {
+      if (!reachable.has(id)) history.entries.delete(id);
+    });
+
+    history.root = data.root;
+    history.current = history.entries.has(data.current) ? data.current : data.root;
+    history.nextId = Math.max(data.nextId || 0, ...Array.from(history.entries.keys()).map(id => id + 1));
+    return history;
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * StateUrl.js
+ *
+ * Shareable URL encoding of AppState params: the params that differ from
+ * the defaults, as a versioned query string for the URL hash
+ * ("v=1&harmonics=12&partialRolloff=square"). Numbers and strings are
+ * written as they are, booleans as 1/0, objects and arrays as JSON.
+ * Decoding checks every value against the param schema (values are
+ * converted and clamped like any AppState update); values the schema
+ * rejects are dropped and reported.
+ */
+
+import { AppConfig, checkParam } from '../config/app-config.js';
+
+export const URL_STATE_VERSION = 1;
+
+// Params a link carries (runtime, playback and device params stay local)
+export const URL_STATE_PARAMS = Object.keys(AppConfig.schema)
+  .filter(param => !AppConfig.urlState.skipParams.includes(param));
+
+const STRUCTURED_TYPES = ['colors', 'array', 'object'];
+
+/**
+ * Whether a value equals the param's default (objects and arrays by content)
+ * @param {string} param - Param name
+ * @param {any} value - Value
+ * @returns {boolean} - Whether it is the default
+ */
+function isDefault(param, value) {
+  const defaultValue = AppConfig.defaults[param];
+  if (value === defaultValue) return true;
+  return typeof value === 'object' && value !== null && JSON.stringify(value) === JSON.stringify(defaultValue);
+}
+
+/**
+ * Encodes the non-default params
+ * @param {Object} params - Params (e.g. AppState.params)
+ * @returns {string} - Query string without '#', empty when every param is at its default
+ */
+export function encodeUrlState(params) {
+  const query = new URLSearchParams();
+
+  URL_STATE_PARAMS.forEach(param => {
+    if (!(param in params) || isDefault(param, params[param])) return;
+
+    const value = params[param];
+    const type = AppConfig.schema[param].type;
+    if (STRUCTURED_TYPES.includes(type)) {
+      query.set(param, JSON.stringify(value));
+    } else if (type === 'boolean') {
+      query.set(param, value ? '1' : '0');
+    } else {
+      query.set(param, String(value));
+    }
+  });
+
+  const text = query.toString();
+  return text ? `v=${URL_STATE_VERSION}&${text}` : '';
+}
+
+/**
+ * Decodes a URL state
+ * @param {string} text - Query string, with or without a leading '#' or '?'
+ * @returns {Object|null} - { params, rejected: [{ param, error }] }, null when
+ *   the text holds no state (no version key)
+ */
+export function decodeUrlState(text) {
+  const query = new URLSearchParams(String(text || '').replace(/^[#?]/, ''));
+  if (!query.has('v')) return null;
+
+  const version = Number(query.get('v'));
+  if (version !== URL_STATE_VERSION) {
+    throw new SyntaxError(`Unsupported URL state version ${query.get('v')}`);
+  }
+
+  const params = {};
+  const rejected = [];
+  query.forEach((raw, param) => {
+    if (param === 'v') return;
+    if (!URL_STATE_PARAMS.includes(param)) {
+      rejected.push({ param, error: `Unknown parameter "${param}"` });
+      return;
+    }
+
+    const type = AppConfig.schema[param].type;
+    let value = raw;
+    if (type === 'boolean' && (raw === '1' || raw === '0')) {
+      value = raw === '1';
+    } else if (STRUCTURED_TYPES.includes(type)) {
+      try {
+        value = JSON.parse(raw);
+      } catch (e) {
+        rejected.push({ param, error: `Invalid JSON: ${e.message}` });
+        return;
+      }
+    }
+
+    const result = checkParam(param, value);
+    if (result.valid) {
+      params[param] = result.value;
+    } else {
+      rejected.push({ param, error: result.error });
+    }
+  });
+
+  return { params, rejected };
+}
+
+/**
+ * Params restoring a decoded URL state: every link param, encoded value or default
+ * @param {Object} params - Decoded params (see decodeUrlState)
+ * @returns {Object} - Params for AppState.updateMultipleParams
+ */
+export function urlStateParams(params) {
+  return Object.fromEntries(URL_STATE_PARAMS.map(param => [
+    param,
+    param in params ? params[param] : AppConfig.defaults[param]
+  ]));
+}
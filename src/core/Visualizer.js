@@ -4,18 +4,27 @@
  * Core visualization manager responsible for the animation loop and
  * coordinating rendering operations. It uses EventGear for efficient
  * event-driven communication.
+ * 
+ * Frame times come from a Clock (realtime, fixed-timestep or manual), so
+ * the frame sequence can be stepped, paused at a time and seeked.
  */
 
+import Clock from './Clock.js';
+
 export default class Visualizer {
   /**
    * Creates a new Visualizer instance
    * @param {Object} eventGear - EventGear instance for event coordination
    * @param {Object} options - Configuration options
+   * @param {Clock} options.clock - Frame time source (realtime Clock by default)
    */
   constructor(eventGear, options = {}) {
     // Use provided EventGear instance or create a new one
     this.eventGear = eventGear;
     
+    // Frame time source
+    this.clock = options.clock || new Clock();
+    
     // Animation state
     this.isAnimating = false;
     this.animationId = null;
@@ -578,7 +587,10 @@ export default class Visualizer {
     if (this.isAnimating) return;
     
     this.isAnimating = true;
-    this.lastFrameTime = performance.now();
+    
+    // Continue the clock from where the loop stopped
+    this.clock.sync(performance.now());
+    this.lastFrameTime = this.clock.time;
     
     // Update metadata
     const metadata = this.eventGear.getMetadata() || {};
@@ -683,19 +695,41 @@ export default class Visualizer {
   
   /**
    * Animation frame handler
-   * @param {number} timestamp - Current timestamp
+   * @param {number} timestamp - Current timestamp (wall clock, from requestAnimationFrame)
    */
   animate(timestamp) {
     if (!this.isAnimating) return;
     
-    // Calculate delta time
-    const delta = timestamp - this.lastFrameTime;
+    const wasPaused = this.clock.paused;
+    const frame = this.clock.tick(timestamp);
+    
+    // Reached a pauseAt time
+    if (!wasPaused && this.clock.paused) {
+      this.emitClockChange('pause');
+    }
+    
+    this.renderFrameAt(frame.time, frame.delta);
+    
+    // Continue animation loop
+    this.animationId = requestAnimationFrame(this.animate.bind(this));
+  }
+  
+  /**
+   * Runs one frame at an exact timestamp (used by animate, and directly by
+   * frame-stepped offline rendering while the loop is stopped)
+   * @param {number} timestamp - Frame timestamp (ms)
+   * @param {number} delta - Time since the previous frame (ms)
+   */
+  renderFrameAt(timestamp, delta = timestamp - this.lastFrameTime) {
+    // Frame timing
     this.lastFrameTime = timestamp;
     this.frameTime = delta;
     this.frameCount++;
     
-    // Calculate FPS
-    this.fps = 1000 / delta;
+    // Calculate FPS (held frames of a paused clock keep the last value)
+    if (delta > 0) {
+      this.fps = 1000 / delta;
+    }
 
     // Update frame statistics in metadata (only if performance tracking enabled)
     if (this.options.performanceTracking) {
@@ -748,9 +782,77 @@ export default class Visualizer {
         this.updateDebugUI();
       }
     }
-    
-    // Continue animation loop
-    this.animationId = requestAnimationFrame(this.animate.bind(this));
+  }
+  
+  /**
+   * Renders the next frames of the clock (manual stepping; works while paused)
+   * @param {number} count - Number of frames
+   * @returns {number} - Clock time after the steps (ms)
+   */
+  step(count = 1) {
+    this.clock.step(count).forEach(frame => {
+      this.renderFrameAt(frame.time, frame.delta);
+    });
+    this.emitClockChange('step');
+    return this.clock.time;
+  }
+  
+  /**
+   * Moves the clock to a time and renders a frame there
+   * @param {number} time - Clock time (ms)
+   */
+  seek(time) {
+    const frame = this.clock.seek(time);
+    this.emitClockChange('seek', { delta: frame.delta });
+    this.renderFrameAt(frame.time, frame.delta);
+  }
+  
+  /**
+   * Pauses the clock (frames keep rendering at the paused time)
+   */
+  pause() {
+    this.clock.pause();
+    this.emitClockChange('pause');
+  }
+  
+  /**
+   * Resumes a paused clock
+   */
+  resume() {
+    this.clock.resume();
+    this.emitClockChange('resume');
+  }
+  
+  /**
+   * Pauses the clock when it reaches a time
+   * @param {number|null} time - Clock time (ms), null to cancel
+   */
+  pauseAt(time) {
+    this.clock.pauseAt(time);
+    this.emitClockChange('pauseAt');
+  }
+  
+  /**
+   * Switches the clock mode
+   * @param {string} mode - Clock mode (realtime, fixed or manual)
+   * @param {number} timestep - Frame duration of fixed and manual steps (ms)
+   */
+  setClockMode(mode, timestep) {
+    this.clock.setMode(mode, timestep);
+    this.emitClockChange('mode');
+  }
+  
+  /**
+   * Emits the clock state after a change
+   * @param {string} reason - What changed (step, seek, pause, resume, pauseAt, mode)
+   * @param {Object} extra - Additional event data
+   */
+  emitClockChange(reason, extra = {}) {
+    this.eventGear.emit('clock.changed', {
+      reason,
+      ...this.clock.getState(),
+      ...extra
+    });
   }
   
   /**
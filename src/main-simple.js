@@ -16,6 +16,15 @@
  * ✓ Interactive controls (frequency, harmonics, coordinate systems)
  * ✓ Geometry rendering (circle, axis, polygons)
  * ✓ Audio synthesis (optional)
+ * ✓ Spectrum analyzer overlay with harmonic peak labels
+ * ✓ Cymatics plate patterns (computed in a Web Worker)
+ * ✓ Spectrogram history (click a column to restore its state)
+ * ✓ WebM video export with audio (live or frame-stepped)
+ * ✓ Themes (dark, light, high-contrast, color-blind safe; JSON import/export)
+ * ✓ Preset library (factory pack, saved presets with tags and thumbnails, JSON import/export)
+ * ✓ Undo history with checkpoints and branches, kept across reloads
+ * ✓ Shareable links (the state in the URL hash)
+ * ✓ MIDI input with MIDI learn, MIDI output (when Web MIDI is available)
  * ✓ FPS monitoring (optional)
  * ✓ Debug API (when enabled in config)
  *
@@ -25,11 +34,22 @@
 
 import EventGear from './utils/EventGear.js';
 import Visualizer from './core/Visualizer.js';
+import Clock from './core/Clock.js';
 import AppState from './core/AppState.js';
 import HarmonicSeries from './modules/HarmonicSeries.js';
 import GeometryRenderer from './modules/GeometryRenderer.js';
 import AudioSynthesis from './modules/AudioSynthesis.js';
 import UIControllerSimple from './modules/UIControllerSimple.js';
+import MidiController from './modules/MidiController.js';
+import MidiOutput from './modules/MidiOutput.js';
+import SpectrumAnalyzer from './modules/SpectrumAnalyzer.js';
+import CymaticsCalculator from './modules/CymaticsCalculator.js';
+import SpectrogramRecorder from './modules/SpectrogramRecorder.js';
+import VideoRecorder from './modules/VideoRecorder.js';
+import ThemeManager from './modules/ThemeManager.js';
+import PresetManager from './modules/PresetManager.js';
+import HistoryManager from './modules/HistoryManager.js';
+import UrlStateManager from './modules/UrlStateManager.js';
 
 import { AppConfig } from './config/app-config.js';
 import {
@@ -59,7 +79,9 @@ function initializeApp() {
 
     // Initialize core state
     const appState = new AppState(eventGear);
+    const clock = new Clock(AppConfig.clock);
     const visualizer = new Visualizer(eventGear, {
+      clock,
       showFPS: AppConfig.debug.showFPS,
       performanceTracking: AppConfig.debug.logPerformance  // Only track if debug enabled
     });
@@ -77,8 +99,21 @@ function initializeApp() {
     // Initialize modules
     const harmonicSeries = new HarmonicSeries(eventGear, appState);
     const geometryRenderer = new GeometryRenderer(eventGear, appState, canvas);
+    const cymaticsCalculator = new CymaticsCalculator(eventGear, appState);
     const audioSynthesis = new AudioSynthesis(eventGear, appState);
+    const spectrumAnalyzer = new SpectrumAnalyzer(eventGear, appState, audioSynthesis);
+    const spectrogramRecorder = new SpectrogramRecorder(eventGear, appState);
+    const videoRecorder = new VideoRecorder(eventGear, appState, { canvas, visualizer, audioSynthesis, renderer: geometryRenderer });
+    const themeManager = new ThemeManager(eventGear, appState);
+    const presetManager = new PresetManager(eventGear, appState, { canvas, renderer: geometryRenderer });
     const uiController = new UIControllerSimple(eventGear, appState);
+    const midiController = new MidiController(eventGear, appState);
+    const midiOutput = new MidiOutput(eventGear, appState);
+
+    // Last, so every module follows the params of the restored history,
+    // and a shared link wins over it (one undo step back to the last session)
+    const historyManager = new HistoryManager(eventGear, appState);
+    const urlStateManager = new UrlStateManager(eventGear, appState);
 
     // Connect components through events
     const components = {
@@ -86,8 +121,18 @@ function initializeApp() {
       appState,
       harmonicSeries,
       geometryRenderer,
+      cymaticsCalculator,
       audioSynthesis,
-      uiController
+      spectrumAnalyzer,
+      spectrogramRecorder,
+      videoRecorder,
+      themeManager,
+      presetManager,
+      uiController,
+      midiController,
+      midiOutput,
+      historyManager,
+      urlStateManager
     };
 
     connectComponentEvents(eventGear, components);
@@ -98,8 +143,9 @@ function initializeApp() {
       const rotationAngle = appState.getParam('rotationAngle');
       const rotationSpeed = appState.getParam('rotationSpeed');
 
-      // Update rotation (direct mutation to avoid event overhead)
-      const newAngle = rotationAngle + rotationSpeed;
+      // Update rotation by clock time, so fixed-timestep and stepped runs repeat exactly
+      // (direct mutation to avoid event overhead)
+      const newAngle = rotationAngle + rotationSpeed * (data.delta / AppConfig.clock.referenceFrame);
       appState.params.rotationAngle = newAngle;
 
       // Cache sin/cos for renderers (avoids recalculating in each renderer)
@@ -124,10 +170,21 @@ function initializeApp() {
         eventGear,
         appState,
         visualizer,
+        clock,
         harmonicSeries,
         geometryRenderer,
+        cymaticsCalculator,
         audioSynthesis,
+        spectrumAnalyzer,
+        spectrogramRecorder,
+        videoRecorder,
+        themeManager,
+        presetManager,
         uiController,
+        midiController,
+        midiOutput,
+        historyManager,
+        urlStateManager,
         config: AppConfig,
 
         // Helper functions
@@ -158,6 +215,13 @@ function initializeApp() {
     uiController.initialize();
     visualizer.start();
 
+    // MIDI input is optional (permission prompt, unsupported browsers)
+    if (navigator.requestMIDIAccess) {
+      midiController.initialize().then(ready => {
+        if (ready) midiOutput.initialize(midiController.midiAccess);
+      });
+    }
+
     // Emit initialization complete
     eventGear.emit('app.initialized', {
       timestamp: performance.now(),
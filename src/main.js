@@ -29,6 +29,7 @@ import GeometryRenderer from './modules/GeometryRenderer.js';
 import AudioSynthesis from './modules/AudioSynthesis.js';
 import UIController from './modules/UIController.js';
 import NeuroNetManager from './utils/NeuroNetManager.js';
+import { AppConfig } from './config/app-config.js';
 
 // Configuration for debug mode
 const config = {
@@ -151,8 +152,8 @@ function initializeApp() {
     const rotationAngle = appState.getParam('rotationAngle');
     const rotationSpeed = appState.getParam('rotationSpeed');
 
-    // Update rotation angle based on speed (if auto-rotating)
-    const newAngle = rotationAngle + rotationSpeed;
+    // Update rotation angle based on speed and clock time (if auto-rotating)
+    const newAngle = rotationAngle + rotationSpeed * (data.delta / AppConfig.clock.referenceFrame);
     appState.params.rotationAngle = newAngle; // Direct update to avoid triggering events
 
     // Calculate and cache sin/cos values for renderers
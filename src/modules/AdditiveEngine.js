@@ -0,0 +1,306 @@
+/**
+ * AdditiveEngine.js
+ *
+ * Pure-JS additive synthesis engine rendering a bank of partials into a
+ * sample buffer. It has no Web Audio dependencies: AdditiveWorkletProcessor
+ * runs it on the audio thread and the test runner renders it under Node.
+ * Partials use the shared PartialModel format, so the sound matches the
+ * waveform computed by WaveformCalculator. An optional ADSR envelope
+ * (global, or per partial via `partial.envelope`) shapes each note.
+ */
+
+import Envelope from './Envelope.js';
+
+const TWO_PI = 2 * Math.PI;
+
+export default class AdditiveEngine {
+  // Upper bound for the partial bank
+  static MAX_PARTIALS = 512;
+
+  // Per-partial gain (matches the former oscillator gain scaling)
+  static PARTIAL_GAIN = 0.5;
+
+  /**
+   * Creates an engine
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {Object} options - Engine options
+   * @param {number} options.smoothingTime - Parameter smoothing time constant in seconds
+   * @param {number} options.frequency - Initial base frequency in Hz
+   */
+  constructor(sampleRate, { smoothingTime = 0.01, frequency = 440 } = {}) {
+    if (!(sampleRate > 0)) {
+      throw new TypeError('AdditiveEngine needs a positive sample rate');
+    }
+
+    this.sampleRate = sampleRate;
+    this.frequency = frequency;
+    this.setSmoothingTime(smoothingTime);
+
+    // Bank of partial oscillators ({ ratio, phase, offset, amplitude, targetAmplitude, increment, targetIncrement, envelope })
+    this.bank = [];
+
+    // Running phase of the base frequency (reference for new partials)
+    this.masterPhase = 0;
+
+    // Master level (smoothed, 0 = silent)
+    this.level = 0;
+    this.targetLevel = 0;
+
+    // Global ADSR envelope (null = no envelope, the level alone gates the sound)
+    this.envelopeSettings = null;
+    this.envelope = null;
+    this.gate = false;
+    this.velocity = 1;
+  }
+
+  /**
+   * Sets the global ADSR envelope. Partials with their own envelope
+   * override individual values of it.
+   * @param {Object|null} envelope - Envelope ({ attack, decay, sustain, release }) or null
+   */
+  setEnvelope(envelope) {
+    this.envelopeSettings = envelope ? { ...envelope } : null;
+
+    if (!envelope) {
+      this.envelope = null;
+    } else if (this.envelope) {
+      this.envelope.set(envelope);
+    } else {
+      this.envelope = new Envelope(this.sampleRate, envelope);
+    }
+
+    this.bank.forEach(osc => this.setPartialEnvelope(osc, osc.envelopeOverride));
+  }
+
+  /**
+   * Starts a note: opens the level and triggers the envelopes
+   * @param {number} velocity - Note velocity (0-1)
+   */
+  noteOn(velocity = 1) {
+    this.gate = true;
+    this.velocity = velocity;
+    this.setLevel(1);
+
+    if (this.envelope) this.envelope.gateOn(velocity);
+    this.bank.forEach(osc => {
+      if (osc.envelope) osc.envelope.gateOn(velocity);
+    });
+  }
+
+  /**
+   * Releases a note. Without an envelope the level fades out instead.
+   */
+  noteOff() {
+    this.gate = false;
+
+    if (!this.envelope) {
+      this.setLevel(0);
+      return;
+    }
+
+    this.envelope.gateOff();
+    this.bank.forEach(osc => {
+      if (osc.envelope) osc.envelope.gateOff();
+    });
+  }
+
+  /**
+   * Sets the smoothing time constant for amplitude, frequency and level changes
+   * @param {number} seconds - Time constant (0 disables smoothing)
+   */
+  setSmoothingTime(seconds) {
+    this.smoothingTime = Math.max(0, seconds);
+    this.coefficient = this.smoothingTime > 0
+      ? 1 - Math.exp(-1 / (this.smoothingTime * this.sampleRate))
+      : 1;
+  }
+
+  /**
+   * Replaces the partial bank. Oscillators of partials that continue keep
+   * their running phase, so changing the series does not click; new
+   * partials fade in from silence and removed ones fade out.
+   * @param {Array} partials - Partials ({ ratio, amplitude, phase, detune })
+   */
+  setPartials(partials) {
+    const count = Math.min(partials.length, AdditiveEngine.MAX_PARTIALS);
+
+    for (let i = 0; i < count; i++) {
+      const { ratio, amplitude, phase = 0, detune = 0, envelope = null } = partials[i];
+      let osc = this.bank[i];
+
+      const effectiveRatio = ratio * Math.pow(2, detune / 1200);
+
+      if (!osc) {
+        // New partials join in phase with the fundamental
+        const increment = TWO_PI * this.frequency * effectiveRatio / this.sampleRate;
+        osc = this.bank[i] = {
+          ratio: effectiveRatio,
+          phase: (effectiveRatio * this.masterPhase) % TWO_PI,
+          offset: 0,
+          amplitude: 0,
+          targetAmplitude: 0,
+          increment,
+          targetIncrement: increment,
+          envelope: null,
+          envelopeOverride: null
+        };
+      }
+
+      this.setPartialEnvelope(osc, envelope);
+
+      // Starting phase changes shift the running phase
+      osc.phase += phase - osc.offset;
+      osc.offset = phase;
+      osc.ratio = effectiveRatio;
+      osc.targetAmplitude = amplitude;
+    }
+
+    // Partials no longer in the series fade out
+    for (let i = count; i < this.bank.length; i++) {
+      this.bank[i].targetAmplitude = 0;
+    }
+
+    this.updateIncrements();
+  }
+
+  /**
+   * Gives an oscillator its own envelope (or removes it)
+   * @param {Object} osc - Bank oscillator
+   * @param {Object|null} override - Per-partial envelope values
+   */
+  setPartialEnvelope(osc, override) {
+    osc.envelopeOverride = override ? { ...override } : null;
+
+    // Per-partial values only apply on top of a global envelope
+    if (!override || !this.envelopeSettings) {
+      osc.envelope = null;
+      return;
+    }
+
+    const settings = { ...this.envelopeSettings, ...override };
+
+    if (osc.envelope) {
+      osc.envelope.set(settings);
+    } else {
+      osc.envelope = new Envelope(this.sampleRate, settings);
+      if (this.gate) osc.envelope.gateOn(this.velocity);
+    }
+  }
+
+  /**
+   * Sets the base frequency of the bank
+   * @param {number} frequency - Base frequency in Hz
+   */
+  setFrequency(frequency) {
+    this.frequency = frequency;
+    this.updateIncrements();
+  }
+
+  /**
+   * Sets the master level target
+   * @param {number} level - Level (0-1)
+   */
+  setLevel(level) {
+    this.targetLevel = Math.max(0, Math.min(1, level));
+  }
+
+  /**
+   * Checks whether the engine currently produces sound
+   * @returns {boolean} - Whether the level is above silence and an envelope is running
+   */
+  isActive() {
+    const levelActive = this.targetLevel > 0 || this.level > 1e-5;
+    if (!this.envelope) return levelActive;
+
+    return levelActive && (this.envelope.isActive() || this.bank.some(osc => osc.envelope && osc.envelope.isActive()));
+  }
+
+  /**
+   * Recomputes per-sample phase increments; partials above Nyquist are muted
+   */
+  updateIncrements() {
+    const nyquist = this.sampleRate / 2;
+
+    this.bank.forEach(osc => {
+      const frequency = this.frequency * osc.ratio;
+      osc.targetIncrement = TWO_PI * frequency / this.sampleRate;
+
+      if (Math.abs(frequency) >= nyquist) {
+        osc.targetAmplitude = 0;
+      }
+    });
+  }
+
+  /**
+   * Renders samples into a buffer (mono), overwriting its contents
+   * @param {Float32Array} output - Output buffer
+   * @param {number} offset - First sample to write
+   * @param {number} length - Number of samples to write
+   * @returns {Float32Array} - The output buffer
+   */
+  render(output, offset = 0, length = output.length - offset) {
+    const end = offset + length;
+    const k = this.coefficient;
+    const gain = AdditiveEngine.PARTIAL_GAIN;
+
+    output.fill(0, offset, end);
+
+    // Level ramp for this block
+    let level = this.level;
+    const levels = new Float32Array(length);
+    for (let s = 0; s < length; s++) {
+      level += (this.targetLevel - level) * k;
+      levels[s] = level;
+    }
+    this.level = level;
+
+    // Global envelope for this block
+    const envelopeValues = this.envelope ? this.envelope.process(new Float32Array(length)) : null;
+
+    for (let i = 0; i < this.bank.length; i++) {
+      const osc = this.bank[i];
+
+      // Silent oscillators only advance their phase
+      if (osc.amplitude < 1e-6 && osc.targetAmplitude === 0) {
+        osc.amplitude = 0;
+        osc.increment = osc.targetIncrement;
+        osc.phase = (osc.phase + osc.increment * length) % TWO_PI;
+        if (osc.envelope) osc.envelope.process(new Float32Array(length));
+        continue;
+      }
+
+      let { phase, amplitude, increment } = osc;
+      const { targetAmplitude, targetIncrement, envelope } = osc;
+
+      for (let s = offset; s < end; s++) {
+        amplitude += (targetAmplitude - amplitude) * k;
+        increment += (targetIncrement - increment) * k;
+
+        let factor = levels[s - offset];
+        if (envelope) {
+          factor *= envelope.next();
+        } else if (envelopeValues) {
+          factor *= envelopeValues[s - offset];
+        }
+
+        output[s] += gain * amplitude * factor * Math.sin(phase);
+        phase += increment;
+      }
+
+      osc.phase = phase % TWO_PI;
+      osc.amplitude = targetAmplitude === 0 && amplitude < 1e-6 ? 0 : amplitude;
+      osc.increment = increment;
+    }
+
+    this.masterPhase = (this.masterPhase + TWO_PI * this.frequency * length / this.sampleRate) % TWO_PI;
+
+    // Drop trailing oscillators once they are silent
+    while (this.bank.length > 0) {
+      const last = this.bank[this.bank.length - 1];
+      if (last.amplitude !== 0 || last.targetAmplitude !== 0) break;
+      this.bank.pop();
+    }
+
+    return output;
+  }
+}
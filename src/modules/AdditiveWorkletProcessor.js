@@ -0,0 +1,78 @@
+/**
+ * AdditiveWorkletProcessor.js
+ *
+ * AudioWorkletProcessor rendering the partial bank in a single node.
+ * Loaded with `audioContext.audioWorklet.addModule()`; the main thread
+ * controls it through messages on the node's port:
+ *   { type: 'partials', partials }                - replace the partial bank
+ *   { type: 'envelope', envelope }                - set the ADSR envelope
+ *   { type: 'noteOn', id, frequency, velocity }   - start (or retrigger) a voice
+ *   { type: 'noteOff', id }                       - release a voice
+ *   { type: 'voiceFrequency', id, frequency }     - retune a sounding voice
+ *   { type: 'allNotesOff' }                       - release every voice
+ *   { type: 'smoothing', time }                   - set the smoothing time constant
+ */
+
+import VoicePool from './VoicePool.js';
+
+class AdditiveWorkletProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+
+    const { smoothingTime, maxVoices } = (options && options.processorOptions) || {};
+    this.pool = new VoicePool(sampleRate, { smoothingTime, maxVoices });
+
+    this.port.onmessage = (e) => this.handleMessage(e.data);
+  }
+
+  /**
+   * Applies a control message from the main thread
+   * @param {Object} message - Control message
+   */
+  handleMessage(message) {
+    switch (message.type) {
+      case 'partials':
+        this.pool.setPartials(message.partials);
+        break;
+      case 'envelope':
+        this.pool.setEnvelope(message.envelope);
+        break;
+      case 'noteOn':
+        this.pool.noteOn(message.frequency, message.velocity, message.id);
+        break;
+      case 'noteOff':
+        this.pool.noteOff(message.id);
+        break;
+      case 'voiceFrequency':
+        this.pool.setVoiceFrequency(message.id, message.frequency);
+        break;
+      case 'allNotesOff':
+        this.pool.allNotesOff();
+        break;
+      case 'smoothing':
+        this.pool.smoothingTime = message.time;
+        this.pool.voices.forEach(voice => voice.engine.setSmoothingTime(message.time));
+        break;
+    }
+  }
+
+  /**
+   * Renders one block and copies it to every output channel
+   * @param {Array} inputs - Unused
+   * @param {Array} outputs - Output buffers
+   * @returns {boolean} - Keep the processor alive
+   */
+  process(inputs, outputs) {
+    const channels = outputs[0];
+    if (!channels || channels.length === 0) return true;
+
+    this.pool.render(channels[0]);
+    for (let c = 1; c < channels.length; c++) {
+      channels[c].set(channels[0]);
+    }
+
+    return true;
+  }
+}
+
+registerProcessor('additive-processor', AdditiveWorkletProcessor);
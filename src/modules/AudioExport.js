@@ -0,0 +1,132 @@
+/**
+ * AudioExport.js
+ *
+ * Offline rendering and WAV export of the current harmonic timbre.
+ * Rendering uses the same AdditiveEngine as the AudioWorklet, so the file
+ * matches what is heard. Everything except downloadWav runs under Node.
+ */
+
+import AdditiveEngine from './AdditiveEngine.js';
+import { envelopeFromParams } from './Envelope.js';
+import { encodeWav } from './WavEncoder.js';
+
+// Samples rendered per engine call
+const BLOCK_SIZE = 128;
+
+/**
+ * Renders partials to a sample buffer
+ * @param {Array} partials - Partials ({ ratio, amplitude, phase, detune, envelope })
+ * @param {Object} options - Render options
+ * @param {number} options.frequency - Base frequency in Hz
+ * @param {number} options.sampleRate - Sample rate in Hz
+ * @param {number} options.duration - Total length in seconds (including the release)
+ * @param {Object|null} options.envelope - ADSR envelope, or null for a plain fade in/out
+ * @param {number} options.velocity - Note velocity (0-1)
+ * @param {boolean} options.normalize - Scale the result to a peak of `peak`
+ * @param {number} options.peak - Target peak when normalizing
+ * @returns {Float32Array} - Mono samples
+ */
+export function renderPartials(partials, {
+  frequency = 440,
+  sampleRate = 44100,
+  duration = 2,
+  envelope = null,
+  velocity = 1,
+  normalize = false,
+  peak = 0.89
+} = {}) {
+  const length = Math.max(1, Math.round(duration * sampleRate));
+  const output = new Float32Array(length);
+
+  // Release (or a short fade without envelope) ends with the buffer
+  const releaseTime = envelope ? envelope.release : 0.01;
+  const noteOffAt = Math.max(0, length - Math.round(releaseTime * sampleRate));
+
+  const engine = new AdditiveEngine(sampleRate, { smoothingTime: 0.002, frequency });
+  engine.setEnvelope(envelope);
+  engine.setPartials(partials);
+  engine.noteOn(velocity);
+
+  let released = false;
+  let offset = 0;
+  while (offset < length) {
+    if (!released && offset >= noteOffAt) {
+      engine.noteOff();
+      released = true;
+    }
+
+    // Blocks end at the note-off so the release starts on time
+    const boundary = released ? length : noteOffAt;
+    const size = Math.min(BLOCK_SIZE, boundary - offset);
+    engine.render(output, offset, size);
+    offset += size;
+  }
+
+  if (normalize) {
+    let max = 0;
+    for (let i = 0; i < length; i++) max = Math.max(max, Math.abs(output[i]));
+    if (max > 0) {
+      const scale = peak / max;
+      for (let i = 0; i < length; i++) output[i] *= scale;
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Renders the current timbre from AppState and encodes it as WAV.
+ * Export settings come from the audioExport* params unless overridden.
+ * @param {AppState} appState - Application state
+ * @param {Object} overrides - Option overrides ({ duration, sampleRate, bitDepth, float, useEnvelope, frequency })
+ * @returns {ArrayBuffer} - WAV file contents
+ */
+export function renderTimbreToWav(appState, overrides = {}) {
+  const params = appState.getAllParams();
+  const options = {
+    duration: params.audioExportDuration,
+    sampleRate: params.audioExportSampleRate,
+    bitDepth: params.audioExportBitDepth,
+    float: params.audioExportFloat,
+    useEnvelope: params.audioExportEnvelope,
+    frequency: params.calcFrequency,
+    ...overrides
+  };
+
+  const samples = renderPartials(appState.getCachedData('partials') || [], {
+    frequency: options.frequency,
+    sampleRate: options.sampleRate,
+    duration: options.duration,
+    envelope: options.useEnvelope ? envelopeFromParams(params) : null,
+    normalize: true
+  });
+
+  return encodeWav([samples], {
+    sampleRate: options.sampleRate,
+    bitDepth: options.float ? 32 : options.bitDepth,
+    float: Boolean(options.float)
+  });
+}
+
+/**
+ * Offers a WAV file for download (browser only)
+ * @param {ArrayBuffer} wav - WAV file contents
+ * @param {string} filename - Download file name
+ */
+export function downloadWav(wav, filename = 'harmonic-explorer.wav') {
+  const blob = new Blob([wav], { type: 'audio/wav' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.download = filename;
+  link.href = url;
+  link.click();
+
+  URL.revokeObjectURL(url);
+}
+
+export default {
+  renderPartials,
+  renderTimbreToWav,
+  downloadWav
+};
@@ -1,11 +1,24 @@
 /**
  * AudioSynthesis.js
- * 
+ *
  * Implements additive synthesis using the current harmonic series.
- * Uses Web Audio API for efficient audio processing.
+ * Renders the partial bank in an AudioWorklet (VoicePool/AdditiveEngine)
+ * when the browser supports it and falls back to one OscillatorNode per
+ * partial. Amplitude, phase and detune come from the shared partial model.
+ * Notes are polyphonic and shaped by the ADSR envelope in AppState;
+ * start()/stop() play a held "drone" voice at calcFrequency.
+ * The output follows the animation clock: pausing the clock suspends the
+ * AudioContext and resuming it continues the sound.
  */
 
+import { AppConfig } from '../config/app-config.js';
+import { partialFrequency } from './PartialModel.js';
+import { ENVELOPE_PARAMS, envelopeFromParams, normalizeEnvelope } from './Envelope.js';
+
 export default class AudioSynthesis {
+  // Voice id used by start()/stop()
+  static DRONE_VOICE = 'drone';
+  
   constructor(eventGear, appState) {
     this.eventGear = eventGear;
     this.appState = appState;
@@ -24,27 +37,86 @@ export default class AudioSynthesis {
     try {
       this.context = new (window.AudioContext || window.webkitAudioContext)();
       this.mainGain = this.context.createGain();
-      this.mainGain.gain.value = 0.3; // Set default volume
+      this.mainGain.gain.value = AppConfig.audio.masterVolume;
       this.mainGain.connect(this.context.destination);
       
-      // Track oscillators for each harmonic
-      this.oscillators = [];
+      // Sounding voices by id ({ id, frequency, velocity, nodes })
+      this.voices = new Map();
+      this.voiceCounter = 0;
       this.isPlaying = false;
       
+      // Whether the context was suspended by a paused clock
+      this.suspendedByClock = false;
+      
+      // Worklet engine node (null until loaded or when unsupported)
+      this.engineNode = null;
+      this.workletReady = this.initWorklet();
+    
     } catch (error) {
       console.error('Web Audio API not supported:', error);
     }
   }
   
+  /**
+   * Loads the additive worklet processor and creates the engine node
+   * @returns {Promise<boolean>} - Whether the worklet engine is available
+   */
+  async initWorklet() {
+    if (!AppConfig.audio.useWorklet || !this.context.audioWorklet) {
+      return false;
+    }
+    
+    try {
+      await this.context.audioWorklet.addModule(
+        new URL('./AdditiveWorkletProcessor.js', import.meta.url)
+      );
+      
+      this.engineNode = new AudioWorkletNode(this.context, 'additive-processor', {
+        numberOfInputs: 0,
+        outputChannelCount: [2],
+        processorOptions: {
+          smoothingTime: AppConfig.audio.smoothingTime,
+          maxVoices: AppConfig.audio.maxVoices
+        }
+      });
+      this.engineNode.connect(this.mainGain);
+      
+      this.sendToEngine('partials', { partials: this.appState.getCachedData('partials') || [] });
+      this.sendToEngine('envelope', { envelope: this.getEnvelope() });
+      
+      // Notes may have started on oscillators while the module was loading
+      this.voices.forEach(voice => {
+        this.stopVoiceNodes(voice, 0);
+        voice.nodes = null;
+        this.sendToEngine('noteOn', { id: voice.id, frequency: voice.frequency, velocity: voice.velocity });
+      });
+      
+      return true;
+    } catch (error) {
+      console.warn('AudioWorklet unavailable, using oscillator fallback:', error);
+      this.engineNode = null;
+      return false;
+    }
+  }
+  
+  /**
+   * Posts a control message to the worklet engine
+   * @param {string} type - Message type
+   * @param {Object} data - Message data
+   */
+  sendToEngine(type, data = {}) {
+    if (this.engineNode) {
+      this.engineNode.port.postMessage({ type, ...data });
+    }
+  }
+  
   /**
    * Registers event listeners
    */
   registerEvents() {
     // Listen for harmonic series updates
     this.eventGear.on('harmonicSeries.updated', (data) => {
-      if (this.isPlaying) {
-        this.updateOscillators(data.harmonicSeries);
-      }
+      this.updateOscillators(data.partials);
     });
     
     // Listen for audio toggle events
@@ -56,146 +128,359 @@ export default class AudioSynthesis {
       }
     });
     
-    // Listen for frequency changes (emitted by AppState)
-    this.eventGear.on('parameterChanged', (data) => {
-      if (data.param === 'calcFrequency' && this.isPlaying) {
-        this.updateFrequency(data.value);
+    // Note requests from keyboard, MIDI or WebSocket sources
+    this.eventGear.on('synth.noteOn', (data) => {
+      this.noteOn(data.frequency, data.velocity, data.id);
+    });
+    this.eventGear.on('synth.noteOff', (data) => {
+      this.noteOff(data.id);
+    });
+    
+    // Listen for frequency and envelope changes (emitted by AppState)
+    const envelopeParams = Object.values(ENVELOPE_PARAMS);
+    this.eventGear.on('state.changed', (data) => {
+      if (data.changedParams.includes('calcFrequency') && this.isPlaying) {
+        this.updateFrequency(this.appState.getParam('calcFrequency'));
       }
+      if (data.changedParams.some(param => envelopeParams.includes(param))) {
+        this.sendToEngine('envelope', { envelope: this.getEnvelope() });
+      }
+    });
+    
+    // Pause and resume with the animation clock (emitted by Visualizer)
+    this.eventGear.on('clock.changed', (data) => {
+      this.followClock(data.paused);
     });
   }
   
   /**
-   * Starts audio synthesis
+   * Suspends the audio while the clock is paused
+   * @param {boolean} paused - Whether the clock is paused
+   */
+  followClock(paused) {
+    if (!this.context) return;
+    
+    if (paused && this.context.state === 'running') {
+      this.context.suspend();
+      this.suspendedByClock = true;
+    } else if (!paused && this.suspendedByClock) {
+      this.context.resume();
+      this.suspendedByClock = false;
+    }
+  }
+  
+  /**
+   * Gets the global ADSR envelope from AppState
+   * @returns {Object} - Envelope ({ attack, decay, sustain, release })
+   */
+  getEnvelope() {
+    return envelopeFromParams(this.appState.getAllParams());
+  }
+  
+  /**
+   * Starts audio synthesis (held drone voice at calcFrequency)
    */
   start() {
     if (this.isPlaying) return;
     
     try {
-      // Resume audio context if suspended
-      if (this.context.state === 'suspended') {
-        this.context.resume();
-      }
-      
-      // Get current harmonic series
-      const harmonicSeries = this.appState.getCachedData('harmonicSeries');
-      if (!harmonicSeries) return;
-      
-      // Create oscillators
-      this.createOscillators(harmonicSeries);
+      // Get current partials
+      if (!this.appState.getCachedData('partials')) return;
       
+      this.noteOn(this.appState.getParam('calcFrequency') || 220, 1, AudioSynthesis.DRONE_VOICE);
       this.isPlaying = true;
-      
+    
     } catch (error) {
       console.error('Error starting audio synthesis:', error);
     }
   }
   
   /**
-   * Stops audio synthesis
+   * Stops audio synthesis (the drone voice fades out with the release)
    */
   stop() {
     if (!this.isPlaying) return;
     
     try {
-      // Stop all oscillators
-      this.oscillators.forEach(osc => {
-        try {
-          osc.oscillator.stop();
-          osc.gain.disconnect();
-          osc.oscillator.disconnect();
-        } catch (e) {
-          // Ignore errors when stopping oscillators
-        }
-      });
-      
-      this.oscillators = [];
+      this.noteOff(AudioSynthesis.DRONE_VOICE);
       this.isPlaying = false;
-      
+    
     } catch (error) {
       console.error('Error stopping audio synthesis:', error);
     }
   }
   
   /**
-   * Creates oscillators for each harmonic
-   * @param {Array} harmonicSeries - Array of harmonic values
+   * Starts a note. Reusing the id of a sounding note retriggers it.
+   * @param {number} frequency - Base frequency in Hz
+   * @param {number} velocity - Velocity (0-1)
+   * @param {string|number} id - Voice id (generated when omitted)
+   * @returns {string|number|null} - Voice id, null if audio is unavailable
    */
-  createOscillators(harmonicSeries) {
-    // Stop existing oscillators
-    this.oscillators.forEach(osc => {
-      try {
-        osc.oscillator.stop();
-        osc.gain.disconnect();
-        osc.oscillator.disconnect();
-      } catch (e) {
-        // Ignore errors when stopping oscillators
-      }
-    });
+  noteOn(frequency, velocity = 1, id = `voice${++this.voiceCounter}`) {
+    if (!this.context) return null;
+    
+    // Resume audio context if suspended
+    if (this.context.state === 'suspended') {
+      this.context.resume();
+    }
+    
+    const level = Math.max(0, Math.min(1, velocity));
+    const previous = this.voices.get(id);
+    const voice = { id, frequency, velocity: level, nodes: null };
+    
+    if (this.engineNode) {
+      this.sendToEngine('noteOn', { id, frequency, velocity: level });
+    } else {
+      // Retriggering replaces the previous oscillators
+      if (previous) this.stopVoiceNodes(previous, 0);
+      voice.nodes = this.createVoiceNodes(this.appState.getCachedData('partials') || [], frequency, level);
+    }
+    
+    this.voices.set(id, voice);
+    this.eventGear.emit('note.on', { id, frequency, velocity: level });
+    
+    return id;
+  }
+  
+  /**
+   * Releases a note
+   * @param {string|number} id - Voice id
+   * @returns {boolean} - Whether the note was sounding
+   */
+  noteOff(id) {
+    const voice = this.voices.get(id);
+    if (!voice) return false;
     
-    this.oscillators = [];
+    if (this.engineNode) {
+      this.sendToEngine('noteOff', { id });
+    } else {
+      this.releaseVoiceNodes(voice);
+    }
+    
+    this.voices.delete(id);
+    this.eventGear.emit('note.off', { id, frequency: voice.frequency });
+    
+    return true;
+  }
+  
+  /**
+   * Releases all sounding notes
+   */
+  allNotesOff() {
+    Array.from(this.voices.keys()).forEach(id => this.noteOff(id));
+    this.isPlaying = false;
+  }
+  
+  /**
+   * Schedules the attack and decay of an envelope on a gain parameter
+   * @param {AudioParam} param - Gain parameter
+   * @param {Object} envelope - Envelope ({ attack, decay, sustain, release })
+   * @param {number} peak - Peak level
+   * @param {number} time - Start time (context time)
+   */
+  scheduleAttack(param, envelope, peak, time) {
+    param.cancelScheduledValues(time);
+    param.setValueAtTime(0, time);
+    param.linearRampToValueAtTime(peak, time + Math.max(envelope.attack, 0.002));
+    param.linearRampToValueAtTime(peak * envelope.sustain, time + Math.max(envelope.attack, 0.002) + envelope.decay);
+  }
+  
+  /**
+   * Schedules the release of an envelope on a gain parameter
+   * @param {AudioParam} param - Gain parameter
+   * @param {Object} envelope - Envelope ({ attack, decay, sustain, release })
+   * @param {number} time - Release time (context time)
+   * @returns {number} - Time at which the release ends
+   */
+  scheduleRelease(param, envelope, time) {
+    const end = time + Math.max(envelope.release, 0.002);
     
-    // Get base frequency
-    const baseFrequency = this.appState.getParam('calcFrequency') || 220;
+    if (param.cancelAndHoldAtTime) {
+      param.cancelAndHoldAtTime(time);
+    } else {
+      param.cancelScheduledValues(time);
+      param.setValueAtTime(param.value, time);
+    }
+    param.linearRampToValueAtTime(0, end);
     
-    // Create new oscillators
-    harmonicSeries.forEach((harmonic, index) => {
+    return end;
+  }
+  
+  /**
+   * Creates the oscillators of a voice (fallback when AudioWorklet is unavailable).
+   * Each partial feeds the voice envelope gain, or its own envelope gain
+   * when the partial carries an envelope override.
+   * @param {Array} partials - Partials ({ ratio, amplitude, phase, detune, envelope })
+   * @param {number} baseFrequency - Base frequency in Hz
+   * @param {number} velocity - Velocity (0-1)
+   * @returns {Object} - Voice nodes ({ output, envelope, oscillators })
+   */
+  createVoiceNodes(partials, baseFrequency, velocity) {
+    const envelope = this.getEnvelope();
+    
+    // All oscillators start together so their phases stay aligned
+    const startTime = this.context.currentTime;
+    
+    const output = this.context.createGain();
+    output.connect(this.mainGain);
+    this.scheduleAttack(output.gain, envelope, velocity, startTime);
+    
+    const nodes = { output, envelope, velocity, oscillators: [] };
+    
+    partials.forEach((partial) => {
+      // Silent partials (e.g. even harmonics of a square) need no oscillator
+      if (partial.amplitude === 0) return;
+      
       try {
-        // Create oscillator
+        // Create oscillator with the partial's starting phase
         const oscillator = this.context.createOscillator();
-        oscillator.type = 'sine';
+        this.applyPhase(oscillator, partial.phase);
         
-        // Calculate frequency based on harmonic value
-        const frequency = baseFrequency * harmonic;
-        oscillator.frequency.value = frequency;
+        // Calculate frequency from ratio and detune
+        oscillator.frequency.value = partialFrequency(partial, baseFrequency);
         
         // Create gain node for amplitude control
         const gain = this.context.createGain();
-        const amplitude = 1 / (index + 1); // Amplitude decreases with harmonic number
-        gain.gain.value = amplitude * 0.5; // Scale down to avoid clipping
-        
-        // Connect nodes
+        gain.gain.value = partial.amplitude * 0.5; // Scale down to avoid clipping
         oscillator.connect(gain);
-        gain.connect(this.mainGain);
+        
+        // Partials with their own envelope bypass the voice envelope
+        let partialEnvelope = null;
+        if (partial.envelope) {
+          partialEnvelope = this.context.createGain();
+          partialEnvelope.connect(this.mainGain);
+          gain.connect(partialEnvelope);
+          this.scheduleAttack(partialEnvelope.gain, normalizeEnvelope(partial.envelope, envelope), velocity, startTime);
+        } else {
+          gain.connect(output);
+        }
         
         // Start oscillator
-        oscillator.start();
+        oscillator.start(startTime);
         
-        // Store oscillator and gain for later control
-        this.oscillators.push({
+        nodes.oscillators.push({
           oscillator,
           gain,
-          harmonic
+          partial,
+          partialEnvelope
         });
-        
+      
       } catch (error) {
-        console.error(`Error creating oscillator for harmonic ${harmonic}:`, error);
+        console.error(`Error creating oscillator for partial ${partial.ratio}:`, error);
       }
     });
+    
+    return nodes;
   }
   
   /**
-   * Updates oscillators when harmonic series changes
-   * @param {Array} harmonicSeries - New harmonic series
+   * Releases the oscillators of a voice through the envelope
+   * @param {Object} voice - Voice
    */
-  updateOscillators(harmonicSeries) {
-    if (!this.isPlaying) return;
+  releaseVoiceNodes(voice) {
+    const { nodes } = voice;
+    if (!nodes) return;
+    
+    const now = this.context.currentTime;
+    let end = this.scheduleRelease(nodes.output.gain, nodes.envelope, now);
+    
+    nodes.oscillators.forEach(({ partial, partialEnvelope }) => {
+      if (partialEnvelope) {
+        const partialEnd = this.scheduleRelease(partialEnvelope.gain, normalizeEnvelope(partial.envelope, nodes.envelope), now);
+        end = Math.max(end, partialEnd);
+      }
+    });
     
-    // Create new oscillators with the updated series
-    this.createOscillators(harmonicSeries);
+    this.stopVoiceNodes(voice, end);
   }
   
   /**
-   * Updates the base frequency of all oscillators
-   * @param {number} frequency - New base frequency
+   * Stops and disconnects the oscillators of a voice
+   * @param {Object} voice - Voice
+   * @param {number} when - Stop time (context time, 0 = now)
    */
-  updateFrequency(frequency) {
-    this.oscillators.forEach(osc => {
+  stopVoiceNodes(voice, when) {
+    const { nodes } = voice;
+    if (!nodes) return;
+    
+    nodes.oscillators.forEach(({ oscillator, gain, partialEnvelope }) => {
       try {
-        osc.oscillator.frequency.value = frequency * osc.harmonic;
+        oscillator.onended = () => {
+          oscillator.disconnect();
+          gain.disconnect();
+          if (partialEnvelope) partialEnvelope.disconnect();
+        };
+        oscillator.stop(when);
       } catch (e) {
-        // Ignore errors when updating frequencies
+        // Ignore errors when stopping oscillators
       }
     });
+    
+    if (when === 0) {
+      nodes.output.disconnect();
+    }
+  }
+  
+  /**
+   * Sets the starting phase of an oscillator. A plain sine is used for zero
+   * phase; other phases use a single-harmonic PeriodicWave:
+   * sin(x + p) = cos(p) * sin(x) + sin(p) * cos(x)
+   * @param {OscillatorNode} oscillator - Oscillator to configure
+   * @param {number} phase - Phase offset in radians
+   */
+  applyPhase(oscillator, phase) {
+    if (!phase) {
+      oscillator.type = 'sine';
+      return;
+    }
+    
+    const real = new Float32Array([0, Math.sin(phase)]);
+    const imag = new Float32Array([0, Math.cos(phase)]);
+    oscillator.setPeriodicWave(
+      this.context.createPeriodicWave(real, imag, { disableNormalization: true })
+    );
+  }
+  
+  /**
+   * Updates the sounding voices when the partials change
+   * @param {Array} partials - New partials
+   */
+  updateOscillators(partials) {
+    if (this.engineNode) {
+      // The engine keeps running phases and smooths the change
+      this.sendToEngine('partials', { partials });
+      return;
+    }
+    
+    // Rebuild the oscillators of every sounding voice
+    this.voices.forEach(voice => {
+      this.stopVoiceNodes(voice, 0);
+      voice.nodes = this.createVoiceNodes(partials, voice.frequency, voice.velocity);
+    });
+  }
+  
+  /**
+   * Updates the base frequency of the drone voice
+   * @param {number} frequency - New base frequency
+   */
+  updateFrequency(frequency) {
+    const voice = this.voices.get(AudioSynthesis.DRONE_VOICE);
+    if (!voice) return;
+    
+    voice.frequency = frequency;
+    this.sendToEngine('voiceFrequency', { id: voice.id, frequency });
+    this.eventGear.emit('note.frequency', { id: voice.id, frequency });
+    
+    if (voice.nodes) {
+      voice.nodes.oscillators.forEach(osc => {
+        try {
+          osc.oscillator.frequency.value = partialFrequency(osc.partial, frequency);
+        } catch (e) {
+          // Ignore errors when updating frequencies
+        }
+      });
+    }
   }
   
   /**
@@ -212,10 +497,17 @@ export default class AudioSynthesis {
    * Cleans up resources when the module is no longer needed
    */
   dispose() {
-    this.stop();
+    this.voices.forEach(voice => this.stopVoiceNodes(voice, 0));
+    this.voices.clear();
+    this.isPlaying = false;
+    
+    if (this.engineNode) {
+      this.engineNode.disconnect();
+      this.engineNode = null;
+    }
     
     if (this.context) {
       this.context.close().catch(console.error);
     }
   }
-} 
\ No newline at end of file
+}
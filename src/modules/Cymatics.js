@@ -0,0 +1,301 @@
+/**
+ * Cymatics.js
+ *
+ * 2D standing-wave patterns of the harmonic series on a vibrating plate:
+ *   square   - Chladni plate modes (m, n): cos(nπx)cos(mπy) - cos(mπx)cos(nπy)
+ *   circular - Bessel modes J_m(α_mn r) cos(mθ) of a circular plate
+ *   radial   - axisymmetric Bessel modes J_0(α_0n r) (rings only)
+ * In 'series' source every partial excites the plate mode whose eigenfrequency
+ * (∝ k², as for a thin plate) is nearest to its ratio above the lowest mode,
+ * weighted by its amplitude; 'mode' shows a single (m, n) mode.
+ * Nodal lines (where sand gathers) and contour lines come from marching squares.
+ *
+ * The functions are self-contained (only Math and each other) so
+ * CymaticsCalculator can inject them into its worker, as WaveformCalculator
+ * does with the partial model.
+ */
+
+// Plate shapes and excitation sources
+export const CYMATICS_PLATES = ['square', 'circular', 'radial'];
+export const CYMATICS_SOURCES = ['series', 'mode'];
+
+/**
+ * Bessel function of the first kind, integer order (Bessel's integral)
+ * @param {number} m - Order (>= 0)
+ * @param {number} x - Argument
+ * @returns {number} - J_m(x)
+ */
+export function besselJ(m, x) {
+  // Midpoint rule; enough steps to follow the integrand's oscillation
+  const steps = 64 + Math.ceil(Math.abs(x)) * 4;
+  const h = Math.PI / steps;
+  let sum = 0;
+  for (let i = 0; i < steps; i++) {
+    const tau = (i + 0.5) * h;
+    sum += Math.cos(m * tau - x * Math.sin(tau));
+  }
+  return (sum * h) / Math.PI;
+}
+
+/**
+ * Positive zeros of J_m (x = 0 excluded)
+ * @param {number} m - Order (>= 0)
+ * @param {number} count - Number of zeros
+ * @returns {Array} - Zeros in ascending order
+ */
+export function besselZeros(m, count) {
+  const zeros = [];
+  const step = 0.25;
+  let a = m === 0 ? step : m;
+  let fa = besselJ(m, a);
+
+  while (zeros.length < count) {
+    const b = a + step;
+    const fb = besselJ(m, b);
+    if (fa === 0 || fa * fb < 0) {
+      // Bisection inside the bracket
+      let lo = a;
+      let hi = b;
+      let flo = fa;
+      for (let i = 0; i < 40; i++) {
+        const mid = (lo + hi) / 2;
+        const fmid = besselJ(m, mid);
+        if (flo * fmid <= 0) {
+          hi = mid;
+        } else {
+          lo = mid;
+          flo = fmid;
+        }
+      }
+      zeros.push((lo + hi) / 2);
+    }
+    a = b;
+    fa = fb;
+  }
+  return zeros;
+}
+
+/**
+ * Lists the plate modes in ascending eigenfrequency
+ * @param {string} plate - Plate shape (see CYMATICS_PLATES)
+ * @returns {Array} - Modes ({ m, n, k, frequency }), frequency relative to k² of the lowest mode
+ */
+export function plateModes(plate) {
+  const modes = [];
+
+  if (plate === 'square') {
+    for (let n = 1; n <= 16; n++) {
+      for (let m = 0; m <= n; m++) {
+        modes.push({ m, n, k: Math.PI * Math.hypot(m, n), frequency: 0 });
+      }
+    }
+  } else if (plate === 'circular') {
+    for (let m = 0; m <= 10; m++) {
+      besselZeros(m, 6).forEach((alpha, i) => modes.push({ m, n: i + 1, k: alpha, frequency: 0 }));
+    }
+  } else {
+    besselZeros(0, 32).forEach((alpha, i) => modes.push({ m: 0, n: i + 1, k: alpha, frequency: 0 }));
+  }
+
+  modes.sort((a, b) => a.k - b.k);
+  const lowest = modes[0].k * modes[0].k;
+  modes.forEach(mode => {
+    mode.frequency = (mode.k * mode.k) / lowest;
+  });
+  return modes;
+}
+
+/**
+ * Evaluates the standing-wave field of the plate on a grid
+ * @param {Array} partials - Partials ({ ratio, amplitude, detune })
+ * @param {Object} options - Field options
+ * @param {string} options.plate - Plate shape (see CYMATICS_PLATES)
+ * @param {string} options.source - 'series' (partials excite modes) or 'mode' (single mode)
+ * @param {number} options.m - Mode index m (angular order for circular plates)
+ * @param {number} options.n - Mode index n (>= 1; radial index for Bessel plates)
+ * @param {number} options.resolution - Grid points per side
+ * @param {number} options.maxModes - Partials considered in 'series' source
+ * @returns {Object} - { field (Float32Array, NaN outside circular plates), resolution, plate, modes ({ m, n, weight }) }
+ */
+export function cymaticsField(partials, options) {
+  const plate = options.plate;
+  const resolution = options.resolution;
+
+  // Mode weights
+  const weights = new Map();
+  if (options.source === 'mode') {
+    const n = Math.max(1, Math.round(options.n));
+    const m = plate === 'radial' ? 0 : Math.max(0, Math.round(options.m));
+    const k = plate === 'square'
+      ? Math.PI * Math.hypot(m, n)
+      : besselZeros(m, n)[n - 1];
+    weights.set(`${m}:${n}`, { m, n, k, weight: 1 });
+  } else {
+    const modes = plateModes(plate);
+    const effective = p => p.ratio * Math.pow(2, (p.detune || 0) / 1200);
+    const baseRatio = partials.length > 0 ? effective(partials[0]) : 1;
+    partials.slice(0, options.maxModes).forEach(partial => {
+      if (!partial.amplitude) return;
+
+      const target = effective(partial) / baseRatio;
+      let best = modes[0];
+      modes.forEach(mode => {
+        if (Math.abs(Math.log(mode.frequency / target)) < Math.abs(Math.log(best.frequency / target))) {
+          best = mode;
+        }
+      });
+
+      const key = `${best.m}:${best.n}`;
+      const entry = weights.get(key) || { m: best.m, n: best.n, k: best.k, weight: 0 };
+      entry.weight += partial.amplitude;
+      weights.set(key, entry);
+    });
+  }
+  const active = Array.from(weights.values());
+
+  // Radial profiles J_m(k r) of the Bessel modes, sampled on r = 0..1
+  const profileSize = 257;
+  const profiles = active.map(mode => {
+    if (plate === 'square') return null;
+    const profile = new Float32Array(profileSize);
+    for (let i = 0; i < profileSize; i++) {
+      profile[i] = besselJ(mode.m, (mode.k * i) / (profileSize - 1));
+    }
+    return profile;
+  });
+
+  const field = new Float32Array(resolution * resolution);
+  for (let row = 0; row < resolution; row++) {
+    for (let col = 0; col < resolution; col++) {
+      const u = col / (resolution - 1);
+      const v = row / (resolution - 1);
+      let value = 0;
+
+      if (plate === 'square') {
+        for (let i = 0; i < active.length; i++) {
+          const { m, n, weight } = active[i];
+          const mode = m === n
+            ? Math.cos(m * Math.PI * u) * Math.cos(n * Math.PI * v)
+            : Math.cos(n * Math.PI * u) * Math.cos(m * Math.PI * v) - Math.cos(m * Math.PI * u) * Math.cos(n * Math.PI * v);
+          value += weight * mode;
+        }
+      } else {
+        const x = 2 * u - 1;
+        const y = 2 * v - 1;
+        const r = Math.hypot(x, y);
+        if (r > 1) {
+          value = NaN;
+        } else {
+          const theta = Math.atan2(y, x);
+          const position = r * (profileSize - 1);
+          const index = Math.min(profileSize - 2, Math.floor(position));
+          const t = position - index;
+          for (let i = 0; i < active.length; i++) {
+            const profile = profiles[i];
+            const radial = profile[index] + (profile[index + 1] - profile[index]) * t;
+            value += active[i].weight * radial * Math.cos(active[i].m * theta);
+          }
+        }
+      }
+
+      field[row * resolution + col] = value;
+    }
+  }
+
+  // Normalize to a peak of 1 so contour levels are relative
+  let max = 0;
+  for (let i = 0; i < field.length; i++) {
+    if (Math.abs(field[i]) > max) max = Math.abs(field[i]);
+  }
+  if (max > 0) {
+    for (let i = 0; i < field.length; i++) field[i] /= max;
+  }
+
+  return {
+    field,
+    resolution,
+    plate,
+    modes: active.map(({ m, n, weight }) => ({ m, n, weight }))
+  };
+}
+
+/**
+ * Extracts iso-lines of a grid field with marching squares
+ * @param {Float32Array} field - Row-major grid values (NaN cells are skipped)
+ * @param {number} resolution - Grid points per side
+ * @param {number} level - Iso value (0 for nodal lines)
+ * @returns {Array} - Segments [x1, y1, x2, y2, ...] in plate coordinates (0..1)
+ */
+export function contourSegments(field, resolution, level) {
+  const segments = [];
+  const cell = 1 / (resolution - 1);
+
+  for (let row = 0; row < resolution - 1; row++) {
+    for (let col = 0; col < resolution - 1; col++) {
+      const a = field[row * resolution + col] - level;             // top left
+      const b = field[row * resolution + col + 1] - level;         // top right
+      const c = field[(row + 1) * resolution + col + 1] - level;   // bottom right
+      const d = field[(row + 1) * resolution + col] - level;       // bottom left
+      if (Number.isNaN(a) || Number.isNaN(b) || Number.isNaN(c) || Number.isNaN(d)) continue;
+
+      const x = col * cell;
+      const y = row * cell;
+      const crossings = [];
+      const edge = (v1, v2, x1, y1, x2, y2) => {
+        if ((v1 < 0) !== (v2 < 0)) {
+          const t = v1 / (v1 - v2);
+          crossings.push(x1 + (x2 - x1) * t, y1 + (y2 - y1) * t);
+        }
+      };
+      edge(a, b, x, y, x + cell, y);
+      edge(b, c, x + cell, y, x + cell, y + cell);
+      edge(c, d, x + cell, y + cell, x, y + cell);
+      edge(d, a, x, y + cell, x, y);
+
+      if (crossings.length === 8) {
+        // Saddle: pair the crossings by the sign of the cell center
+        const center = (a + b + c + d) / 4;
+        if ((center < 0) === (a < 0)) {
+          segments.push(crossings[0], crossings[1], crossings[2], crossings[3]);
+          segments.push(crossings[4], crossings[5], crossings[6], crossings[7]);
+        } else {
+          segments.push(crossings[0], crossings[1], crossings[6], crossings[7]);
+          segments.push(crossings[2], crossings[3], crossings[4], crossings[5]);
+        }
+      } else if (crossings.length === 4) {
+        segments.push(crossings[0], crossings[1], crossings[2], crossings[3]);
+      }
+    }
+  }
+  return segments;
+}
+
+/**
+ * Computes the field with its nodal and contour lines (worker entry point)
+ * @param {Array} partials - Partials ({ ratio, amplitude, detune })
+ * @param {Object} options - cymaticsField options plus contourLevels (e.g. [0.5])
+ * @returns {Object} - cymaticsField result plus { nodal, contours ({ level, segments }) }
+ */
+export function computeCymatics(partials, options) {
+  const result = cymaticsField(partials, options);
+  const levels = options.contourLevels || [];
+
+  result.nodal = contourSegments(result.field, result.resolution, 0);
+  result.contours = [];
+  levels.forEach(level => {
+    result.contours.push({ level, segments: contourSegments(result.field, result.resolution, level) });
+    result.contours.push({ level: -level, segments: contourSegments(result.field, result.resolution, -level) });
+  });
+  return result;
+}
+
+export default {
+  CYMATICS_PLATES,
+  CYMATICS_SOURCES,
+  besselJ,
+  besselZeros,
+  plateModes,
+  cymaticsField,
+  contourSegments,
+  computeCymatics
+};
@@ -0,0 +1,174 @@
+/**
+ * CymaticsCalculator.js
+ *
+ * Computes the plate standing-wave field and its nodal lines for the
+ * cymatics visualization mode. The grid evaluation runs in a Web Worker
+ * (same pattern as WaveformCalculator: the pure Cymatics.js functions are
+ * injected into a Blob worker) and falls back to the main thread.
+ * Results are emitted as `cymatics.calculated` for GeometryRenderer.
+ */
+
+import { AppConfig } from '../config/app-config.js';
+import {
+  besselJ,
+  besselZeros,
+  plateModes,
+  cymaticsField,
+  contourSegments,
+  computeCymatics
+} from './Cymatics.js';
+
+/**
+ * Collects the field options from AppState params and AppConfig
+ * @param {Object} params - AppState params
+ * @returns {Object} - Options for computeCymatics
+ */
+export function cymaticsOptions(params) {
+  return {
+    plate: params.cymaticsPlate,
+    source: params.cymaticsSource,
+    m: params.cymaticsM,
+    n: params.cymaticsN,
+    resolution: AppConfig.cymatics.resolution,
+    maxModes: AppConfig.cymatics.maxModes,
+    contourLevels: AppConfig.cymatics.contourLevels
+  };
+}
+
+export default class CymaticsCalculator {
+  constructor(eventGear, appState) {
+    this.eventGear = eventGear;
+    this.appState = appState;
+    this.worker = null;
+
+    // Id of the latest request (older worker results are dropped)
+    this.requestId = 0;
+
+    // Initialize Web Worker for calculations
+    this.initWorker();
+
+    // Register event listeners
+    this.registerEvents();
+  }
+
+  /**
+   * Registers event listeners
+   */
+  registerEvents() {
+    // The field follows the harmonic series...
+    this.eventGear.on('harmonicSeries.updated', () => {
+      this.update();
+    });
+
+    // ...and the plate settings (including switching into the mode)
+    this.eventGear.on('state.changed', (data) => {
+      if (data.changedParams.some(param => CymaticsCalculator.CYMATICS_PARAMS.includes(param))) {
+        this.update();
+      }
+    });
+  }
+
+  /**
+   * Initializes the Web Worker for field calculations
+   */
+  initWorker() {
+    // Create the worker code as a Blob
+    const workerCode = `
+      // Cymatics field worker
+
+      // Plate model functions (injected from Cymatics.js)
+      ${besselJ.toString()}
+      ${besselZeros.toString()}
+      ${plateModes.toString()}
+      ${cymaticsField.toString()}
+      ${contourSegments.toString()}
+      ${computeCymatics.toString()}
+
+      self.onmessage = function(e) {
+        if (e.data.action === 'calculate') {
+          const result = computeCymatics(e.data.partials, e.data.options);
+          self.postMessage({ id: e.data.id, result }, [result.field.buffer]);
+        }
+      };
+    `;
+
+    try {
+      const blob = new Blob([workerCode], { type: 'application/javascript' });
+      this.worker = new Worker(URL.createObjectURL(blob));
+
+      // Set up worker message handling
+      this.worker.onmessage = (e) => {
+        if (e.data.result && e.data.id === this.requestId) {
+          this.publish(e.data.result);
+        }
+      };
+
+      // Handle errors
+      this.worker.onerror = (error) => {
+        console.error('Cymatics calculation worker error:', error);
+      };
+    } catch (error) {
+      // No workers (e.g. Node): calculate on the main thread
+      this.worker = null;
+    }
+  }
+
+  /**
+   * Triggers a calculation while the cymatics mode is shown
+   * @returns {boolean} - Whether a calculation was started
+   */
+  update() {
+    if (this.appState.getParam('visualizationMode') !== 'cymatics') return false;
+
+    const partials = this.appState.getCachedData('partials') || [];
+    return this.calculate(partials, cymaticsOptions(this.appState.getAllParams()));
+  }
+
+  /**
+   * Calculates the field for the given partials
+   * @param {Array} partials - Partials ({ ratio, amplitude, detune })
+   * @param {Object} options - computeCymatics options
+   * @returns {boolean} - Whether the calculation was started
+   */
+  calculate(partials, options) {
+    const id = ++this.requestId;
+
+    try {
+      if (this.worker) {
+        this.worker.postMessage({ action: 'calculate', id, partials, options });
+      } else {
+        this.publish(computeCymatics(partials, options));
+      }
+      return true;
+    } catch (error) {
+      console.error('Error during cymatics calculation:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Stores and emits a result
+   * @param {Object} result - computeCymatics result
+   */
+  publish(result) {
+    this.appState.setCachedData('cymaticsData', result);
+    this.eventGear.emit('cymatics.calculated', {
+      cymaticsData: result
+    });
+  }
+
+  /**
+   * Cleans up resources when the module is no longer needed
+   */
+  dispose() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+
+    console.log('CymaticsCalculator disposed');
+  }
+}
+
+// Parameters that change the field
+CymaticsCalculator.CYMATICS_PARAMS = ['visualizationMode', 'cymaticsPlate', 'cymaticsSource', 'cymaticsM', 'cymaticsN'];
@@ -0,0 +1,173 @@
+/**
+ * Envelope.js
+ *
+ * ADSR envelope generator shared by the AudioWorklet engine, the offline
+ * renderer and the oscillator fallback. Times are in seconds, sustain is a
+ * level (0-1). The generator is sample-based and has no Web Audio
+ * dependencies, so it can run on the audio thread and under Node.
+ */
+
+// Envelope parameter names and their AppState params
+export const ENVELOPE_PARAMS = {
+  attack: 'envelopeAttack',
+  decay: 'envelopeDecay',
+  sustain: 'envelopeSustain',
+  release: 'envelopeRelease'
+};
+
+// Tolerance for reaching a stage target (absorbs rounding of the linear steps)
+const EPSILON = 1e-9;
+
+// Envelope stages
+export const STAGE = {
+  IDLE: 'idle',
+  ATTACK: 'attack',
+  DECAY: 'decay',
+  SUSTAIN: 'sustain',
+  RELEASE: 'release'
+};
+
+/**
+ * Reads the global envelope from AppState params
+ * @param {Object} params - AppState params (getAllParams result)
+ * @returns {Object} - Envelope ({ attack, decay, sustain, release })
+ */
+export function envelopeFromParams(params) {
+  const envelope = {};
+  Object.entries(ENVELOPE_PARAMS).forEach(([name, param]) => {
+    envelope[name] = params[param];
+  });
+  return normalizeEnvelope(envelope);
+}
+
+/**
+ * Fills in and clamps envelope values
+ * @param {Object} envelope - Partial envelope definition
+ * @param {Object} base - Envelope providing missing values
+ * @returns {Object} - Complete envelope
+ */
+export function normalizeEnvelope(envelope = {}, base = { attack: 0.01, decay: 0.1, sustain: 0.8, release: 0.3 }) {
+  const pick = (name) => (typeof envelope[name] === 'number' && !isNaN(envelope[name]) ? envelope[name] : base[name]);
+
+  return {
+    attack: Math.max(0, pick('attack')),
+    decay: Math.max(0, pick('decay')),
+    sustain: Math.max(0, Math.min(1, pick('sustain'))),
+    release: Math.max(0, pick('release'))
+  };
+}
+
+export default class Envelope {
+  /**
+   * Creates an envelope generator
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {Object} envelope - Envelope ({ attack, decay, sustain, release })
+   */
+  constructor(sampleRate, envelope = {}) {
+    this.sampleRate = sampleRate;
+    this.stage = STAGE.IDLE;
+    this.value = 0;
+    this.peak = 1;
+    this.set(envelope);
+  }
+
+  /**
+   * Updates the envelope times and sustain level
+   * @param {Object} envelope - Envelope ({ attack, decay, sustain, release })
+   */
+  set(envelope) {
+    this.envelope = normalizeEnvelope(envelope, this.envelope);
+  }
+
+  /**
+   * Starts the attack stage (retriggers from the current value)
+   * @param {number} velocity - Peak level (0-1)
+   */
+  gateOn(velocity = 1) {
+    this.peak = Math.max(0, Math.min(1, velocity));
+    this.stage = STAGE.ATTACK;
+  }
+
+  /**
+   * Starts the release stage
+   */
+  gateOff() {
+    if (this.stage === STAGE.IDLE) return;
+    this.stage = STAGE.RELEASE;
+    this.releaseStep = this.step(this.envelope.release, this.value);
+  }
+
+  /**
+   * Checks whether the envelope still produces output
+   * @returns {boolean} - Whether the envelope is not idle
+   */
+  isActive() {
+    return this.stage !== STAGE.IDLE;
+  }
+
+  /**
+   * Per-sample step covering a distance in a given time
+   * @param {number} time - Stage duration in seconds
+   * @param {number} distance - Level distance
+   * @returns {number} - Step per sample (Infinity for zero-length stages)
+   */
+  step(time, distance) {
+    return time > 0 ? distance / (time * this.sampleRate) : Infinity;
+  }
+
+  /**
+   * Advances the envelope by one sample
+   * @returns {number} - Envelope value
+   */
+  next() {
+    const { attack, decay, sustain } = this.envelope;
+    const sustainLevel = sustain * this.peak;
+
+    switch (this.stage) {
+      case STAGE.ATTACK:
+        this.value += this.step(attack, this.peak);
+        if (this.value >= this.peak - EPSILON) {
+          this.value = this.peak;
+          this.stage = STAGE.DECAY;
+        }
+        break;
+
+      case STAGE.DECAY:
+        this.value -= this.step(decay, this.peak - sustainLevel);
+        if (this.value <= sustainLevel + EPSILON) {
+          this.value = sustainLevel;
+          this.stage = STAGE.SUSTAIN;
+        }
+        break;
+
+      case STAGE.SUSTAIN:
+        this.value = sustainLevel;
+        break;
+
+      case STAGE.RELEASE:
+        this.value -= this.releaseStep;
+        if (this.value <= EPSILON) {
+          this.value = 0;
+          this.stage = STAGE.IDLE;
+        }
+        break;
+
+      default:
+        this.value = 0;
+    }
+
+    return this.value;
+  }
+
+  /**
+   * Renders envelope values into a buffer
+   * @param {Float32Array} output - Output buffer
+   * @returns {Float32Array} - The output buffer
+   */
+  process(output) {
+    for (let i = 0; i < output.length; i++) {
+      output[i] = this.next();
+    }
+    return output;
+  }
+}
@@ -1,27 +1,65 @@
 /**
  * GeometryRenderer.js
  * 
- * Handles all canvas drawing (shapes, waves, triangles).
- * Optimized for efficient rendering and animation.
+ * Computes all geometry (shapes, waves, triangles) and draws it through a
+ * pluggable backend (see renderers/index.js): WebGL2 when available, the
+ * Canvas 2D path otherwise. The backend is chosen by AppConfig.rendering.
+ * A headless { width, height } target renders to SVG without a DOM.
+ * 
+ * The picture is split into layers (GeometryRenderer.LAYERS: axes, shapes,
+ * waveform, HUD), each redrawn only when the params it depends on change
+ * or the rotation moves it (see renderers/LayerManager.js).
  */
 
+import { AppConfig } from '../config/app-config.js';
+import LayerManager from './renderers/LayerManager.js';
+import { lissajousPoints } from './Lissajous.js';
+import { waveformPoints, levelToDb } from './WaveformPlot.js';
+import { partialFrequency, sumPartials } from './PartialModel.js';
+import { frequencyToPosition, dbToLevel } from './SpectrumAnalyzer.js';
+import { colorPalette, timeRange } from './Spectrogram.js';
+import { rampColor, rampColors } from './Theme.js';
+
+// Frequency labels of the spectrogram per axis scale (Hz)
+const SPECTROGRAM_LABELS = {
+  log: [100, 1000, 10000],
+  linear: [5000, 10000, 15000]
+};
+
 export default class GeometryRenderer {
   constructor(eventGear, appState, canvas) {
     this.eventGear = eventGear;
     this.appState = appState;
     this.canvas = canvas;
-    this.ctx = canvas.getContext('2d');
+    
+    // Layers with their drawing backends (falls back to Canvas 2D when WebGL2 is unavailable)
+    this.layers = new LayerManager(canvas, GeometryRenderer.LAYERS, {
+      backend: AppConfig.rendering.backend,
+      antialias: AppConfig.rendering.antialias,
+      composite: AppConfig.rendering.layers
+    });
+    
+    // Backend of the layer being drawn (the bottom layer's between frames)
+    this.backend = this.layers.base;
     
     // Track rendering state
     this.renderState = {
       lastWaveformData: null,
-      needsRedraw: true
+      lastSpectrum: null,
+      lissajousTrail: [],
+      lastCymatics: null,
+      spectrogramSelection: null
     };
     
+    // Flattened copy of the layers for video capture (see getCaptureCanvas)
+    this.captureCanvas = null;
+    
     // Performance metrics
     this.metrics = {
       frameTime: 0,
-      frameCount: 0
+      frameCount: 0,
+      skippedFrames: 0,
+      layersDrawn: 0
     };
     
     // Register event listeners
@@ -29,6 +67,11 @@ export default class GeometryRenderer {
     
     // Initial resize
     this.handleResize();
+    
+    this.eventGear.emit('renderer.backendSelected', {
+      backend: this.backend.id,
+      requested: AppConfig.rendering.backend
+    });
   }
   
   /**
@@ -40,46 +83,96 @@ export default class GeometryRenderer {
       this.render(data.timestamp, data.delta);
     });
 
-    // Listen for parameter changes (emitted by AppState)
-    this.eventGear.on('parameterChanged', () => {
-      this.renderState.needsRedraw = true;
+    // A seek jumps in time: the Lissajous trail no longer leads to the figure
+    this.eventGear.on('clock.changed', (data) => {
+      if (data.reason === 'seek') {
+        this.renderState.lissajousTrail = [];
+        this.layers.markDirty('waveform');
+      }
+    });
+    
+    // Redraw the layers depending on the changed params (emitted by AppState,
+    // also after undo, redo and reset)
+    this.eventGear.on('state.changed', (data) => {
+      this.layers.invalidate(data.changedParams);
+      
+      // A new mode starts without the previous mode's trail
+      if (data.changedParams.includes('visualizationMode')) {
+        this.renderState.lissajousTrail = [];
+      }
+    });
+
+    // Ratio marks and partial markers follow the harmonic series (e.g. tuned ratios)
+    this.eventGear.on('harmonicSeries.updated', () => {
+      ['shapes', 'waveform', 'hud'].forEach(id => this.layers.markDirty(id));
     });
 
     // Listen for waveform updates
     this.eventGear.on('waveform.calculated', (data) => {
       this.renderState.lastWaveformData = data.waveformData;
-      this.renderState.needsRedraw = true;
+      this.layers.markDirty('waveform');
+    });
+
+    // Listen for plate fields (emitted by CymaticsCalculator)
+    this.eventGear.on('cymatics.calculated', (data) => {
+      this.renderState.lastCymatics = data.cymaticsData;
+      this.layers.markDirty('waveform');
+    });
+
+    // Listen for spectrogram frames and column selections (SpectrogramRecorder)
+    this.eventGear.on('spectrogram.frame', () => {
+      if (this.appState.getParam('visualizationMode') === 'spectrogram') {
+        this.layers.markDirty('waveform');
+      }
+    });
+    this.eventGear.on('spectrogram.selected', (data) => {
+      this.renderState.spectrogramSelection = data.time;
+      this.layers.markDirty('waveform');
+    });
+
+    // Listen for spectrum analyses (emitted by SpectrumAnalyzer)
+    this.eventGear.on('spectrum.updated', (data) => {
+      this.renderState.lastSpectrum = data;
+      this.layers.markDirty('hud');
     });
 
     // Handle window resize (store reference for cleanup)
     this.resizeHandler = () => {
       this.handleResize();
     };
-    window.addEventListener('resize', this.resizeHandler);
+    if (typeof window !== 'undefined') {
+      window.addEventListener('resize', this.resizeHandler);
+    }
   }
   
   /**
    * Handles canvas resize
    */
   handleResize() {
-    // Set canvas width and height
-    this.canvas.width = this.canvas.clientWidth;
-    this.canvas.height = this.canvas.clientHeight;
-
-    // Force redraw
-    this.renderState.needsRedraw = true;
+    // Set canvas width and height (headless targets keep their size)
+    if (this.canvas.clientWidth !== undefined) {
+      this.canvas.width = this.canvas.clientWidth;
+      this.canvas.height = this.canvas.clientHeight;
+    }
+    
+    // Resizes every layer and marks them dirty
+    this.layers.resize(this.canvas.width, this.canvas.height);
+    
+    if (this.captureCanvas) {
+      this.captureCanvas.width = this.canvas.width;
+      this.captureCanvas.height = this.canvas.height;
+    }
   }
 
   /**
-   * Helper: Sets up stroke style and dash pattern
+   * Helper: Builds a backend stroke style
    * @param {string} color - Stroke color
    * @param {number} lineWidth - Line width
    * @param {boolean} isDashed - Whether to use dashed lines
+   * @returns {Object} - Stroke style ({ color, width, dash })
    */
-  setupStroke(color, lineWidth = 2, isDashed = false) {
-    this.ctx.strokeStyle = color;
-    this.ctx.lineWidth = lineWidth;
-    this.ctx.setLineDash(isDashed ? [5, 5] : []);
+  strokeStyle(color, lineWidth = 2, isDashed = false) {
+    return { color, width: lineWidth, dash: isDashed ? [5, 5] : null };
   }
 
   /**
@@ -93,58 +186,60 @@ export default class GeometryRenderer {
    * @param {Object} angleSinCos - Rotation values
    */
   drawRegularPolygon(centerX, centerY, radius, sides, color, isDashed, angleSinCos) {
-    this.setupStroke(color, 2, isDashed);
-
     const angleStep = (2 * Math.PI) / sides;
     const startAngle = Math.atan2(angleSinCos.sin, angleSinCos.cos);
+    const points = [];
 
-    this.ctx.beginPath();
-
-    for (let i = 0; i <= sides; i++) {
+    for (let i = 0; i < sides; i++) {
       const angle = i * angleStep + startAngle;
-      const x = centerX + radius * Math.cos(angle);
-      const y = centerY + radius * Math.sin(angle);
-
-      if (i === 0) {
-        this.ctx.moveTo(x, y);
-      } else {
-        this.ctx.lineTo(x, y);
-      }
+      points.push(centerX + radius * Math.cos(angle), centerY + radius * Math.sin(angle));
     }
 
-    this.ctx.stroke();
-    this.ctx.setLineDash([]); // Reset dash pattern
+    this.backend.polyline(points, { ...this.strokeStyle(color, 2, isDashed), closed: true });
   }
   
   /**
-   * Main render function
+   * Main render function: redraws the dirty layers
    * @param {number} timestamp - Current timestamp
    * @param {number} deltaTime - Time since last frame
    */
   render(timestamp, deltaTime) {
-    // Always render when called from animation frame (for continuous rotation)
-    // Skip only if explicitly paused (future feature)
     const startTime = performance.now();
     
-    // Clear canvas
-    this.ctx.fillStyle = '#000000';
-    this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
-    
     // Get parameters
     const params = this.appState.getAllParams();
     const angleSinCos = this.appState.getCachedData('angleSinCos') || { sin: 0, cos: 1 };
+    const values = this.layerAngles(params, angleSinCos);
+    
+    // The Lissajous trail fades on every frame
+    if (params.visualizationMode === 'lissajous' && params.lissajousTrail > 0) {
+      this.layers.markDirty('waveform');
+    }
+    
+    const dirty = this.layers.dirtyLayers(values);
+    if (dirty.length === 0) {
+      this.metrics.skippedFrames++;
+      return;
+    }
     
-    // Render shapes
-    this.renderShapes(params, angleSinCos);
+    dirty.forEach(layer => {
+      this.backend = layer.backend;
+      this.layers.begin(layer, params.backgroundColor);
+      this.renderLayer(layer.id, params, angleSinCos);
+      
+      // Draw batched primitives (WebGL draws the whole layer here)
+      this.layers.end(layer, values);
+    });
+    this.backend = this.layers.base;
     
-    // Render waveform if available
-    if (this.renderState.lastWaveformData && params.showWave) {
-      this.renderWaveform(params);
+    if (this.captureCanvas) {
+      this.layers.composite(this.captureCanvas.getContext('2d'));
     }
     
     // Update metrics
     this.metrics.frameTime = performance.now() - startTime;
     this.metrics.frameCount++;
+    this.metrics.layersDrawn = dirty.length;
 
     // Emit metrics
     if (this.metrics.frameCount % 60 === 0) {
@@ -152,6 +247,81 @@ export default class GeometryRenderer {
     }
   }
   
+  /**
+   * Rotation angle each layer shows, 0 where the rotation does not show
+   * (the layers' watched values: a layer is redrawn when its angle moved)
+   * @param {Object} params - Rendering parameters
+   * @param {Object} angleSinCos - Cached sin/cos values for rotation
+   * @returns {Object} - { axisAngle, shapeAngle, figureAngle }
+   */
+  layerAngles(params, angleSinCos) {
+    const angle = Math.atan2(angleSinCos.sin, angleSinCos.cos);
+    const mode = params.visualizationMode;
+    const radial = params.coordinateSystem === 'radial';
+    
+    return {
+      axisAngle: (mode === 'geometry' || mode === 'lissajous') && params.showAxis && radial ? angle : 0,
+      shapeAngle: mode === 'geometry' ? angle : 0,
+      figureAngle: (mode === 'geometry' && (params.showWave || params.showPartials) && radial) ||
+        mode === 'lissajous' || mode === 'cymatics'
+        ? angle
+        : 0
+    };
+  }
+  
+  /**
+   * Draws one layer of the current mode
+   * @param {string} id - Layer id (see GeometryRenderer.LAYERS)
+   * @param {Object} params - Rendering parameters
+   * @param {Object} angleSinCos - Cached sin/cos values for rotation
+   */
+  renderLayer(id, params, angleSinCos) {
+    const mode = params.visualizationMode;
+    
+    if (id === 'background') {
+      // Axes behind the shapes and the Lissajous figure
+      if ((mode === 'geometry' || mode === 'lissajous') && params.showAxis) {
+        this.renderAxes(params, angleSinCos);
+      }
+    } else if (id === 'shapes') {
+      if (mode === 'geometry') {
+        this.renderShapes(params, angleSinCos);
+      }
+    } else if (id === 'waveform') {
+      if (mode === 'lissajous') {
+        // XY figure instead of shapes and waveform
+        this.renderLissajous(params, angleSinCos);
+      } else if (mode === 'cymatics') {
+        // Plate standing-wave pattern instead of shapes and waveform
+        this.renderCymatics(params, angleSinCos);
+      } else if (mode === 'spectrogram') {
+        // Spectrum history instead of shapes and waveform
+        this.renderSpectrogram(params);
+      } else if (this.renderState.lastWaveformData && (params.showWave || params.showPartials)) {
+        this.renderWaveform(params, angleSinCos);
+      }
+    } else if (id === 'hud') {
+      // Render spectrum overlay if available
+      if (this.renderState.lastSpectrum && params.showSpectrum) {
+        this.renderSpectrum(params);
+      }
+    }
+  }
+  
+  /**
+   * Renders the coordinate system at the zoomed wavelength radius
+   * @param {Object} params - Rendering parameters
+   * @param {Object} angleSinCos - Cached sin/cos values for rotation
+   */
+  renderAxes(params, angleSinCos) {
+    this.drawCoordinateSystem(
+      this.canvas.width / 2, this.canvas.height / 2,
+      params.wavelength * 50 * params.zoomManual,
+      params.axis, params.coordinateSystem,
+      params.AxisColor, angleSinCos
+    );
+  }
+  
   /**
    * Renders all geometric shapes
    * @param {Object} params - Rendering parameters
@@ -163,15 +333,6 @@ export default class GeometryRenderer {
     const zoom = params.zoomManual;
     const wavelength = params.wavelength * 50 * zoom; // Scale wavelength
     
-    // Draw coordinate system
-    if (params.showAxis) {
-      this.drawCoordinateSystem(
-        centerX, centerY, wavelength, 
-        params.axis, params.coordinateSystem,
-        params.AxisColor, angleSinCos
-      );
-    }
-    
     // Draw circle if enabled
     if (params.showCircle) {
       this.drawCircle(centerX, centerY, wavelength, params.circleColor);
@@ -201,6 +362,51 @@ export default class GeometryRenderer {
     if (params.showTriangle) {
       this.drawTriangle(centerX, centerY, wavelength, params.triangleColor, angleSinCos);
     }
+    
+    // Draw harmonic ratio marks if enabled
+    if (params.showRatios) {
+      this.drawRatioMarks(centerX, centerY, wavelength, params.ratioColor, angleSinCos);
+    }
+  }
+  
+  /**
+   * Draws the current harmonic ratios as marks on a pitch circle
+   * (one turn = one octave), so tuned ratios show their scale position
+   * @param {number} centerX - X center position
+   * @param {number} centerY - Y center position
+   * @param {number} radius - Circle radius
+   * @param {string} color - Mark color
+   * @param {Object} angleSinCos - Rotation values
+   */
+  drawRatioMarks(centerX, centerY, radius, color, angleSinCos) {
+    const series = this.appState.getCachedData('harmonicSeries');
+    if (!series || series.length === 0) return;
+    
+    const startAngle = Math.atan2(angleSinCos.sin, angleSinCos.cos) - Math.PI / 2;
+    const ticks = [];
+    const tips = [];
+    
+    series.forEach((ratio, index) => {
+      if (!(ratio > 0)) return;
+      
+      const octaves = Math.log2(ratio);
+      const angle = startAngle + 2 * Math.PI * (octaves - Math.floor(octaves));
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      
+      // Longer ticks for lower partials
+      const length = radius * (0.25 / (1 + index * 0.25) + 0.05);
+      
+      const tipX = centerX + cos * (radius + length);
+      const tipY = centerY + sin * (radius + length);
+      ticks.push(centerX + cos * radius, centerY + sin * radius, tipX, tipY);
+      tips.push(tipX, tipY);
+    });
+    
+    this.backend.lines(ticks, this.strokeStyle(color, 2, false));
+    for (let i = 0; i < tips.length; i += 2) {
+      this.backend.dot(tips[i], tips[i + 1], 3, { color });
+    }
   }
   
   /**
@@ -209,12 +415,12 @@ export default class GeometryRenderer {
    * @param {number} centerY - Y center position
    * @param {number} radius - Maximum radius
    * @param {number} axisCount - Number of axes
-   * @param {string} type - Coordinate system type
+   * @param {string} type - Coordinate system type (cartesian, radial or logarithmic)
    * @param {string} color - Axis color
    * @param {Object} angleSinCos - Rotation values
    */
   drawCoordinateSystem(centerX, centerY, radius, axisCount, type, color, angleSinCos) {
-    this.setupStroke(color, 1, false);
+    const segments = [];
 
     if (type === 'radial') {
       // Draw radial coordinate system
@@ -223,13 +429,11 @@ export default class GeometryRenderer {
       for (let i = 0; i < axisCount; i++) {
         const angle = i * angleStep + Math.atan2(angleSinCos.sin, angleSinCos.cos);
         
-        this.ctx.beginPath();
-        this.ctx.moveTo(centerX, centerY);
-        this.ctx.lineTo(
+        segments.push(
+          centerX, centerY,
           centerX + Math.cos(angle) * radius,
           centerY + Math.sin(angle) * radius
         );
-        this.ctx.stroke();
       }
     } else {
       // Draw orthogonal coordinate system
@@ -238,18 +442,25 @@ export default class GeometryRenderer {
       
       // Draw horizontal lines
       for (let i = -halfAxisCount; i <= halfAxisCount; i++) {
-        this.ctx.beginPath();
-        this.ctx.moveTo(centerX - radius, centerY + i * spacing);
-        this.ctx.lineTo(centerX + radius, centerY + i * spacing);
-        this.ctx.stroke();
+        segments.push(centerX - radius, centerY + i * spacing, centerX + radius, centerY + i * spacing);
       }
       
       // Draw vertical lines
       for (let i = -halfAxisCount; i <= halfAxisCount; i++) {
-        this.ctx.beginPath();
-        this.ctx.moveTo(centerX + i * spacing, centerY - radius);
-        this.ctx.lineTo(centerX + i * spacing, centerY + radius);
-        this.ctx.stroke();
+        segments.push(centerX + i * spacing, centerY - radius, centerX + i * spacing, centerY + radius);
+      }
+    }
+
+    // All axes in one batch
+    this.backend.lines(segments, this.strokeStyle(color, 1, false));
+
+    // Logarithmic amplitude axis: label the upper grid lines in dB
+    if (type === 'logarithmic' && axisCount > 1) {
+      const halfAxisCount = Math.floor(axisCount / 2);
+      const label = { color, font: '10px monospace', align: 'right' };
+      for (let i = 1; i <= halfAxisCount; i++) {
+        const db = Math.round(levelToDb(i / halfAxisCount, AppConfig.rendering.logRangeDb));
+        this.backend.text(`${db} dB`, centerX - radius - 4, centerY - i * (radius / halfAxisCount) + 3, label);
       }
     }
   }
@@ -262,10 +473,7 @@ export default class GeometryRenderer {
    * @param {string} color - Circle color
    */
   drawCircle(centerX, centerY, radius, color) {
-    this.setupStroke(color, 2, false);
-    this.ctx.beginPath();
-    this.ctx.arc(centerX, centerY, radius, 0, 2 * Math.PI);
-    this.ctx.stroke();
+    this.backend.circle(centerX, centerY, radius, this.strokeStyle(color, 2, false));
   }
   
   /**
@@ -309,44 +517,313 @@ export default class GeometryRenderer {
   }
   
   /**
-   * Renders the waveform
+   * Renders the waveform in the current coordinate system (see WaveformPlot.js):
+   * on the cartesian baseline, wrapped around the circle (radial, starting
+   * at the rotation angle) or on a dB amplitude axis (logarithmic).
+   * With showPartials each partial's wave is drawn underneath, in the colors
+   * of the partialRamp; waveGradient colors the waveform along its length.
+   * @param {Object} params - Rendering parameters
+   * @param {Object} angleSinCos - Cached sin/cos values for rotation
+   */
+  renderWaveform(params, angleSinCos = { sin: 0, cos: 1 }) {
+    const waveformData = this.renderState.lastWaveformData;
+    if (!waveformData) return;
+    
+    const plot = {
+      system: params.coordinateSystem,
+      centerX: this.canvas.width / 2,
+      centerY: this.canvas.height / 2,
+      radius: params.wavelength * 50 * params.zoomManual,
+      angle: Math.atan2(angleSinCos.sin, angleSinCos.cos),
+      rangeDb: AppConfig.rendering.logRangeDb
+    };
+    
+    if (params.showPartials) {
+      // Same scale as the normalized sum
+      const partials = (this.appState.getCachedData('partials') || []).slice(0, AppConfig.rendering.maxPartialWaves);
+      const colors = rampColors(params.partialRamp, partials.length);
+      const scale = waveformData.max > 0 ? 1 / waveformData.max : 1;
+      
+      partials.forEach((partial, index) => {
+        const wave = sumPartials([partial], waveformData.waveform.length).map(value => value * scale);
+        const { points, closed } = waveformPoints(wave, plot);
+        this.backend.polyline(points, { color: colors[index], width: 1, alpha: 0.6, closed });
+      });
+    }
+    
+    if (!params.showWave) return;
+    
+    const { points, closed } = waveformPoints(waveformData.waveform, plot);
+    if (params.waveGradient.length < 2) {
+      this.backend.polyline(points, { ...this.strokeStyle(params.waveColor, 2, false), closed });
+      return;
+    }
+    
+    // Gradient: consecutive pieces in colors along the ramp (closed plots end at the start)
+    const path = closed ? [...points, points[0], points[1]] : points;
+    const count = path.length / 2 - 1;
+    const segments = Math.min(AppConfig.rendering.gradientSegments, count);
+    for (let s = 0; s < segments; s++) {
+      const from = Math.floor((s * count) / segments);
+      const to = Math.floor(((s + 1) * count) / segments);
+      const color = rampColor(params.waveGradient, segments > 1 ? s / (segments - 1) : 0);
+      this.backend.polyline(path.slice(from * 2, to * 2 + 2), this.strokeStyle(color, 2, false));
+    }
+  }
+  
+  /**
+   * Renders the Lissajous mode: an XY figure of two partials, or of the
+   * waveform against its derivative or a delayed copy (see Lissajous.js),
+   * scaled by wavelength and zoom and turned by the rotation angle.
+   * Previous figures fade out as a trail (lissajousTrail = persistence).
    * @param {Object} params - Rendering parameters
+   * @param {Object} angleSinCos - Cached sin/cos values for rotation
    */
-  renderWaveform(params) {
-    if (!this.renderState.lastWaveformData) return;
+  renderLissajous(params, angleSinCos) {
+    const centerX = this.canvas.width / 2;
+    const centerY = this.canvas.height / 2;
+    const radius = params.wavelength * 50 * params.zoomManual;
+    
+    const figure = lissajousPoints(this.appState.getCachedData('partials') || [], {
+      source: params.lissajousSource,
+      x: params.lissajousX,
+      y: params.lissajousY,
+      phase: params.lissajousPhase,
+      delay: params.lissajousDelay,
+      resolution: AppConfig.lissajous.resolution
+    });
+    
+    // Scale (y up) and rotate into canvas coordinates
+    const { sin, cos } = angleSinCos;
+    const points = new Array(figure.length);
+    for (let i = 0; i < figure.length; i += 2) {
+      const x = figure[i] * radius;
+      const y = -figure[i + 1] * radius;
+      points[i] = centerX + x * cos - y * sin;
+      points[i + 1] = centerY + x * sin + y * cos;
+    }
+    
+    // Keep as many figures as stay visible at this persistence
+    const { maxTrail, minTrailAlpha } = AppConfig.lissajous;
+    const persistence = params.lissajousTrail;
+    const trailLength = persistence > 0
+      ? Math.min(maxTrail, Math.ceil(Math.log(minTrailAlpha) / Math.log(persistence)))
+      : 1;
+    const trail = this.renderState.lissajousTrail;
+    trail.unshift(points);
+    trail.length = Math.min(trail.length, Math.max(1, trailLength));
     
-    const { waveform, resolution } = this.renderState.lastWaveformData;
+    // Oldest (faintest) first so the current figure is on top
+    for (let age = trail.length - 1; age >= 0; age--) {
+      this.backend.polyline(trail[age], {
+        color: params.lissajousColor,
+        width: age === 0 ? 2 : 1.5,
+        alpha: Math.pow(persistence, age)
+      });
+    }
+  }
+  
+  /**
+   * Renders the cymatics mode: the plate outline with the contour lines
+   * (faint) and nodal lines (bright) of the last field computed by
+   * CymaticsCalculator (see Cymatics.js), the plate spanning the zoomed
+   * wavelength radius and turned by the rotation angle
+   * @param {Object} params - Rendering parameters
+   * @param {Object} angleSinCos - Cached sin/cos values for rotation
+   */
+  renderCymatics(params, angleSinCos) {
     const centerX = this.canvas.width / 2;
     const centerY = this.canvas.height / 2;
     const radius = params.wavelength * 50 * params.zoomManual;
+    const { sin, cos } = angleSinCos;
+    
+    // Plate coordinates (0..1, y down) to rotated canvas coordinates
+    const toCanvas = (segments) => {
+      const points = new Array(segments.length);
+      for (let i = 0; i < segments.length; i += 2) {
+        const x = (segments[i] * 2 - 1) * radius;
+        const y = (segments[i + 1] * 2 - 1) * radius;
+        points[i] = centerX + x * cos - y * sin;
+        points[i + 1] = centerY + x * sin + y * cos;
+      }
+      return points;
+    };
     
-    this.ctx.strokeStyle = params.waveColor;
-    this.ctx.lineWidth = 2;
-    this.ctx.beginPath();
+    const cymatics = this.renderState.lastCymatics;
+    const plate = cymatics ? cymatics.plate : params.cymaticsPlate;
     
-    // Draw waveform
-    for (let i = 0; i < resolution; i++) {
-      const angle = (i / resolution) * 2 * Math.PI;
-      const amplitude = waveform[i] * radius;
-      const x = centerX + Math.cos(angle) * (radius + amplitude);
-      const y = centerY + Math.sin(angle) * (radius + amplitude);
+    // Plate outline
+    if (plate === 'square') {
+      this.backend.polyline(toCanvas([0, 0, 1, 0, 1, 1, 0, 1]), {
+        ...this.strokeStyle(params.AxisColor, 1, false),
+        closed: true
+      });
+    } else {
+      this.backend.circle(centerX, centerY, radius, this.strokeStyle(params.AxisColor, 1, false));
+    }
+    
+    if (!cymatics) return;
+    
+    cymatics.contours.forEach(contour => {
+      this.backend.lines(toCanvas(contour.segments), {
+        color: params.cymaticsColor,
+        width: 1,
+        alpha: 0.35
+      });
+    });
+    this.backend.lines(toCanvas(cymatics.nodal), this.strokeStyle(params.cymaticsColor, 2, false));
+  }
+  
+  /**
+   * Renders the spectrogram mode: the recorded spectrum frames (see
+   * Spectrogram.js) as columns over the time window, newest on the right,
+   * frequency upwards on the spectrum axis. Analyser frames use the
+   * spectrum dB range; synthesized frames (0 dB = strongest partial) use
+   * the same span below 0 dB.
+   * @param {Object} params - Rendering parameters
+   */
+  renderSpectrogram(params) {
+    const width = this.canvas.width;
+    const height = this.canvas.height;
+    const buffer = this.appState.getCachedData('spectrogram');
+    const range = buffer ? timeRange(buffer, params.spectrogramWindow, AppConfig.spectrogram.interval) : null;
+    const palette = colorPalette(params.spectrogramColorMap, 64);
+    
+    // Background in the color of silence
+    this.backend.rect(0, 0, width, height, { color: palette[0] });
+    
+    if (range) {
+      const { bands } = AppConfig.spectrogram;
+      const rowHeight = height / bands;
+      const span = params.spectrumMaxDb - params.spectrumMinDb;
+      const xOf = time => ((time - range.start) / (range.end - range.start)) * width;
+      
+      for (let i = 0; i < buffer.length; i++) {
+        const frame = buffer.at(i);
+        const next = i + 1 < buffer.length ? buffer.at(i + 1).time : range.end;
+        if (next <= range.start) continue;
+        
+        const x = Math.max(0, xOf(frame.time));
+        const columnWidth = xOf(next) - x;
+        const maxDb = frame.source === 'analyser' ? params.spectrumMaxDb : 0;
+        
+        // Bands of equal color merged into one rectangle, lowest at the bottom
+        let runStart = 0;
+        let runColor = 0;
+        for (let band = 0; band <= bands; band++) {
+          const color = band < bands
+            ? Math.round(dbToLevel(frame.bands[band], maxDb - span, maxDb) * (palette.length - 1))
+            : -1;
+          if (color === runColor) continue;
+          
+          if (runColor > 0) {
+            this.backend.rect(x, height - band * rowHeight, columnWidth, (band - runStart) * rowHeight, {
+              color: palette[runColor]
+            });
+          }
+          runStart = band;
+          runColor = color;
+        }
+      }
       
-      if (i === 0) {
-        this.ctx.moveTo(x, y);
-      } else {
-        this.ctx.lineTo(x, y);
+      // Column restored last
+      const selection = this.renderState.spectrogramSelection;
+      if (selection !== null && selection >= range.start) {
+        const x = xOf(selection);
+        this.backend.lines([x, 0, x, height], this.strokeStyle(params.ratioColor, 1, true));
       }
     }
     
-    this.ctx.closePath();
-    this.ctx.stroke();
+    // Frequency labels
+    const { minFrequency, maxFrequency } = AppConfig.spectrum;
+    const axis = { scale: params.spectrumScale, minFrequency, maxFrequency };
+    const label = { color: params.ratioColor, font: '10px monospace', align: 'left' };
+    (SPECTROGRAM_LABELS[params.spectrumScale] || SPECTROGRAM_LABELS.log).forEach(frequency => {
+      const y = height - frequencyToPosition(frequency, axis) * height;
+      this.backend.lines([0, y, 6, y], this.strokeStyle(params.ratioColor, 1, false));
+      this.backend.text(frequency >= 1000 ? `${frequency / 1000} kHz` : `${frequency} Hz`, 8, y + 3, label);
+    });
+  }
+  
+  /**
+   * Renders the spectrum overlay along the bottom of the canvas:
+   * the analysed spectrum, the expected partial positions (dashed) and
+   * detected peaks labelled with their harmonic number
+   * @param {Object} params - Rendering parameters
+   */
+  renderSpectrum(params) {
+    const { bins, sampleRate, peaks } = this.renderState.lastSpectrum;
+    const { minFrequency, maxFrequency } = AppConfig.spectrum;
+    const axis = { scale: params.spectrumScale, minFrequency, maxFrequency };
+    
+    const width = this.canvas.width;
+    const height = this.canvas.height / 3;
+    const bottom = this.canvas.height;
+    const binWidth = sampleRate / (2 * bins.length);
+    const xOf = frequency => frequencyToPosition(frequency, axis) * width;
+    const yOf = db => bottom - dbToLevel(db, params.spectrumMinDb, params.spectrumMaxDb) * height;
+    
+    // Expected partial frequencies
+    const partials = this.appState.getCachedData('partials') || [];
+    const markers = [];
+    partials.forEach(partial => {
+      const x = xOf(partialFrequency(partial, params.calcFrequency));
+      if (x < 0 || x > width) return;
+      markers.push(x, bottom, x, bottom - height);
+    });
+    this.backend.lines(markers, { ...this.strokeStyle(params.ratioColor, 1, true), alpha: 0.4 });
+    
+    // Spectrum curve (one point per bin inside the range)
+    const curve = [];
+    for (let k = 1; k < bins.length; k++) {
+      const frequency = k * binWidth;
+      if (frequency < minFrequency || frequency > maxFrequency) continue;
+      curve.push(xOf(frequency), yOf(bins[k]));
+    }
+    this.backend.polyline(curve, this.strokeStyle(params.spectrumColor, 1.5, false));
+    
+    // Peak labels
+    const label = { color: params.spectrumColor, font: '10px monospace', align: 'center' };
+    peaks.forEach(peak => {
+      if (peak.harmonic === null) return;
+      
+      const x = xOf(peak.frequency);
+      const y = yOf(peak.db);
+      this.backend.dot(x, y, 2.5, label);
+      this.backend.text(String(peak.harmonic), x, y - 6, label);
+    });
   }
   
   /**
-   * Forces a redraw on the next frame
+   * Forces a redraw of every layer on the next frame
    */
   forceRedraw() {
-    this.renderState.needsRedraw = true;
+    this.layers.markAllDirty();
+  }
+
+  /**
+   * Canvas showing the whole picture, for recording: the drawing canvas, or
+   * a canvas the layers are flattened into after every drawn frame when
+   * they are stacked canvases
+   * @returns {HTMLCanvasElement} - Canvas to capture
+   */
+  getCaptureCanvas() {
+    if (this.layers.shared) return this.canvas;
+    
+    if (!this.captureCanvas) {
+      this.captureCanvas = document.createElement('canvas');
+      this.captureCanvas.width = this.canvas.width;
+      this.captureCanvas.height = this.canvas.height;
+      this.layers.composite(this.captureCanvas.getContext('2d'));
+    }
+    return this.captureCanvas;
+  }
+
+  /**
+   * Stops flattening the layers for recording
+   */
+  releaseCaptureCanvas() {
+    this.captureCanvas = null;
   }
 
   /**
@@ -354,13 +831,52 @@ export default class GeometryRenderer {
    */
   dispose() {
     // Remove window resize listener
-    if (this.resizeHandler) {
+    if (this.resizeHandler && typeof window !== 'undefined') {
       window.removeEventListener('resize', this.resizeHandler);
     }
 
+    // Release backend resources (GL buffers, label overlays) and layer canvases
+    this.layers.dispose();
+    this.captureCanvas = null;
+
     // EventGear listeners are managed by EventGear itself
-    // Canvas context doesn't need explicit cleanup
 
     console.log('GeometryRenderer disposed');
   }
-} 
\ No newline at end of file
+} 
+// Layers, bottom first: the params each is drawn from (a change redraws it)
+// and the rotation angle it shows (see layerAngles)
+GeometryRenderer.LAYERS = [
+  {
+    id: 'background',
+    params: ['visualizationMode', 'backgroundColor', 'showAxis', 'axis', 'coordinateSystem', 'AxisColor', 'wavelength', 'zoomManual'],
+    watch: ['axisAngle']
+  },
+  {
+    id: 'shapes',
+    params: [
+      'visualizationMode', 'wavelength', 'zoomManual',
+      'showCircle', 'circleColor', 'showHex', 'hexColor', 'showHexIn', 'hexInColor',
+      'showSquare', 'squareColor', 'showSquareIn', 'squareInColor',
+      'showTriangle', 'triangleColor', 'showRatios', 'ratioColor'
+    ],
+    watch: ['shapeAngle']
+  },
+  {
+    id: 'waveform',
+    params: [
+      'visualizationMode', 'showWave', 'waveColor', 'waveGradient', 'showPartials', 'partialRamp',
+      'coordinateSystem', 'wavelength', 'zoomManual', 'AxisColor', 'ratioColor',
+      'lissajousSource', 'lissajousX', 'lissajousY', 'lissajousPhase', 'lissajousDelay',
+      'lissajousColor', 'lissajousTrail',
+      'cymaticsPlate', 'cymaticsColor',
+      'spectrogramColorMap', 'spectrogramWindow', 'spectrumScale', 'spectrumMinDb', 'spectrumMaxDb'
+    ],
+    watch: ['figureAngle']
+  },
+  {
+    id: 'hud',
+    params: ['showSpectrum', 'spectrumScale', 'spectrumMinDb', 'spectrumMaxDb', 'spectrumColor', 'ratioColor', 'calcFrequency'],
+    watch: []
+  }
+];
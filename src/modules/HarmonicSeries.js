@@ -3,19 +3,42 @@
  * 
  * Generates various harmonic series with robust input validation.
  * Implements memoization for efficient repeated calculations.
+ * Series types come from the HarmonicTypes registry.
  */
 
+import {
+  registerHarmonicType,
+  getHarmonicType,
+  getHarmonicTypes,
+  resolveTypeParams,
+  generatePrimes,
+  generateFibonacci,
+  isPrime
+} from './HarmonicTypes.js';
+import { getTuning, quantizeSeries } from './Tuning.js';
+import { createPartials, resolvePhaseMode } from './PartialModel.js';
+
 export default class HarmonicSeries {
+  // Parameters that affect the series or its partial model
+  static SERIES_PARAMS = [
+    'harmonics', 'harmonicsType', 'harmonicsTypeParams', 'harmonicsPhase', 'harmonicsPhaseSeed',
+    'tuningSystem', 'tuningQuantize', 'partialRolloff', 'partialOverrides', 'init'
+  ];
+
   constructor(eventGear, appState) {
     this.eventGear = eventGear;
     this.appState = appState;
 
     // Cache for memoization
     this.cache = new Map();
+    
+    // Unknown types already reported (warn once per type)
+    this.warnedTypes = new Set();
 
     // Listen for parameter changes that would affect harmonic series
-    this.eventGear.on('parameterChanged', (data) => {
-      if (['harmonics', 'harmonicsType', 'harmonicsPhase', 'init'].includes(data.param)) {
+    // (once per update, batch, undo or reset however many of them changed)
+    this.eventGear.on('state.changed', (data) => {
+      if (data.changedParams.some(param => HarmonicSeries.SERIES_PARAMS.includes(param))) {
         this.updateSeries();
       }
     });
@@ -31,100 +54,97 @@ export default class HarmonicSeries {
     // Get current parameters
     const count = this.appState.getParam('harmonics');
     const type = this.appState.getParam('harmonicsType');
-    const phase = this.appState.getParam('harmonicsPhase');
+    const phase = resolvePhaseMode(this.appState.getParam('harmonicsPhase'));
+    const typeParams = resolveTypeParams(type, this.getTypeParamValues(type));
     
     // Calculate harmonic series (uses cache if unchanged)
-    const series = this.calculateSeries(count, type, phase);
+    let series = this.calculateSeries(count, type, typeParams);
+    
+    // Snap to the selected tuning if quantization is enabled
+    const tuning = getTuning(this.appState.getParam('tuningSystem'));
+    if (this.appState.getParam('tuningQuantize') && tuning) {
+      series = quantizeSeries(series, tuning);
+    }
+    
+    // Build the partial model shared by audio and waveform.
+    // The phase mode sets the partials' starting phases; ratios stay positive.
+    const partials = createPartials(series, {
+      rolloff: this.appState.getParam('partialRolloff'),
+      overrides: this.appState.getParam('partialOverrides'),
+      phaseMode: phase,
+      phaseSeed: this.appState.getParam('harmonicsPhaseSeed')
+    });
     
     // Update cached data
     this.appState.setCachedData('harmonicSeries', series);
+    this.appState.setCachedData('partials', partials);
     
     // Emit updated series event
     this.eventGear.emit('harmonicSeries.updated', { 
       harmonicSeries: series,
+      partials,
       count,
       type,
+      typeParams,
+      tuning: tuning ? tuning.id : null,
+      quantized: Boolean(this.appState.getParam('tuningQuantize') && tuning),
       phase 
     });
   }
   
+  /**
+   * Collects the extra parameter values of a harmonic type from AppState.
+   * Parameters bound to an AppState param (`param` field) read that param.
+   * @param {string} type - Harmonic type id
+   * @returns {Object} - Raw parameter values
+   */
+  getTypeParamValues(type) {
+    const values = { ...this.appState.getParam('harmonicsTypeParams') };
+    const harmonicType = getHarmonicType(type);
+    
+    if (harmonicType) {
+      harmonicType.params.forEach(param => {
+        if (param.param) {
+          values[param.name] = this.appState.getParam(param.param);
+        }
+      });
+    }
+    
+    return values;
+  }
+  
   /**
    * Calculates a harmonic series with memoization
    * @param {number} count - Number of harmonics to generate
-   * @param {string} type - Type of harmonic series (natural, octave, etc.)
-   * @param {string} phase - Phase of the harmonic series
+   * @param {string} type - Registered harmonic type id (natural, octave, etc.)
+   * @param {Object} typeParams - Extra parameters of the harmonic type
    * @returns {Array} - Generated harmonic series
    */
-  calculateSeries(count, type, phase) {
-    // Generate cache key
-    const cacheKey = `${count}:${type}:${phase}`;
+  calculateSeries(count, type, typeParams = {}) {
+    // Unknown types fall back to the natural series
+    let harmonicType = getHarmonicType(type);
+    if (!harmonicType) {
+      if (!this.warnedTypes.has(type)) {
+        console.warn(`Unknown harmonic type "${type}", falling back to natural`);
+        this.warnedTypes.add(type);
+      }
+      harmonicType = getHarmonicType('natural');
+      typeParams = {};
+    }
+    
+    // Generate cache key (extra parameters are sorted for a stable key)
+    const paramKey = Object.keys(typeParams).sort()
+      .map(name => `${name}=${typeParams[name]}`)
+      .join(',');
+    const cacheKey = `${count}:${harmonicType.id}:${paramKey}`;
     
     // Check if we have a cached result
     if (this.cache.has(cacheKey)) {
       return this.cache.get(cacheKey);
     }
     
-    // Calculate the series based on type
-    let series = [];
-    
-    switch (type) {
-      case 'singular':
-        series = [1]; // Just the fundamental
-        break;
-        
-      case 'natural':
-        // Natural harmonic series: 1, 2, 3, 4, 5, ...
-        series = Array.from({ length: count }, (_, i) => i + 1);
-        break;
-        
-      case 'octave':
-        // Octave series: 1, 2, 4, 8, 16, ...
-        series = Array.from({ length: count }, (_, i) => Math.pow(2, i));
-        break;
-        
-      case 'numOdd':
-        // Odd harmonics: 1, 3, 5, 7, ...
-        series = Array.from({ length: count }, (_, i) => 2 * i + 1);
-        break;
-        
-      case 'numEven':
-        // Even harmonics: 2, 4, 6, 8, ...
-        series = Array.from({ length: count }, (_, i) => 2 * (i + 1));
-        break;
-        
-      case 'numPrime':
-        // Prime harmonics: 2, 3, 5, 7, 11, ...
-        series = this.generatePrimes(count);
-        break;
-        
-      case 'numFibo':
-        // Fibonacci series: 1, 1, 2, 3, 5, 8, ...
-        series = this.generateFibonacci(count);
-        break;
-        
-      case 'upper':
-        // Upper harmonics (overtones): 2, 3, 4, 5, ...
-        series = Array.from({ length: count }, (_, i) => i + 2);
-        break;
-        
-      case 'lower':
-        // Lower harmonics (undertones inverted): 1/2, 1/3, 1/4, ...
-        series = Array.from({ length: count }, (_, i) => 1 / (i + 2));
-        break;
-        
-      case 'under':
-        // Undertones from fundamental: 1, 1/2, 1/3, 1/4, ...
-        series = Array.from({ length: count }, (_, i) => 1 / (i + 1));
-        break;
-        
-      default:
-        series = Array.from({ length: count }, (_, i) => i + 1); // Default to natural
-    }
-    
-    // Apply phase transformations if needed
-    if (phase !== 'phaseFull') {
-      series = this.applyPhase(series, phase);
-    }
+    // Calculate the series with the registered generator
+    const series = harmonicType.generate(count, typeParams);
     
     // Cache the result
     this.cache.set(cacheKey, series);
@@ -133,24 +153,27 @@ export default class HarmonicSeries {
   }
   
   /**
-   * Applies phase transformation to a harmonic series
-   * @param {Array} series - Original harmonic series
-   * @param {string} phase - Phase type ('phaseUp', 'phaseDown')
-   * @returns {Array} - Phase-transformed series
+   * Registers a custom harmonic type and notifies listeners (e.g. the UI)
+   * @param {Object} definition - Type definition (see registerHarmonicType)
+   * @param {boolean} replace - Whether an existing type may be replaced
+   * @returns {Object} - The stored type definition
    */
-  applyPhase(series, phase) {
-    switch (phase) {
-      case 'phaseUp':
-        // Ascending phase (positive values only)
-        return series.map(val => Math.abs(val));
-        
-      case 'phaseDown':
-        // Descending phase (negative values)
-        return series.map(val => -Math.abs(val));
-        
-      default:
-        return series;
+  registerType(definition, replace = false) {
+    const type = registerHarmonicType(definition, replace);
+    
+    // Cached series of a replaced type are stale
+    this.clearCache();
+    
+    this.eventGear.emit('harmonicTypes.changed', {
+      types: getHarmonicTypes().map(({ id, label, params }) => ({ id, label, params })),
+      registered: type.id
+    });
+    
+    if (type.id === this.appState.getParam('harmonicsType')) {
+      this.updateSeries();
     }
+    
+    return type;
   }
   
   /**
@@ -159,17 +182,7 @@ export default class HarmonicSeries {
    * @returns {Array} - Array of prime numbers
    */
   generatePrimes(count) {
-    const primes = [];
-    let num = 2;
-    
-    while (primes.length < count) {
-      if (this.isPrime(num)) {
-        primes.push(num);
-      }
-      num++;
-    }
-    
-    return primes;
+    return generatePrimes(count);
   }
   
   /**
@@ -178,10 +191,7 @@ export default class HarmonicSeries {
    * @returns {boolean} - Whether the number is prime
    */
   isPrime(num) {
-    for (let i = 2, s = Math.sqrt(num); i <= s; i++) {
-      if (num % i === 0) return false;
-    }
-    return num > 1;
+    return isPrime(num);
   }
   
   /**
@@ -190,15 +200,7 @@ export default class HarmonicSeries {
    * @returns {Array} - Array of Fibonacci numbers
    */
   generateFibonacci(count) {
-    if (count <= 0) return [];
-    if (count === 1) return [1];
-    
-    const fib = [1, 1];
-    for (let i = 2; i < count; i++) {
-      fib.push(fib[i-1] + fib[i-2]);
-    }
-    
-    return fib;
+    return generateFibonacci(count);
   }
   
   /**
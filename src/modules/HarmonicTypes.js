@@ -0,0 +1,277 @@
+/**
+ * HarmonicTypes.js
+ *
+ * Registry of harmonic series types used by HarmonicSeries.
+ * Each type is registered with an id, a label, a generator
+ * `(count, params) => number[]` and optional extra parameters.
+ * The registry keeps the harmonicsType options of the param schema in
+ * sync so the UI and parameter validation pick up registered types
+ * automatically.
+ */
+
+import { setParamOptions } from '../config/app-config.js';
+
+// Registered types by id (insertion order is the UI order)
+const registry = new Map();
+
+/**
+ * Registers a harmonic series type
+ * @param {Object} definition - Type definition
+ * @param {string} definition.id - Unique type id (used as harmonicsType value)
+ * @param {string} definition.label - Human readable label
+ * @param {Function} definition.generate - Generator `(count, params) => number[]`
+ * @param {Array} [definition.params] - Extra parameters ({ name, label, default, min, max, step, options }).
+ *   A parameter with `param` set takes its value from that AppState param instead.
+ * @param {boolean} [replace=false] - Whether an existing type with the same id may be replaced
+ * @returns {Object} - The stored type definition
+ */
+export function registerHarmonicType(definition, replace = false) {
+  if (!definition || typeof definition !== 'object') {
+    throw new TypeError('Harmonic type definition must be an object');
+  }
+
+  const { id, label, generate, params = [] } = definition;
+
+  if (typeof id !== 'string' || id.length === 0) {
+    throw new TypeError('Harmonic type id must be a non-empty string');
+  }
+  if (typeof generate !== 'function') {
+    throw new TypeError(`Harmonic type "${id}" needs a generate(count, params) function`);
+  }
+  if (!Array.isArray(params) || params.some(p => !p || typeof p.name !== 'string')) {
+    throw new TypeError(`Harmonic type "${id}" params must be an array of { name, default } objects`);
+  }
+  if (registry.has(id) && !replace) {
+    throw new Error(`Harmonic type "${id}" is already registered`);
+  }
+
+  const type = Object.freeze({
+    id,
+    label: label || id,
+    generate,
+    params: Object.freeze(params.map(p => Object.freeze({ ...p })))
+  });
+
+  registry.set(id, type);
+  syncConstraints();
+
+  return type;
+}
+
+/**
+ * Removes a harmonic series type from the registry
+ * @param {string} id - Type id
+ * @returns {boolean} - Whether the type was removed
+ */
+export function unregisterHarmonicType(id) {
+  const removed = registry.delete(id);
+  if (removed) {
+    syncConstraints();
+  }
+  return removed;
+}
+
+/**
+ * Gets a registered harmonic series type
+ * @param {string} id - Type id
+ * @returns {Object|undefined} - Type definition
+ */
+export function getHarmonicType(id) {
+  return registry.get(id);
+}
+
+/**
+ * Checks whether a harmonic series type is registered
+ * @param {string} id - Type id
+ * @returns {boolean} - Whether the type exists
+ */
+export function hasHarmonicType(id) {
+  return registry.has(id);
+}
+
+/**
+ * Lists all registered harmonic series types in registration order
+ * @returns {Array} - Type definitions
+ */
+export function getHarmonicTypes() {
+  return Array.from(registry.values());
+}
+
+/**
+ * Resolves the extra parameter values for a type, filling in defaults
+ * and clamping numeric values to their declared range
+ * @param {string} id - Type id
+ * @param {Object} values - Supplied parameter values
+ * @returns {Object} - Complete parameter values for the type
+ */
+export function resolveTypeParams(id, values = {}) {
+  const type = registry.get(id);
+  const resolved = {};
+
+  if (!type) return resolved;
+
+  type.params.forEach(param => {
+    let value = values && param.name in values ? values[param.name] : param.default;
+
+    if (typeof param.default === 'number') {
+      value = typeof value === 'number' && !isNaN(value) ? value : param.default;
+      if (typeof param.min === 'number') value = Math.max(param.min, value);
+      if (typeof param.max === 'number') value = Math.min(param.max, value);
+    } else if (Array.isArray(param.options) && !param.options.includes(value)) {
+      value = param.default;
+    }
+
+    resolved[param.name] = value;
+  });
+
+  return resolved;
+}
+
+/**
+ * Keeps the harmonicsType options in sync with the registry
+ */
+function syncConstraints() {
+  setParamOptions('harmonicsType', Array.from(registry.keys()));
+}
+
+/**
+ * Generates first n prime numbers
+ * @param {number} count - Number of primes to generate
+ * @returns {Array} - Array of prime numbers
+ */
+export function generatePrimes(count) {
+  const primes = [];
+  let num = 2;
+
+  while (primes.length < count) {
+    if (isPrime(num)) {
+      primes.push(num);
+    }
+    num++;
+  }
+
+  return primes;
+}
+
+/**
+ * Checks if a number is prime
+ * @param {number} num - Number to check
+ * @returns {boolean} - Whether the number is prime
+ */
+export function isPrime(num) {
+  for (let i = 2, s = Math.sqrt(num); i <= s; i++) {
+    if (num % i === 0) return false;
+  }
+  return num > 1;
+}
+
+/**
+ * Generates first n Fibonacci numbers
+ * @param {number} count - Number of Fibonacci numbers to generate
+ * @returns {Array} - Array of Fibonacci numbers
+ */
+export function generateFibonacci(count) {
+  if (count <= 0) return [];
+  if (count === 1) return [1];
+
+  const fib = [1, 1];
+  for (let i = 2; i < count; i++) {
+    fib.push(fib[i-1] + fib[i-2]);
+  }
+
+  return fib;
+}
+
+// ==================== Built-in types ====================
+
+// Natural harmonic series: 1, 2, 3, 4, 5, ...
+registerHarmonicType({
+  id: 'natural',
+  label: 'Natural',
+  generate: (count) => Array.from({ length: count }, (_, i) => i + 1)
+});
+
+// Just the fundamental
+registerHarmonicType({
+  id: 'singular',
+  label: 'Singular',
+  generate: () => [1]
+});
+
+// Octave series: 1, 2, 4, 8, 16, ...
+registerHarmonicType({
+  id: 'octave',
+  label: 'Octave',
+  generate: (count) => Array.from({ length: count }, (_, i) => Math.pow(2, i))
+});
+
+// Odd harmonics: 1, 3, 5, 7, ...
+registerHarmonicType({
+  id: 'numOdd',
+  label: 'Odd',
+  generate: (count) => Array.from({ length: count }, (_, i) => 2 * i + 1)
+});
+
+// Even harmonics: 2, 4, 6, 8, ...
+registerHarmonicType({
+  id: 'numEven',
+  label: 'Even',
+  generate: (count) => Array.from({ length: count }, (_, i) => 2 * (i + 1))
+});
+
+// Prime harmonics: 2, 3, 5, 7, 11, ...
+registerHarmonicType({
+  id: 'numPrime',
+  label: 'Prime',
+  generate: (count) => generatePrimes(count)
+});
+
+// Fibonacci series: 1, 1, 2, 3, 5, 8, ...
+registerHarmonicType({
+  id: 'numFibo',
+  label: 'Fibonacci',
+  generate: (count) => generateFibonacci(count)
+});
+
+// Upper harmonics (overtones): 2, 3, 4, 5, ...
+registerHarmonicType({
+  id: 'upper',
+  label: 'Upper',
+  generate: (count) => Array.from({ length: count }, (_, i) => i + 2)
+});
+
+// Lower harmonics (undertones inverted): 1/2, 1/3, 1/4, ...
+registerHarmonicType({
+  id: 'lower',
+  label: 'Lower',
+  generate: (count) => Array.from({ length: count }, (_, i) => 1 / (i + 2))
+});
+
+// Undertones from fundamental: 1, 1/2, 1/3, 1/4, ...
+registerHarmonicType({
+  id: 'under',
+  label: 'Under',
+  generate: (count) => Array.from({ length: count }, (_, i) => 1 / (i + 1))
+});
+
+// Stretched partials (stiff string inharmonicity): n * sqrt(1 + B * n^2)
+registerHarmonicType({
+  id: 'stretched',
+  label: 'Stretched',
+  params: [
+    { name: 'inharmonicity', label: 'Inharmonicity (B)', default: 0.0004, min: 0, max: 0.01, step: 0.0001 }
+  ],
+  generate: (count, { inharmonicity }) => Array.from({ length: count }, (_, i) => {
+    const n = i + 1;
+    return n * Math.sqrt(1 + inharmonicity * n * n);
+  })
+});
+
+export default {
+  register: registerHarmonicType,
+  unregister: unregisterHarmonicType,
+  get: getHarmonicType,
+  has: hasHarmonicType,
+  list: getHarmonicTypes,
+  resolveParams: resolveTypeParams
+};
@@ -0,0 +1,143 @@
+/**
+ * HistoryManager.js
+ *
+ * Keeps the AppState undo history (see StateHistory.js) across reloads: the
+ * stored tree is loaded on construction, which moves the params to its
+ * current entry, and every history change is saved to localStorage after
+ * saveDelay ms. Stored values the param schema no longer accepts, and
+ * runtime params, are dropped on load.
+ *
+ * The UI talks to the manager through `history.undo`, `history.redo`,
+ * `history.jump` ({ id }), `history.checkpoint` ({ name }) and
+ * `history.clear`; AppState announces every change with `history.changed`.
+ */
+
+import { AppConfig, checkParam } from '../config/app-config.js';
+import { RUNTIME_PARAMS } from '../config/param-schema.js';
+import StateHistory from '../core/StateHistory.js';
+
+export default class HistoryManager {
+  /**
+   * @param {Object} eventGear - EventGear instance
+   * @param {AppState} appState - Application state
+   * @param {Object} options - Options
+   * @param {Storage} options.storage - Web Storage for the history (localStorage by default, null to not persist)
+   * @param {string} options.key - Storage key
+   * @param {number} options.saveDelay - Debounce of the saves (ms)
+   */
+  constructor(eventGear, appState, {
+    storage = AppConfig.history.persist ? (globalThis.localStorage ?? null) : null,
+    key = AppConfig.history.storageKey,
+    saveDelay = AppConfig.history.saveDelay
+  } = {}) {
+    this.eventGear = eventGear;
+    this.appState = appState;
+    this.storage = storage;
+    this.key = key;
+    this.saveDelay = saveDelay;
+    this.saveTimer = null;
+    this.pageHideHandler = null;
+
+    // Restore the history of the last session
+    this.load();
+
+    // Register event listeners
+    this.registerEvents();
+  }
+
+  /**
+   * Registers event listeners
+   */
+  registerEvents() {
+    // History commands (emitted by UIControllerSimple)
+    this.eventGear.on('history.undo', () => this.appState.undo());
+    this.eventGear.on('history.redo', () => this.appState.redo());
+    this.eventGear.on('history.jump', (data) => this.appState.jumpTo(data.id));
+    this.eventGear.on('history.checkpoint', (data) => {
+      try {
+        this.appState.checkpoint(data.name);
+      } catch (error) {
+        console.error('Error naming checkpoint:', error);
+      }
+    });
+    this.eventGear.on('history.clear', () => this.appState.clearHistory());
+
+    // Save after every change of the history, and right away when the page goes
+    this.eventGear.on('history.changed', () => this.scheduleSave());
+    if (typeof window !== 'undefined') {
+      this.pageHideHandler = () => {
+        if (this.saveTimer !== null) this.save();
+      };
+      window.addEventListener('pagehide', this.pageHideHandler);
+    }
+  }
+
+  /**
+   * Loads the stored history into AppState
+   * @returns {boolean} - Whether a history was loaded
+   */
+  load() {
+    if (!this.storage) return false;
+
+    try {
+      const text = this.storage.getItem(this.key);
+      if (!text) return false;
+
+      const history = StateHistory.deserialize(JSON.parse(text), {
+        ...AppConfig.history,
+        validate: (param, value) => !RUNTIME_PARAMS.includes(param) && checkParam(param, value).valid
+      });
+      this.appState.loadHistory(history);
+      return true;
+    } catch (error) {
+      // A corrupt or outdated history is replaced by the next save
+      console.warn('Ignoring stored history:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Saves the history after saveDelay ms (later changes restart the delay)
+   */
+  scheduleSave() {
+    if (!this.storage) return;
+
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => this.save(), this.saveDelay);
+  }
+
+  /**
+   * Saves the history now
+   * @returns {boolean} - Whether it was saved
+   */
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    if (!this.storage) return false;
+
+    try {
+      this.storage.setItem(this.key, JSON.stringify(this.appState.history.serialize()));
+      return true;
+    } catch (error) {
+      // Quota exceeded or storage disabled
+      console.warn('Could not save the history:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Cleans up resources when the module is no longer needed
+   */
+  dispose() {
+    // Pending changes are saved; EventGear listeners are managed by EventGear itself
+    if (this.saveTimer !== null) {
+      this.save();
+    }
+    if (this.pageHideHandler) {
+      window.removeEventListener('pagehide', this.pageHideHandler);
+      this.pageHideHandler = null;
+    }
+
+    console.log('HistoryManager disposed');
+  }
+}
@@ -0,0 +1,143 @@
+/**
+ * Lissajous.js
+ *
+ * XY phase-space figures of the harmonic series: two partials against each
+ * other, or the summed waveform against its derivative or a delayed copy.
+ * Signals use the same partial model as sumPartials (one fundamental cycle,
+ * ratio detuned by cents, partial phase), so figures follow the series.
+ * Pure functions; GeometryRenderer scales, rotates and draws the points.
+ */
+
+// Figure sources
+export const LISSAJOUS_SOURCES = ['partials', 'derivative', 'delay'];
+
+/**
+ * Effective frequency ratio of a partial (detune applied)
+ * @param {Object} partial - Partial ({ ratio, detune })
+ * @returns {number} - Ratio to the fundamental
+ */
+function effectiveRatio(partial) {
+  return partial.ratio * Math.pow(2, (partial.detune || 0) / 1200);
+}
+
+/**
+ * Looks up a partial by its 1-based number (clamped to the series)
+ * @param {Array} partials - Partials
+ * @param {number} number - Partial number
+ * @returns {Object} - Partial
+ */
+function partialAt(partials, number) {
+  return partials[Math.max(0, Math.min(partials.length - 1, Math.round(number) - 1))];
+}
+
+/**
+ * Summed waveform and its time derivative at one point of the cycle
+ * @param {Array} partials - Partials ({ ratio, amplitude, phase, detune })
+ * @param {number} t - Time in fundamental cycles
+ * @returns {Object} - { value, slope } (slope per cycle)
+ */
+function evaluate(partials, t) {
+  let value = 0;
+  let slope = 0;
+  for (let i = 0; i < partials.length; i++) {
+    const { amplitude, phase } = partials[i];
+    if (amplitude === 0) continue;
+
+    const omega = 2 * Math.PI * effectiveRatio(partials[i]);
+    value += amplitude * Math.sin(omega * t + phase);
+    slope += amplitude * omega * Math.cos(omega * t + phase);
+  }
+  return { value, slope };
+}
+
+/**
+ * Scales interleaved points so each axis peaks at 1
+ * @param {Float32Array} points - [x, y, ...]
+ * @returns {Float32Array} - The same array
+ */
+function normalizeAxes(points) {
+  let maxX = 0;
+  let maxY = 0;
+  for (let i = 0; i < points.length; i += 2) {
+    maxX = Math.max(maxX, Math.abs(points[i]));
+    maxY = Math.max(maxY, Math.abs(points[i + 1]));
+  }
+  for (let i = 0; i < points.length; i += 2) {
+    if (maxX > 0) points[i] /= maxX;
+    if (maxY > 0) points[i + 1] /= maxY;
+  }
+  return points;
+}
+
+/**
+ * Computes a Lissajous figure over one fundamental cycle
+ * @param {Array} partials - Partials ({ ratio, amplitude, phase, detune })
+ * @param {Object} options - Figure options
+ * @param {string} options.source - 'partials' (partial x vs. partial y),
+ *   'derivative' (waveform vs. its slope) or 'delay' (waveform vs. a delayed copy)
+ * @param {number} options.x - Partial number on the x axis (1-based, partials source)
+ * @param {number} options.y - Partial number on the y axis (1-based, partials source)
+ * @param {number} options.phase - Phase offset of the y axis in degrees
+ *   (added to partial y; a time shift of phase/360 cycles for waveform sources)
+ * @param {number} options.delay - Delay of the y axis in fundamental cycles (delay source)
+ * @param {number} options.resolution - Segments per cycle
+ * @returns {Float32Array} - resolution + 1 points [x, y, ...] in -1..1 (empty without partials)
+ */
+export function lissajousPoints(partials, {
+  source = 'partials',
+  x = 1,
+  y = 2,
+  phase = 0,
+  delay = 0.25,
+  resolution = 1024
+} = {}) {
+  if (!LISSAJOUS_SOURCES.includes(source)) {
+    throw new TypeError(`Unknown Lissajous source "${source}"`);
+  }
+  if (!partials || partials.length === 0) return new Float32Array(0);
+
+  const points = new Float32Array((resolution + 1) * 2);
+  const offset = (phase * Math.PI) / 180;
+
+  if (source === 'partials') {
+    // Unit sines: the figure shows the ratio and phase, not the amplitudes
+    const px = partialAt(partials, x);
+    const py = partialAt(partials, y);
+    const omegaX = 2 * Math.PI * effectiveRatio(px);
+    const omegaY = 2 * Math.PI * effectiveRatio(py);
+
+    for (let i = 0; i <= resolution; i++) {
+      const t = i / resolution;
+      points[i * 2] = Math.sin(omegaX * t + px.phase);
+      points[i * 2 + 1] = Math.sin(omegaY * t + py.phase + offset);
+    }
+    return points;
+  }
+
+  const shift = (source === 'delay' ? delay : 0) + phase / 360;
+  for (let i = 0; i <= resolution; i++) {
+    const t = i / resolution;
+    const shifted = evaluate(partials, t + shift);
+    points[i * 2] = evaluate(partials, t).value;
+    points[i * 2 + 1] = source === 'derivative' ? shifted.slope : shifted.value;
+  }
+  return normalizeAxes(points);
+}
+
+/**
+ * Frequency ratio between the y and x partials of a figure
+ * @param {Array} partials - Partials ({ ratio, detune })
+ * @param {number} x - Partial number on the x axis (1-based)
+ * @param {number} y - Partial number on the y axis (1-based)
+ * @returns {number|null} - y / x ratio, null without partials
+ */
+export function lissajousRatio(partials, x, y) {
+  if (!partials || partials.length === 0) return null;
+  return effectiveRatio(partialAt(partials, y)) / effectiveRatio(partialAt(partials, x));
+}
+
+export default {
+  LISSAJOUS_SOURCES,
+  lissajousPoints,
+  lissajousRatio
+};
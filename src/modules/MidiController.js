@@ -0,0 +1,403 @@
+/**
+ * MidiController.js
+ *
+ * Web MIDI input for HarmonicXplorer. Note on/off set calcFrequency (through
+ * the selected tuning) and trigger synth notes; CC and pitch bend messages
+ * drive any AppState param through user-defined mappings. Mappings live in
+ * the midiMappings param, so they are saved and loaded with the state JSON.
+ * Played notes and controller moves are performance input: they do not add
+ * undo history entries.
+ * A MIDIAccess object can be injected for headless use.
+ */
+
+import { AppConfig, validateParam } from '../config/app-config.js';
+import { getTuning, noteToFrequency, parseKbm } from './Tuning.js';
+
+// MIDI status bytes (upper nibble)
+export const MIDI_STATUS = {
+  NOTE_OFF: 0x80,
+  NOTE_ON: 0x90,
+  CONTROL_CHANGE: 0xb0,
+  PITCH_BEND: 0xe0
+};
+
+// Mapping sources and their maximum raw value
+export const MIDI_SOURCES = {
+  cc: 127,
+  pitchbend: 16383
+};
+
+// Response curves applied to the normalized controller value (0-1)
+export const MIDI_CURVES = {
+  linear: (x, min, max) => min + (max - min) * x,
+  // Equal ratios per step when the range is positive, squared otherwise
+  exponential: (x, min, max) => (min > 0 && max > 0
+    ? min * Math.pow(max / min, x)
+    : min + (max - min) * x * x),
+  logarithmic: (x, min, max) => min + (max - min) * Math.sqrt(x),
+  toggle: (x, min, max) => (x >= 0.5 ? max : min)
+};
+
+/**
+ * Parses a raw MIDI message
+ * @param {Uint8Array|Array} data - Message bytes
+ * @returns {Object|null} - { type, channel, ... } or null for unsupported messages
+ */
+export function parseMidiMessage(data) {
+  if (!data || data.length < 2) return null;
+
+  const status = data[0] & 0xf0;
+  const channel = data[0] & 0x0f;
+
+  switch (status) {
+    case MIDI_STATUS.NOTE_ON:
+      // Note on with velocity 0 is a note off
+      if (data[2] > 0) {
+        return { type: 'noteOn', channel, note: data[1], velocity: data[2] };
+      }
+      return { type: 'noteOff', channel, note: data[1], velocity: 0 };
+
+    case MIDI_STATUS.NOTE_OFF:
+      return { type: 'noteOff', channel, note: data[1], velocity: data[2] || 0 };
+
+    case MIDI_STATUS.CONTROL_CHANGE:
+      return { type: 'cc', channel, number: data[1], value: data[2] || 0 };
+
+    case MIDI_STATUS.PITCH_BEND:
+      return { type: 'pitchbend', channel, number: null, value: (data[1] & 0x7f) | ((data[2] & 0x7f) << 7) };
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Fills in a mapping's range from the param schema
+ * @param {Object} mapping - Mapping ({ source, channel, number, param, min, max, curve })
+ * @returns {Object} - Complete mapping
+ */
+export function normalizeMapping(mapping) {
+  if (!mapping || !(mapping.source in MIDI_SOURCES)) {
+    throw new TypeError(`Unknown MIDI source "${mapping && mapping.source}"`);
+  }
+  const definition = AppConfig.schema[mapping.param];
+  if (!mapping.param || !definition) {
+    throw new TypeError(`Unknown parameter "${mapping.param}"`);
+  }
+
+  const fallbackMax = definition.type === 'boolean' ? 1 : 0;
+  const curve = mapping.curve in MIDI_CURVES ? mapping.curve : 'linear';
+
+  return {
+    source: mapping.source,
+    channel: Number.isInteger(mapping.channel) ? mapping.channel : null,
+    number: mapping.source === 'cc' ? mapping.number : null,
+    param: mapping.param,
+    min: typeof mapping.min === 'number' ? mapping.min : (definition.min ?? 0),
+    max: typeof mapping.max === 'number' ? mapping.max : (definition.max ?? fallbackMax),
+    curve
+  };
+}
+
+/**
+ * Scales a raw controller value to a param value
+ * @param {Object} mapping - Complete mapping
+ * @param {number} raw - Raw controller value (0-127, or 0-16383 for pitch bend)
+ * @returns {any} - Validated param value
+ */
+export function scaleMidiValue(mapping, raw) {
+  const x = Math.max(0, Math.min(1, raw / MIDI_SOURCES[mapping.source]));
+  const { param } = mapping;
+  const { type, options } = AppConfig.schema[param];
+
+  // Enumerated params step through their options
+  if (type === 'enum' && options.length > 0) {
+    const index = Math.min(options.length - 1, Math.floor(x * options.length));
+    return options[index];
+  }
+
+  if (type === 'boolean') {
+    return x >= 0.5;
+  }
+
+  // Integer params are rounded by the validation
+  return validateParam(param, MIDI_CURVES[mapping.curve](x, mapping.min, mapping.max));
+}
+
+/**
+ * Checks whether a mapping listens to a parsed message
+ * @param {Object} mapping - Complete mapping
+ * @param {Object} message - Parsed message
+ * @returns {boolean} - Whether the mapping applies
+ */
+function mappingMatches(mapping, message) {
+  return mapping.source === message.type &&
+    (mapping.channel === null || mapping.channel === message.channel) &&
+    (mapping.source !== 'cc' || mapping.number === message.number);
+}
+
+export default class MidiController {
+  constructor(eventGear, appState) {
+    this.eventGear = eventGear;
+    this.appState = appState;
+    this.midiAccess = null;
+    this.learning = null;
+
+    // Notes currently held, by voice id
+    this.heldNotes = new Map();
+
+    // Bound once so listeners can be detached in dispose
+    this.handleMidiMessage = (event) => this.handleMessage(event.data);
+    this.handleStateChange = (event) => this.onPortStateChange(event.port);
+
+    this.registerEvents();
+  }
+
+  /**
+   * Registers event listeners (MIDI learn requests from the UI)
+   */
+  registerEvents() {
+    this.eventGear.on('midi.learn', ({ param, min, max, curve }) => {
+      this.startLearn(param, { min, max, curve });
+    });
+
+    this.eventGear.on('midi.learnCancel', () => this.cancelLearn());
+  }
+
+  /**
+   * Requests MIDI access and starts listening to all inputs
+   * @param {MIDIAccess|null} midiAccess - Injected access object (defaults to navigator.requestMIDIAccess)
+   * @returns {Promise<boolean>} - Whether MIDI is available
+   */
+  async initialize(midiAccess = null) {
+    try {
+      if (midiAccess) {
+        this.midiAccess = midiAccess;
+      } else if (typeof navigator !== 'undefined' && navigator.requestMIDIAccess) {
+        this.midiAccess = await navigator.requestMIDIAccess();
+      } else {
+        console.warn('Web MIDI is not supported in this environment');
+        return false;
+      }
+
+      this.midiAccess.inputs.forEach(input => this.attachInput(input));
+      this.midiAccess.onstatechange = this.handleStateChange;
+
+      this.eventGear.emit('midi.ready', { inputs: this.getInputs() });
+      return true;
+    } catch (error) {
+      console.error('Error initializing MIDI:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Starts listening to an input port
+   * @param {MIDIInput} input - Input port
+   */
+  attachInput(input) {
+    input.onmidimessage = this.handleMidiMessage;
+  }
+
+  /**
+   * Attaches newly connected inputs and reports port changes
+   * @param {MIDIPort} port - Port whose state changed
+   */
+  onPortStateChange(port) {
+    if (port.type === 'input' && port.state === 'connected') {
+      this.attachInput(port);
+    }
+
+    this.eventGear.emit('midi.portChanged', {
+      id: port.id,
+      name: port.name,
+      type: port.type,
+      state: port.state
+    });
+  }
+
+  /**
+   * Lists connected input ports
+   * @returns {Array} - Inputs ({ id, name })
+   */
+  getInputs() {
+    if (!this.midiAccess) return [];
+    return Array.from(this.midiAccess.inputs.values()).map(({ id, name }) => ({ id, name }));
+  }
+
+  /**
+   * Handles a raw MIDI message
+   * @param {Uint8Array|Array} data - Message bytes
+   */
+  handleMessage(data) {
+    const message = parseMidiMessage(data);
+    if (!message) return;
+
+    switch (message.type) {
+      case 'noteOn':
+        this.noteOn(message);
+        break;
+      case 'noteOff':
+        this.noteOff(message);
+        break;
+      default:
+        if (this.learning) {
+          this.learn(message);
+        } else {
+          this.applyMappings(message);
+        }
+    }
+  }
+
+  /**
+   * Keyboard mapping of the tuningKeyboardMap param
+   * @returns {Object|null} - Parsed .kbm mapping, null for the linear mapping
+   */
+  getKeyboardMap() {
+    const text = this.appState.getParam('tuningKeyboardMap');
+    if (!text) return null;
+
+    try {
+      return parseKbm(text);
+    } catch (error) {
+      console.warn('Ignoring keyboard mapping:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Sets calcFrequency from a note and starts a synth note
+   * @param {Object} message - Parsed note on message
+   */
+  noteOn({ channel, note, velocity }) {
+    const tuning = getTuning(this.appState.getParam('tuningSystem')) || getTuning('edo12');
+    const frequency = noteToFrequency(note, tuning, this.getKeyboardMap());
+    if (frequency === null) return;
+
+    const id = `midi:${channel}:${note}`;
+    this.heldNotes.set(id, frequency);
+
+    this.appState.updateParam('calcFrequency', validateParam('calcFrequency', frequency), false);
+    this.eventGear.emit('synth.noteOn', { id, frequency, velocity: velocity / 127 });
+  }
+
+  /**
+   * Releases a synth note
+   * @param {Object} message - Parsed note off message
+   */
+  noteOff({ channel, note }) {
+    const id = `midi:${channel}:${note}`;
+    if (!this.heldNotes.delete(id)) return;
+
+    this.eventGear.emit('synth.noteOff', { id });
+  }
+
+  /**
+   * Applies every mapping listening to a CC or pitch bend message
+   * @param {Object} message - Parsed message
+   */
+  applyMappings(message) {
+    const mappings = this.getMappings();
+
+    mappings.forEach(mapping => {
+      if (!mappingMatches(mapping, message)) return;
+      this.appState.updateParam(mapping.param, scaleMidiValue(mapping, message.value), false);
+    });
+  }
+
+  /**
+   * Gets the current mappings
+   * @returns {Array} - Mappings from the midiMappings param
+   */
+  getMappings() {
+    return this.appState.getParam('midiMappings') || [];
+  }
+
+  /**
+   * Adds a mapping, replacing any mapping on the same controller
+   * @param {Object} mapping - Mapping ({ source, channel, number, param, min, max, curve })
+   * @returns {Object} - The stored mapping
+   */
+  addMapping(mapping) {
+    const normalized = normalizeMapping(mapping);
+    const others = this.getMappings().filter(existing =>
+      !(existing.source === normalized.source &&
+        existing.channel === normalized.channel &&
+        existing.number === normalized.number)
+    );
+
+    this.appState.updateParam('midiMappings', [...others, normalized]);
+    return normalized;
+  }
+
+  /**
+   * Removes all mappings driving a param
+   * @param {string} param - Parameter name
+   */
+  removeMapping(param) {
+    const remaining = this.getMappings().filter(mapping => mapping.param !== param);
+    this.appState.updateParam('midiMappings', remaining);
+  }
+
+  /**
+   * Arms MIDI learn: the next CC or pitch bend message is mapped to a param
+   * @param {string} param - Parameter to map
+   * @param {Object} options - Mapping range and curve ({ min, max, curve })
+   */
+  startLearn(param, options = {}) {
+    if (!(param in AppConfig.schema)) {
+      throw new TypeError(`Unknown parameter "${param}"`);
+    }
+
+    this.learning = { param, ...options };
+    this.eventGear.emit('midi.learnStarted', { param });
+  }
+
+  /**
+   * Disarms MIDI learn
+   */
+  cancelLearn() {
+    if (!this.learning) return;
+
+    const { param } = this.learning;
+    this.learning = null;
+    this.eventGear.emit('midi.learnCancelled', { param });
+  }
+
+  /**
+   * Creates a mapping from the first controller message received while learning
+   * @param {Object} message - Parsed CC or pitch bend message
+   */
+  learn(message) {
+    const mapping = this.addMapping({
+      ...this.learning,
+      source: message.type,
+      channel: message.channel,
+      number: message.number
+    });
+
+    this.learning = null;
+    this.eventGear.emit('midi.learned', { mapping });
+  }
+
+  /**
+   * Cleans up resources when the module is no longer needed
+   */
+  dispose() {
+    if (this.midiAccess) {
+      this.midiAccess.inputs.forEach(input => {
+        if (input.onmidimessage === this.handleMidiMessage) {
+          input.onmidimessage = null;
+        }
+      });
+      this.midiAccess.onstatechange = null;
+      this.midiAccess = null;
+    }
+
+    this.heldNotes.forEach((frequency, id) => this.eventGear.emit('synth.noteOff', { id }));
+    this.heldNotes.clear();
+    this.learning = null;
+
+    console.log('MidiController disposed');
+  }
+}
@@ -0,0 +1,341 @@
+/**
+ * MidiFile.js
+ *
+ * Pure Standard MIDI File (SMF) writer and MIDI scheduling for harmonic
+ * series. Frequencies outside 12-TET are reproduced with per-channel pitch
+ * bend, either on rotating channels ('bend') or as an MPE lower zone
+ * ('mpe'). The same event lists drive file export and live MIDI output.
+ * No browser APIs are used, so files can be produced under Node as well.
+ */
+
+// Note layouts of a series
+export const MIDI_EXPORT_MODES = ['chord', 'arpeggio', 'sequence'];
+
+// How non-12-TET pitches are reproduced
+export const MIDI_PITCH_MODES = ['mpe', 'bend', 'none'];
+
+// Pitch bend center (no bend)
+export const PITCH_BEND_CENTER = 8192;
+
+// General MIDI percussion channel, skipped by the 'bend' mode
+const DRUM_CHANNEL = 9;
+
+// Order of events sharing a time: note offs, then controllers and bends, then note ons
+const EVENT_PRIORITY = { noteOff: 0, control: 1, noteOn: 2 };
+
+/**
+ * Converts a frequency to the nearest MIDI note plus pitch bend
+ * @param {number} frequency - Frequency in Hz
+ * @param {number} bendRange - Pitch bend range in semitones
+ * @returns {Object|null} - { note, bend, cents }, null outside the MIDI note range
+ */
+export function frequencyToNote(frequency, bendRange = 2) {
+  if (!(frequency > 0)) return null;
+
+  const semitones = 69 + 12 * Math.log2(frequency / 440);
+  const note = Math.round(semitones);
+  if (note < 0 || note > 127) return null;
+
+  const cents = (semitones - note) * 100;
+  const bend = Math.max(0, Math.min(16383,
+    Math.round(PITCH_BEND_CENTER + (semitones - note) / bendRange * PITCH_BEND_CENTER)));
+
+  return { note, bend, cents };
+}
+
+/**
+ * Encodes a variable-length quantity
+ * @param {number} value - Non-negative integer (max 0x0FFFFFFF)
+ * @returns {Array} - Bytes
+ */
+export function encodeVarLen(value) {
+  if (!Number.isInteger(value) || value < 0 || value > 0x0fffffff) {
+    throw new TypeError(`Invalid variable-length value "${value}"`);
+  }
+
+  const bytes = [value & 0x7f];
+  let rest = value >> 7;
+  while (rest > 0) {
+    bytes.unshift((rest & 0x7f) | 0x80);
+    rest >>= 7;
+  }
+  return bytes;
+}
+
+/**
+ * Controller messages setting the pitch bend range (RPN 0)
+ * @param {number} channel - MIDI channel (0-15)
+ * @param {number} bendRange - Range in semitones
+ * @returns {Array} - Messages (byte arrays)
+ */
+export function pitchBendRangeMessages(channel, bendRange) {
+  const status = 0xb0 | channel;
+  return [
+    [status, 101, 0], [status, 100, 0],
+    [status, 6, Math.round(bendRange)], [status, 38, 0],
+    // Null RPN so later data entry is ignored
+    [status, 101, 127], [status, 100, 127]
+  ];
+}
+
+/**
+ * MPE Configuration Message (RPN 6) declaring a lower zone
+ * @param {number} memberCount - Member channels (1-15)
+ * @returns {Array} - Messages (byte arrays) on the master channel
+ */
+export function mpeConfigurationMessages(memberCount = 15) {
+  return [[0xb0, 101, 0], [0xb0, 100, 6], [0xb0, 6, memberCount]];
+}
+
+/**
+ * Assigns MIDI channels to overlapping notes so each can carry its own
+ * pitch bend. The longest idle free channel is taken first; when every
+ * channel is busy, the least busy channel used longest ago is shared, but
+ * only by notes with the same bend (a bend message re-tunes every note on
+ * its channel). So at most 15 differently tuned notes sound at once (MPE
+ * and bend mode); further notes get no channel.
+ */
+export class ChannelAllocator {
+  /**
+   * Creates an allocator for a pitch mode
+   * @param {string} pitchMode - 'mpe' (channels 1-15), 'bend' (all but 9) or 'none' (channel 0)
+   */
+  constructor(pitchMode = 'mpe') {
+    if (!MIDI_PITCH_MODES.includes(pitchMode)) {
+      throw new TypeError(`Unknown pitch mode "${pitchMode}"`);
+    }
+
+    this.pitchMode = pitchMode;
+    if (pitchMode === 'mpe') {
+      this.channels = Array.from({ length: 15 }, (_, i) => i + 1);
+    } else if (pitchMode === 'bend') {
+      this.channels = Array.from({ length: 16 }, (_, i) => i).filter(c => c !== DRUM_CHANNEL);
+    } else {
+      this.channels = [0];
+    }
+
+    // Channel -> { busy (note count), since (allocation clock), bend (of its notes) }
+    this.state = new Map(this.channels.map(channel => [channel, { busy: 0, since: -Infinity, bend: null }]));
+    this.clock = 0;
+  }
+
+  /**
+   * Takes a channel for a new note
+   * @param {number|null} bend - 14-bit pitch bend of the note (null when none is sent)
+   * @returns {number|null} - MIDI channel, null when every channel is busy with another bend
+   */
+  allocate(bend = null) {
+    let best = null;
+    this.state.forEach((slot, channel) => {
+      if (slot.busy > 0 && this.pitchMode !== 'none' && slot.bend !== bend) return;
+
+      const better = !best ||
+        (slot.busy === 0 && best.slot.busy > 0) ||
+        (slot.busy === best.slot.busy && slot.since < best.slot.since);
+      if (better) best = { channel, slot };
+    });
+
+    if (!best) return null;
+
+    best.slot.busy++;
+    best.slot.since = this.clock++;
+    best.slot.bend = bend;
+    return best.channel;
+  }
+
+  /**
+   * Whether other notes sound on a channel (a new bend would re-tune them)
+   * @param {number} channel - MIDI channel
+   * @returns {boolean} - Whether more than one note holds the channel
+   */
+  isShared(channel) {
+    const slot = this.state.get(channel);
+    return Boolean(slot) && slot.busy > 1;
+  }
+
+  /**
+   * Returns a channel after its note ended
+   * @param {number} channel - MIDI channel
+   */
+  release(channel) {
+    const slot = this.state.get(channel);
+    if (!slot || slot.busy === 0) return;
+    slot.busy--;
+    if (slot.busy === 0) slot.since = this.clock++;
+  }
+}
+
+/**
+ * Lays out the frequencies of a series as timed notes.
+ * All modes last `step * frequencies.length` seconds: a chord holds every
+ * note, an arpeggio starts one note per step and holds it, a sequence plays
+ * one note per step.
+ * @param {Array} frequencies - Frequencies in Hz
+ * @param {Object} options - Layout options
+ * @param {string} options.mode - 'chord', 'arpeggio' or 'sequence'
+ * @param {number} options.step - Seconds per step
+ * @param {Array} options.velocities - Velocity (0-1) per frequency
+ * @returns {Array} - Notes ({ frequency, start, duration, velocity })
+ */
+export function layoutNotes(frequencies, { mode = 'chord', step = 0.25, velocities = [] } = {}) {
+  if (!MIDI_EXPORT_MODES.includes(mode)) {
+    throw new TypeError(`Unknown MIDI export mode "${mode}"`);
+  }
+
+  const total = step * frequencies.length;
+
+  return frequencies.map((frequency, i) => {
+    const start = mode === 'chord' ? 0 : i * step;
+    const end = mode === 'sequence' ? start + step : total;
+    const velocity = typeof velocities[i] === 'number' ? velocities[i] : 1;
+    return { frequency, start, duration: end - start, velocity };
+  });
+}
+
+/**
+ * Converts timed notes to MIDI messages. Notes finding no channel (see
+ * ChannelAllocator) are left out with a warning.
+ * @param {Array} notes - Notes ({ frequency, start, duration, velocity })
+ * @param {Object} options - Scheduling options
+ * @param {string} options.pitchMode - 'mpe', 'bend' or 'none'
+ * @param {number} options.bendRange - Pitch bend range in semitones
+ * @returns {Array} - Time-ordered events ({ time, data }), time in seconds
+ */
+export function scheduleMidiEvents(notes, { pitchMode = 'mpe', bendRange = 2 } = {}) {
+  const allocator = new ChannelAllocator(pitchMode);
+  const usesBend = pitchMode !== 'none';
+  const events = [];
+  const push = (time, kind, data) => events.push({ time, kind, data, index: events.length });
+
+  // Setup: zone configuration and bend range on every channel that may be used
+  if (pitchMode === 'mpe') {
+    mpeConfigurationMessages(allocator.channels.length).forEach(data => push(0, 'control', data));
+  }
+  if (usesBend) {
+    allocator.channels.forEach(channel => {
+      pitchBendRangeMessages(channel, bendRange).forEach(data => push(0, 'control', data));
+    });
+  }
+
+  // Channels are assigned in start order, releasing notes that ended before
+  const pending = [];
+  const ordered = notes
+    .map((note, i) => ({ ...note, i }))
+    .sort((a, b) => a.start - b.start || a.i - b.i);
+
+  let dropped = 0;
+  ordered.forEach(note => {
+    const pitch = frequencyToNote(note.frequency, bendRange);
+    if (!pitch) return;
+
+    for (let k = pending.length - 1; k >= 0; k--) {
+      if (pending[k].end <= note.start) {
+        allocator.release(pending[k].channel);
+        pending.splice(k, 1);
+      }
+    }
+
+    const channel = allocator.allocate(usesBend ? pitch.bend : null);
+    if (channel === null) {
+      dropped++;
+      return;
+    }
+    const end = note.start + note.duration;
+    const velocity = Math.max(1, Math.min(127, Math.round(note.velocity * 127)));
+    pending.push({ channel, end });
+
+    if (usesBend) {
+      push(note.start, 'control', [0xe0 | channel, pitch.bend & 0x7f, pitch.bend >> 7]);
+    }
+    push(note.start, 'noteOn', [0x90 | channel, pitch.note, velocity]);
+    push(end, 'noteOff', [0x80 | channel, pitch.note, 0]);
+  });
+
+  if (dropped > 0) {
+    console.warn(`${dropped} MIDI notes left out: no channel free for their pitch bend`);
+  }
+
+  return events
+    .sort((a, b) => a.time - b.time || EVENT_PRIORITY[a.kind] - EVENT_PRIORITY[b.kind] || a.index - b.index)
+    .map(({ time, data }) => ({ time, data }));
+}
+
+/**
+ * Writes a format 0 Standard MIDI File
+ * @param {Array} events - Events ({ time, data }), time in seconds
+ * @param {Object} options - File options
+ * @param {number} options.ticksPerQuarter - Time division
+ * @param {number} options.bpm - Tempo (sets the seconds to ticks conversion)
+ * @param {string} options.trackName - Track name meta event (omitted when empty)
+ * @returns {Uint8Array} - File contents
+ */
+export function encodeMidiFile(events, { ticksPerQuarter = 480, bpm = 120, trackName = '' } = {}) {
+  if (!Number.isInteger(ticksPerQuarter) || ticksPerQuarter <= 0 || ticksPerQuarter > 0x7fff) {
+    throw new TypeError(`Invalid ticks per quarter note "${ticksPerQuarter}"`);
+  }
+  if (!(bpm > 0)) {
+    throw new TypeError(`Invalid tempo "${bpm}"`);
+  }
+
+  const track = [];
+  const microsecondsPerQuarter = Math.round(60000000 / bpm);
+
+  // Tempo and track name at tick 0
+  track.push(0x00, 0xff, 0x51, 0x03,
+    (microsecondsPerQuarter >> 16) & 0xff, (microsecondsPerQuarter >> 8) & 0xff, microsecondsPerQuarter & 0xff);
+  if (trackName) {
+    const name = Array.from(trackName, c => c.charCodeAt(0) & 0x7f);
+    track.push(0x00, 0xff, 0x03, ...encodeVarLen(name.length), ...name);
+  }
+
+  const ticksPerSecond = ticksPerQuarter * bpm / 60;
+  let lastTick = 0;
+  events.forEach(({ time, data }) => {
+    const tick = Math.max(lastTick, Math.round(time * ticksPerSecond));
+    track.push(...encodeVarLen(tick - lastTick), ...data);
+    lastTick = tick;
+  });
+
+  // End of track
+  track.push(0x00, 0xff, 0x2f, 0x00);
+
+  const bytes = new Uint8Array(14 + 8 + track.length);
+  const view = new DataView(bytes.buffer);
+
+  // Header chunk: format 0, one track
+  bytes.set([0x4d, 0x54, 0x68, 0x64], 0);
+  view.setUint32(4, 6);
+  view.setUint16(8, 0);
+  view.setUint16(10, 1);
+  view.setUint16(12, ticksPerQuarter);
+
+  // Track chunk
+  bytes.set([0x4d, 0x54, 0x72, 0x6b], 14);
+  view.setUint32(18, track.length);
+  bytes.set(track, 22);
+
+  return bytes;
+}
+
+/**
+ * Writes a harmonic series as a Standard MIDI File
+ * @param {Array} frequencies - Frequencies in Hz
+ * @param {Object} options - Layout, scheduling and file options (see layoutNotes, scheduleMidiEvents, encodeMidiFile)
+ * @returns {Uint8Array} - File contents
+ */
+export function seriesToMidiFile(frequencies, options = {}) {
+  const notes = layoutNotes(frequencies, options);
+  const events = scheduleMidiEvents(notes, options);
+  return encodeMidiFile(events, options);
+}
+
+export default {
+  frequencyToNote,
+  encodeVarLen,
+  pitchBendRangeMessages,
+  mpeConfigurationMessages,
+  layoutNotes,
+  scheduleMidiEvents,
+  encodeMidiFile,
+  seriesToMidiFile
+};
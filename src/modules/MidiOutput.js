@@ -0,0 +1,312 @@
+/**
+ * MidiOutput.js
+ *
+ * Live MIDI output and MIDI file export of the harmonic series. Notes played
+ * by AudioSynthesis are mirrored to the selected output with per-note pitch
+ * bend (MPE or rotating channels), so external synths follow non-12-TET
+ * pitches. The series itself can be played or saved as a chord, arpeggio or
+ * sequence using the event lists from MidiFile.js.
+ */
+
+import { partialFrequency } from './PartialModel.js';
+import {
+  ChannelAllocator,
+  frequencyToNote,
+  layoutNotes,
+  scheduleMidiEvents,
+  encodeMidiFile,
+  pitchBendRangeMessages,
+  mpeConfigurationMessages
+} from './MidiFile.js';
+
+/**
+ * Reads the current series as frequencies and velocities
+ * @param {AppState} appState - Application state
+ * @returns {Object} - { frequencies, velocities } (velocity 0-1, relative to the loudest partial)
+ */
+export function seriesFromState(appState) {
+  const partials = appState.getCachedData('partials') || [];
+  const baseFrequency = appState.getParam('calcFrequency');
+  const loudest = partials.reduce((max, partial) => Math.max(max, partial.amplitude), 0);
+
+  return {
+    frequencies: partials.map(partial => partialFrequency(partial, baseFrequency)),
+    velocities: partials.map(partial => (loudest > 0 ? partial.amplitude / loudest : 1))
+  };
+}
+
+/**
+ * Collects MIDI options from AppState params
+ * @param {AppState} appState - Application state
+ * @param {Object} overrides - Option overrides ({ mode, pitchMode, bendRange, step })
+ * @returns {Object} - Options for layoutNotes and scheduleMidiEvents
+ */
+function midiOptions(appState, overrides = {}) {
+  return {
+    mode: appState.getParam('midiExportMode'),
+    pitchMode: appState.getParam('midiPitchMode'),
+    bendRange: appState.getParam('midiBendRange'),
+    step: appState.getParam('midiNoteDuration'),
+    ...overrides
+  };
+}
+
+/**
+ * Writes the current series as a Standard MIDI File.
+ * Settings come from the midi* params unless overridden.
+ * @param {AppState} appState - Application state
+ * @param {Object} overrides - Option overrides ({ mode, pitchMode, bendRange, step, bpm })
+ * @returns {Uint8Array} - File contents
+ */
+export function renderSeriesToMidi(appState, overrides = {}) {
+  const options = midiOptions(appState, overrides);
+  const { frequencies, velocities } = seriesFromState(appState);
+
+  const notes = layoutNotes(frequencies, { ...options, velocities });
+  return encodeMidiFile(scheduleMidiEvents(notes, options), {
+    bpm: options.bpm,
+    trackName: `Harmonic series (${appState.getParam('harmonicsType')}, ${options.mode})`
+  });
+}
+
+/**
+ * Offers a MIDI file for download (browser only)
+ * @param {Uint8Array} bytes - File contents
+ * @param {string} filename - Download file name
+ */
+export function downloadMidi(bytes, filename = 'harmonic-explorer.mid') {
+  const blob = new Blob([bytes], { type: 'audio/midi' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.download = filename;
+  link.href = url;
+  link.click();
+
+  URL.revokeObjectURL(url);
+}
+
+export default class MidiOutput {
+  constructor(eventGear, appState) {
+    this.eventGear = eventGear;
+    this.appState = appState;
+    this.midiAccess = null;
+    this.output = null;
+
+    // Sounding notes by voice id ({ channel, note })
+    this.notes = new Map();
+    this.allocator = new ChannelAllocator(this.appState.getParam('midiPitchMode'));
+
+    this.registerEvents();
+  }
+
+  /**
+   * Registers event listeners
+   */
+  registerEvents() {
+    // Mirror notes played by AudioSynthesis
+    this.eventGear.on('note.on', ({ id, frequency, velocity }) => {
+      if (this.isEnabled()) this.noteOn(id, frequency, velocity);
+    });
+    this.eventGear.on('note.off', ({ id }) => this.noteOff(id));
+    this.eventGear.on('note.frequency', ({ id, frequency }) => this.setNoteFrequency(id, frequency));
+
+    this.eventGear.on('midi.playSeries', (options = {}) => this.playSeries(options));
+
+    this.eventGear.on('state.changed', ({ changedParams }) => {
+      if (changedParams.includes('midiOutputEnabled') && !this.appState.getParam('midiOutputEnabled')) {
+        this.allNotesOff();
+      }
+      if (changedParams.includes('midiPitchMode') || changedParams.includes('midiBendRange')) {
+        this.allNotesOff();
+        this.allocator = new ChannelAllocator(this.appState.getParam('midiPitchMode'));
+        this.sendSetup();
+      }
+    });
+  }
+
+  /**
+   * Requests MIDI access and selects the first output
+   * @param {MIDIAccess|null} midiAccess - Injected access object (defaults to navigator.requestMIDIAccess)
+   * @returns {Promise<boolean>} - Whether a MIDI output is available
+   */
+  async initialize(midiAccess = null) {
+    try {
+      if (midiAccess) {
+        this.midiAccess = midiAccess;
+      } else if (typeof navigator !== 'undefined' && navigator.requestMIDIAccess) {
+        this.midiAccess = await navigator.requestMIDIAccess();
+      } else {
+        console.warn('Web MIDI is not supported in this environment');
+        return false;
+      }
+
+      const first = this.midiAccess.outputs.values().next().value;
+      if (first) this.selectOutput(first.id);
+
+      return Boolean(this.output);
+    } catch (error) {
+      console.error('Error initializing MIDI output:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Lists connected output ports
+   * @returns {Array} - Outputs ({ id, name })
+   */
+  getOutputs() {
+    if (!this.midiAccess) return [];
+    return Array.from(this.midiAccess.outputs.values()).map(({ id, name }) => ({ id, name }));
+  }
+
+  /**
+   * Selects the output port notes are sent to
+   * @param {string} id - Output port id
+   * @returns {boolean} - Whether the port exists
+   */
+  selectOutput(id) {
+    const output = this.midiAccess && this.midiAccess.outputs.get(id);
+    if (!output) return false;
+
+    this.allNotesOff();
+    this.output = output;
+    this.sendSetup();
+
+    this.eventGear.emit('midi.outputSelected', { id: output.id, name: output.name });
+    return true;
+  }
+
+  /**
+   * Checks whether live output is active
+   * @returns {boolean} - Whether an output is selected and midiOutputEnabled is set
+   */
+  isEnabled() {
+    return Boolean(this.output && this.appState.getParam('midiOutputEnabled'));
+  }
+
+  /**
+   * Sends a message to the selected output
+   * @param {Array} data - Message bytes
+   * @param {number} timestamp - Send time (performance.now() clock), 0 for now
+   */
+  send(data, timestamp = 0) {
+    if (!this.output) return;
+    this.output.send(data, timestamp);
+  }
+
+  /**
+   * Sends the MPE zone and pitch bend range setup for the current pitch mode
+   */
+  sendSetup() {
+    const pitchMode = this.appState.getParam('midiPitchMode');
+    if (!this.output || pitchMode === 'none') return;
+
+    const bendRange = this.appState.getParam('midiBendRange');
+    if (pitchMode === 'mpe') {
+      mpeConfigurationMessages(this.allocator.channels.length).forEach(data => this.send(data));
+    }
+    this.allocator.channels.forEach(channel => {
+      pitchBendRangeMessages(channel, bendRange).forEach(data => this.send(data));
+    });
+  }
+
+  /**
+   * Starts a note on its own channel (not mirrored when no channel is free
+   * for its pitch bend, see ChannelAllocator)
+   * @param {string|number} id - Voice id
+   * @param {number} frequency - Frequency in Hz
+   * @param {number} velocity - Velocity (0-1)
+   */
+  noteOn(id, frequency, velocity = 1) {
+    const pitch = frequencyToNote(frequency, this.appState.getParam('midiBendRange'));
+    if (!pitch) return;
+
+    // Retriggering a sounding id replaces its note
+    this.noteOff(id);
+
+    const usesBend = this.appState.getParam('midiPitchMode') !== 'none';
+    const channel = this.allocator.allocate(usesBend ? pitch.bend : null);
+    if (channel === null) {
+      console.warn(`MIDI note ${pitch.note} not sent: no channel free for its pitch bend`);
+      return;
+    }
+    if (usesBend) {
+      this.send([0xe0 | channel, pitch.bend & 0x7f, pitch.bend >> 7]);
+    }
+    this.send([0x90 | channel, pitch.note, Math.max(1, Math.min(127, Math.round(velocity * 127)))]);
+
+    this.notes.set(id, { channel, note: pitch.note, velocity });
+  }
+
+  /**
+   * Releases a note
+   * @param {string|number} id - Voice id
+   */
+  noteOff(id) {
+    const sounding = this.notes.get(id);
+    if (!sounding) return;
+
+    this.send([0x80 | sounding.channel, sounding.note, 0]);
+    this.allocator.release(sounding.channel);
+    this.notes.delete(id);
+  }
+
+  /**
+   * Follows a frequency change of a sounding note: bends within the same
+   * MIDI note, retriggers when the nearest note changes or other notes share
+   * its channel
+   * @param {string|number} id - Voice id
+   * @param {number} frequency - New frequency in Hz
+   */
+  setNoteFrequency(id, frequency) {
+    const sounding = this.notes.get(id);
+    if (!sounding) return;
+
+    const pitch = frequencyToNote(frequency, this.appState.getParam('midiBendRange'));
+    if (pitch && pitch.note === sounding.note && !this.allocator.isShared(sounding.channel)) {
+      if (this.appState.getParam('midiPitchMode') !== 'none') {
+        this.send([0xe0 | sounding.channel, pitch.bend & 0x7f, pitch.bend >> 7]);
+      }
+    } else {
+      this.noteOn(id, frequency, sounding.velocity);
+    }
+  }
+
+  /**
+   * Releases all mirrored notes
+   */
+  allNotesOff() {
+    Array.from(this.notes.keys()).forEach(id => this.noteOff(id));
+  }
+
+  /**
+   * Plays the current series on the selected output
+   * @param {Object} overrides - Option overrides ({ mode, pitchMode, bendRange, step })
+   * @returns {number} - Number of messages scheduled
+   */
+  playSeries(overrides = {}) {
+    if (!this.output) return 0;
+
+    const options = midiOptions(this.appState, overrides);
+    const { frequencies, velocities } = seriesFromState(this.appState);
+    const events = scheduleMidiEvents(layoutNotes(frequencies, { ...options, velocities }), options);
+
+    const now = performance.now();
+    events.forEach(({ time, data }) => this.send(data, now + time * 1000));
+
+    this.eventGear.emit('midi.seriesPlayed', { mode: options.mode, notes: frequencies.length, messages: events.length });
+    return events.length;
+  }
+
+  /**
+   * Cleans up resources when the module is no longer needed
+   */
+  dispose() {
+    this.allNotesOff();
+    this.output = null;
+    this.midiAccess = null;
+
+    console.log('MidiOutput disposed');
+  }
+}
@@ -0,0 +1,291 @@
+/**
+ * PartialModel.js
+ *
+ * Shared partial model for synthesis and visualization.
+ * Each partial carries a frequency ratio, an amplitude, a phase offset
+ * (radians) and a detune (cents). AudioSynthesis, WaveformCalculator and
+ * its worker all consume the same partial list, so sound and picture agree.
+ */
+
+/**
+ * Preset rolloff laws. Each law maps a harmonic number to an amplitude and
+ * a phase offset; negative spectral signs are expressed as a phase of PI.
+ * `n` is the partial's position (1-based), `h` its harmonic number.
+ */
+export const ROLLOFF_LAWS = {
+  // 1/n rolloff (the original fixed amplitude law)
+  inverse: { label: '1/n', partial: (n) => ({ amplitude: 1 / n, phase: 0 }) },
+
+  // 1/n^2 rolloff (darker timbre)
+  inverseSquare: { label: '1/n²', partial: (n) => ({ amplitude: 1 / (n * n), phase: 0 }) },
+
+  // Equal amplitudes
+  flat: { label: 'Flat', partial: () => ({ amplitude: 1, phase: 0 }) },
+
+  // Sawtooth: all harmonics at 1/h with alternating sign
+  sawtooth: {
+    label: 'Sawtooth',
+    partial: (n, h) => ({ amplitude: 1 / h, phase: h % 2 === 0 ? Math.PI : 0 })
+  },
+
+  // Square: odd harmonics at 1/h
+  square: {
+    label: 'Square',
+    partial: (n, h) => ({ amplitude: h % 2 === 1 ? 1 / h : 0, phase: 0 })
+  },
+
+  // Triangle: odd harmonics at 1/h^2 with alternating sign
+  triangle: {
+    label: 'Triangle',
+    partial: (n, h) => ({
+      amplitude: h % 2 === 1 ? 1 / (h * h) : 0,
+      phase: (h - 1) % 4 === 2 ? Math.PI : 0
+    })
+  }
+};
+
+/**
+ * Phase modes for harmonicsPhase. Each mode returns the starting phase
+ * offsets (radians) added to the partials' own phases.
+ */
+export const PHASE_MODES = {
+  // All partials start as sines
+  sine: { label: 'Sine', phases: (amplitudes) => amplitudes.map(() => 0) },
+
+  // All partials start as cosines (peak at t = 0)
+  cosine: { label: 'Cosine', phases: (amplitudes) => amplitudes.map(() => Math.PI / 2) },
+
+  // Every other partial inverted
+  alternating: { label: 'Alternating', phases: (amplitudes) => amplitudes.map((_, i) => (i % 2 === 1 ? Math.PI : 0)) },
+
+  // All partials inverted (polarity flip)
+  inverted: { label: 'Inverted', phases: (amplitudes) => amplitudes.map(() => Math.PI) },
+
+  // Reproducible random phases
+  random: { label: 'Random', phases: (amplitudes, seed) => randomPhases(amplitudes.length, seed) },
+
+  // Schroeder phases (low crest factor)
+  schroeder: { label: 'Schroeder', phases: (amplitudes) => schroederPhases(amplitudes) }
+};
+
+// Legacy harmonicsPhase values (they used to flip the sign of the ratios)
+export const PHASE_ALIASES = {
+  phaseFull: 'sine',
+  phaseUp: 'sine',
+  phaseDown: 'inverted'
+};
+
+/**
+ * Resolves a harmonicsPhase value to a phase mode id
+ * @param {string} mode - Phase mode id or legacy alias
+ * @returns {string} - Phase mode id (unknown values resolve to 'sine')
+ */
+export function resolvePhaseMode(mode) {
+  const id = PHASE_ALIASES[mode] || mode;
+  return PHASE_MODES[id] ? id : 'sine';
+}
+
+/**
+ * Generates reproducible random phases (mulberry32 PRNG)
+ * @param {number} count - Number of phases
+ * @param {number} seed - Integer seed
+ * @returns {Array} - Phases in [0, 2*PI)
+ */
+export function randomPhases(count, seed = 1) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return Array.from({ length: count }, () => next() * 2 * Math.PI);
+}
+
+/**
+ * Computes Schroeder phases for arbitrary amplitudes:
+ * phi_n = -2 * PI * sum_{l<n} (n - l) * p_l, with p_l the relative power
+ * @param {Array} amplitudes - Partial amplitudes
+ * @returns {Array} - Phases in [0, 2*PI)
+ */
+export function schroederPhases(amplitudes) {
+  const totalPower = amplitudes.reduce((sum, a) => sum + a * a, 0) || 1;
+  const power = amplitudes.map(a => (a * a) / totalPower);
+
+  return amplitudes.map((_, n) => {
+    let sum = 0;
+    for (let l = 0; l < n; l++) {
+      sum += (n - l) * power[l];
+    }
+    const phase = -2 * Math.PI * sum;
+    return ((phase % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+  });
+}
+
+/**
+ * Gets the harmonic number of a partial. Integer ratios are their own
+ * harmonic number; other ratios use the partial's position in the series.
+ * @param {number} ratio - Frequency ratio
+ * @param {number} index - Position in the series (0-based)
+ * @returns {number} - Harmonic number (>= 1)
+ */
+export function harmonicNumber(ratio, index) {
+  const magnitude = Math.abs(ratio);
+  return Number.isInteger(magnitude) && magnitude >= 1 ? magnitude : index + 1;
+}
+
+/**
+ * Creates the partial list for a harmonic series
+ * @param {Array} series - Frequency ratios
+ * @param {Object} options - Model options
+ * @param {string} options.rolloff - Rolloff law id (see ROLLOFF_LAWS)
+ * @param {Object} options.overrides - Per-partial overrides by index ({ amplitude, phase, detune, envelope })
+ * @param {string} options.phaseMode - Phase mode id or legacy alias (see PHASE_MODES)
+ * @param {number} options.phaseSeed - Seed for the random phase mode
+ * @returns {Array} - Partials ({ ratio, amplitude, phase, detune, envelope })
+ */
+export function createPartials(series, { rolloff = 'inverse', overrides = {}, phaseMode = 'sine', phaseSeed = 1 } = {}) {
+  const law = (ROLLOFF_LAWS[rolloff] || ROLLOFF_LAWS.inverse).partial;
+
+  const partials = series.map((ratio, index) => {
+    const base = law(index + 1, harmonicNumber(ratio, index));
+    const override = (overrides && overrides[index]) || {};
+
+    return {
+      ratio,
+      amplitude: typeof override.amplitude === 'number' ? override.amplitude : base.amplitude,
+      phase: base.phase,
+      detune: typeof override.detune === 'number' ? override.detune : 0,
+      envelope: override.envelope && typeof override.envelope === 'object' ? { ...override.envelope } : null,
+      phaseOverride: typeof override.phase === 'number' ? override.phase : null
+    };
+  });
+
+  // Phase mode offsets depend on the final amplitudes (Schroeder)
+  const mode = PHASE_MODES[resolvePhaseMode(phaseMode)];
+  const offsets = mode.phases(partials.map(p => p.amplitude), phaseSeed);
+
+  return partials.map(({ phaseOverride, ...partial }, index) => ({
+    ...partial,
+    phase: phaseOverride !== null ? phaseOverride : wrapPhase(partial.phase + offsets[index])
+  }));
+}
+
+/**
+ * Wraps a phase into [0, 2*PI)
+ * @param {number} phase - Phase in radians
+ * @returns {number} - Wrapped phase
+ */
+function wrapPhase(phase) {
+  const turn = 2 * Math.PI;
+  return ((phase % turn) + turn) % turn;
+}
+
+/**
+ * Returns a copy of a partial override map with one partial changed
+ * @param {Object} overrides - Current overrides (partialOverrides param)
+ * @param {number} index - Partial index
+ * @param {Object|null} changes - Properties to set, or null to clear the override
+ * @returns {Object} - New overrides object (suitable for AppState.updateParam)
+ */
+export function withPartialOverride(overrides, index, changes) {
+  const next = { ...(overrides || {}) };
+
+  if (changes === null) {
+    delete next[index];
+  } else {
+    next[index] = { ...(next[index] || {}), ...changes };
+  }
+
+  return next;
+}
+
+/**
+ * Calculates the frequency of a partial
+ * @param {Object} partial - Partial
+ * @param {number} baseFrequency - Fundamental frequency in Hz
+ * @returns {number} - Frequency in Hz
+ */
+export function partialFrequency(partial, baseFrequency) {
+  return baseFrequency * partial.ratio * Math.pow(2, partial.detune / 1200);
+}
+
+/**
+ * Sums partials over one cycle of the fundamental.
+ * Self-contained so it can be injected into the waveform worker.
+ * @param {Array} partials - Partials ({ ratio, amplitude, phase, detune })
+ * @param {number} resolution - Number of points in the waveform
+ * @returns {Array} - Unnormalized waveform samples
+ */
+export function sumPartials(partials, resolution) {
+  const waveform = new Array(resolution).fill(0);
+  const timeStep = 2 * Math.PI / resolution;
+
+  for (let i = 0; i < partials.length; i++) {
+    const { ratio, amplitude, phase, detune } = partials[i];
+    if (amplitude === 0) continue;
+
+    const effectiveRatio = ratio * Math.pow(2, detune / 1200);
+
+    for (let t = 0; t < resolution; t++) {
+      waveform[t] += amplitude * Math.sin(timeStep * t * effectiveRatio + phase);
+    }
+  }
+
+  return waveform;
+}
+
+/**
+ * Calculates the crest factor (peak / RMS) of a waveform.
+ * Self-contained so it can be injected into the waveform worker.
+ * @param {Array} waveform - Waveform samples
+ * @returns {number} - Crest factor (0 for silence)
+ */
+export function crestFactor(waveform) {
+  let peak = 0;
+  let sumSquares = 0;
+  for (let i = 0; i < waveform.length; i++) {
+    peak = Math.max(peak, Math.abs(waveform[i]));
+    sumSquares += waveform[i] * waveform[i];
+  }
+  const rms = Math.sqrt(sumSquares / (waveform.length || 1));
+  return rms > 0 ? peak / rms : 0;
+}
+
+/**
+ * Normalizes a waveform in place to a peak of 1.
+ * Self-contained so it can be injected into the waveform worker.
+ * @param {Array} waveform - Waveform samples
+ * @returns {number} - Peak value before normalization
+ */
+export function normalizeWaveform(waveform) {
+  let max = 0;
+  for (let i = 0; i < waveform.length; i++) {
+    max = Math.max(max, Math.abs(waveform[i]));
+  }
+
+  if (max > 0) {
+    for (let i = 0; i < waveform.length; i++) {
+      waveform[i] /= max;
+    }
+  }
+
+  return max;
+}
+
+export default {
+  ROLLOFF_LAWS,
+  PHASE_MODES,
+  PHASE_ALIASES,
+  resolvePhaseMode,
+  randomPhases,
+  schroederPhases,
+  harmonicNumber,
+  createPartials,
+  withPartialOverride,
+  partialFrequency,
+  sumPartials,
+  crestFactor,
+  normalizeWaveform
+};
@@ -0,0 +1,341 @@
+/**
+ * Preset.js
+ *
+ * Preset format: a named harmonic configuration with a description, tags,
+ * an optional canvas thumbnail and the params that differ from the
+ * defaults. Applying a preset sets every preset param (the defaults plus
+ * the stored ones), so it sounds and looks the same wherever it is loaded.
+ * Colors, export, MIDI and runtime params are not part of presets (themes
+ * and devices are personal).
+ *
+ * Documents carry a version; older documents are brought up to date by
+ * PRESET_MIGRATIONS, starting with the raw getAllParams() dumps written by
+ * UIController.saveState (version 0). The factory pack covers the classic
+ * waveforms. PresetManager keeps the user's library.
+ *
+ * State documents (UIController.saveState / loadState) are the full-state
+ * counterpart: every param except the runtime ones, colors, theme and MIDI
+ * mappings included. They migrate the same way (STATE_MIGRATIONS), and
+ * loading one also accepts a preset document.
+ */
+
+import { AppConfig, checkParam } from '../config/app-config.js';
+
+// Format tags and current versions of preset and state documents
+export const PRESET_FORMAT = 'harmonic-explorer-preset';
+export const PRESET_VERSION = 1;
+export const STATE_FORMAT = 'harmonic-explorer-state';
+export const STATE_VERSION = 1;
+
+// Schema groups presets leave alone (runtime params are never part of them)
+const SKIPPED_GROUPS = ['colors', 'export', 'midi', 'system'];
+
+// Params a preset sets
+export const PRESET_PARAMS = Object.keys(AppConfig.schema)
+  .filter(param => !SKIPPED_GROUPS.includes(AppConfig.schema[param].group) && !AppConfig.schema[param].runtime);
+
+// Params a state document holds
+export const STATE_PARAMS = Object.keys(AppConfig.schema).filter(param => !AppConfig.schema[param].runtime);
+
+/**
+ * Upgrades from each version to the next (keyed by the version they upgrade from)
+ */
+export const PRESET_MIGRATIONS = {
+  // Raw param dumps (UIController.saveState before presets existed)
+  0: (params) => ({
+    format: PRESET_FORMAT,
+    version: 1,
+    name: 'Imported state',
+    description: '',
+    tags: [],
+    thumbnail: null,
+    params
+  })
+};
+
+/**
+ * Upgrades of state documents (keyed by the version they upgrade from)
+ */
+export const STATE_MIGRATIONS = {
+  // Raw param dumps (UIController.saveState before versioned files)
+  0: (params) => ({ format: STATE_FORMAT, version: 1, params })
+};
+
+/**
+ * Whether two param values are equal (objects and arrays by content)
+ * @param {any} a - Value
+ * @param {any} b - Value
+ * @returns {boolean} - Whether they are equal
+ */
+export function sameValue(a, b) {
+  if (a === b) return true;
+  return typeof a === 'object' && typeof b === 'object' && a !== null && b !== null &&
+    JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Normalizes tags: lower case, trimmed, without duplicates
+ * @param {Array|string} tags - Tags, or a comma separated string
+ * @returns {Array} - Tags
+ */
+export function normalizeTags(tags) {
+  const list = typeof tags === 'string' ? tags.split(',') : (Array.isArray(tags) ? tags : []);
+  return [...new Set(list
+    .filter(tag => typeof tag === 'string')
+    .map(tag => tag.trim().toLowerCase())
+    .filter(tag => tag.length > 0))];
+}
+
+/**
+ * Preset params of a param set that differ from the defaults
+ * @param {Object} params - Params (e.g. AppState.getAllParams())
+ * @returns {Object} - Non-default preset params (valid values only)
+ */
+export function presetParamValues(params) {
+  const values = {};
+  PRESET_PARAMS.forEach(param => {
+    if (!(param in params)) return;
+
+    const result = checkParam(param, params[param]);
+    if (result.valid && !sameValue(result.value, AppConfig.defaults[param])) {
+      values[param] = structuredClone(result.value);
+    }
+  });
+  return values;
+}
+
+/**
+ * Creates a preset of a param set
+ * @param {Object} params - Params (e.g. AppState.getAllParams())
+ * @param {Object} info - Preset details
+ * @param {string} info.name - Name
+ * @param {string} info.description - Description
+ * @param {Array|string} info.tags - Tags
+ * @param {string|null} info.thumbnail - Thumbnail image (data URL)
+ * @param {string} info.id - Id (generated from the name by default)
+ * @returns {Object} - Preset
+ */
+export function createPreset(params, { name, description = '', tags = [], thumbnail = null, id } = {}) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    throw new TypeError('Preset names must be non-empty strings');
+  }
+
+  const now = Date.now();
+  return {
+    id: id || createPresetId(name),
+    name: name.trim(),
+    description: String(description).trim(),
+    tags: normalizeTags(tags),
+    thumbnail,
+    params: presetParamValues(params),
+    created: now,
+    modified: now
+  };
+}
+
+/**
+ * Unique id for a preset name
+ * @param {string} name - Preset name
+ * @returns {string} - Id (name slug and creation time)
+ */
+export function createPresetId(name) {
+  const slug = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'preset';
+  return `${slug}-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Params applying a preset: every preset param, stored value or default
+ * @param {Object} preset - Preset
+ * @returns {Object} - Params for AppState.updateMultipleParams
+ */
+export function presetToParams(preset) {
+  return Object.fromEntries(PRESET_PARAMS.map(param => [
+    param,
+    structuredClone(param in preset.params ? preset.params[param] : AppConfig.defaults[param])
+  ]));
+}
+
+/**
+ * Brings a document to the current version of its format
+ * @param {Object} data - Document, or a raw param dump (version 0)
+ * @param {Object} kind - { name, format, version, migrations }
+ * @returns {Object} - Document of the current version
+ */
+function migrateDocument(data, { name, format, version: current, migrations }) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new SyntaxError(`${name} documents must be JSON objects`);
+  }
+
+  let doc = data;
+  let version = data.format === format ? data.version : (data.format === undefined ? 0 : null);
+  if (version === null) {
+    throw new SyntaxError(`${name} file needs "format": "${format}"`);
+  }
+  if (!Number.isInteger(version) || version > current) {
+    throw new SyntaxError(`Unsupported ${name.toLowerCase()} version ${version}`);
+  }
+
+  while (version < current) {
+    doc = migrations[version](doc);
+    version = doc.version;
+  }
+  return doc;
+}
+
+/**
+ * Brings a preset document to the current version
+ * @param {Object} data - Preset document or raw param dump
+ * @returns {Object} - Document of PRESET_VERSION
+ */
+export function migratePreset(data) {
+  return migrateDocument(data, {
+    name: 'Preset', format: PRESET_FORMAT, version: PRESET_VERSION, migrations: PRESET_MIGRATIONS
+  });
+}
+
+/**
+ * Reads a preset document of any supported version
+ * @param {Object} data - Preset document or raw param dump
+ * @returns {Object} - Preset (unknown params and invalid values are dropped)
+ */
+export function readPreset(data) {
+  const doc = migratePreset(data);
+  if (typeof doc.name !== 'string' || doc.name.trim() === '') {
+    throw new SyntaxError('Presets need a name');
+  }
+  if (!doc.params || typeof doc.params !== 'object') {
+    throw new SyntaxError(`Preset "${doc.name}" has no params`);
+  }
+
+  const preset = createPreset(doc.params, {
+    name: doc.name,
+    description: typeof doc.description === 'string' ? doc.description : '',
+    tags: doc.tags,
+    thumbnail: typeof doc.thumbnail === 'string' && doc.thumbnail.startsWith('data:image/') ? doc.thumbnail : null,
+    id: typeof doc.id === 'string' && doc.id ? doc.id : undefined
+  });
+  if (Number.isFinite(doc.created)) preset.created = doc.created;
+  if (Number.isFinite(doc.modified)) preset.modified = doc.modified;
+  return preset;
+}
+
+/**
+ * Serializes a preset for download or storage
+ * @param {Object} preset - Preset
+ * @returns {string} - JSON document
+ */
+export function exportPreset({ id, name, description, tags, thumbnail, params, created, modified }) {
+  return JSON.stringify({
+    format: PRESET_FORMAT, version: PRESET_VERSION, id, name, description, tags, thumbnail, params, created, modified
+  }, null, 2);
+}
+
+/**
+ * Parses an exported preset (or a raw state dump)
+ * @param {string} text - JSON document
+ * @returns {Object} - Preset
+ */
+export function parsePreset(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new SyntaxError(`Preset file is not valid JSON: ${e.message}`);
+  }
+  return readPreset(data);
+}
+
+/**
+ * Serializes a full state for download
+ * @param {Object} params - Params (e.g. AppState.getAllParams())
+ * @returns {string} - JSON document
+ */
+export function exportState(params) {
+  const values = {};
+  STATE_PARAMS.forEach(param => {
+    if (param in params) values[param] = params[param];
+  });
+  return JSON.stringify({ format: STATE_FORMAT, version: STATE_VERSION, params: values }, null, 2);
+}
+
+/**
+ * Reads a state document of any supported version (or a preset document)
+ * @param {Object} data - State document, raw param dump or preset document
+ * @returns {Object} - Params for AppState.updateMultipleParams: every state
+ *   param, stored value or default (presets set their own params only)
+ */
+export function readState(data) {
+  if (data && data.format === PRESET_FORMAT) {
+    return presetToParams(readPreset(data));
+  }
+
+  const doc = migrateDocument(data, {
+    name: 'State', format: STATE_FORMAT, version: STATE_VERSION, migrations: STATE_MIGRATIONS
+  });
+  if (!doc.params || typeof doc.params !== 'object') {
+    throw new SyntaxError('State file has no params');
+  }
+
+  // Unknown params are dropped, invalid values fall back to the default
+  return Object.fromEntries(STATE_PARAMS.map(param => {
+    const result = param in doc.params ? checkParam(param, doc.params[param]) : { valid: false };
+    return [param, structuredClone(result.valid ? result.value : AppConfig.defaults[param])];
+  }));
+}
+
+/**
+ * Parses a saved state file
+ * @param {string} text - JSON document (see exportState)
+ * @returns {Object} - Params (see readState)
+ */
+export function parseState(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new SyntaxError(`State file is not valid JSON: ${e.message}`);
+  }
+  return readState(data);
+}
+
+/**
+ * Factory pack (read-only, always listed before the user's presets)
+ */
+export const FACTORY_PRESETS = Object.freeze([
+  {
+    id: 'factory:saw',
+    name: 'Saw',
+    description: 'Sawtooth: every harmonic at 1/n with alternating sign.',
+    tags: ['classic', 'waveform'],
+    params: { harmonics: 32, partialRolloff: 'sawtooth' }
+  },
+  {
+    id: 'factory:square',
+    name: 'Square',
+    description: 'Square wave: odd harmonics only, at 1/n.',
+    tags: ['classic', 'waveform'],
+    params: { harmonics: 32, partialRolloff: 'square' }
+  },
+  {
+    id: 'factory:bell',
+    name: 'Bell',
+    description: 'Strongly stretched partials with a sharp attack and a long ring.',
+    tags: ['inharmonic', 'percussive'],
+    params: {
+      harmonics: 12,
+      harmonicsType: 'stretched',
+      harmonicsTypeParams: { inharmonicity: 0.01 },
+      envelopeAttack: 0,
+      envelopeDecay: 3,
+      envelopeSustain: 0,
+      envelopeRelease: 3
+    }
+  },
+  {
+    id: 'factory:prime-cluster',
+    name: 'Prime cluster',
+    description: 'Partials on the prime harmonics at equal level, with Schroeder phases for a flat envelope.',
+    tags: ['cluster', 'experimental'],
+    params: { harmonics: 12, harmonicsType: 'numPrime', partialRolloff: 'flat', harmonicsPhase: 'schroeder' }
+  }
+].map(preset => Object.freeze({ ...preset, thumbnail: null, created: 0, modified: 0, factory: true })));
@@ -0,0 +1,335 @@
+/**
+ * PresetManager.js
+ *
+ * The preset library (see Preset.js): the factory pack plus the user's
+ * presets, kept in localStorage. Saving captures the current params and a
+ * thumbnail of the canvas; applying sets the preset params in one
+ * updateMultipleParams call, so it is one undo step. Stored presets of
+ * older versions are migrated on load.
+ *
+ * The UI talks to the manager through `preset.apply` ({ id }),
+ * `preset.save` ({ name, description, tags }), `preset.delete` ({ id }),
+ * `preset.export` ({ id }, answered with `preset.exported` ({ id, name,
+ * json })) and `preset.import` ({ text }). `presets.changed` ({ presets,
+ * tags }) follows every change of the library and answers `preset.list`.
+ */
+
+import { AppConfig } from '../config/app-config.js';
+import {
+  FACTORY_PRESETS, createPreset, createPresetId, readPreset, presetToParams, exportPreset, parsePreset, sameValue
+} from './Preset.js';
+
+/**
+ * Offers a preset JSON document for download (browser only)
+ * @param {string} json - Preset document (see exportPreset)
+ * @param {string} filename - Download file name
+ */
+export function downloadPreset(json, filename = 'harmonic-explorer-preset.json') {
+  const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+
+  const link = document.createElement('a');
+  link.download = filename;
+  link.href = url;
+  link.click();
+
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Renders canvases (bottom first) into a small JPEG
+ * @param {Array} surfaces - Canvases of the same size, e.g. stacked layers
+ * @param {Object} options - Options
+ * @param {number} options.width - Thumbnail width
+ * @param {number} options.height - Thumbnail height
+ * @param {string} options.background - Color under transparent areas
+ * @param {number} options.quality - JPEG quality (0-1)
+ * @returns {string|null} - Data URL, null without a DOM or canvases
+ */
+export function renderThumbnail(surfaces, { width, height, background = '#000000', quality = 0.7 }) {
+  if (typeof document === 'undefined' || surfaces.length === 0) return null;
+
+  const thumbnail = document.createElement('canvas');
+  thumbnail.width = width;
+  thumbnail.height = height;
+  const ctx = thumbnail.getContext('2d');
+  if (!ctx) return null;
+
+  // Cover the thumbnail with the middle of the picture
+  const { width: sourceWidth, height: sourceHeight } = surfaces[0];
+  const scale = Math.max(width / sourceWidth, height / sourceHeight);
+  const cropWidth = width / scale;
+  const cropHeight = height / scale;
+  const x = (sourceWidth - cropWidth) / 2;
+  const y = (sourceHeight - cropHeight) / 2;
+
+  ctx.fillStyle = background;
+  ctx.fillRect(0, 0, width, height);
+  surfaces.forEach(surface => {
+    ctx.drawImage(surface, x, y, cropWidth, cropHeight, 0, 0, width, height);
+  });
+
+  return thumbnail.toDataURL('image/jpeg', quality);
+}
+
+export default class PresetManager {
+  /**
+   * @param {Object} eventGear - EventGear instance
+   * @param {AppState} appState - Application state
+   * @param {Object} options - Options
+   * @param {Storage} options.storage - Web Storage for the library (localStorage by default, null to not persist)
+   * @param {string} options.key - Storage key
+   * @param {HTMLCanvasElement} options.canvas - Visualization canvas (thumbnails)
+   * @param {GeometryRenderer} options.renderer - Renderer of the canvas (thumbnails of stacked layers)
+   */
+  constructor(eventGear, appState, {
+    storage = globalThis.localStorage ?? null,
+    key = AppConfig.presets.storageKey,
+    canvas = null,
+    renderer = null
+  } = {}) {
+    this.eventGear = eventGear;
+    this.appState = appState;
+    this.storage = storage;
+    this.key = key;
+    this.canvas = canvas;
+    this.renderer = renderer;
+
+    // User presets by id, in saving order
+    this.presets = new Map();
+    this.load();
+
+    // Register event listeners
+    this.registerEvents();
+  }
+
+  /**
+   * Registers event listeners
+   */
+  registerEvents() {
+    // Library commands (emitted by UIControllerSimple)
+    this.eventGear.on('preset.list', () => this.emitChanged());
+    this.eventGear.on('preset.apply', (data) => {
+      try {
+        this.apply(data.id);
+      } catch (error) {
+        console.error('Error applying preset:', error);
+      }
+    });
+    this.eventGear.on('preset.save', (data) => {
+      try {
+        this.save(data);
+      } catch (error) {
+        console.error('Error saving preset:', error);
+      }
+    });
+    this.eventGear.on('preset.delete', (data) => {
+      try {
+        this.remove(data.id);
+      } catch (error) {
+        console.error('Error deleting preset:', error);
+      }
+    });
+    this.eventGear.on('preset.export', (data) => {
+      const preset = this.get(data.id);
+      if (preset) {
+        this.eventGear.emit('preset.exported', { id: preset.id, name: preset.name, json: exportPreset(preset) });
+      }
+    });
+    this.eventGear.on('preset.import', (data) => {
+      try {
+        this.import(data.text);
+      } catch (error) {
+        console.error('Error importing preset:', error);
+      }
+    });
+  }
+
+  /**
+   * Loads the user's presets from storage (unreadable ones are skipped)
+   */
+  load() {
+    this.presets.clear();
+    if (!this.storage) return;
+
+    let stored;
+    try {
+      stored = JSON.parse(this.storage.getItem(this.key) || '[]');
+    } catch (error) {
+      console.warn('Ignoring stored presets:', error.message);
+      return;
+    }
+    if (!Array.isArray(stored)) return;
+
+    stored.forEach(data => {
+      try {
+        const preset = readPreset(data);
+        this.presets.set(preset.id, preset);
+      } catch (error) {
+        console.warn('Skipping stored preset:', error.message);
+      }
+    });
+  }
+
+  /**
+   * Writes the user's presets to storage
+   * @returns {boolean} - Whether they were saved
+   */
+  persist() {
+    if (!this.storage) return false;
+
+    try {
+      this.storage.setItem(this.key, `[${Array.from(this.presets.values()).map(exportPreset).join(',')}]`);
+      return true;
+    } catch (error) {
+      // Quota exceeded (thumbnails) or storage disabled
+      console.warn('Could not save the presets:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Factory and user presets
+   * @param {string} tag - Only presets with this tag (all by default)
+   * @returns {Array} - Presets, factory pack first
+   */
+  list(tag = null) {
+    const presets = [...FACTORY_PRESETS, ...this.presets.values()];
+    return tag ? presets.filter(preset => preset.tags.includes(tag)) : presets;
+  }
+
+  /**
+   * Tags used by any preset
+   * @returns {Array} - Sorted tags
+   */
+  tags() {
+    return [...new Set(this.list().flatMap(preset => preset.tags))].sort();
+  }
+
+  /**
+   * Finds a preset
+   * @param {string} id - Preset id
+   * @returns {Object|undefined} - Preset
+   */
+  get(id) {
+    return FACTORY_PRESETS.find(preset => preset.id === id) || this.presets.get(id);
+  }
+
+  /**
+   * Applies a preset (one undo step)
+   * @param {string} id - Preset id
+   * @returns {Object} - Applied preset
+   */
+  apply(id) {
+    const preset = this.get(id);
+    if (!preset) {
+      throw new TypeError(`Unknown preset "${id}"`);
+    }
+
+    // Unchanged params stay out of the batch (objects compare by content)
+    const params = Object.fromEntries(Object.entries(presetToParams(preset))
+      .filter(([param, value]) => !sameValue(this.appState.getParam(param), value)));
+    this.appState.updateMultipleParams(params);
+
+    this.eventGear.emit('preset.applied', { id: preset.id, name: preset.name });
+    return preset;
+  }
+
+  /**
+   * Saves the current params as a user preset; a user preset with the same
+   * name is replaced (keeping its id and creation time)
+   * @param {Object} info - { name, description, tags }
+   * @returns {Object} - Saved preset
+   */
+  save({ name, description = '', tags = [] }) {
+    const existing = Array.from(this.presets.values()).find(preset => preset.name === String(name).trim());
+    const preset = createPreset(this.appState.getAllParams(), {
+      name,
+      description,
+      tags,
+      thumbnail: this.captureThumbnail(),
+      id: existing ? existing.id : undefined
+    });
+    if (existing) {
+      preset.created = existing.created;
+    }
+
+    return this.store(preset);
+  }
+
+  /**
+   * Adds a preset file to the library (under a new id when the id is taken)
+   * @param {string} text - JSON document (see exportPreset)
+   * @returns {Object} - Stored preset
+   */
+  import(text) {
+    const preset = parsePreset(text);
+    if (this.get(preset.id)) {
+      preset.id = createPresetId(preset.name);
+    }
+
+    return this.store(preset);
+  }
+
+  /**
+   * Adds or replaces a user preset and saves the library
+   * @param {Object} preset - Preset
+   * @returns {Object} - Preset
+   */
+  store(preset) {
+    this.presets.set(preset.id, preset);
+    this.persist();
+    this.emitChanged();
+    return preset;
+  }
+
+  /**
+   * Deletes a user preset
+   * @param {string} id - Preset id
+   * @returns {boolean} - Whether it existed
+   */
+  remove(id) {
+    if (FACTORY_PRESETS.some(preset => preset.id === id)) {
+      throw new TypeError(`Factory preset "${id}" cannot be deleted`);
+    }
+    if (!this.presets.delete(id)) return false;
+
+    this.persist();
+    this.emitChanged();
+    return true;
+  }
+
+  /**
+   * Announces a change of the library
+   */
+  emitChanged() {
+    this.eventGear.emit('presets.changed', { presets: this.list(), tags: this.tags() });
+  }
+
+  /**
+   * Thumbnail of the current picture
+   * @returns {string|null} - Data URL, null without a canvas
+   */
+  captureThumbnail() {
+    if (!this.canvas) return null;
+
+    const surfaces = this.renderer ? this.renderer.layers.surfaces() : [this.canvas];
+    const { thumbnailWidth: width, thumbnailHeight: height, thumbnailQuality: quality } = AppConfig.presets;
+    try {
+      return renderThumbnail(surfaces, { width, height, quality, background: this.appState.getParam('backgroundColor') });
+    } catch (error) {
+      // e.g. a lost WebGL context
+      console.warn('Could not render a preset thumbnail:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Cleans up resources when the module is no longer needed
+   */
+  dispose() {
+    // EventGear listeners are managed by EventGear itself
+    this.presets.clear();
+
+    console.log('PresetManager disposed');
+  }
+}
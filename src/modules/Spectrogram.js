@@ -0,0 +1,233 @@
+/**
+ * Spectrogram.js
+ *
+ * Building blocks of the spectrogram (waterfall) view: spectrum frames
+ * reduced to frequency bands on the spectrum axis (log or linear), a ring
+ * buffer keeping the recent frames, and the color maps the bands are drawn
+ * with. Frames come from the synthesized partials (partialsFrame) or an
+ * AnalyserNode spectrum (binsFrame). No DOM; SpectrogramRecorder feeds the
+ * buffer and GeometryRenderer draws it.
+ */
+
+import { frequencyToPosition, positionToFrequency } from './SpectrumAnalyzer.js';
+import { partialFrequency } from './PartialModel.js';
+import { rampColor } from './Theme.js';
+
+// Frame sources
+export const SPECTROGRAM_SOURCES = ['partials', 'analyser'];
+
+// Color maps: evenly spaced stops from silence to full level
+export const COLOR_MAPS = {
+  viridis: ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725'],
+  magma: ['#000004', '#51127c', '#b73779', '#fc8961', '#fcfdbf'],
+  inferno: ['#000004', '#57106e', '#bc3754', '#f98e09', '#fcffa4'],
+  gray: ['#000000', '#ffffff']
+};
+
+// Level of empty bands (matches SpectrumAnalyzer's silence floor)
+const SILENCE_DB = -200;
+
+/**
+ * Color of a level in a color map
+ * @param {string} map - Color map name (see COLOR_MAPS)
+ * @param {number} level - Level (0-1, clamped)
+ * @returns {string} - Hex color (#rrggbb)
+ */
+export function colorAt(map, level) {
+  const stops = COLOR_MAPS[map];
+  if (!stops) {
+    throw new TypeError(`Unknown color map "${map}"`);
+  }
+  return rampColor(stops, level);
+}
+
+/**
+ * Samples a color map into a lookup table
+ * @param {string} map - Color map name (see COLOR_MAPS)
+ * @param {number} size - Number of colors (>= 2)
+ * @returns {Array} - Hex colors from level 0 to level 1
+ */
+export function colorPalette(map, size = 64) {
+  return Array.from({ length: size }, (_, i) => colorAt(map, i / (size - 1)));
+}
+
+/**
+ * Band of a frequency
+ * @param {number} frequency - Frequency in Hz
+ * @param {Object} axis - Axis options ({ bands, scale, minFrequency, maxFrequency })
+ * @returns {number} - Band index, -1 outside the range
+ */
+function bandOf(frequency, axis) {
+  const position = frequencyToPosition(frequency, axis);
+  if (!(position >= 0 && position < 1)) return -1;
+  return Math.floor(position * axis.bands);
+}
+
+/**
+ * Spectrum frame of the synthesized partials
+ * @param {Array} partials - Partials ({ ratio, amplitude, detune })
+ * @param {number} baseFrequency - Fundamental in Hz
+ * @param {Object} axis - Axis options ({ bands, scale, minFrequency, maxFrequency })
+ * @returns {Float32Array} - Band levels in dB relative to the strongest partial
+ *   (partials sharing a band add up in power)
+ */
+export function partialsFrame(partials, baseFrequency, axis) {
+  const power = new Float64Array(axis.bands);
+  const peak = partials.reduce((max, partial) => Math.max(max, Math.abs(partial.amplitude)), 0);
+
+  if (peak > 0) {
+    partials.forEach(partial => {
+      const band = bandOf(partialFrequency(partial, baseFrequency), axis);
+      if (band < 0) return;
+
+      const amplitude = partial.amplitude / peak;
+      power[band] += amplitude * amplitude;
+    });
+  }
+
+  const frame = new Float32Array(axis.bands);
+  for (let i = 0; i < frame.length; i++) {
+    frame[i] = power[i] > 0 ? Math.max(SILENCE_DB, 10 * Math.log10(power[i])) : SILENCE_DB;
+  }
+  return frame;
+}
+
+/**
+ * Spectrum frame of analyser bins
+ * @param {Float32Array} bins - Spectrum in dB (AnalyserNode layout, bin k at k * sampleRate / (2 * bins.length))
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} axis - Axis options ({ bands, scale, minFrequency, maxFrequency })
+ * @returns {Float32Array} - Band levels in dB (strongest bin per band; bands
+ *   narrower than a bin are interpolated)
+ */
+export function binsFrame(bins, sampleRate, axis) {
+  const frame = new Float32Array(axis.bands).fill(-Infinity);
+  const binWidth = sampleRate / (2 * bins.length);
+
+  for (let k = 1; k < bins.length; k++) {
+    const band = bandOf(k * binWidth, axis);
+    if (band >= 0 && bins[k] > frame[band]) frame[band] = bins[k];
+  }
+
+  for (let i = 0; i < frame.length; i++) {
+    if (frame[i] !== -Infinity) continue;
+
+    const position = positionToFrequency((i + 0.5) / axis.bands, axis) / binWidth;
+    const k = Math.min(bins.length - 2, Math.floor(position));
+    const t = Math.min(1, position - k);
+    frame[i] = k < 0 ? SILENCE_DB : bins[k] + (bins[k + 1] - bins[k]) * t;
+  }
+  return frame;
+}
+
+/**
+ * Fixed-size ring buffer of spectrum frames ({ time, ... }, oldest dropped)
+ */
+export class SpectrogramBuffer {
+  /**
+   * @param {number} capacity - Maximum number of frames
+   */
+  constructor(capacity) {
+    if (!Number.isInteger(capacity) || capacity < 1) {
+      throw new TypeError('Spectrogram capacity must be a positive integer');
+    }
+
+    this.capacity = capacity;
+    this.items = new Array(capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+
+  /**
+   * Appends a frame, overwriting the oldest when full
+   * @param {Object} frame - Frame ({ time, bands, ... })
+   */
+  push(frame) {
+    this.items[(this.start + this.length) % this.capacity] = frame;
+    if (this.length < this.capacity) {
+      this.length++;
+    } else {
+      this.start = (this.start + 1) % this.capacity;
+    }
+  }
+
+  /**
+   * Frame by age order
+   * @param {number} index - 0 = oldest
+   * @returns {Object|undefined} - Frame
+   */
+  at(index) {
+    if (index < 0 || index >= this.length) return undefined;
+    return this.items[(this.start + index) % this.capacity];
+  }
+
+  /**
+   * Newest frame
+   * @returns {Object|undefined} - Frame
+   */
+  latest() {
+    return this.at(this.length - 1);
+  }
+
+  /**
+   * Frames recorded at or after a time, oldest first
+   * @param {number} since - Time (ms)
+   * @returns {Array} - Frames
+   */
+  frames(since = -Infinity) {
+    const frames = [];
+    for (let i = 0; i < this.length; i++) {
+      const frame = this.at(i);
+      if (frame.time >= since) frames.push(frame);
+    }
+    return frames;
+  }
+
+  /**
+   * Frame showing a point in time (the last one recorded at or before it)
+   * @param {number} time - Time (ms)
+   * @returns {Object|null} - Frame, null before the first frame
+   */
+  frameAt(time) {
+    for (let i = this.length - 1; i >= 0; i--) {
+      const frame = this.at(i);
+      if (frame.time <= time) return frame;
+    }
+    return null;
+  }
+
+  /**
+   * Drops all frames
+   */
+  clear() {
+    this.items = new Array(this.capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+}
+
+/**
+ * Time span of the view: the window ending one frame interval after the newest frame
+ * @param {SpectrogramBuffer} buffer - Recorded frames
+ * @param {number} window - Window length (s)
+ * @param {number} interval - Frame interval (ms)
+ * @returns {Object|null} - { start, end } in ms, null without frames
+ */
+export function timeRange(buffer, window, interval) {
+  const latest = buffer.latest();
+  if (!latest) return null;
+
+  const end = latest.time + interval;
+  return { start: end - window * 1000, end };
+}
+
+export default {
+  SPECTROGRAM_SOURCES,
+  COLOR_MAPS,
+  colorAt,
+  colorPalette,
+  partialsFrame,
+  binsFrame,
+  SpectrogramBuffer,
+  timeRange
+};
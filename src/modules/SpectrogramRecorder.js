@@ -0,0 +1,184 @@
+/**
+ * SpectrogramRecorder.js
+ *
+ * Records spectrum frames into a ring buffer for the spectrogram view:
+ * from the synthesized partials on animation frames, or from the
+ * AnalyserNode analyses emitted by SpectrumAnalyzer, while the spectrogram
+ * view is shown (other views cost nothing). Every frame keeps the
+ * AppState snapshot that produced it; selecting a column restores that
+ * snapshot through AppState.restoreState, so it is one undo step in the
+ * state history.
+ */
+
+import { AppConfig } from '../config/app-config.js';
+import { RUNTIME_PARAMS } from '../config/param-schema.js';
+import { partialsFrame, binsFrame, SpectrogramBuffer, timeRange } from './Spectrogram.js';
+import { THEME_COLOR_PARAMS } from './Theme.js';
+
+export default class SpectrogramRecorder {
+  constructor(eventGear, appState) {
+    this.eventGear = eventGear;
+    this.appState = appState;
+
+    // Enough frames for the longest time window
+    const { interval, maxWindow } = AppConfig.spectrogram;
+    this.buffer = new SpectrogramBuffer(Math.ceil((maxWindow * 1000) / interval));
+    this.lastFrameTime = -Infinity;
+
+    // Params of the frames being recorded (shared until a parameter changes)
+    this.snapshot = null;
+
+    // GeometryRenderer reads the frames from the cache
+    this.appState.setCachedData('spectrogram', this.buffer);
+
+    // Register event listeners
+    this.registerEvents();
+  }
+
+  /**
+   * Registers event listeners
+   */
+  registerEvents() {
+    // Synthesized frames at most every interval ms
+    this.eventGear.on('animation.frame', (data) => {
+      if (!this.isRecording('partials')) return;
+      this.recordPartials(data.timestamp);
+    });
+
+    // Analyser frames as SpectrumAnalyzer delivers them
+    this.eventGear.on('spectrum.updated', (data) => {
+      if (!this.isRecording('analyser')) return;
+      this.recordBins(data.bins, data.sampleRate, performance.now());
+    });
+
+    this.eventGear.on('state.changed', ({ changedParams }) => {
+      this.snapshot = null;
+
+      // Frames from another source or axis do not line up with new ones
+      if (changedParams.includes('spectrogramSource') || changedParams.includes('spectrumScale')) {
+        this.buffer.clear();
+        this.lastFrameTime = -Infinity;
+      }
+    });
+
+    // Seeking back in time would interleave frames (the buffer is time-ordered)
+    this.eventGear.on('clock.changed', (data) => {
+      if (data.reason === 'seek' && data.delta < 0) {
+        this.buffer.clear();
+        this.lastFrameTime = -Infinity;
+      }
+    });
+
+    // Column clicks (emitted by UIControllerSimple)
+    this.eventGear.on('spectrogram.select', (data) => {
+      this.select(data.position);
+    });
+  }
+
+  /**
+   * Whether frames of a source are recorded (only while the spectrogram is shown)
+   * @param {string} source - Frame source (see SPECTROGRAM_SOURCES)
+   * @returns {boolean} - Whether the view shows the source
+   */
+  isRecording(source) {
+    return this.appState.getParam('visualizationMode') === 'spectrogram'
+      && this.appState.getParam('spectrogramSource') === source;
+  }
+
+  /**
+   * Frequency axis of the frames (the spectrum overlay's axis)
+   * @returns {Object} - { bands, scale, minFrequency, maxFrequency }
+   */
+  getAxis() {
+    const { minFrequency, maxFrequency } = AppConfig.spectrum;
+    return {
+      bands: AppConfig.spectrogram.bands,
+      scale: this.appState.getParam('spectrumScale'),
+      minFrequency,
+      maxFrequency
+    };
+  }
+
+  /**
+   * Records a frame of the synthesized partials
+   * @param {number} time - Frame time (ms)
+   * @returns {Object|null} - Recorded frame, null when too soon after the last one
+   */
+  recordPartials(time) {
+    if (time - this.lastFrameTime < AppConfig.spectrogram.interval) return null;
+
+    const partials = this.appState.getCachedData('partials') || [];
+    const bands = partialsFrame(partials, this.appState.getParam('calcFrequency'), this.getAxis());
+    return this.record(bands, 'partials', time);
+  }
+
+  /**
+   * Records a frame of analyser bins
+   * @param {Float32Array} bins - Spectrum in dB
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {number} time - Frame time (ms)
+   * @returns {Object|null} - Recorded frame, null when too soon after the last one
+   */
+  recordBins(bins, sampleRate, time) {
+    if (time - this.lastFrameTime < AppConfig.spectrogram.interval) return null;
+
+    return this.record(binsFrame(bins, sampleRate, this.getAxis()), 'analyser', time);
+  }
+
+  /**
+   * Appends a frame with the current state snapshot
+   * @param {Float32Array} bands - Band levels in dB
+   * @param {string} source - Frame source (see SPECTROGRAM_SOURCES)
+   * @param {number} time - Frame time (ms)
+   * @returns {Object} - Frame ({ time, bands, source, state })
+   */
+  record(bands, source, time) {
+    if (!this.snapshot) {
+      this.snapshot = this.appState.getAllParams();
+      SpectrogramRecorder.VIEW_PARAMS.forEach(param => {
+        delete this.snapshot[param];
+      });
+    }
+
+    const frame = { time, bands, source, state: this.snapshot };
+    this.buffer.push(frame);
+    this.lastFrameTime = time;
+
+    this.eventGear.emit('spectrogram.frame', { time, source });
+    return frame;
+  }
+
+  /**
+   * Restores the state of the column at a horizontal position of the view
+   * @param {number} position - Position across the view (0 = oldest, 1 = newest)
+   * @returns {boolean} - Whether the state changed
+   */
+  select(position) {
+    const range = timeRange(this.buffer, this.appState.getParam('spectrogramWindow'), AppConfig.spectrogram.interval);
+    if (!range) return false;
+
+    const frame = this.buffer.frameAt(range.start + position * (range.end - range.start));
+    if (!frame) return false;
+
+    const restored = this.appState.restoreState(frame.state);
+    this.eventGear.emit('spectrogram.selected', { time: frame.time, restored });
+    return restored;
+  }
+
+  /**
+   * Cleans up resources when the module is no longer needed
+   */
+  dispose() {
+    this.buffer.clear();
+
+    console.log('SpectrogramRecorder disposed');
+  }
+}
+
+// Params a column does not restore (the view itself, its theme and the runtime params)
+SpectrogramRecorder.VIEW_PARAMS = [
+  'visualizationMode', 'spectrogramSource', 'spectrogramColorMap', 'spectrogramWindow',
+  'spectrumScale', 'spectrumMinDb', 'spectrumMaxDb',
+  'theme', ...THEME_COLOR_PARAMS, 'waveGradient', 'partialRamp',
+  ...RUNTIME_PARAMS
+];
@@ -0,0 +1,334 @@
+/**
+ * SpectrumAnalyzer.js
+ *
+ * Spectrum analysis of the synthesized sound. An AnalyserNode taps
+ * AudioSynthesis.mainGain; detected peaks are labelled with the harmonic
+ * number of the partial they match, so the output can be checked against
+ * the theoretical series. Results are emitted as `spectrum.updated` for
+ * GeometryRenderer's overlay. The analysis functions are pure and also run
+ * on rendered sample buffers (analyzeSamples), e.g. under Node.
+ */
+
+import { AppConfig } from '../config/app-config.js';
+import { harmonicNumber, partialFrequency } from './PartialModel.js';
+
+// Frequency axis scales
+export const SPECTRUM_SCALES = ['log', 'linear'];
+
+// Floor for silent bins (matches AnalyserNode's -Infinity replacement)
+const SILENCE_DB = -200;
+
+/**
+ * In-place radix-2 FFT
+ * @param {Float64Array} re - Real parts (length must be a power of two)
+ * @param {Float64Array} im - Imaginary parts
+ */
+export function fft(re, im) {
+  const n = re.length;
+  if (n & (n - 1)) {
+    throw new TypeError(`FFT size must be a power of two, got ${n}`);
+  }
+
+  // Bit reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const step = -2 * Math.PI / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        const cos = Math.cos(step * k);
+        const sin = Math.sin(step * k);
+        const a = start + k;
+        const b = a + size / 2;
+        const tre = re[b] * cos - im[b] * sin;
+        const tim = re[b] * sin + im[b] * cos;
+        re[b] = re[a] - tre;
+        im[b] = im[a] - tim;
+        re[a] += tre;
+        im[a] += tim;
+      }
+    }
+  }
+}
+
+/**
+ * Magnitude spectrum in dB, windowed and scaled like AnalyserNode
+ * (Blackman window, magnitude / fftSize)
+ * @param {Float32Array|Array} samples - Time-domain samples (the last fftSize are used)
+ * @param {number} fftSize - FFT size (power of two)
+ * @returns {Float32Array} - fftSize / 2 bins in dB
+ */
+export function computeSpectrum(samples, fftSize = 8192) {
+  const re = new Float64Array(fftSize);
+  const im = new Float64Array(fftSize);
+  const offset = Math.max(0, samples.length - fftSize);
+  const alpha = 0.16;
+
+  for (let i = 0; i < fftSize && offset + i < samples.length; i++) {
+    const x = i / fftSize;
+    const window = (1 - alpha) / 2 - 0.5 * Math.cos(2 * Math.PI * x) + (alpha / 2) * Math.cos(4 * Math.PI * x);
+    re[i] = samples[offset + i] * window;
+  }
+
+  fft(re, im);
+
+  const bins = new Float32Array(fftSize / 2);
+  for (let k = 0; k < bins.length; k++) {
+    const magnitude = Math.hypot(re[k], im[k]) / fftSize;
+    bins[k] = magnitude > 0 ? Math.max(SILENCE_DB, 20 * Math.log10(magnitude)) : SILENCE_DB;
+  }
+  return bins;
+}
+
+/**
+ * Finds spectral peaks (local maxima) with parabolic frequency interpolation
+ * @param {Float32Array} bins - Spectrum in dB
+ * @param {Object} options - Detection options
+ * @param {number} options.sampleRate - Sample rate in Hz
+ * @param {number} options.threshold - Absolute threshold in dB
+ * @param {number} options.range - Peaks further than this below the strongest are ignored (dB)
+ * @param {number} options.maxPeaks - Maximum number of peaks (strongest kept)
+ * @returns {Array} - Peaks ({ bin, frequency, db }) sorted by frequency
+ */
+export function detectPeaks(bins, { sampleRate = 44100, threshold = -90, range = 60, maxPeaks = 64 } = {}) {
+  const binWidth = sampleRate / (2 * bins.length);
+  const candidates = [];
+
+  for (let k = 2; k < bins.length - 2; k++) {
+    const db = bins[k];
+    if (db < threshold) continue;
+    if (!(db > bins[k - 1] && db >= bins[k + 1] && db > bins[k - 2] && db >= bins[k + 2])) continue;
+
+    // Vertex of the parabola through the peak bin and its neighbours
+    const a = bins[k - 1];
+    const c = bins[k + 1];
+    const denominator = a - 2 * db + c;
+    const shift = denominator !== 0 ? 0.5 * (a - c) / denominator : 0;
+
+    candidates.push({
+      bin: k,
+      frequency: (k + shift) * binWidth,
+      db: db - 0.25 * (a - c) * shift
+    });
+  }
+
+  const strongest = candidates.reduce((max, peak) => Math.max(max, peak.db), -Infinity);
+
+  return candidates
+    .filter(peak => peak.db >= strongest - range)
+    .sort((a, b) => b.db - a.db)
+    .slice(0, maxPeaks)
+    .sort((a, b) => a.frequency - b.frequency);
+}
+
+/**
+ * Labels peaks with the harmonic number of the nearest partial
+ * @param {Array} peaks - Peaks ({ frequency, ... })
+ * @param {Array} partials - Partials ({ ratio, detune, ... })
+ * @param {number} baseFrequency - Fundamental in Hz
+ * @param {number} tolerance - Maximum deviation in cents
+ * @returns {Array} - Peaks with { harmonic, expectedFrequency, cents } (harmonic null when unmatched)
+ */
+export function labelPeaks(peaks, partials, baseFrequency, tolerance = 30) {
+  const expected = partials.map((partial, index) => ({
+    harmonic: harmonicNumber(partial.ratio, index),
+    frequency: partialFrequency(partial, baseFrequency)
+  })).filter(partial => partial.frequency > 0);
+
+  return peaks.map(peak => {
+    let best = null;
+    expected.forEach(partial => {
+      const cents = 1200 * Math.log2(peak.frequency / partial.frequency);
+      if (!best || Math.abs(cents) < Math.abs(best.cents)) {
+        best = { harmonic: partial.harmonic, expectedFrequency: partial.frequency, cents };
+      }
+    });
+
+    if (!best || Math.abs(best.cents) > tolerance) {
+      return { ...peak, harmonic: null, expectedFrequency: null, cents: null };
+    }
+    return { ...peak, ...best };
+  });
+}
+
+/**
+ * Maps a frequency to a horizontal position
+ * @param {number} frequency - Frequency in Hz
+ * @param {Object} options - Axis options ({ scale, minFrequency, maxFrequency })
+ * @returns {number} - Position (0-1 inside the range)
+ */
+export function frequencyToPosition(frequency, { scale = 'log', minFrequency = 20, maxFrequency = 20000 } = {}) {
+  if (scale === 'linear') {
+    return (frequency - minFrequency) / (maxFrequency - minFrequency);
+  }
+  return Math.log(Math.max(frequency, 1e-9) / minFrequency) / Math.log(maxFrequency / minFrequency);
+}
+
+/**
+ * Maps a horizontal position back to a frequency (inverse of frequencyToPosition)
+ * @param {number} position - Position (0-1 inside the range)
+ * @param {Object} options - Axis options ({ scale, minFrequency, maxFrequency })
+ * @returns {number} - Frequency in Hz
+ */
+export function positionToFrequency(position, { scale = 'log', minFrequency = 20, maxFrequency = 20000 } = {}) {
+  if (scale === 'linear') {
+    return minFrequency + position * (maxFrequency - minFrequency);
+  }
+  return minFrequency * Math.pow(maxFrequency / minFrequency, position);
+}
+
+/**
+ * Maps a dB value to a level
+ * @param {number} db - Value in dB
+ * @param {number} minDb - Level 0
+ * @param {number} maxDb - Level 1
+ * @returns {number} - Level clamped to 0-1
+ */
+export function dbToLevel(db, minDb = -100, maxDb = -10) {
+  return Math.max(0, Math.min(1, (db - minDb) / (maxDb - minDb)));
+}
+
+export default class SpectrumAnalyzer {
+  constructor(eventGear, appState, audioSynthesis = null) {
+    this.eventGear = eventGear;
+    this.appState = appState;
+    this.analyser = null;
+    this.source = null;
+    this.bins = null;
+    this.lastUpdate = 0;
+
+    if (audioSynthesis) {
+      this.attach(audioSynthesis);
+    }
+
+    // Register event listeners
+    this.registerEvents();
+  }
+
+  /**
+   * Registers event listeners
+   */
+  registerEvents() {
+    // Analyse at most every updateInterval ms while the overlay or an analyser spectrogram is shown
+    this.eventGear.on('animation.frame', (data) => {
+      if (!this.analyser || !this.isShown()) return;
+      if (data.timestamp - this.lastUpdate < AppConfig.spectrum.updateInterval) return;
+
+      this.lastUpdate = data.timestamp;
+      this.update();
+    });
+  }
+
+  /**
+   * Whether a view currently uses the analyses
+   * @returns {boolean} - Overlay shown, or spectrogram fed from the analyser
+   */
+  isShown() {
+    const params = this.appState.getAllParams();
+    return params.showSpectrum ||
+      (params.visualizationMode === 'spectrogram' && params.spectrogramSource === 'analyser');
+  }
+
+  /**
+   * Taps the synthesizer output with an AnalyserNode
+   * @param {AudioSynthesis} audioSynthesis - Synthesizer providing context and mainGain
+   * @returns {boolean} - Whether the tap was created
+   */
+  attach(audioSynthesis) {
+    if (!audioSynthesis || !audioSynthesis.context || !audioSynthesis.mainGain) return false;
+
+    try {
+      this.analyser = audioSynthesis.context.createAnalyser();
+      this.analyser.fftSize = AppConfig.spectrum.fftSize;
+      this.analyser.smoothingTimeConstant = AppConfig.spectrum.smoothing;
+      this.analyser.minDecibels = SILENCE_DB;
+      audioSynthesis.mainGain.connect(this.analyser);
+
+      this.source = audioSynthesis.mainGain;
+      this.bins = new Float32Array(this.analyser.frequencyBinCount);
+      return true;
+    } catch (error) {
+      console.error('Error creating spectrum analyser:', error);
+      this.analyser = null;
+      return false;
+    }
+  }
+
+  /**
+   * Reads the AnalyserNode and emits the analysis
+   * @returns {Object|null} - Analysis (see analyze)
+   */
+  update() {
+    if (!this.analyser) return null;
+
+    this.analyser.getFloatFrequencyData(this.bins);
+    return this.analyze(this.bins, this.analyser.context.sampleRate);
+  }
+
+  /**
+   * Analyses a rendered buffer (offline, no AnalyserNode needed)
+   * @param {Float32Array} samples - Time-domain samples
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {number} fftSize - FFT size (power of two)
+   * @returns {Object} - Analysis (see analyze)
+   */
+  analyzeSamples(samples, sampleRate, fftSize = AppConfig.spectrum.fftSize) {
+    return this.analyze(computeSpectrum(samples, fftSize), sampleRate);
+  }
+
+  /**
+   * Detects and labels peaks and emits `spectrum.updated`
+   * @param {Float32Array} bins - Spectrum in dB
+   * @param {number} sampleRate - Sample rate in Hz
+   * @returns {Object} - { bins, sampleRate, peaks, scale, minDb, maxDb, baseFrequency }
+   */
+  analyze(bins, sampleRate) {
+    const params = this.appState.getAllParams();
+    const { peakThreshold, peakRange, maxPeaks, tolerance } = AppConfig.spectrum;
+
+    const peaks = labelPeaks(
+      detectPeaks(bins, { sampleRate, threshold: peakThreshold, range: peakRange, maxPeaks }),
+      this.appState.getCachedData('partials') || [],
+      params.calcFrequency,
+      tolerance
+    );
+
+    const analysis = {
+      bins,
+      sampleRate,
+      peaks,
+      scale: params.spectrumScale,
+      minDb: params.spectrumMinDb,
+      maxDb: params.spectrumMaxDb,
+      baseFrequency: params.calcFrequency
+    };
+
+    this.eventGear.emit('spectrum.updated', analysis);
+    return analysis;
+  }
+
+  /**
+   * Cleans up resources when the module is no longer needed
+   */
+  dispose() {
+    if (this.source && this.analyser) {
+      try {
+        this.source.disconnect(this.analyser);
+      } catch (e) {
+        // Ignore errors when the tap is already gone
+      }
+    }
+    this.analyser = null;
+    this.source = null;
+
+    console.log('SpectrumAnalyzer disposed');
+  }
+}
@@ -0,0 +1,125 @@
+/**
+ * SvgExport.js
+ *
+ * Vector export of the geometry view. GeometryRenderer draws the current
+ * state into an SVG backend (coordinate system, polygons, circle, ratio
+ * marks, waveform, cymatics nodal lines), so figures match the canvas.
+ * Everything except downloadSvg runs under Node; stateToSvg renders saved
+ * state and preset files.
+ */
+
+import GeometryRenderer from './GeometryRenderer.js';
+import HarmonicSeries from './HarmonicSeries.js';
+import AppState from '../core/AppState.js';
+import EventGearLite from '../utils/EventGearLite.js';
+import { sumPartials, crestFactor, normalizeWaveform } from './PartialModel.js';
+import { computeCymatics } from './Cymatics.js';
+import { cymaticsOptions } from './CymaticsCalculator.js';
+import { readState } from './Preset.js';
+
+// Waveform points (matches WaveformCalculator)
+const WAVEFORM_RESOLUTION = 1024;
+
+/**
+ * Computes the normalized waveform GeometryRenderer draws
+ * @param {Array} partials - Partials ({ ratio, amplitude, phase, detune })
+ * @returns {Object} - { waveform, max, crestFactor, resolution }
+ */
+function waveformData(partials) {
+  const waveform = sumPartials(partials, WAVEFORM_RESOLUTION);
+  const crest = crestFactor(waveform);
+  const max = normalizeWaveform(waveform);
+  return { waveform, max, crestFactor: crest, resolution: WAVEFORM_RESOLUTION };
+}
+
+/**
+ * Renders the current state as an SVG document
+ * @param {AppState} appState - Application state (partials must be cached by HarmonicSeries)
+ * @param {Object} options - Render options
+ * @param {number} options.width - Document width in pixels
+ * @param {number} options.height - Document height in pixels
+ * @returns {string} - SVG document
+ */
+export function renderStateToSvg(appState, { width = 800, height = 800 } = {}) {
+  // Private event bus: the renderer must not follow the app's animation frames
+  const renderer = new GeometryRenderer(new EventGearLite(10), appState, { width, height });
+
+  try {
+    const partials = appState.getCachedData('partials') || [];
+    if (partials.length > 0) {
+      renderer.renderState.lastWaveformData = waveformData(partials);
+    }
+
+    // Plate field computed in place (CymaticsCalculator answers asynchronously)
+    if (appState.getParam('visualizationMode') === 'cymatics') {
+      renderer.renderState.lastCymatics = computeCymatics(partials, cymaticsOptions(appState.getAllParams()));
+    }
+
+    renderer.render(0, 0);
+    return renderer.backend.toSVG();
+  } finally {
+    renderer.dispose();
+  }
+}
+
+/**
+ * Renders saved parameters (e.g. a state JSON file) as an SVG document
+ * @param {Object} params - Parameters, or a state or preset document (see
+ *   Preset.js readState); unknown keys are ignored
+ * @param {Object} options - Render options ({ width, height })
+ * @returns {string} - SVG document
+ */
+export function stateToSvg(params, options = {}) {
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    throw new TypeError('State must be an object of parameters');
+  }
+
+  // Versioned documents are migrated and checked like a loaded state file
+  const values = 'format' in params ? readState(params) : params;
+
+  const eventGear = new EventGearLite(10);
+  const appState = new AppState(eventGear);
+  const series = new HarmonicSeries(eventGear, appState);
+
+  try {
+    // One batch: the series is generated once for all params
+    appState.batch(() => {
+      Object.entries(values).forEach(([key, value]) => {
+        appState.updateParam(key, value, false);
+      });
+    });
+
+    // Rotation as saved (the animation loop normally caches this)
+    const radians = appState.getParam('rotationAngle') * Math.PI / 180;
+    appState.setCachedData('angleSinCos', { sin: Math.sin(radians), cos: Math.cos(radians) });
+
+    return renderStateToSvg(appState, options);
+  } finally {
+    series.dispose();
+    // AppState's event frequency monitor would keep Node running
+    eventGear.clearFrequencyMonitors();
+  }
+}
+
+/**
+ * Offers an SVG document for download (browser only)
+ * @param {string} svg - SVG document
+ * @param {string} filename - Download file name
+ */
+export function downloadSvg(svg, filename = 'harmonic-explorer.svg') {
+  const blob = new Blob([svg], { type: 'image/svg+xml' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.download = filename;
+  link.href = url;
+  link.click();
+
+  URL.revokeObjectURL(url);
+}
+
+export default {
+  renderStateToSvg,
+  stateToSvg,
+  downloadSvg
+};
@@ -0,0 +1,376 @@
+/**
+ * Theme.js
+ *
+ * Theme subsystem: named palettes covering the shape colors and background
+ * (AppState color params), the waveform gradient, the per-harmonic color
+ * ramp of the partial waves and the UI's CSS variables. Built-in themes
+ * are dark, light, high-contrast and color-blind safe; more can be
+ * registered or imported from JSON (and removed again, built-in themes
+ * stay). ThemeManager applies them.
+ */
+
+import { AppConfig, setParamOptions } from '../config/app-config.js';
+
+// AppState color params every theme sets
+export const THEME_COLOR_PARAMS = [
+  'backgroundColor', 'AxisColor', 'circleColor', 'hexColor', 'hexInColor',
+  'squareColor', 'squareInColor', 'triangleColor', 'ratioColor', 'waveColor',
+  'spectrumColor', 'lissajousColor', 'cymaticsColor'
+];
+
+// UI CSS variables every theme sets (see index.html)
+export const THEME_CSS_VARIABLES = [
+  '--ui-background', '--ui-panel', '--ui-text', '--ui-muted', '--ui-input',
+  '--ui-border', '--ui-accent', '--ui-accent-hover', '--ui-button-text', '--ui-stop',
+  '--ui-stop-hover', '--ui-fps'
+];
+
+// Format tag of exported theme files
+export const THEME_FORMAT = 'harmonic-explorer-theme';
+
+// Ids of the themes registered below (never removed)
+export const BUILT_IN_THEMES = ['dark', 'light', 'high-contrast', 'colorblind'];
+
+// Registered themes by id
+const themes = new Map();
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Color at a position of a color ramp
+ * @param {Array} stops - Evenly spaced hex colors (#rrggbb), at least one
+ * @param {number} level - Position (0-1, clamped)
+ * @returns {string} - Hex color (#rrggbb)
+ */
+export function rampColor(stops, level) {
+  if (stops.length === 1) return stops[0];
+
+  const position = Math.max(0, Math.min(1, level)) * (stops.length - 1);
+  const index = Math.min(stops.length - 2, Math.floor(position));
+  const t = position - index;
+  const from = parseInt(stops[index].slice(1), 16);
+  const to = parseInt(stops[index + 1].slice(1), 16);
+
+  let color = '#';
+  for (const shift of [16, 8, 0]) {
+    const a = (from >> shift) & 0xff;
+    const b = (to >> shift) & 0xff;
+    color += Math.round(a + (b - a) * t).toString(16).padStart(2, '0');
+  }
+  return color;
+}
+
+/**
+ * Samples a color ramp, e.g. one color per harmonic
+ * @param {Array} stops - Evenly spaced hex colors
+ * @param {number} count - Number of colors
+ * @returns {Array} - Hex colors from the start to the end of the ramp
+ */
+export function rampColors(stops, count) {
+  return Array.from({ length: count }, (_, i) => rampColor(stops, count > 1 ? i / (count - 1) : 0));
+}
+
+/**
+ * Checks a list of color stops
+ * @param {string} id - Theme id (for messages)
+ * @param {string} name - Field name (for messages)
+ * @param {Array} stops - Hex colors
+ * @param {number} min - Minimum number of stops
+ */
+function checkStops(id, name, stops, min) {
+  if (!Array.isArray(stops) || stops.length < min || stops.some(stop => !HEX_COLOR.test(stop))) {
+    throw new TypeError(`Theme "${id}" needs ${name} as an array of at least ${min} #rrggbb colors`);
+  }
+}
+
+/**
+ * Registers a theme (replaces a theme with the same id)
+ * @param {Object} definition - { id, label, colors, waveGradient, partialRamp, css }
+ *   colors: a #rrggbb color per THEME_COLOR_PARAMS entry; waveGradient: stops
+ *   along the waveform (fewer than 2 = solid waveColor); partialRamp: stops from the
+ *   first to the last partial; css: a value per THEME_CSS_VARIABLES entry
+ * @returns {Object} - Stored theme
+ */
+export function registerTheme({ id, label, colors, waveGradient = [], partialRamp, css }) {
+  if (typeof id !== 'string' || id.length === 0) {
+    throw new TypeError('Theme id must be a non-empty string');
+  }
+  const missing = THEME_COLOR_PARAMS.filter(param => !HEX_COLOR.test((colors || {})[param]));
+  if (missing.length > 0) {
+    throw new TypeError(`Theme "${id}" needs #rrggbb colors for ${missing.join(', ')}`);
+  }
+  checkStops(id, 'waveGradient', waveGradient, 0);
+  checkStops(id, 'partialRamp', partialRamp, 1);
+  const missingCss = THEME_CSS_VARIABLES.filter(name => typeof (css || {})[name] !== 'string');
+  if (missingCss.length > 0) {
+    throw new TypeError(`Theme "${id}" needs CSS values for ${missingCss.join(', ')}`);
+  }
+
+  const theme = Object.freeze({
+    id,
+    label: label || id,
+    colors: Object.freeze(Object.fromEntries(THEME_COLOR_PARAMS.map(param => [param, colors[param].toLowerCase()]))),
+    waveGradient: Object.freeze(waveGradient.map(stop => stop.toLowerCase())),
+    partialRamp: Object.freeze(partialRamp.map(stop => stop.toLowerCase())),
+    css: Object.freeze(Object.fromEntries(THEME_CSS_VARIABLES.map(name => [name, css[name]])))
+  });
+
+  themes.set(id, theme);
+  setParamOptions('theme', Array.from(themes.keys()));
+
+  return theme;
+}
+
+/**
+ * Removes a registered theme
+ * @param {string} id - Theme id (not a built-in one)
+ * @returns {boolean} - Whether the theme was removed
+ */
+export function unregisterTheme(id) {
+  if (BUILT_IN_THEMES.includes(id)) {
+    throw new TypeError(`Built-in theme "${id}" cannot be removed`);
+  }
+
+  const removed = themes.delete(id);
+  if (removed) {
+    setParamOptions('theme', Array.from(themes.keys()));
+  }
+  return removed;
+}
+
+/**
+ * Gets a registered theme
+ * @param {string} id - Theme id
+ * @returns {Object|undefined} - Theme
+ */
+export function getTheme(id) {
+  return themes.get(id);
+}
+
+/**
+ * Lists all registered themes
+ * @returns {Array} - Themes
+ */
+export function getThemes() {
+  return Array.from(themes.values());
+}
+
+/**
+ * AppState params applying a theme (one updateMultipleParams call)
+ * @param {Object} theme - Theme
+ * @returns {Object} - { theme, ...colors, waveGradient, partialRamp }
+ */
+export function themeParams(theme) {
+  return {
+    theme: theme.id,
+    ...theme.colors,
+    waveGradient: [...theme.waveGradient],
+    partialRamp: [...theme.partialRamp]
+  };
+}
+
+/**
+ * Theme definition of the current colors (e.g. after editing single colors)
+ * @param {Object} params - AppState params
+ * @param {Object} base - Theme providing the id, label and CSS variables
+ * @returns {Object} - Theme definition
+ */
+export function themeFromParams(params, base) {
+  return {
+    id: base.id,
+    label: base.label,
+    colors: Object.fromEntries(THEME_COLOR_PARAMS.map(param => [param, params[param]])),
+    waveGradient: [...params.waveGradient],
+    partialRamp: [...params.partialRamp],
+    css: { ...base.css }
+  };
+}
+
+/**
+ * Serializes a theme for download
+ * @param {Object} theme - Theme or theme definition
+ * @returns {string} - JSON document
+ */
+export function exportTheme({ id, label, colors, waveGradient, partialRamp, css }) {
+  return JSON.stringify({ format: THEME_FORMAT, version: 1, id, label, colors, waveGradient, partialRamp, css }, null, 2);
+}
+
+/**
+ * Reads a theme document (register it with registerTheme)
+ * @param {Object} data - Parsed theme document
+ * @returns {Object} - Theme definition
+ */
+export function readTheme(data) {
+  if (!data || data.format !== THEME_FORMAT) {
+    throw new SyntaxError(`Theme file needs "format": "${THEME_FORMAT}"`);
+  }
+
+  const { id, label, colors, waveGradient, partialRamp, css } = data;
+  return { id, label, colors, waveGradient, partialRamp, css };
+}
+
+/**
+ * Parses an exported theme (register it with registerTheme)
+ * @param {string} text - JSON document
+ * @returns {Object} - Theme definition
+ */
+export function parseTheme(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new SyntaxError(`Theme file is not valid JSON: ${e.message}`);
+  }
+  return readTheme(data);
+}
+
+// Shape colors, gradient and ramp of the dark theme are the AppConfig defaults
+registerTheme({
+  id: 'dark',
+  label: 'Dark',
+  colors: Object.fromEntries(THEME_COLOR_PARAMS.map(param => [param, AppConfig.defaults[param]])),
+  waveGradient: AppConfig.defaults.waveGradient,
+  partialRamp: AppConfig.defaults.partialRamp,
+  css: {
+    '--ui-background': '#000000',
+    '--ui-panel': 'rgba(20, 20, 20, 0.95)',
+    '--ui-text': '#ffffff',
+    '--ui-muted': '#aaaaaa',
+    '--ui-input': '#222222',
+    '--ui-border': '#444444',
+    '--ui-accent': '#4caf50',
+    '--ui-accent-hover': '#45a049',
+    '--ui-button-text': '#ffffff',
+    '--ui-stop': '#f44336',
+    '--ui-stop-hover': '#da190b',
+    '--ui-fps': '#00ff00'
+  }
+});
+
+registerTheme({
+  id: 'light',
+  label: 'Light',
+  colors: {
+    backgroundColor: '#f7f7f2',
+    AxisColor: '#c8c8c0',
+    circleColor: '#1b7f3b',
+    hexColor: '#a0208c',
+    hexInColor: '#b08a00',
+    squareColor: '#00808c',
+    squareInColor: '#c05a00',
+    triangleColor: '#c0185a',
+    ratioColor: '#202020',
+    waveColor: '#1f5fbf',
+    spectrumColor: '#0070c0',
+    lissajousColor: '#c06000',
+    cymaticsColor: '#704000'
+  },
+  waveGradient: ['#1f5fbf', '#8a2be2'],
+  partialRamp: ['#1f5fbf', '#1b7f3b', '#c05a00'],
+  css: {
+    '--ui-background': '#f7f7f2',
+    '--ui-panel': 'rgba(235, 235, 228, 0.95)',
+    '--ui-text': '#111111',
+    '--ui-muted': '#555555',
+    '--ui-input': '#ffffff',
+    '--ui-border': '#b0b0a8',
+    '--ui-accent': '#2e7d32',
+    '--ui-accent-hover': '#1b5e20',
+    '--ui-button-text': '#ffffff',
+    '--ui-stop': '#c62828',
+    '--ui-stop-hover': '#8e0000',
+    '--ui-fps': '#1b5e20'
+  }
+});
+
+// Pure black and white with saturated primaries: contrast of 7:1 or more
+// against the background (WCAG AAA), text included
+registerTheme({
+  id: 'high-contrast',
+  label: 'High contrast',
+  colors: {
+    backgroundColor: '#000000',
+    AxisColor: '#ffffff',
+    circleColor: '#00ff00',
+    hexColor: '#ff00ff',
+    hexInColor: '#ffff00',
+    squareColor: '#00ffff',
+    squareInColor: '#ffa500',
+    triangleColor: '#ff6060',
+    ratioColor: '#ffffff',
+    waveColor: '#ffff00',
+    spectrumColor: '#00ffff',
+    lissajousColor: '#ffff00',
+    cymaticsColor: '#ffffff'
+  },
+  waveGradient: [],
+  partialRamp: ['#ffff00', '#00ffff', '#ff00ff'],
+  css: {
+    '--ui-background': '#000000',
+    '--ui-panel': '#000000',
+    '--ui-text': '#ffffff',
+    '--ui-muted': '#ffffff',
+    '--ui-input': '#000000',
+    '--ui-border': '#ffffff',
+    '--ui-accent': '#ffff00',
+    '--ui-accent-hover': '#ffffff',
+    '--ui-button-text': '#000000',
+    '--ui-stop': '#ff6060',
+    '--ui-stop-hover': '#ffffff',
+    '--ui-fps': '#ffff00'
+  }
+});
+
+// Okabe-Ito palette: distinguishable with protanopia, deuteranopia and tritanopia
+registerTheme({
+  id: 'colorblind',
+  label: 'Color-blind safe',
+  colors: {
+    backgroundColor: '#000000',
+    AxisColor: '#555555',
+    circleColor: '#009e73',
+    hexColor: '#cc79a7',
+    hexInColor: '#f0e442',
+    squareColor: '#56b4e9',
+    squareInColor: '#e69f00',
+    triangleColor: '#d55e00',
+    ratioColor: '#ffffff',
+    waveColor: '#56b4e9',
+    spectrumColor: '#0072b2',
+    lissajousColor: '#e69f00',
+    cymaticsColor: '#f0e442'
+  },
+  waveGradient: ['#0072b2', '#56b4e9', '#f0e442'],
+  partialRamp: ['#0072b2', '#009e73', '#e69f00', '#d55e00'],
+  css: {
+    '--ui-background': '#000000',
+    '--ui-panel': 'rgba(20, 20, 20, 0.95)',
+    '--ui-text': '#ffffff',
+    '--ui-muted': '#bbbbbb',
+    '--ui-input': '#222222',
+    '--ui-border': '#555555',
+    '--ui-accent': '#0072b2',
+    '--ui-accent-hover': '#56b4e9',
+    '--ui-button-text': '#ffffff',
+    '--ui-stop': '#d55e00',
+    '--ui-stop-hover': '#e69f00',
+    '--ui-fps': '#f0e442'
+  }
+});
+
+export default {
+  THEME_COLOR_PARAMS,
+  THEME_CSS_VARIABLES,
+  THEME_FORMAT,
+  BUILT_IN_THEMES,
+  rampColor,
+  rampColors,
+  registerTheme,
+  unregisterTheme,
+  getTheme,
+  getThemes,
+  themeParams,
+  themeFromParams,
+  exportTheme,
+  parseTheme
+};
@@ -0,0 +1,256 @@
+/**
+ * ThemeManager.js
+ *
+ * Applies themes (see Theme.js): the palette's colors, waveform gradient
+ * and partial ramp go to AppState in one updateMultipleParams call, so a
+ * switch is one undo step, and its CSS variables go to the document root.
+ * The CSS follows the `theme` param, also after undo or a loaded state.
+ * Themes are exported and imported as JSON files; imported themes are kept
+ * in localStorage and registered again on construction, so a restored
+ * history, state or link naming one still finds it. An import never
+ * replaces a built-in theme: an edited export of one (it keeps the id) is
+ * registered as "<id>-imported".
+ *
+ * The UI talks to the manager through `theme.apply` ({ id }),
+ * `theme.export` (answered with `theme.exported` ({ id, json })),
+ * `theme.import` ({ text }) and `theme.delete` ({ id }, answered with
+ * `theme.removed`).
+ */
+
+import { AppConfig } from '../config/app-config.js';
+import {
+  BUILT_IN_THEMES, getTheme, registerTheme, unregisterTheme, themeParams, themeFromParams, exportTheme, parseTheme, readTheme
+} from './Theme.js';
+
+/**
+ * Moves an imported theme off the id of a built-in theme
+ * @param {Object} definition - Theme definition (see readTheme)
+ * @returns {Object} - Definition with an id of its own
+ */
+function importedDefinition(definition) {
+  if (!BUILT_IN_THEMES.includes(definition.id)) return definition;
+
+  return {
+    ...definition,
+    id: `${definition.id}-imported`,
+    label: `${definition.label || definition.id} (imported)`
+  };
+}
+
+/**
+ * Offers a theme JSON document for download (browser only)
+ * @param {string} json - Theme document (see exportTheme)
+ * @param {string} filename - Download file name
+ */
+export function downloadTheme(json, filename = 'harmonic-explorer-theme.json') {
+  const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+
+  const link = document.createElement('a');
+  link.download = filename;
+  link.href = url;
+  link.click();
+
+  URL.revokeObjectURL(url);
+}
+
+export default class ThemeManager {
+  /**
+   * @param {Object} eventGear - EventGear instance
+   * @param {AppState} appState - Application state
+   * @param {Object} options - Options
+   * @param {HTMLElement} options.root - Element receiving the CSS variables (document root by default)
+   * @param {Storage} options.storage - Web Storage for imported themes (localStorage by default, null to not persist)
+   * @param {string} options.key - Storage key
+   */
+  constructor(eventGear, appState, {
+    root = typeof document !== 'undefined' ? document.documentElement : null,
+    storage = globalThis.localStorage ?? null,
+    key = AppConfig.themes.storageKey
+  } = {}) {
+    this.eventGear = eventGear;
+    this.appState = appState;
+    this.root = root;
+    this.storage = storage;
+    this.key = key;
+
+    // Imported themes by id (registered before any state is restored)
+    this.imported = new Map();
+    this.load();
+
+    // Register event listeners
+    this.registerEvents();
+
+    // UI colors of the initial theme
+    this.applyCss(this.getCurrentTheme());
+  }
+
+  /**
+   * Registers event listeners
+   */
+  registerEvents() {
+    // Theme selection, export and import (emitted by UIControllerSimple)
+    this.eventGear.on('theme.apply', (data) => {
+      try {
+        this.apply(data.id);
+      } catch (error) {
+        console.error('Error applying theme:', error);
+      }
+    });
+    this.eventGear.on('theme.export', () => {
+      this.eventGear.emit('theme.exported', { id: this.getCurrentTheme().id, json: this.exportCurrent() });
+    });
+    this.eventGear.on('theme.import', (data) => {
+      try {
+        this.import(data.text);
+      } catch (error) {
+        console.error('Error importing theme:', error);
+      }
+    });
+    this.eventGear.on('theme.delete', (data) => {
+      try {
+        this.remove(data.id);
+      } catch (error) {
+        console.error('Error removing theme:', error);
+      }
+    });
+
+    // The UI follows the theme param (undo, redo, reset, loaded states)
+    this.eventGear.on('state.changed', (data) => {
+      if (data.changedParams.includes('theme')) {
+        this.applyCss(this.getCurrentTheme());
+      }
+    });
+  }
+
+  /**
+   * Registers the imported themes kept in storage (unreadable ones are skipped)
+   */
+  load() {
+    this.imported.clear();
+    if (!this.storage) return;
+
+    let stored;
+    try {
+      stored = JSON.parse(this.storage.getItem(this.key) || '[]');
+    } catch (error) {
+      console.warn('Ignoring stored themes:', error.message);
+      return;
+    }
+    if (!Array.isArray(stored)) return;
+
+    stored.forEach(data => {
+      try {
+        const theme = registerTheme(importedDefinition(readTheme(data)));
+        this.imported.set(theme.id, theme);
+      } catch (error) {
+        console.warn('Skipping stored theme:', error.message);
+      }
+    });
+  }
+
+  /**
+   * Writes the imported themes to storage
+   * @returns {boolean} - Whether they were saved
+   */
+  persist() {
+    if (!this.storage) return false;
+
+    try {
+      this.storage.setItem(this.key, `[${Array.from(this.imported.values()).map(exportTheme).join(',')}]`);
+      return true;
+    } catch (error) {
+      // Quota exceeded or storage disabled
+      console.warn('Could not save the themes:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Theme named by the theme param (dark when it is not registered)
+   * @returns {Object} - Theme
+   */
+  getCurrentTheme() {
+    return getTheme(this.appState.getParam('theme')) || getTheme('dark');
+  }
+
+  /**
+   * Switches to a theme
+   * @param {string} id - Registered theme id
+   * @returns {Object} - Applied theme
+   */
+  apply(id) {
+    const theme = getTheme(id);
+    if (!theme) {
+      throw new TypeError(`Unknown theme "${id}"`);
+    }
+
+    this.appState.updateMultipleParams(themeParams(theme));
+    this.applyCss(theme);
+
+    this.eventGear.emit('theme.applied', { id: theme.id, label: theme.label });
+    return theme;
+  }
+
+  /**
+   * Sets a theme's CSS variables on the root element
+   * @param {Object} theme - Theme
+   */
+  applyCss(theme) {
+    if (!this.root) return;
+
+    Object.entries(theme.css).forEach(([name, value]) => {
+      this.root.style.setProperty(name, value);
+    });
+  }
+
+  /**
+   * Exports the current colors (including single edited colors) as a theme
+   * @returns {string} - JSON document
+   */
+  exportCurrent() {
+    return exportTheme(themeFromParams(this.appState.getAllParams(), this.getCurrentTheme()));
+  }
+
+  /**
+   * Registers an exported theme, keeps it in storage and switches to it
+   * @param {string} text - JSON document
+   * @returns {Object} - Applied theme
+   */
+  import(text) {
+    const theme = registerTheme(importedDefinition(parseTheme(text)));
+    this.imported.set(theme.id, theme);
+    this.persist();
+    this.eventGear.emit('theme.registered', { id: theme.id, label: theme.label });
+    return this.apply(theme.id);
+  }
+
+  /**
+   * Removes an imported theme from the registry and storage (switching to
+   * dark when it is the current theme)
+   * @param {string} id - Imported theme id
+   */
+  remove(id) {
+    if (!this.imported.has(id)) {
+      throw new TypeError(`Theme "${id}" was not imported`);
+    }
+
+    unregisterTheme(id);
+    this.imported.delete(id);
+    this.persist();
+
+    if (this.appState.getParam('theme') === id) {
+      this.apply('dark');
+    }
+    this.eventGear.emit('theme.removed', { id });
+  }
+
+  /**
+   * Cleans up resources when the module is no longer needed
+   */
+  dispose() {
+    // EventGear listeners are managed by EventGear itself
+    this.imported.clear();
+
+    console.log('ThemeManager disposed');
+  }
+}
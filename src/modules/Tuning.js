@@ -0,0 +1,364 @@
+/**
+ * Tuning.js
+ *
+ * Tuning subsystem: Scala (.scl/.kbm) parsing, equal temperament and
+ * just intonation ratio sets, and a quantizer that snaps frequency
+ * ratios to the nearest degree of a scale.
+ * Registers the 'tuning' harmonic type so a tuning can be used as a series.
+ */
+
+import { setParamOptions } from '../config/app-config.js';
+import { registerHarmonicType } from './HarmonicTypes.js';
+
+// Registered tunings by id
+const tunings = new Map();
+
+/**
+ * Converts a ratio to cents
+ * @param {number} ratio - Frequency ratio
+ * @returns {number} - Size in cents
+ */
+export function ratioToCents(ratio) {
+  return 1200 * Math.log2(ratio);
+}
+
+/**
+ * Converts cents to a ratio
+ * @param {number} cents - Size in cents
+ * @returns {number} - Frequency ratio
+ */
+export function centsToRatio(cents) {
+  return Math.pow(2, cents / 1200);
+}
+
+/**
+ * Parses a single Scala pitch value ("701.955", "3/2", "2")
+ * @param {string} token - Pitch token
+ * @returns {number} - Frequency ratio
+ */
+function parseScalaPitch(token) {
+  if (token.includes('.')) {
+    const cents = parseFloat(token);
+    if (isNaN(cents)) throw new SyntaxError(`Invalid cents value "${token}"`);
+    return centsToRatio(cents);
+  }
+
+  const [num, den = '1'] = token.split('/');
+  const ratio = parseInt(num, 10) / parseInt(den, 10);
+  if (!isFinite(ratio) || ratio <= 0) throw new SyntaxError(`Invalid ratio "${token}"`);
+  return ratio;
+}
+
+/**
+ * Returns the non-comment lines of a Scala file
+ * @param {string} text - File contents
+ * @returns {Array} - Lines without comments
+ */
+function scalaLines(text) {
+  if (typeof text !== 'string') {
+    throw new TypeError('Scala file contents must be a string');
+  }
+  return text.split(/\r?\n/).filter(line => !line.startsWith('!'));
+}
+
+/**
+ * Parses a Scala scale file (.scl)
+ * @param {string} text - File contents
+ * @returns {Object} - { description, degrees, period } where degrees are ratios
+ *                     above 1/1 and the last degree is the period
+ */
+export function parseScl(text) {
+  const lines = scalaLines(text);
+  if (lines.length < 2) {
+    throw new SyntaxError('Scala file needs a description and a note count');
+  }
+
+  const description = lines[0].trim();
+  const count = parseInt(lines[1].trim(), 10);
+  if (isNaN(count) || count < 1) {
+    throw new SyntaxError(`Invalid note count "${lines[1].trim()}"`);
+  }
+
+  const degrees = lines.slice(2)
+    .map(line => line.trim())
+    .filter(line => line.length > 0)
+    .slice(0, count)
+    .map(line => parseScalaPitch(line.split(/\s+/)[0]));
+
+  if (degrees.length !== count) {
+    throw new SyntaxError(`Expected ${count} pitches, found ${degrees.length}`);
+  }
+
+  return {
+    description,
+    degrees,
+    period: degrees[degrees.length - 1]
+  };
+}
+
+/**
+ * Parses a Scala keyboard mapping file (.kbm)
+ * @param {string} text - File contents
+ * @returns {Object} - Keyboard mapping
+ */
+export function parseKbm(text) {
+  const values = scalaLines(text)
+    .map(line => line.trim())
+    .filter(line => line.length > 0);
+
+  if (values.length < 7) {
+    throw new SyntaxError('Keyboard mapping needs at least 7 header values');
+  }
+
+  const size = parseInt(values[0], 10);
+  const mapping = values.slice(7, 7 + size).map(v => (v === 'x' ? null : parseInt(v, 10)));
+
+  return {
+    size,
+    firstNote: parseInt(values[1], 10),
+    lastNote: parseInt(values[2], 10),
+    middleNote: parseInt(values[3], 10),
+    referenceNote: parseInt(values[4], 10),
+    referenceFrequency: parseFloat(values[5]),
+    octaveDegree: parseInt(values[6], 10),
+    // An empty mapping means a linear mapping of keys to degrees
+    mapping
+  };
+}
+
+/**
+ * Generates an N-tone equal temperament
+ * @param {number} divisions - Steps per period
+ * @param {number} period - Period ratio (2 for octave-based)
+ * @returns {Object} - { degrees, period }
+ */
+export function equalTemperament(divisions, period = 2) {
+  if (!Number.isInteger(divisions) || divisions < 1) {
+    throw new TypeError('Equal temperament divisions must be a positive integer');
+  }
+  return {
+    degrees: Array.from({ length: divisions }, (_, k) => Math.pow(period, (k + 1) / divisions)),
+    period
+  };
+}
+
+/**
+ * Generates a just intonation ratio set within one octave
+ * @param {number} limit - Prime limit (3, 5, 7, 11, ...)
+ * @param {number} maxTerm - Largest numerator/denominator considered
+ * @returns {Object} - { degrees, period }
+ */
+export function justIntonation(limit = 5, maxTerm = 16) {
+  const isSmooth = (n) => {
+    for (let p = 2; p <= n; p++) {
+      while (n % p === 0) {
+        if (p > limit) return false;
+        n /= p;
+      }
+    }
+    return true;
+  };
+
+  const ratios = new Map();
+  for (let den = 1; den <= maxTerm; den++) {
+    for (let num = den + 1; num <= 2 * den && num <= maxTerm; num++) {
+      if (!isSmooth(num) || !isSmooth(den)) continue;
+      const ratio = num / den;
+      const key = ratio.toFixed(9);
+      if (!ratios.has(key)) ratios.set(key, ratio);
+    }
+  }
+
+  return {
+    degrees: Array.from(ratios.values()).sort((a, b) => a - b),
+    period: 2
+  };
+}
+
+/**
+ * Registers a tuning
+ * @param {Object} definition - { id, label, degrees, period }
+ * @returns {Object} - Stored tuning
+ */
+export function registerTuning({ id, label, degrees, period }) {
+  if (typeof id !== 'string' || id.length === 0) {
+    throw new TypeError('Tuning id must be a non-empty string');
+  }
+  if (!Array.isArray(degrees) || degrees.length === 0 || degrees.some(d => !(d > 0))) {
+    throw new TypeError(`Tuning "${id}" needs an array of positive degree ratios`);
+  }
+
+  const sorted = [...degrees].sort((a, b) => a - b);
+  const tuning = Object.freeze({
+    id,
+    label: label || id,
+    degrees: Object.freeze(sorted),
+    period: period || sorted[sorted.length - 1]
+  });
+
+  tunings.set(id, tuning);
+  setParamOptions('tuningSystem', Array.from(tunings.keys()));
+
+  return tuning;
+}
+
+/**
+ * Parses a Scala file and registers it as a tuning
+ * @param {string} text - .scl file contents
+ * @param {string} id - Tuning id
+ * @returns {Object} - Stored tuning
+ */
+export function loadScala(text, id) {
+  const { description, degrees, period } = parseScl(text);
+  return registerTuning({ id, label: description || id, degrees, period });
+}
+
+/**
+ * Gets a registered tuning
+ * @param {string} id - Tuning id
+ * @returns {Object|undefined} - Tuning
+ */
+export function getTuning(id) {
+  return tunings.get(id);
+}
+
+/**
+ * Lists all registered tunings
+ * @returns {Array} - Tunings
+ */
+export function getTunings() {
+  return Array.from(tunings.values());
+}
+
+/**
+ * Generates ascending scale ratios starting at 1/1
+ * @param {Object} tuning - Tuning
+ * @param {number} count - Number of ratios
+ * @returns {Array} - Ratios 1, degree1, degree2, ... continuing across periods
+ */
+export function scaleRatios(tuning, count) {
+  const steps = [1, ...tuning.degrees.slice(0, -1)];
+  return Array.from({ length: count }, (_, i) => {
+    const cycle = Math.floor(i / steps.length);
+    return steps[i % steps.length] * Math.pow(tuning.period, cycle);
+  });
+}
+
+/**
+ * Snaps a ratio to the nearest degree of a tuning (nearest in cents)
+ * @param {number} ratio - Frequency ratio
+ * @param {Object} tuning - Tuning
+ * @returns {number} - Quantized ratio
+ */
+export function quantizeRatio(ratio, tuning) {
+  if (!(ratio > 0)) return ratio;
+
+  const logPeriod = Math.log(tuning.period);
+  const cycle = Math.floor(Math.log(ratio) / logPeriod);
+  const base = Math.pow(tuning.period, cycle);
+  const steps = [1, ...tuning.degrees];
+
+  let best = ratio;
+  let bestDistance = Infinity;
+  steps.forEach(step => {
+    const candidate = base * step;
+    const distance = Math.abs(Math.log(ratio / candidate));
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = candidate;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Snaps every ratio of a series to the nearest scale degree
+ * @param {Array} series - Frequency ratios
+ * @param {Object} tuning - Tuning
+ * @returns {Array} - Quantized ratios
+ */
+export function quantizeSeries(series, tuning) {
+  return series.map(ratio => quantizeRatio(ratio, tuning));
+}
+
+/**
+ * Gets the frequency of a MIDI note in a tuning with an optional keyboard mapping
+ * @param {number} note - MIDI note number
+ * @param {Object} tuning - Tuning
+ * @param {Object} kbm - Keyboard mapping (parseKbm result)
+ * @returns {number|null} - Frequency in Hz, null for unmapped keys and keys outside the mapping's range
+ */
+export function noteToFrequency(note, tuning, kbm = null) {
+  if (kbm && (note < kbm.firstNote || note > kbm.lastNote)) return null;
+
+  const map = kbm || {
+    size: 0,
+    middleNote: 60,
+    referenceNote: 69,
+    referenceFrequency: 440,
+    octaveDegree: tuning.degrees.length,
+    mapping: []
+  };
+
+  const steps = [1, ...tuning.degrees.slice(0, -1)];
+
+  // Degree (relative to 1/1) of a key
+  const degreeOf = (key) => {
+    const offset = key - map.middleNote;
+    if (map.size === 0 || map.mapping.length === 0) return offset;
+    const cycle = Math.floor(offset / map.size);
+    const mapped = map.mapping[((offset % map.size) + map.size) % map.size];
+    if (mapped === null || mapped === undefined) return null;
+    return mapped + cycle * map.octaveDegree;
+  };
+
+  const ratioOf = (degree) => {
+    const cycle = Math.floor(degree / steps.length);
+    return steps[((degree % steps.length) + steps.length) % steps.length] * Math.pow(tuning.period, cycle);
+  };
+
+  const degree = degreeOf(note);
+  const referenceDegree = degreeOf(map.referenceNote);
+  if (degree === null || referenceDegree === null) return null;
+
+  return map.referenceFrequency * ratioOf(degree) / ratioOf(referenceDegree);
+}
+
+// ==================== Built-in tunings ====================
+
+registerTuning({ id: 'edo12', label: '12-TET', ...equalTemperament(12) });
+registerTuning({ id: 'edo19', label: '19-TET', ...equalTemperament(19) });
+registerTuning({ id: 'edo24', label: '24-TET (quarter tones)', ...equalTemperament(24) });
+registerTuning({ id: 'edo31', label: '31-TET', ...equalTemperament(31) });
+registerTuning({ id: 'just5', label: 'Just intonation (5-limit major)', degrees: [9/8, 5/4, 4/3, 3/2, 5/3, 15/8, 2], period: 2 });
+registerTuning({ id: 'just7', label: 'Just intonation (7-limit)', ...justIntonation(7, 12) });
+registerTuning({ id: 'pythagorean', label: 'Pythagorean', degrees: [256/243, 9/8, 32/27, 81/64, 4/3, 729/512, 3/2, 128/81, 27/16, 16/9, 243/128, 2], period: 2 });
+
+// Harmonic type generating the degrees of the selected tuning.
+// The `tuning` parameter is bound to the tuningSystem AppState param.
+registerHarmonicType({
+  id: 'tuning',
+  label: 'Tuning scale',
+  params: [
+    { name: 'tuning', label: 'Tuning', default: 'edo12', param: 'tuningSystem' }
+  ],
+  generate: (count, { tuning }) => scaleRatios(getTuning(tuning) || getTuning('edo12'), count)
+});
+
+export default {
+  parseScl,
+  parseKbm,
+  equalTemperament,
+  justIntonation,
+  registerTuning,
+  loadScala,
+  getTuning,
+  getTunings,
+  scaleRatios,
+  quantizeRatio,
+  quantizeSeries,
+  noteToFrequency,
+  ratioToCents,
+  centsToRatio
+};
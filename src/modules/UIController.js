@@ -5,6 +5,16 @@
  * Uses EventGear for handling UI events and updating application state.
  */
 
+import { getHarmonicTypes } from './HarmonicTypes.js';
+import { getTunings } from './Tuning.js';
+import { resolvePhaseMode } from './PartialModel.js';
+import { ENVELOPE_PARAMS } from './Envelope.js';
+import { renderTimbreToWav, downloadWav } from './AudioExport.js';
+import { renderSeriesToMidi, downloadMidi } from './MidiOutput.js';
+import { renderStateToSvg, downloadSvg } from './SvgExport.js';
+import { exportState, parseState } from './Preset.js';
+import { downloadPreset } from './PresetManager.js';
+
 export default class UIController {
   constructor(eventGear, appState) {
     this.eventGear = eventGear;
@@ -31,6 +41,11 @@ export default class UIController {
     // Cache element references
     this.cacheElements();
     
+    // Fill registry-driven selects
+    this.populateHarmonicTypes();
+    this.populateTunings();
+    this.addExportOptions();
+    
     // Set up event listeners
     this.setupEventListeners();
     
@@ -52,6 +67,10 @@ export default class UIController {
     this.elements.harmonics = document.getElementById('harmonics');
     this.elements.harmonicsType = document.getElementById('harmonicsType');
     this.elements.harmonicsPhase = document.getElementById('harmonicsPhase');
+    this.elements.partialRolloff = document.getElementById('partialRolloff');
+    this.elements.tuningSystem = document.getElementById('tuningSystem');
+    this.elements.tuningQuantize = document.getElementById('tuningQuantize');
+    this.elements.showRatios = document.getElementById('showRatios');
     this.elements.wavelength = document.getElementById('wavelength');
     this.elements.rotationAngleInput = document.getElementById('rotationAngleInput');
     this.elements.rotationSpeedInput = document.getElementById('rotationSpeedInput');
@@ -61,6 +80,9 @@ export default class UIController {
     this.elements.zoomManual = document.getElementById('zoomManual');
     this.elements.playAddSynth = document.getElementById('playAddSynth');
     this.elements.calcFrequency = document.getElementById('calcFrequency');
+    Object.values(ENVELOPE_PARAMS).forEach(param => {
+      this.elements[param] = document.getElementById(param);
+    });
     
     // Modal controls
     this.elements.calculatorModal = document.getElementById('calculatorModal');
@@ -78,6 +100,57 @@ export default class UIController {
     this.elements.licenseModal = document.getElementById('licenseModal');
   }
   
+  /**
+   * Adds the SVG, WAV and MIDI options to the export format select
+   */
+  addExportOptions() {
+    const select = this.elements.exportFormat;
+    if (!select) return;
+    
+    [['svg', 'SVG (vector)'], ['wav', 'WAV (audio)'], ['mid', 'MIDI (series)']].forEach(([value, label]) => {
+      if (Array.from(select.options).some(option => option.value === value)) return;
+      
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+  }
+  
+  /**
+   * Fills the harmonic type select from the HarmonicTypes registry
+   */
+  populateHarmonicTypes() {
+    const select = this.elements.harmonicsType;
+    if (!select) return;
+    
+    select.innerHTML = '';
+    getHarmonicTypes().forEach(({ id, label }) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+    select.value = this.appState.getParam('harmonicsType');
+  }
+  
+  /**
+   * Fills the tuning select from the Tuning registry
+   */
+  populateTunings() {
+    const select = this.elements.tuningSystem;
+    if (!select) return;
+    
+    select.innerHTML = '';
+    getTunings().forEach(({ id, label }) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+    select.value = this.appState.getParam('tuningSystem');
+  }
+  
   /**
    * Sets up event listeners for UI elements
    */
@@ -93,15 +166,27 @@ export default class UIController {
     this.setupNumericInputHandler(this.elements.rotationSpeedInput, 'rotationSpeed');
     this.setupNumericInputHandler(this.elements.zoomManual, 'zoomManual');
     this.setupNumericInputHandler(this.elements.calcFrequency, 'calcFrequency');
+    Object.values(ENVELOPE_PARAMS).forEach(param => {
+      this.setupNumericInputHandler(this.elements[param], param);
+    });
     
     // Set up select handlers
     this.setupSelectHandler(this.elements.coordinateSystem, 'coordinateSystem');
     this.setupSelectHandler(this.elements.harmonicsType, 'harmonicsType');
     this.setupSelectHandler(this.elements.harmonicsPhase, 'harmonicsPhase');
+    this.setupSelectHandler(this.elements.partialRolloff, 'partialRolloff');
+    this.setupSelectHandler(this.elements.tuningSystem, 'tuningSystem');
     this.setupSelectHandler(this.elements.exportFormat, 'exportFormat');
     
     // Set up checkbox handlers
     this.setupCheckboxHandler(this.elements.playAddSynth, 'isAddSynthPlaying');
+    this.setupCheckboxHandler(this.elements.tuningQuantize, 'tuningQuantize');
+    this.setupCheckboxHandler(this.elements.showRatios, 'showRatios');
+    
+    // Refresh the type select when custom harmonic types are registered
+    this.eventGear.on('harmonicTypes.changed', () => {
+      this.populateHarmonicTypes();
+    });
     
     // Set up rotation speed slider with metadata
     this.eventGear.linkEventListener(this.elements.rotationSpeedSlider, 'input', {
@@ -139,8 +224,17 @@ export default class UIController {
     }, { action: 'fullscreen' });
     
     this.setupButtonListener(this.elements.exportButton, () => {
-      this.exportCanvas();
-    }, { action: 'export-canvas' });
+      const format = this.elements.exportFormat ? this.elements.exportFormat.value : 'png';
+      if (format === 'wav') {
+        this.exportAudio();
+      } else if (format === 'mid') {
+        this.exportMidi();
+      } else if (format === 'svg') {
+        this.exportSvg();
+      } else {
+        this.exportCanvas();
+      }
+    }, { action: 'export' });
     
     this.setupButtonListener(this.elements.saveButton, () => {
       this.saveState();
@@ -366,7 +460,14 @@ export default class UIController {
     if (this.elements.coordinateSystem) this.elements.coordinateSystem.value = params.coordinateSystem;
     if (this.elements.harmonics) this.elements.harmonics.value = params.harmonics;
     if (this.elements.harmonicsType) this.elements.harmonicsType.value = params.harmonicsType;
-    if (this.elements.harmonicsPhase) this.elements.harmonicsPhase.value = params.harmonicsPhase;
+    if (this.elements.harmonicsPhase) this.elements.harmonicsPhase.value = resolvePhaseMode(params.harmonicsPhase);
+    if (this.elements.partialRolloff) this.elements.partialRolloff.value = params.partialRolloff;
+    Object.values(ENVELOPE_PARAMS).forEach(param => {
+      if (this.elements[param]) this.elements[param].value = params[param];
+    });
+    if (this.elements.tuningSystem) this.elements.tuningSystem.value = params.tuningSystem;
+    if (this.elements.tuningQuantize) this.elements.tuningQuantize.checked = params.tuningQuantize;
+    if (this.elements.showRatios) this.elements.showRatios.checked = params.showRatios;
     if (this.elements.wavelength) this.elements.wavelength.value = params.wavelength;
     if (this.elements.rotationAngleInput) this.elements.rotationAngleInput.value = params.rotationAngle;
     if (this.elements.rotationSpeedInput) this.elements.rotationSpeedInput.value = params.rotationSpeed;
@@ -427,26 +528,82 @@ export default class UIController {
   }
   
   /**
-   * Saves current state to a JSON file
+   * Exports the geometry view as an SVG document (same size as the canvas)
    */
-  saveState() {
+  exportSvg() {
+    const canvas = this.elements.canvas;
+    
     try {
-      const state = this.appState.getAllParams();
-      const json = JSON.stringify(state, null, 2);
-      const blob = new Blob([json], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
+      const svg = renderStateToSvg(this.appState, {
+        width: canvas ? canvas.width : 800,
+        height: canvas ? canvas.height : 800
+      });
+      downloadSvg(svg);
       
-      const link = document.createElement('a');
-      link.download = 'harmonic-explorer-state.json';
-      link.href = url;
-      link.click();
+      // Register export event
+      this.eventGear.registerEvent({
+        type: 'canvas.export',
+        format: 'svg',
+        timestamp: performance.now()
+      });
+    } catch (error) {
+      console.error('Error exporting SVG:', error);
+    }
+  }
+  
+  /**
+   * Exports the current timbre as a WAV file (settings from the audioExport* params)
+   */
+  exportAudio() {
+    try {
+      const wav = renderTimbreToWav(this.appState);
+      downloadWav(wav);
       
-      URL.revokeObjectURL(url);
+      // Register export event
+      this.eventGear.registerEvent({
+        type: 'audio.export',
+        format: 'wav',
+        bytes: wav.byteLength,
+        timestamp: performance.now()
+      });
+    } catch (error) {
+      console.error('Error exporting audio:', error);
+    }
+  }
+  
+  /**
+   * Exports the current series as a MIDI file (settings from the midi* params)
+   */
+  exportMidi() {
+    try {
+      const midi = renderSeriesToMidi(this.appState);
+      downloadMidi(midi);
+      
+      // Register export event
+      this.eventGear.registerEvent({
+        type: 'midi.export',
+        format: 'mid',
+        mode: this.appState.getParam('midiExportMode'),
+        bytes: midi.byteLength,
+        timestamp: performance.now()
+      });
+    } catch (error) {
+      console.error('Error exporting MIDI:', error);
+    }
+  }
+  
+  /**
+   * Saves current state to a JSON file (a state document, see Preset.js)
+   */
+  saveState() {
+    try {
+      const json = exportState(this.appState.getAllParams());
+      downloadPreset(json, 'harmonic-explorer-state.json');
       
       // Register save event
       this.eventGear.registerEvent({
         type: 'state.save',
-        stateKeys: Object.keys(state),
+        stateKeys: Object.keys(JSON.parse(json).params),
         timestamp: performance.now()
       });
     } catch (error) {
@@ -455,7 +612,8 @@ export default class UIController {
   }
   
   /**
-   * Loads state from a JSON file
+   * Loads state from a JSON file (a state document, a raw state dump of
+   * older versions or a preset document)
    */
   loadState() {
     try {
@@ -470,12 +628,10 @@ export default class UIController {
         const reader = new FileReader();
         reader.onload = event => {
           try {
-            const state = JSON.parse(event.target.result);
+            const params = parseState(event.target.result);
             
-            // Update app state with loaded values
-            Object.entries(state).forEach(([key, value]) => {
-              this.appState.updateParam(key, value);
-            });
+            // Update app state with loaded values (one batch: one recalculation, one undo step)
+            this.appState.updateMultipleParams(params);
             
             // Sync UI with new state
             this.syncUIWithState();
@@ -485,7 +641,7 @@ export default class UIController {
               type: 'state.load',
               fileName: file.name,
               fileSize: file.size,
-              stateKeys: Object.keys(state),
+              stateKeys: Object.keys(params),
               timestamp: performance.now()
             });
           } catch (error) {
@@ -5,7 +5,42 @@
  * Works with the simplified index.html structure.
  */
 
-import { validateParam } from '../config/app-config.js';
+import { AppConfig, validateParam } from '../config/app-config.js';
+import { getHarmonicTypes } from './HarmonicTypes.js';
+import { getTunings, loadScala, parseKbm } from './Tuning.js';
+import { resolvePhaseMode } from './PartialModel.js';
+import { ENVELOPE_PARAMS } from './Envelope.js';
+import { renderTimbreToWav, downloadWav } from './AudioExport.js';
+import { renderSeriesToMidi, downloadMidi } from './MidiOutput.js';
+import { renderStateToSvg, downloadSvg } from './SvgExport.js';
+import { downloadVideo } from './VideoRecorder.js';
+import { getThemes } from './Theme.js';
+import { downloadTheme } from './ThemeManager.js';
+import { downloadPreset } from './PresetManager.js';
+
+// Lissajous mode inputs (element ids match the AppState params)
+const LISSAJOUS_CONTROLS = ['lissajousSource', 'lissajousX', 'lissajousY', 'lissajousPhase', 'lissajousDelay', 'lissajousTrail'];
+
+// Cymatics mode inputs (element ids match the AppState params)
+const CYMATICS_CONTROLS = ['cymaticsPlate', 'cymaticsSource', 'cymaticsM', 'cymaticsN'];
+
+// Spectrogram mode inputs (element ids match the AppState params)
+const SPECTROGRAM_CONTROLS = ['spectrogramSource', 'spectrogramColorMap', 'spectrogramWindow'];
+
+// Video export inputs (element ids match the AppState params)
+const VIDEO_CONTROLS = ['videoDuration', 'videoFrameStepped'];
+
+// Inputs whose element id differs from their AppState param
+const INPUT_IDS = { calcFrequency: 'frequency' };
+
+/**
+ * Raw value of an input (validateParam converts it to the param's type)
+ * @param {HTMLElement} element - Input or select
+ * @returns {any} - Checked state of checkboxes, the value string otherwise
+ */
+function inputValue(element) {
+  return element.type === 'checkbox' ? element.checked : element.value;
+}
 
 export default class UIControllerSimple {
   constructor(eventGear, appState) {
@@ -18,9 +53,52 @@ export default class UIControllerSimple {
       frequency: null,
       harmonics: null,
       harmonicsType: null,
+      partialRolloff: null,
+      harmonicsPhase: null,
+      tuningSystem: null,
+      tuningQuantize: null,
+      showRatios: null,
+      showSpectrum: null,
+      spectrumScale: null,
+      loadScala: null,
+      loadKbm: null,
+      envelope: null,
+      lissajous: null,
+      cymatics: null,
+      spectrogram: null,
+      spectrogramSelect: null,
       coordinateSystem: null,
+      visualizationMode: null,
       audioToggle: null,
+      exportWav: null,
+      exportSvg: null,
+      copyLink: null,
+      recordVideo: null,
+      video: null,
+      theme: null,
+      exportTheme: null,
+      importTheme: null,
+      deleteTheme: null,
+      midiLearn: null,
+      midiExportMode: null,
+      midiPlaySeries: null,
+      exportMidi: null,
+      midiOutputEnabled: null,
       reset: null,
+      presetToggle: null,
+      presetTag: null,
+      presetList: null,
+      presetExport: null,
+      presetDelete: null,
+      presetImport: null,
+      presetSave: null,
+      historyToggle: null,
+      historyUndo: null,
+      historyRedo: null,
+      historyClear: null,
+      historyCheckpoint: null,
+      historyTimeline: null,
+      historyKeys: null,
       fpsToggle: null
     };
   }
@@ -29,12 +107,48 @@ export default class UIControllerSimple {
    * Initializes the UI controller
    */
   initialize() {
+    this.populateHarmonicTypes();
+    this.populateTunings();
+    this.populateThemes();
+    this.applyParamSchema();
     this.setupBasicControls();
+    this.setupTuningControls();
+    this.setupEnvelopeControls();
+    this.setupLissajousControls();
+    this.setupCymaticsControls();
+    this.setupSpectrogramControls();
+    this.setupVideoControls();
+    this.setupThemeControls();
+    this.setupPresetControls();
+    this.setupHistoryControls();
+    this.setupMidiLearn();
+    this.setupMidiOutputControls();
     this.setupFPSToggle();
     this.syncUIWithState();
     console.log('✅ UI Controller initialized');
   }
 
+  /**
+   * Sets the range, step and (missing) titles of the numeric inputs from
+   * the param schema
+   */
+  applyParamSchema() {
+    Object.entries(AppConfig.schema).forEach(([param, definition]) => {
+      if (definition.type !== 'number' && definition.type !== 'integer') return;
+
+      const element = document.getElementById(INPUT_IDS[param] || param);
+      if (!element || (element.type !== 'number' && element.type !== 'range')) return;
+
+      const max = definition.sliderMax !== undefined && element.type === 'range' ? definition.sliderMax : definition.max;
+      if (definition.min !== undefined) element.min = definition.min;
+      if (max !== undefined) element.max = max;
+      if (definition.step !== undefined) element.step = definition.step;
+      if (!element.title) {
+        element.title = definition.unit ? `${definition.label} (${definition.unit})` : definition.label;
+      }
+    });
+  }
+
   /**
    * Sets up basic control event listeners
    */
@@ -79,20 +193,64 @@ export default class UIControllerSimple {
     const harmonicsType = document.getElementById('harmonicsType');
     if (harmonicsType) {
       this.handlers.harmonicsType = (e) => {
-        this.appState.updateParam('harmonicsType', e.target.value);
+        this.appState.updateParam('harmonicsType', validateParam('harmonicsType', e.target.value));
       };
       harmonicsType.addEventListener('change', this.handlers.harmonicsType);
     }
 
+    // Partial rolloff (spectrum) control
+    const partialRolloff = document.getElementById('partialRolloff');
+    if (partialRolloff) {
+      this.handlers.partialRolloff = (e) => {
+        this.appState.updateParam('partialRolloff', validateParam('partialRolloff', e.target.value));
+      };
+      partialRolloff.addEventListener('change', this.handlers.partialRolloff);
+    }
+
+    // Phase mode control
+    const harmonicsPhase = document.getElementById('harmonicsPhase');
+    if (harmonicsPhase) {
+      this.handlers.harmonicsPhase = (e) => {
+        this.appState.updateParam('harmonicsPhase', validateParam('harmonicsPhase', e.target.value));
+      };
+      harmonicsPhase.addEventListener('change', this.handlers.harmonicsPhase);
+    }
+
+    // Spectrum analyzer overlay and frequency axis
+    const showSpectrum = document.getElementById('showSpectrum');
+    if (showSpectrum) {
+      this.handlers.showSpectrum = (e) => {
+        this.appState.updateParam('showSpectrum', e.target.checked);
+      };
+      showSpectrum.addEventListener('change', this.handlers.showSpectrum);
+    }
+
+    const spectrumScale = document.getElementById('spectrumScale');
+    if (spectrumScale) {
+      this.handlers.spectrumScale = (e) => {
+        this.appState.updateParam('spectrumScale', validateParam('spectrumScale', e.target.value));
+      };
+      spectrumScale.addEventListener('change', this.handlers.spectrumScale);
+    }
+
     // Coordinate system control
     const coordinateSystem = document.getElementById('coordinateSystem');
     if (coordinateSystem) {
       this.handlers.coordinateSystem = (e) => {
-        this.appState.updateParam('coordinateSystem', e.target.value);
+        this.appState.updateParam('coordinateSystem', validateParam('coordinateSystem', e.target.value));
       };
       coordinateSystem.addEventListener('change', this.handlers.coordinateSystem);
     }
 
+    // Visualization mode control
+    const visualizationMode = document.getElementById('visualizationMode');
+    if (visualizationMode) {
+      this.handlers.visualizationMode = (e) => {
+        this.appState.updateParam('visualizationMode', validateParam('visualizationMode', e.target.value));
+      };
+      visualizationMode.addEventListener('change', this.handlers.visualizationMode);
+    }
+
     // Audio toggle button
     const audioToggle = document.getElementById('audio-toggle');
     if (audioToggle) {
@@ -107,6 +265,60 @@ export default class UIControllerSimple {
       audioToggle.addEventListener('click', this.handlers.audioToggle);
     }
 
+    // WAV export button
+    const exportWav = document.getElementById('export-wav');
+    if (exportWav) {
+      this.handlers.exportWav = () => {
+        try {
+          downloadWav(renderTimbreToWav(this.appState));
+        } catch (error) {
+          console.error('Error exporting audio:', error);
+        }
+      };
+      exportWav.addEventListener('click', this.handlers.exportWav);
+    }
+
+    // SVG export button (vector copy of the geometry view)
+    const exportSvg = document.getElementById('export-svg');
+    if (exportSvg) {
+      this.handlers.exportSvg = () => {
+        const canvas = document.getElementById('canvas');
+        try {
+          downloadSvg(renderStateToSvg(this.appState, {
+            width: canvas ? canvas.width : 800,
+            height: canvas ? canvas.height : 800
+          }));
+        } catch (error) {
+          console.error('Error exporting SVG:', error);
+        }
+      };
+      exportSvg.addEventListener('click', this.handlers.exportSvg);
+    }
+
+    // Copy link button (UrlStateManager answers with the link of the current state)
+    const copyLink = document.getElementById('copy-link');
+    if (copyLink) {
+      this.handlers.copyLink = () => {
+        this.eventGear.emit('share.copyLink', {});
+      };
+      copyLink.addEventListener('click', this.handlers.copyLink);
+      this.eventGear.on('share.linkCopied', (data) => {
+        if (!data.copied) {
+          // Clipboard refused: let the user copy it by hand
+          window.prompt('Copy this link:', data.url);
+          return;
+        }
+        copyLink.textContent = 'Link Copied';
+        clearTimeout(this.copyLinkTimer);
+        this.copyLinkTimer = setTimeout(() => {
+          copyLink.textContent = 'Copy Link';
+        }, 1500);
+      });
+    }
+
+    // A link pasted into the address bar changes params behind the inputs' back
+    this.eventGear.on('share.restored', () => this.syncUIWithState());
+
     // Reset button
     const reset = document.getElementById('reset');
     if (reset) {
@@ -134,6 +346,667 @@ export default class UIControllerSimple {
     });
   }
 
+  /**
+   * Sets up the Lissajous mode inputs (source select, partial numbers, sliders)
+   */
+  setupLissajousControls() {
+    this.handlers.lissajous = (e) => {
+      this.appState.updateParam(e.target.id, validateParam(e.target.id, inputValue(e.target)));
+    };
+
+    LISSAJOUS_CONTROLS.forEach(param => {
+      const element = document.getElementById(param);
+      if (element) {
+        element.addEventListener('change', this.handlers.lissajous);
+        element.addEventListener('input', this.handlers.lissajous);
+      }
+    });
+  }
+
+  /**
+   * Sets up the cymatics mode inputs (plate and source selects, mode numbers)
+   */
+  setupCymaticsControls() {
+    this.handlers.cymatics = (e) => {
+      this.appState.updateParam(e.target.id, validateParam(e.target.id, inputValue(e.target)));
+    };
+
+    CYMATICS_CONTROLS.forEach(param => {
+      const element = document.getElementById(param);
+      if (element) {
+        element.addEventListener('change', this.handlers.cymatics);
+      }
+    });
+  }
+
+  /**
+   * Sets up the spectrogram mode inputs and column selection on the canvas
+   */
+  setupSpectrogramControls() {
+    this.handlers.spectrogram = (e) => {
+      this.appState.updateParam(e.target.id, validateParam(e.target.id, inputValue(e.target)));
+    };
+
+    SPECTROGRAM_CONTROLS.forEach(param => {
+      const element = document.getElementById(param);
+      if (element) {
+        element.addEventListener('change', this.handlers.spectrogram);
+      }
+    });
+
+    // Clicking a column restores the state it was recorded with (SpectrogramRecorder)
+    const canvas = document.getElementById('canvas');
+    if (canvas) {
+      this.handlers.spectrogramSelect = (e) => {
+        if (this.appState.getParam('visualizationMode') !== 'spectrogram') return;
+
+        const bounds = canvas.getBoundingClientRect();
+        this.eventGear.emit('spectrogram.select', {
+          position: (e.clientX - bounds.left) / bounds.width
+        });
+      };
+      canvas.addEventListener('click', this.handlers.spectrogramSelect);
+    }
+
+    // Show the params of a restored column in the inputs
+    this.eventGear.on('state.restored', () => this.syncUIWithState());
+  }
+
+  /**
+   * Sets up the video recording button and its duration / frame-stepped inputs
+   */
+  setupVideoControls() {
+    this.handlers.video = (e) => {
+      this.appState.updateParam(e.target.id, validateParam(e.target.id, inputValue(e.target)));
+    };
+
+    VIDEO_CONTROLS.forEach(param => {
+      const element = document.getElementById(param);
+      if (element) {
+        element.addEventListener('change', this.handlers.video);
+      }
+    });
+
+    // Start / stop button (VideoRecorder listens to video.toggle)
+    const recordVideo = document.getElementById('record-video');
+    if (!recordVideo) return;
+
+    this.handlers.recordVideo = () => {
+      this.eventGear.emit('video.toggle', {});
+    };
+    recordVideo.addEventListener('click', this.handlers.recordVideo);
+
+    const setRecording = (recording) => {
+      recordVideo.textContent = recording ? 'Stop Recording' : 'Record Video';
+      recordVideo.classList.toggle('stop', recording);
+    };
+    this.eventGear.on('video.started', () => setRecording(true));
+    this.eventGear.on('video.progress', (data) => {
+      recordVideo.textContent = `Stop (${data.frame}/${data.frames})`;
+    });
+    this.eventGear.on('video.stopped', () => setRecording(false));
+    this.eventGear.on('video.recorded', (data) => {
+      downloadVideo(data.blob);
+    });
+  }
+
+  /**
+   * Fills the theme selector from the Theme registry
+   */
+  populateThemes() {
+    const theme = document.getElementById('theme');
+    if (!theme) return;
+
+    theme.innerHTML = '';
+    getThemes().forEach(({ id, label }) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = label;
+      theme.appendChild(option);
+    });
+    theme.value = this.appState.getParam('theme');
+  }
+
+  /**
+   * Sets up theme selection, theme file export / import and removal of
+   * imported themes (ThemeManager listens to theme.apply, theme.export,
+   * theme.import and theme.delete)
+   */
+  setupThemeControls() {
+    const theme = document.getElementById('theme');
+    if (theme) {
+      this.handlers.theme = (e) => {
+        this.eventGear.emit('theme.apply', { id: e.target.value });
+      };
+      theme.addEventListener('change', this.handlers.theme);
+    }
+
+    const exportTheme = document.getElementById('exportTheme');
+    if (exportTheme) {
+      this.handlers.exportTheme = () => {
+        this.eventGear.emit('theme.export', {});
+      };
+      exportTheme.addEventListener('click', this.handlers.exportTheme);
+      this.eventGear.on('theme.exported', (data) => {
+        downloadTheme(data.json, `${data.id}.theme.json`);
+      });
+    }
+
+    const importTheme = document.getElementById('importTheme');
+    if (importTheme) {
+      this.handlers.importTheme = () => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json';
+        input.onchange = (e) => {
+          const file = e.target.files[0];
+          if (!file) return;
+
+          file.text().then(text => {
+            this.eventGear.emit('theme.import', { text });
+          }).catch(error => {
+            console.error('Error loading theme file:', error);
+          });
+        };
+        input.click();
+      };
+      importTheme.addEventListener('click', this.handlers.importTheme);
+      this.eventGear.on('theme.registered', () => this.populateThemes());
+    }
+
+    const deleteTheme = document.getElementById('deleteTheme');
+    if (deleteTheme) {
+      this.handlers.deleteTheme = () => {
+        this.eventGear.emit('theme.delete', { id: this.appState.getParam('theme') });
+      };
+      deleteTheme.addEventListener('click', this.handlers.deleteTheme);
+      this.eventGear.on('theme.removed', () => this.populateThemes());
+    }
+  }
+
+  /**
+   * Sets up the preset panel: the library list with tag filter (click
+   * applies and selects a preset), export, delete, import and saving the
+   * current state (PresetManager handles the emitted preset.* events)
+   */
+  setupPresetControls() {
+    const panel = document.getElementById('preset-panel');
+    const presetToggle = document.getElementById('preset-toggle');
+    if (!panel) return;
+
+    this.presetLibrary = { presets: [], tags: [] };
+    this.selectedPreset = null;
+
+    if (presetToggle) {
+      this.handlers.presetToggle = () => {
+        panel.classList.toggle('hidden');
+      };
+      presetToggle.addEventListener('click', this.handlers.presetToggle);
+    }
+
+    const presetTag = document.getElementById('preset-tag');
+    if (presetTag) {
+      this.handlers.presetTag = () => this.renderPresets();
+      presetTag.addEventListener('change', this.handlers.presetTag);
+    }
+
+    const presetList = document.getElementById('preset-list');
+    if (presetList) {
+      this.handlers.presetList = (e) => {
+        const item = e.target.closest('li[data-id]');
+        if (!item) return;
+
+        this.selectedPreset = item.dataset.id;
+        this.eventGear.emit('preset.apply', { id: this.selectedPreset });
+        this.renderPresets();
+      };
+      presetList.addEventListener('click', this.handlers.presetList);
+    }
+
+    const presetExport = document.getElementById('preset-export');
+    if (presetExport) {
+      this.handlers.presetExport = () => {
+        if (this.selectedPreset) {
+          this.eventGear.emit('preset.export', { id: this.selectedPreset });
+        }
+      };
+      presetExport.addEventListener('click', this.handlers.presetExport);
+      this.eventGear.on('preset.exported', (data) => {
+        downloadPreset(data.json, `${data.name.replace(/[^\w-]+/g, '_')}.preset.json`);
+      });
+    }
+
+    const presetDelete = document.getElementById('preset-delete');
+    if (presetDelete) {
+      this.handlers.presetDelete = () => {
+        if (this.selectedPreset) {
+          this.eventGear.emit('preset.delete', { id: this.selectedPreset });
+        }
+      };
+      presetDelete.addEventListener('click', this.handlers.presetDelete);
+    }
+
+    const presetImport = document.getElementById('preset-import');
+    if (presetImport) {
+      this.handlers.presetImport = () => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json';
+        input.onchange = (e) => {
+          const file = e.target.files[0];
+          if (!file) return;
+
+          file.text().then(text => {
+            this.eventGear.emit('preset.import', { text });
+          }).catch(error => {
+            console.error('Error loading preset file:', error);
+          });
+        };
+        input.click();
+      };
+      presetImport.addEventListener('click', this.handlers.presetImport);
+    }
+
+    const presetName = document.getElementById('preset-name');
+    const presetDescription = document.getElementById('preset-description');
+    const presetTags = document.getElementById('preset-tags');
+    const presetSave = document.getElementById('preset-save');
+    if (presetName && presetSave) {
+      this.handlers.presetSave = () => {
+        const name = presetName.value.trim();
+        if (!name) return;
+
+        this.eventGear.emit('preset.save', {
+          name,
+          description: presetDescription ? presetDescription.value : '',
+          tags: presetTags ? presetTags.value : ''
+        });
+        [presetName, presetDescription, presetTags].forEach(input => {
+          if (input) input.value = '';
+        });
+      };
+      presetSave.addEventListener('click', this.handlers.presetSave);
+    }
+
+    // EventGear listeners (managed by EventGear)
+    this.eventGear.on('presets.changed', (data) => {
+      this.presetLibrary = data;
+      this.renderPresets();
+    });
+    this.eventGear.on('preset.applied', () => this.syncUIWithState());
+    this.eventGear.emit('preset.list', {});
+  }
+
+  /**
+   * Lists the presets with the selected tag (thumbnail, name, tags; the
+   * description as tooltip) and the tag filter options
+   */
+  renderPresets() {
+    const presetList = document.getElementById('preset-list');
+    const presetTag = document.getElementById('preset-tag');
+    if (!presetList) return;
+
+    const { presets, tags } = this.presetLibrary;
+    let tag = '';
+    if (presetTag) {
+      tag = tags.includes(presetTag.value) ? presetTag.value : '';
+      presetTag.innerHTML = '';
+      ['', ...tags].forEach(value => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = value || 'All tags';
+        presetTag.appendChild(option);
+      });
+      presetTag.value = tag;
+    }
+    if (!presets.some(preset => preset.id === this.selectedPreset)) {
+      this.selectedPreset = null;
+    }
+
+    presetList.innerHTML = '';
+    presets.filter(preset => !tag || preset.tags.includes(tag)).forEach(preset => {
+      const item = document.createElement('li');
+      item.dataset.id = preset.id;
+      item.title = preset.description || preset.name;
+      item.classList.toggle('selected', preset.id === this.selectedPreset);
+
+      const thumbnail = document.createElement(preset.thumbnail ? 'img' : 'div');
+      thumbnail.className = 'preset-thumbnail';
+      if (preset.thumbnail) {
+        thumbnail.src = preset.thumbnail;
+        thumbnail.alt = '';
+      }
+
+      const text = document.createElement('div');
+      const name = document.createElement('strong');
+      name.textContent = preset.factory ? `${preset.name} (factory)` : preset.name;
+      const tagList = document.createElement('div');
+      tagList.className = 'preset-tags';
+      tagList.textContent = preset.tags.join(', ');
+      text.append(name, tagList);
+
+      item.append(thumbnail, text);
+      presetList.appendChild(item);
+    });
+  }
+
+  /**
+   * Sets up the history panel (undo, redo, checkpoints and the timeline of
+   * entries; HistoryManager handles the emitted history.* events) and the
+   * undo/redo shortcuts
+   */
+  setupHistoryControls() {
+    const panel = document.getElementById('history-panel');
+    const historyToggle = document.getElementById('history-toggle');
+    if (panel && historyToggle) {
+      this.handlers.historyToggle = () => {
+        panel.classList.toggle('hidden');
+        this.renderHistoryTimeline();
+      };
+      historyToggle.addEventListener('click', this.handlers.historyToggle);
+    }
+
+    const historyUndo = document.getElementById('history-undo');
+    if (historyUndo) {
+      this.handlers.historyUndo = () => this.eventGear.emit('history.undo', {});
+      historyUndo.addEventListener('click', this.handlers.historyUndo);
+    }
+
+    const historyRedo = document.getElementById('history-redo');
+    if (historyRedo) {
+      this.handlers.historyRedo = () => this.eventGear.emit('history.redo', {});
+      historyRedo.addEventListener('click', this.handlers.historyRedo);
+    }
+
+    const historyClear = document.getElementById('history-clear');
+    if (historyClear) {
+      this.handlers.historyClear = () => this.eventGear.emit('history.clear', {});
+      historyClear.addEventListener('click', this.handlers.historyClear);
+    }
+
+    const checkpointName = document.getElementById('history-checkpoint-name');
+    const historyCheckpoint = document.getElementById('history-checkpoint');
+    if (checkpointName && historyCheckpoint) {
+      this.handlers.historyCheckpoint = () => {
+        const name = checkpointName.value.trim();
+        if (!name) return;
+
+        this.eventGear.emit('history.checkpoint', { name });
+        checkpointName.value = '';
+      };
+      historyCheckpoint.addEventListener('click', this.handlers.historyCheckpoint);
+    }
+
+    // Clicking an entry jumps to it
+    const timeline = document.getElementById('history-timeline');
+    if (timeline) {
+      this.handlers.historyTimeline = (e) => {
+        const item = e.target.closest('li[data-id]');
+        if (item) {
+          this.eventGear.emit('history.jump', { id: Number(item.dataset.id) });
+        }
+      };
+      timeline.addEventListener('click', this.handlers.historyTimeline);
+    }
+
+    // Ctrl+Z undoes, Ctrl+Shift+Z and Ctrl+Y redo (text fields keep their own undo)
+    this.handlers.historyKeys = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (e.target && (e.target.type === 'text' || e.target.type === 'number')) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' || key === 'y') {
+        e.preventDefault();
+        this.eventGear.emit(key === 'y' || e.shiftKey ? 'history.redo' : 'history.undo', {});
+      }
+    };
+    document.addEventListener('keydown', this.handlers.historyKeys);
+
+    // EventGear listeners (managed by EventGear)
+    this.eventGear.on('history.changed', (data) => {
+      if (historyUndo) historyUndo.disabled = !data.canUndo;
+      if (historyRedo) historyRedo.disabled = !data.canRedo;
+      this.renderHistoryTimeline();
+    });
+
+    // Moves in the history change params behind the inputs' back
+    this.eventGear.on('state.changed', (data) => {
+      if (data.action) this.syncUIWithState();
+    });
+  }
+
+  /**
+   * Lists the history entries in the timeline (while the panel is open),
+   * branches indented, the path to the current entry highlighted
+   */
+  renderHistoryTimeline() {
+    const panel = document.getElementById('history-panel');
+    const timeline = document.getElementById('history-timeline');
+    if (!panel || !timeline || panel.classList.contains('hidden')) return;
+
+    timeline.innerHTML = '';
+    this.appState.history.timeline().forEach(entry => {
+      const item = document.createElement('li');
+      item.dataset.id = entry.id;
+      item.style.paddingLeft = `${6 + entry.depth * 12}px`;
+      item.classList.toggle('active', entry.active);
+      item.classList.toggle('current', entry.current);
+      item.classList.toggle('checkpoint', entry.name !== null);
+
+      const change = entry.params.length === 1 ? entry.params[0] : `${entry.params.length} params`;
+      const label = entry.parent === null ? 'Start' : `${entry.action === 'update' ? '' : `${entry.action}: `}${change}`;
+      item.textContent = entry.name || label;
+      item.title = `${new Date(entry.time).toLocaleTimeString()} ${label}`;
+
+      timeline.appendChild(item);
+    });
+
+    timeline.querySelector('li.current')?.scrollIntoView({ block: 'nearest' });
+  }
+
+  /**
+   * Sets up the ADSR envelope sliders (element ids match the AppState params)
+   */
+  setupEnvelopeControls() {
+    this.handlers.envelope = (e) => {
+      this.appState.updateParam(e.target.id, validateParam(e.target.id, inputValue(e.target)));
+    };
+
+    Object.values(ENVELOPE_PARAMS).forEach(param => {
+      const element = document.getElementById(param);
+      if (element) {
+        element.addEventListener('input', this.handlers.envelope);
+      }
+    });
+  }
+
+  /**
+   * Sets up the MIDI learn button (maps the next CC/pitch bend to the selected param)
+   */
+  setupMidiLearn() {
+    const midiLearn = document.getElementById('midiLearn');
+    const midiLearnParam = document.getElementById('midiLearnParam');
+    if (!midiLearn || !midiLearnParam) return;
+
+    this.midiLearning = false;
+    const setLearning = (learning) => {
+      this.midiLearning = learning;
+      midiLearn.textContent = learning ? 'Cancel' : 'Learn';
+      midiLearn.classList.toggle('stop', learning);
+    };
+
+    this.handlers.midiLearn = () => {
+      if (this.midiLearning) {
+        this.eventGear.emit('midi.learnCancel', {});
+      } else {
+        this.eventGear.emit('midi.learn', { param: midiLearnParam.value });
+      }
+    };
+    midiLearn.addEventListener('click', this.handlers.midiLearn);
+
+    // Button state follows the MidiController (EventGear listeners, managed by EventGear)
+    this.eventGear.on('midi.learnStarted', () => setLearning(true));
+    this.eventGear.on('midi.learned', () => setLearning(false));
+    this.eventGear.on('midi.learnCancelled', () => setLearning(false));
+  }
+
+  /**
+   * Sets up MIDI output: series layout, playback, file export and note mirroring
+   */
+  setupMidiOutputControls() {
+    const midiExportMode = document.getElementById('midiExportMode');
+    if (midiExportMode) {
+      this.handlers.midiExportMode = (e) => {
+        this.appState.updateParam('midiExportMode', validateParam('midiExportMode', e.target.value));
+      };
+      midiExportMode.addEventListener('change', this.handlers.midiExportMode);
+    }
+
+    const midiPlaySeries = document.getElementById('midiPlaySeries');
+    if (midiPlaySeries) {
+      this.handlers.midiPlaySeries = () => {
+        this.eventGear.emit('midi.playSeries', {});
+      };
+      midiPlaySeries.addEventListener('click', this.handlers.midiPlaySeries);
+    }
+
+    const exportMidi = document.getElementById('export-midi');
+    if (exportMidi) {
+      this.handlers.exportMidi = () => {
+        try {
+          downloadMidi(renderSeriesToMidi(this.appState));
+        } catch (error) {
+          console.error('Error exporting MIDI:', error);
+        }
+      };
+      exportMidi.addEventListener('click', this.handlers.exportMidi);
+    }
+
+    const midiOutputEnabled = document.getElementById('midiOutputEnabled');
+    if (midiOutputEnabled) {
+      this.handlers.midiOutputEnabled = (e) => {
+        this.appState.updateParam('midiOutputEnabled', e.target.checked, false);
+      };
+      midiOutputEnabled.addEventListener('change', this.handlers.midiOutputEnabled);
+    }
+  }
+
+  /**
+   * Fills the harmonic type select from the HarmonicTypes registry
+   */
+  populateHarmonicTypes() {
+    const harmonicsType = document.getElementById('harmonicsType');
+    if (!harmonicsType) return;
+
+    harmonicsType.innerHTML = '';
+    getHarmonicTypes().forEach(({ id, label }) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = label;
+      harmonicsType.appendChild(option);
+    });
+    harmonicsType.value = this.appState.getParam('harmonicsType');
+
+    // Keep the select in sync with later registrations (managed by EventGear)
+    if (!this.harmonicTypesListener) {
+      this.harmonicTypesListener = () => this.populateHarmonicTypes();
+      this.eventGear.on('harmonicTypes.changed', this.harmonicTypesListener);
+    }
+  }
+
+  /**
+   * Fills the tuning select from the Tuning registry
+   */
+  populateTunings() {
+    const tuningSystem = document.getElementById('tuningSystem');
+    if (!tuningSystem) return;
+
+    tuningSystem.innerHTML = '';
+    getTunings().forEach(({ id, label }) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = label;
+      tuningSystem.appendChild(option);
+    });
+    tuningSystem.value = this.appState.getParam('tuningSystem');
+  }
+
+  /**
+   * Sets up tuning selection, quantization and Scala file loading
+   */
+  setupTuningControls() {
+    const tuningSystem = document.getElementById('tuningSystem');
+    if (tuningSystem) {
+      this.handlers.tuningSystem = (e) => {
+        this.appState.updateParam('tuningSystem', validateParam('tuningSystem', e.target.value));
+      };
+      tuningSystem.addEventListener('change', this.handlers.tuningSystem);
+    }
+
+    const tuningQuantize = document.getElementById('tuningQuantize');
+    if (tuningQuantize) {
+      this.handlers.tuningQuantize = (e) => {
+        this.appState.updateParam('tuningQuantize', e.target.checked);
+      };
+      tuningQuantize.addEventListener('change', this.handlers.tuningQuantize);
+    }
+
+    const showRatios = document.getElementById('showRatios');
+    if (showRatios) {
+      this.handlers.showRatios = (e) => {
+        this.appState.updateParam('showRatios', e.target.checked);
+      };
+      showRatios.addEventListener('change', this.handlers.showRatios);
+    }
+
+    const loadScalaButton = document.getElementById('loadScala');
+    if (loadScalaButton) {
+      this.handlers.loadScala = () => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.scl';
+        input.onchange = (e) => {
+          const file = e.target.files[0];
+          if (!file) return;
+
+          file.text().then(text => {
+            const tuning = loadScala(text, `scl:${file.name}`);
+            this.populateTunings();
+            this.appState.updateParam('tuningSystem', tuning.id);
+            if (tuningSystem) tuningSystem.value = tuning.id;
+          }).catch(error => {
+            console.error('Error loading Scala file:', error);
+          });
+        };
+        input.click();
+      };
+      loadScalaButton.addEventListener('click', this.handlers.loadScala);
+    }
+
+    // A keyboard mapping is kept as text in the state (MidiController reads it)
+    const loadKbmButton = document.getElementById('loadKbm');
+    if (loadKbmButton) {
+      this.handlers.loadKbm = () => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.kbm';
+        input.onchange = (e) => {
+          const file = e.target.files[0];
+          if (!file) return;
+
+          file.text().then(text => {
+            parseKbm(text);
+            this.appState.updateParam('tuningKeyboardMap', text);
+          }).catch(error => {
+            console.error('Error loading keyboard mapping:', error);
+          });
+        };
+        input.click();
+      };
+      loadKbmButton.addEventListener('click', this.handlers.loadKbm);
+    }
+  }
+
   /**
    * Sets up FPS display toggle (click FPS counter to toggle)
    */
@@ -161,7 +1034,19 @@ export default class UIControllerSimple {
       ['frequency', params.calcFrequency],
       ['harmonics', params.harmonics],
       ['harmonicsType', params.harmonicsType],
-      ['coordinateSystem', params.coordinateSystem]
+      ['partialRolloff', params.partialRolloff],
+      ['harmonicsPhase', resolvePhaseMode(params.harmonicsPhase)],
+      ['tuningSystem', params.tuningSystem],
+      ['theme', params.theme],
+      ['coordinateSystem', params.coordinateSystem],
+      ['visualizationMode', params.visualizationMode],
+      ['midiExportMode', params.midiExportMode],
+      ['spectrumScale', params.spectrumScale],
+      ...Object.values(ENVELOPE_PARAMS).map(param => [param, params[param]]),
+      ...LISSAJOUS_CONTROLS.map(param => [param, params[param]]),
+      ...CYMATICS_CONTROLS.map(param => [param, params[param]]),
+      ...SPECTROGRAM_CONTROLS.map(param => [param, params[param]]),
+      ['videoDuration', params.videoDuration]
     ];
 
     updates.forEach(([id, value]) => {
@@ -171,6 +1056,20 @@ export default class UIControllerSimple {
       }
     });
 
+    // Update checkboxes from state
+    [
+      ['tuningQuantize', params.tuningQuantize],
+      ['showRatios', params.showRatios],
+      ['midiOutputEnabled', params.midiOutputEnabled],
+      ['showSpectrum', params.showSpectrum],
+      ['videoFrameStepped', params.videoFrameStepped]
+    ].forEach(([id, checked]) => {
+      const element = document.getElementById(id);
+      if (element) {
+        element.checked = checked;
+      }
+    });
+
     // Update harmonics display
     const harmonicsValue = document.getElementById('harmonics-value');
     if (harmonicsValue) {
@@ -187,10 +1086,47 @@ export default class UIControllerSimple {
       frequency: document.getElementById('frequency'),
       harmonics: document.getElementById('harmonics'),
       harmonicsType: document.getElementById('harmonicsType'),
+      partialRolloff: document.getElementById('partialRolloff'),
+      harmonicsPhase: document.getElementById('harmonicsPhase'),
+      tuningSystem: document.getElementById('tuningSystem'),
+      tuningQuantize: document.getElementById('tuningQuantize'),
+      showRatios: document.getElementById('showRatios'),
+      showSpectrum: document.getElementById('showSpectrum'),
+      spectrumScale: document.getElementById('spectrumScale'),
+      loadScala: document.getElementById('loadScala'),
+      loadKbm: document.getElementById('loadKbm'),
       coordinateSystem: document.getElementById('coordinateSystem'),
+      visualizationMode: document.getElementById('visualizationMode'),
       audioToggle: document.getElementById('audio-toggle'),
+      exportWav: document.getElementById('export-wav'),
+      exportSvg: document.getElementById('export-svg'),
+      copyLink: document.getElementById('copy-link'),
+      recordVideo: document.getElementById('record-video'),
+      theme: document.getElementById('theme'),
+      exportTheme: document.getElementById('exportTheme'),
+      importTheme: document.getElementById('importTheme'),
+      deleteTheme: document.getElementById('deleteTheme'),
+      midiLearn: document.getElementById('midiLearn'),
+      midiExportMode: document.getElementById('midiExportMode'),
+      midiPlaySeries: document.getElementById('midiPlaySeries'),
+      exportMidi: document.getElementById('export-midi'),
+      midiOutputEnabled: document.getElementById('midiOutputEnabled'),
       reset: document.getElementById('reset'),
-      fpsCounter: document.getElementById('fps-counter')
+      presetToggle: document.getElementById('preset-toggle'),
+      presetTag: document.getElementById('preset-tag'),
+      presetList: document.getElementById('preset-list'),
+      presetExport: document.getElementById('preset-export'),
+      presetDelete: document.getElementById('preset-delete'),
+      presetImport: document.getElementById('preset-import'),
+      presetSave: document.getElementById('preset-save'),
+      historyToggle: document.getElementById('history-toggle'),
+      historyUndo: document.getElementById('history-undo'),
+      historyRedo: document.getElementById('history-redo'),
+      historyClear: document.getElementById('history-clear'),
+      historyCheckpoint: document.getElementById('history-checkpoint'),
+      historyTimeline: document.getElementById('history-timeline'),
+      fpsCounter: document.getElementById('fps-counter'),
+      canvas: document.getElementById('canvas')
     };
 
     // Remove each listener if element and handler exist
@@ -203,15 +1139,145 @@ export default class UIControllerSimple {
     if (elements.harmonicsType && this.handlers.harmonicsType) {
       elements.harmonicsType.removeEventListener('change', this.handlers.harmonicsType);
     }
+    if (elements.partialRolloff && this.handlers.partialRolloff) {
+      elements.partialRolloff.removeEventListener('change', this.handlers.partialRolloff);
+    }
+    if (elements.harmonicsPhase && this.handlers.harmonicsPhase) {
+      elements.harmonicsPhase.removeEventListener('change', this.handlers.harmonicsPhase);
+    }
+    if (elements.tuningSystem && this.handlers.tuningSystem) {
+      elements.tuningSystem.removeEventListener('change', this.handlers.tuningSystem);
+    }
+    if (elements.tuningQuantize && this.handlers.tuningQuantize) {
+      elements.tuningQuantize.removeEventListener('change', this.handlers.tuningQuantize);
+    }
+    if (elements.showRatios && this.handlers.showRatios) {
+      elements.showRatios.removeEventListener('change', this.handlers.showRatios);
+    }
+    if (elements.showSpectrum && this.handlers.showSpectrum) {
+      elements.showSpectrum.removeEventListener('change', this.handlers.showSpectrum);
+    }
+    if (elements.spectrumScale && this.handlers.spectrumScale) {
+      elements.spectrumScale.removeEventListener('change', this.handlers.spectrumScale);
+    }
+    if (elements.loadScala && this.handlers.loadScala) {
+      elements.loadScala.removeEventListener('click', this.handlers.loadScala);
+    }
+    if (elements.loadKbm && this.handlers.loadKbm) {
+      elements.loadKbm.removeEventListener('click', this.handlers.loadKbm);
+    }
+    if (this.handlers.envelope) {
+      Object.values(ENVELOPE_PARAMS).forEach(param => {
+        const element = document.getElementById(param);
+        if (element) {
+          element.removeEventListener('input', this.handlers.envelope);
+        }
+      });
+    }
+    if (this.handlers.lissajous) {
+      LISSAJOUS_CONTROLS.forEach(param => {
+        const element = document.getElementById(param);
+        if (element) {
+          element.removeEventListener('change', this.handlers.lissajous);
+          element.removeEventListener('input', this.handlers.lissajous);
+        }
+      });
+    }
+    if (this.handlers.cymatics) {
+      CYMATICS_CONTROLS.forEach(param => {
+        const element = document.getElementById(param);
+        if (element) {
+          element.removeEventListener('change', this.handlers.cymatics);
+        }
+      });
+    }
+    if (this.handlers.spectrogram) {
+      SPECTROGRAM_CONTROLS.forEach(param => {
+        const element = document.getElementById(param);
+        if (element) {
+          element.removeEventListener('change', this.handlers.spectrogram);
+        }
+      });
+    }
+    if (elements.canvas && this.handlers.spectrogramSelect) {
+      elements.canvas.removeEventListener('click', this.handlers.spectrogramSelect);
+    }
     if (elements.coordinateSystem && this.handlers.coordinateSystem) {
       elements.coordinateSystem.removeEventListener('change', this.handlers.coordinateSystem);
     }
+    if (elements.visualizationMode && this.handlers.visualizationMode) {
+      elements.visualizationMode.removeEventListener('change', this.handlers.visualizationMode);
+    }
     if (elements.audioToggle && this.handlers.audioToggle) {
       elements.audioToggle.removeEventListener('click', this.handlers.audioToggle);
     }
+    if (elements.exportWav && this.handlers.exportWav) {
+      elements.exportWav.removeEventListener('click', this.handlers.exportWav);
+    }
+    if (elements.exportSvg && this.handlers.exportSvg) {
+      elements.exportSvg.removeEventListener('click', this.handlers.exportSvg);
+    }
+    if (elements.copyLink && this.handlers.copyLink) {
+      elements.copyLink.removeEventListener('click', this.handlers.copyLink);
+    }
+    clearTimeout(this.copyLinkTimer);
+    if (elements.recordVideo && this.handlers.recordVideo) {
+      elements.recordVideo.removeEventListener('click', this.handlers.recordVideo);
+    }
+    if (this.handlers.video) {
+      VIDEO_CONTROLS.forEach(param => {
+        const element = document.getElementById(param);
+        if (element) {
+          element.removeEventListener('change', this.handlers.video);
+        }
+      });
+    }
+    if (elements.theme && this.handlers.theme) {
+      elements.theme.removeEventListener('change', this.handlers.theme);
+    }
+    if (elements.exportTheme && this.handlers.exportTheme) {
+      elements.exportTheme.removeEventListener('click', this.handlers.exportTheme);
+    }
+    if (elements.importTheme && this.handlers.importTheme) {
+      elements.importTheme.removeEventListener('click', this.handlers.importTheme);
+    }
+    if (elements.deleteTheme && this.handlers.deleteTheme) {
+      elements.deleteTheme.removeEventListener('click', this.handlers.deleteTheme);
+    }
+    if (elements.midiLearn && this.handlers.midiLearn) {
+      elements.midiLearn.removeEventListener('click', this.handlers.midiLearn);
+    }
+    if (elements.midiExportMode && this.handlers.midiExportMode) {
+      elements.midiExportMode.removeEventListener('change', this.handlers.midiExportMode);
+    }
+    if (elements.midiPlaySeries && this.handlers.midiPlaySeries) {
+      elements.midiPlaySeries.removeEventListener('click', this.handlers.midiPlaySeries);
+    }
+    if (elements.exportMidi && this.handlers.exportMidi) {
+      elements.exportMidi.removeEventListener('click', this.handlers.exportMidi);
+    }
+    if (elements.midiOutputEnabled && this.handlers.midiOutputEnabled) {
+      elements.midiOutputEnabled.removeEventListener('change', this.handlers.midiOutputEnabled);
+    }
     if (elements.reset && this.handlers.reset) {
       elements.reset.removeEventListener('click', this.handlers.reset);
     }
+    if (elements.presetTag && this.handlers.presetTag) {
+      elements.presetTag.removeEventListener('change', this.handlers.presetTag);
+    }
+    ['presetToggle', 'presetList', 'presetExport', 'presetDelete', 'presetImport', 'presetSave'].forEach(name => {
+      if (elements[name] && this.handlers[name]) {
+        elements[name].removeEventListener('click', this.handlers[name]);
+      }
+    });
+    ['historyToggle', 'historyUndo', 'historyRedo', 'historyClear', 'historyCheckpoint', 'historyTimeline'].forEach(name => {
+      if (elements[name] && this.handlers[name]) {
+        elements[name].removeEventListener('click', this.handlers[name]);
+      }
+    });
+    if (this.handlers.historyKeys) {
+      document.removeEventListener('keydown', this.handlers.historyKeys);
+    }
     if (elements.fpsCounter && this.handlers.fpsToggle) {
       elements.fpsCounter.removeEventListener('click', this.handlers.fpsToggle);
     }
@@ -221,9 +1287,52 @@ export default class UIControllerSimple {
       frequency: null,
       harmonics: null,
       harmonicsType: null,
+      partialRolloff: null,
+      harmonicsPhase: null,
+      tuningSystem: null,
+      tuningQuantize: null,
+      showRatios: null,
+      showSpectrum: null,
+      spectrumScale: null,
+      loadScala: null,
+      loadKbm: null,
+      envelope: null,
+      lissajous: null,
+      cymatics: null,
+      spectrogram: null,
+      spectrogramSelect: null,
       coordinateSystem: null,
+      visualizationMode: null,
       audioToggle: null,
+      exportWav: null,
+      exportSvg: null,
+      copyLink: null,
+      recordVideo: null,
+      video: null,
+      theme: null,
+      exportTheme: null,
+      importTheme: null,
+      deleteTheme: null,
+      midiLearn: null,
+      midiExportMode: null,
+      midiPlaySeries: null,
+      exportMidi: null,
+      midiOutputEnabled: null,
       reset: null,
+      presetToggle: null,
+      presetTag: null,
+      presetList: null,
+      presetExport: null,
+      presetDelete: null,
+      presetImport: null,
+      presetSave: null,
+      historyToggle: null,
+      historyUndo: null,
+      historyRedo: null,
+      historyClear: null,
+      historyCheckpoint: null,
+      historyTimeline: null,
+      historyKeys: null,
       fpsToggle: null
     };
 
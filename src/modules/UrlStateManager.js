@@ -0,0 +1,161 @@
+/**
+ * UrlStateManager.js
+ *
+ * Keeps the URL hash in line with the state (see StateUrl.js): a link
+ * opened with a state hash restores that view on load (on top of the
+ * restored undo history, as one undo step), the hash follows param changes
+ * after updateDelay ms (replaceState, so the browser history is left
+ * alone), and edits of the hash in the address bar are applied.
+ *
+ * The UI asks for a link with `share.copyLink`; the answer is
+ * `share.linkCopied` ({ url, copied }), copied = false when the clipboard
+ * refused it.
+ */
+
+import { AppConfig } from '../config/app-config.js';
+
+export default class UrlStateManager {
+  /**
+   * @param {Object} eventGear - EventGear instance
+   * @param {AppState} appState - Application state
+   * @param {Object} options - Options
+   * @param {Location} options.location - Page location (window.location by default, null in Node)
+   * @param {History} options.history - Browser history (window.history by default)
+   * @param {Clipboard} options.clipboard - Clipboard (navigator.clipboard by default)
+   * @param {number} options.updateDelay - Debounce of the hash updates (ms)
+   */
+  constructor(eventGear, appState, {
+    location = globalThis.location ?? null,
+    history = globalThis.history ?? null,
+    clipboard = globalThis.navigator?.clipboard ?? null,
+    updateDelay = AppConfig.urlState.updateDelay
+  } = {}) {
+    this.eventGear = eventGear;
+    this.appState = appState;
+    this.location = location;
+    this.history = history;
+    this.clipboard = clipboard;
+    this.updateDelay = updateDelay;
+    this.updateTimer = null;
+    this.hashChangeHandler = null;
+
+    // Register event listeners
+    this.registerEvents();
+
+    // State of the opened link, then the URL follows the state
+    this.restore();
+    this.scheduleUpdate();
+  }
+
+  /**
+   * Registers event listeners
+   */
+  registerEvents() {
+    this.eventGear.on('state.changed', () => this.scheduleUpdate());
+
+    // Copy link button (emitted by UIControllerSimple)
+    this.eventGear.on('share.copyLink', () => {
+      this.copyLink();
+    });
+
+    // Hash edited in the address bar
+    if (typeof window !== 'undefined') {
+      this.hashChangeHandler = () => this.restore();
+      window.addEventListener('hashchange', this.hashChangeHandler);
+    }
+  }
+
+  /**
+   * Applies the state in the URL hash
+   * @returns {Object|null} - { changedParams, rejected }, null without a state hash
+   */
+  restore() {
+    if (!this.location || !this.location.hash) return null;
+
+    try {
+      const result = this.appState.applyUrlState(this.location.hash);
+      if (result) {
+        this.eventGear.emit('share.restored', result);
+      }
+      return result;
+    } catch (error) {
+      // A link of another version: the current state stays
+      console.warn('Ignoring the URL state:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Updates the hash after updateDelay ms (later changes restart the delay)
+   */
+  scheduleUpdate() {
+    if (!this.location || !this.history) return;
+
+    clearTimeout(this.updateTimer);
+    this.updateTimer = setTimeout(() => this.updateHash(), this.updateDelay);
+  }
+
+  /**
+   * Writes the current state to the hash now (without a browser history entry)
+   * @returns {boolean} - Whether the hash changed
+   */
+  updateHash() {
+    clearTimeout(this.updateTimer);
+    this.updateTimer = null;
+    if (!this.location || !this.history) return false;
+
+    const state = this.appState.toUrlState();
+    const hash = state ? `#${state}` : '';
+    if (this.location.hash === hash) return false;
+
+    this.history.replaceState(this.history.state, '', `${this.location.pathname}${this.location.search}${hash}`);
+    return true;
+  }
+
+  /**
+   * Link reproducing the current state
+   * @returns {string} - Page URL with the state hash
+   */
+  getLink() {
+    const state = this.appState.toUrlState();
+    const page = this.location ? this.location.href.split('#')[0] : '';
+    return state ? `${page}#${state}` : page;
+  }
+
+  /**
+   * Copies the link to the clipboard
+   * @returns {Promise<boolean>} - Whether it was copied
+   */
+  async copyLink() {
+    const url = this.getLink();
+
+    let copied = false;
+    try {
+      if (this.clipboard) {
+        await this.clipboard.writeText(url);
+        copied = true;
+      }
+    } catch (error) {
+      // Permission denied or no focus
+      console.warn('Could not copy the link:', error.message);
+    }
+
+    this.eventGear.emit('share.linkCopied', { url, copied });
+    return copied;
+  }
+
+  /**
+   * Cleans up resources when the module is no longer needed
+   */
+  dispose() {
+    // EventGear listeners are managed by EventGear itself
+    clearTimeout(this.updateTimer);
+    this.updateTimer = null;
+    if (this.hashChangeHandler) {
+      window.removeEventListener('hashchange', this.hashChangeHandler);
+      this.hashChangeHandler = null;
+    }
+
+    console.log('UrlStateManager disposed');
+  }
+}
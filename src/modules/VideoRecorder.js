@@ -0,0 +1,372 @@
+/**
+ * VideoRecorder.js
+ *
+ * WebM video export of the animated visualization. The canvas is captured
+ * with canvas.captureStream and the AudioSynthesis output is mixed in
+ * through a MediaStreamDestination; MediaRecorder encodes both.
+ *
+ * Two modes:
+ *   live         - records the running animation and what is played
+ *                  (until stopped, or for a fixed duration)
+ *   frame-stepped - stops the animation loop and drives
+ *                  Visualizer.renderFrameAt at exact frame timestamps, with
+ *                  the timbre rendered offline (AudioExport.renderPartials)
+ *                  as the soundtrack, so the same state gives the same video
+ *
+ * The UI talks to the recorder through `video.toggle`; results are emitted
+ * as `video.recorded` ({ blob, mimeType, duration, frames }).
+ */
+
+import { AppConfig } from '../config/app-config.js';
+import { renderPartials } from './AudioExport.js';
+import { envelopeFromParams } from './Envelope.js';
+
+/**
+ * Picks the first WebM type the browser can record
+ * @param {Function} isTypeSupported - MediaRecorder.isTypeSupported
+ * @param {boolean} withAudio - Whether an audio track is recorded
+ * @returns {string} - MIME type ('' lets the browser choose)
+ */
+export function selectMimeType(isTypeSupported, withAudio = true) {
+  const candidates = withAudio
+    ? ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm']
+    : ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+  return candidates.find(type => isTypeSupported(type)) || '';
+}
+
+/**
+ * Exact frame timestamps of a frame-stepped recording
+ * @param {number} duration - Length in seconds
+ * @param {number} fps - Frames per second
+ * @param {number} start - Timestamp of the first frame (ms)
+ * @returns {Array} - Timestamps in ms (round(duration * fps) frames)
+ */
+export function frameTimestamps(duration, fps, start = 0) {
+  const frames = Math.max(1, Math.round(duration * fps));
+  return Array.from({ length: frames }, (_, i) => start + (i * 1000) / fps);
+}
+
+/**
+ * Offers a recorded video for download (browser only)
+ * @param {Blob} blob - Video data
+ * @param {string} filename - Download file name
+ */
+export function downloadVideo(blob, filename = 'harmonic-explorer.webm') {
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.download = filename;
+  link.href = url;
+  link.click();
+
+  URL.revokeObjectURL(url);
+}
+
+export default class VideoRecorder {
+  /**
+   * @param {Object} eventGear - EventGear instance
+   * @param {AppState} appState - Application state
+   * @param {Object} targets - Recorded components
+   * @param {HTMLCanvasElement} targets.canvas - Visualization canvas
+   * @param {Visualizer} targets.visualizer - Animation loop (frame-stepped mode)
+   * @param {AudioSynthesis} targets.audioSynthesis - Audio output (optional)
+   * @param {GeometryRenderer} targets.renderer - Renderer of the canvas (optional;
+   *   records the flattened layers when they are stacked canvases)
+   */
+  constructor(eventGear, appState, { canvas, visualizer, audioSynthesis = null, renderer = null }) {
+    this.eventGear = eventGear;
+    this.appState = appState;
+    this.canvas = canvas;
+    this.renderer = renderer;
+    this.visualizer = visualizer;
+    this.audioSynthesis = audioSynthesis;
+
+    // 'idle', 'recording' (live) or 'rendering' (frame-stepped)
+    this.state = 'idle';
+    this.capture = null;
+    this.stopTimer = null;
+    this.cancelled = false;
+
+    // Register event listeners
+    this.registerEvents();
+  }
+
+  /**
+   * Registers event listeners
+   */
+  registerEvents() {
+    // Record button (emitted by UIControllerSimple)
+    this.eventGear.on('video.toggle', () => {
+      const task = this.state === 'idle' ? this.recordFromParams() : Promise.resolve(this.stop());
+      task.catch(error => console.error('Error recording video:', error));
+    });
+  }
+
+  /**
+   * Whether the browser can record the canvas
+   * @returns {boolean} - captureStream and MediaRecorder available
+   */
+  isSupported() {
+    return Boolean(this.canvas && typeof this.canvas.captureStream === 'function') &&
+      typeof MediaRecorder !== 'undefined';
+  }
+
+  /**
+   * Records with the videoDuration / videoFrameStepped params
+   * @returns {Promise<Object>} - Recording (see finish)
+   */
+  recordFromParams() {
+    const { videoDuration, videoFrameStepped } = this.appState.getAllParams();
+    return videoFrameStepped
+      ? this.renderFrames({ duration: videoDuration })
+      : this.start({ duration: videoDuration });
+  }
+
+  /**
+   * Creates the canvas + audio stream and its MediaRecorder
+   * @param {number} frameRate - Capture rate (0 = frames are requested manually)
+   * @param {boolean} tapOutput - Record the synthesizer output (live mode)
+   * @returns {Object} - Capture ({ recorder, videoTrack, chunks, mimeType, audioDestination })
+   */
+  createRecorder(frameRate, tapOutput) {
+    if (!this.isSupported()) {
+      throw new Error('Video recording is not supported (needs canvas.captureStream and MediaRecorder)');
+    }
+
+    const source = this.renderer ? this.renderer.getCaptureCanvas() : this.canvas;
+    const canvasStream = source.captureStream(frameRate);
+    const tracks = canvasStream.getVideoTracks();
+
+    // Audio track fed by the synthesizer output or the offline soundtrack
+    const audio = this.audioSynthesis;
+    let audioDestination = null;
+    if (audio && audio.context && audio.mainGain && audio.context.createMediaStreamDestination) {
+      audioDestination = audio.context.createMediaStreamDestination();
+      if (tapOutput) audio.mainGain.connect(audioDestination);
+      tracks.push(...audioDestination.stream.getAudioTracks());
+    }
+
+    const withAudio = tracks.length > 1;
+    const mimeType = selectMimeType(type => MediaRecorder.isTypeSupported(type), withAudio);
+    const recorder = new MediaRecorder(new MediaStream(tracks), {
+      ...(mimeType ? { mimeType } : {}),
+      videoBitsPerSecond: AppConfig.video.videoBitsPerSecond
+    });
+
+    const chunks = [];
+    recorder.ondataavailable = (e) => {
+      if (e.data && e.data.size > 0) chunks.push(e.data);
+    };
+
+    return {
+      recorder,
+      videoTrack: tracks[0],
+      chunks,
+      mimeType: mimeType || 'video/webm',
+      audioDestination,
+      tapOutput,
+      soundtrack: null
+    };
+  }
+
+  /**
+   * Resolves with the encoded video once the MediaRecorder stops
+   * @param {Object} capture - createRecorder result
+   * @param {Object} info - { mode, frames }
+   * @returns {Promise<Object>} - { blob, mimeType, duration, frames, mode }
+   */
+  finish(capture, info) {
+    const { recorder, chunks, mimeType } = capture;
+    const startedAt = performance.now();
+
+    return new Promise((resolve, reject) => {
+      recorder.onerror = (e) => reject(e.error || new Error('MediaRecorder error'));
+      recorder.onstop = () => {
+        this.release(capture);
+
+        const result = {
+          blob: new Blob(chunks, { type: mimeType }),
+          mimeType,
+          duration: info.duration !== undefined ? info.duration : (performance.now() - startedAt) / 1000,
+          frames: info.frames,
+          mode: info.mode
+        };
+        this.eventGear.emit('video.recorded', result);
+        resolve(result);
+      };
+    });
+  }
+
+  /**
+   * Records the running animation and audio
+   * @param {Object} options - Recording options
+   * @param {number} options.duration - Stop after this many seconds (0 = until stop())
+   * @returns {Promise<Object>} - Recording, resolved when stopped
+   */
+  start({ duration = 0 } = {}) {
+    if (this.state !== 'idle') {
+      return Promise.reject(new Error(`Video recorder is busy (${this.state})`));
+    }
+
+    const capture = this.createRecorder(AppConfig.video.fps, true);
+    this.capture = capture;
+    this.state = 'recording';
+
+    const done = this.finish(capture, { mode: 'live', frames: null });
+    capture.recorder.start(AppConfig.video.timeslice);
+
+    // Fixed-duration mode
+    if (duration > 0) {
+      this.stopTimer = setTimeout(() => this.stop(), duration * 1000);
+    }
+
+    this.eventGear.emit('video.started', { mode: 'live', mimeType: capture.mimeType, duration });
+    return done;
+  }
+
+  /**
+   * Renders a fixed-length video frame by frame at exact timestamps.
+   * The animation loop is paused meanwhile and restarted afterwards.
+   * @param {Object} options - Rendering options
+   * @param {number} options.duration - Length in seconds (> 0)
+   * @param {number} options.fps - Frames per second
+   * @returns {Promise<Object>} - Recording
+   */
+  async renderFrames({ duration, fps = AppConfig.video.fps } = {}) {
+    if (!(duration > 0)) {
+      throw new TypeError('Frame-stepped recording needs a duration greater than 0');
+    }
+    if (this.state !== 'idle') {
+      throw new Error(`Video recorder is busy (${this.state})`);
+    }
+
+    const capture = this.createRecorder(0, false);
+    const wasAnimating = this.visualizer.isAnimating;
+    this.visualizer.stop();
+    this.capture = capture;
+    this.state = 'rendering';
+    this.cancelled = false;
+
+    // Frame timestamps continue the loop's clock so listeners see time advance
+    const clock = this.visualizer.clock;
+    const frameDuration = 1000 / fps;
+    const timestamps = frameTimestamps(duration, fps, clock.time + frameDuration);
+    const done = this.finish(capture, { mode: 'frame-stepped', frames: timestamps.length, duration: timestamps.length / fps });
+
+    this.eventGear.emit('video.started', { mode: 'frame-stepped', mimeType: capture.mimeType, duration });
+
+    // A context suspended by a paused or manual clock would hold the soundtrack back
+    const context = this.audioSynthesis && this.audioSynthesis.context;
+    const resumed = Boolean(context && capture.audioDestination && context.state === 'suspended');
+    if (resumed) await context.resume();
+
+    capture.recorder.start(AppConfig.video.timeslice);
+    this.playSoundtrack(capture, duration);
+    const startedAt = performance.now();
+
+    let rendered = 0;
+    try {
+      for (let i = 0; i < timestamps.length && !this.cancelled; i++) {
+        this.visualizer.renderFrameAt(timestamps[i], frameDuration);
+        rendered = i + 1;
+        if (capture.videoTrack.requestFrame) capture.videoTrack.requestFrame();
+
+        this.eventGear.emit('video.progress', { frame: i + 1, frames: timestamps.length });
+
+        // The encoder timestamps frames as they arrive: pace them on the
+        // soundtrack's clock (absolute deadlines, so render time does not add up)
+        const delay = startedAt + rendered * frameDuration - performance.now();
+        await new Promise(resolve => setTimeout(resolve, Math.max(0, delay)));
+      }
+    } finally {
+      this.stop();
+      if (resumed) context.suspend();
+
+      // The loop continues after the last rendered frame
+      if (rendered > 0) clock.seek(timestamps[rendered - 1]);
+      if (wasAnimating) this.visualizer.start();
+    }
+
+    return done;
+  }
+
+  /**
+   * Plays the timbre, rendered offline, into the recorded audio track
+   * @param {Object} capture - createRecorder result
+   * @param {number} duration - Length in seconds
+   */
+  playSoundtrack(capture, duration) {
+    const context = this.audioSynthesis && this.audioSynthesis.context;
+    if (!context || !capture.audioDestination) return;
+
+    const params = this.appState.getAllParams();
+    const samples = renderPartials(this.appState.getCachedData('partials') || [], {
+      frequency: params.calcFrequency,
+      sampleRate: context.sampleRate,
+      duration,
+      envelope: params.audioExportEnvelope ? envelopeFromParams(params) : null,
+      normalize: true
+    });
+
+    const buffer = context.createBuffer(1, samples.length, context.sampleRate);
+    buffer.copyToChannel(samples, 0);
+
+    capture.soundtrack = context.createBufferSource();
+    capture.soundtrack.buffer = buffer;
+    capture.soundtrack.connect(capture.audioDestination);
+    capture.soundtrack.start();
+  }
+
+  /**
+   * Stops the current recording (the promise of start/renderFrames resolves)
+   * @returns {boolean} - Whether a recording was stopped
+   */
+  stop() {
+    if (this.state === 'idle' || !this.capture) return false;
+
+    this.cancelled = true;
+    clearTimeout(this.stopTimer);
+    this.stopTimer = null;
+
+    if (this.capture.recorder.state !== 'inactive') {
+      this.capture.recorder.stop();
+    }
+    this.capture = null;
+    this.state = 'idle';
+    this.eventGear.emit('video.stopped', {});
+    return true;
+  }
+
+  /**
+   * Disconnects the audio tap and soundtrack of a finished recording
+   * @param {Object} capture - createRecorder result
+   */
+  release(capture) {
+    if (this.renderer) this.renderer.releaseCaptureCanvas();
+
+    if (capture.soundtrack) {
+      try {
+        capture.soundtrack.stop();
+      } catch (e) {
+        // Ignore errors when the soundtrack already ended
+      }
+      capture.soundtrack = null;
+    }
+    if (capture.tapOutput && capture.audioDestination) {
+      try {
+        this.audioSynthesis.mainGain.disconnect(capture.audioDestination);
+      } catch (e) {
+        // Ignore errors when the tap is already gone
+      }
+    }
+  }
+
+  /**
+   * Cleans up resources when the module is no longer needed
+   */
+  dispose() {
+    this.stop();
+
+    console.log('VideoRecorder disposed');
+  }
+}
@@ -0,0 +1,145 @@
+/**
+ * VoicePool.js
+ *
+ * Polyphonic voice management on top of AdditiveEngine. Every note is an
+ * engine instance sharing the current partials and envelope; voices are
+ * released through their envelope and dropped once silent. Like the
+ * engine it is pure JS, so it runs in the worklet and under Node.
+ */
+
+import AdditiveEngine from './AdditiveEngine.js';
+
+export default class VoicePool {
+  /**
+   * Creates a voice pool
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {Object} options - Pool options
+   * @param {number} options.maxVoices - Maximum simultaneous voices (oldest is stolen)
+   * @param {number} options.smoothingTime - Engine smoothing time constant in seconds
+   */
+  constructor(sampleRate, { maxVoices = 16, smoothingTime = 0.01 } = {}) {
+    this.sampleRate = sampleRate;
+    this.maxVoices = maxVoices;
+    this.smoothingTime = smoothingTime;
+
+    this.partials = [];
+    this.envelope = null;
+
+    // Active voices by id, in note-on order
+    this.voices = new Map();
+    this.nextId = 1;
+
+    // Scratch buffer for mixing voices
+    this.scratch = new Float32Array(128);
+  }
+
+  /**
+   * Sets the partials of all voices
+   * @param {Array} partials - Partials ({ ratio, amplitude, phase, detune, envelope })
+   */
+  setPartials(partials) {
+    this.partials = partials || [];
+    this.voices.forEach(voice => voice.engine.setPartials(this.partials));
+  }
+
+  /**
+   * Sets the envelope of all voices
+   * @param {Object|null} envelope - Envelope ({ attack, decay, sustain, release })
+   */
+  setEnvelope(envelope) {
+    this.envelope = envelope ? { ...envelope } : null;
+    this.voices.forEach(voice => voice.engine.setEnvelope(this.envelope));
+  }
+
+  /**
+   * Starts a note. Reusing an active id retriggers that voice.
+   * @param {number} frequency - Base frequency in Hz
+   * @param {number} velocity - Velocity (0-1)
+   * @param {string|number} id - Voice id (generated when omitted)
+   * @returns {string|number} - Voice id
+   */
+  noteOn(frequency, velocity = 1, id = this.nextId++) {
+    let voice = this.voices.get(id);
+
+    if (!voice) {
+      // Steal the oldest voice when the pool is full
+      if (this.voices.size >= this.maxVoices) {
+        this.voices.delete(this.voices.keys().next().value);
+      }
+
+      const engine = new AdditiveEngine(this.sampleRate, { smoothingTime: this.smoothingTime, frequency });
+      engine.setEnvelope(this.envelope);
+      engine.setPartials(this.partials);
+      voice = { id, engine, frequency, velocity };
+      this.voices.set(id, voice);
+    }
+
+    voice.frequency = frequency;
+    voice.velocity = velocity;
+    voice.engine.setFrequency(frequency);
+    voice.engine.noteOn(velocity);
+
+    return id;
+  }
+
+  /**
+   * Releases a note
+   * @param {string|number} id - Voice id
+   * @returns {boolean} - Whether the voice was found
+   */
+  noteOff(id) {
+    const voice = this.voices.get(id);
+    if (!voice) return false;
+
+    voice.engine.noteOff();
+    return true;
+  }
+
+  /**
+   * Releases all notes
+   */
+  allNotesOff() {
+    this.voices.forEach(voice => voice.engine.noteOff());
+  }
+
+  /**
+   * Changes the frequency of a sounding voice
+   * @param {string|number} id - Voice id
+   * @param {number} frequency - Base frequency in Hz
+   */
+  setVoiceFrequency(id, frequency) {
+    const voice = this.voices.get(id);
+    if (voice) {
+      voice.frequency = frequency;
+      voice.engine.setFrequency(frequency);
+    }
+  }
+
+  /**
+   * Renders all voices into a buffer (mono), overwriting its contents.
+   * Voices whose release has finished are removed.
+   * @param {Float32Array} output - Output buffer
+   * @returns {Float32Array} - The output buffer
+   */
+  render(output) {
+    output.fill(0);
+
+    if (this.scratch.length < output.length) {
+      this.scratch = new Float32Array(output.length);
+    }
+    const scratch = this.scratch.subarray(0, output.length);
+
+    this.voices.forEach((voice, id) => {
+      voice.engine.render(scratch);
+      for (let i = 0; i < output.length; i++) {
+        output[i] += scratch[i];
+      }
+
+      if (!voice.engine.isActive()) {
+        this.voices.delete(id);
+      }
+    });
+
+    return output;
+  }
+}
@@ -0,0 +1,212 @@
+/**
+ * WavEncoder.js
+ *
+ * Pure WAV (RIFF/WAVE) encoder and decoder. Writes 16/24/32-bit integer
+ * PCM or 32-bit IEEE float, little endian, interleaved channels. No
+ * browser APIs are used, so files can be produced under Node as well.
+ */
+
+// WAVE format tags
+export const WAVE_FORMAT_PCM = 1;
+export const WAVE_FORMAT_IEEE_FLOAT = 3;
+
+// Supported integer bit depths
+export const PCM_BIT_DEPTHS = [16, 24, 32];
+
+/**
+ * Writes an ASCII chunk id
+ * @param {DataView} view - Target view
+ * @param {number} offset - Byte offset
+ * @param {string} text - Four-character id
+ */
+function writeAscii(view, offset, text) {
+  for (let i = 0; i < text.length; i++) {
+    view.setUint8(offset + i, text.charCodeAt(i));
+  }
+}
+
+/**
+ * Reads an ASCII chunk id
+ * @param {DataView} view - Source view
+ * @param {number} offset - Byte offset
+ * @returns {string} - Four-character id
+ */
+function readAscii(view, offset) {
+  return String.fromCharCode(
+    view.getUint8(offset), view.getUint8(offset + 1),
+    view.getUint8(offset + 2), view.getUint8(offset + 3)
+  );
+}
+
+/**
+ * Encodes audio samples as a WAV file
+ * @param {Array} channels - One Float32Array (or array) of samples in [-1, 1] per channel
+ * @param {Object} options - Encoding options
+ * @param {number} options.sampleRate - Sample rate in Hz
+ * @param {number} options.bitDepth - 16, 24 or 32
+ * @param {boolean} options.float - Write 32-bit IEEE float instead of integer PCM
+ * @returns {ArrayBuffer} - WAV file contents
+ */
+export function encodeWav(channels, { sampleRate = 44100, bitDepth = 16, float = false } = {}) {
+  if (!Array.isArray(channels) || channels.length === 0) {
+    throw new TypeError('encodeWav needs at least one channel of samples');
+  }
+  if (!Number.isInteger(sampleRate) || sampleRate <= 0) {
+    throw new TypeError(`Invalid sample rate "${sampleRate}"`);
+  }
+  if (float && bitDepth !== 32) {
+    throw new TypeError('Float WAV files must use a bit depth of 32');
+  }
+  if (!float && !PCM_BIT_DEPTHS.includes(bitDepth)) {
+    throw new TypeError(`Unsupported bit depth "${bitDepth}" (use ${PCM_BIT_DEPTHS.join(', ')})`);
+  }
+
+  const channelCount = channels.length;
+  const frameCount = channels[0].length;
+  if (channels.some(channel => channel.length !== frameCount)) {
+    throw new TypeError('All channels must have the same length');
+  }
+
+  const bytesPerSample = bitDepth / 8;
+  const blockAlign = channelCount * bytesPerSample;
+  const dataSize = frameCount * blockAlign;
+
+  // Float files carry the extended fmt chunk (cbSize) and a fact chunk
+  const fmtSize = float ? 18 : 16;
+  const factSize = float ? 12 : 0;
+  const headerSize = 12 + (8 + fmtSize) + factSize + 8;
+
+  const buffer = new ArrayBuffer(headerSize + dataSize + (dataSize % 2));
+  const view = new DataView(buffer);
+  let offset = 0;
+
+  // RIFF header
+  writeAscii(view, offset, 'RIFF');
+  view.setUint32(offset + 4, buffer.byteLength - 8, true);
+  writeAscii(view, offset + 8, 'WAVE');
+  offset += 12;
+
+  // fmt chunk
+  writeAscii(view, offset, 'fmt ');
+  view.setUint32(offset + 4, fmtSize, true);
+  view.setUint16(offset + 8, float ? WAVE_FORMAT_IEEE_FLOAT : WAVE_FORMAT_PCM, true);
+  view.setUint16(offset + 10, channelCount, true);
+  view.setUint32(offset + 12, sampleRate, true);
+  view.setUint32(offset + 16, sampleRate * blockAlign, true);
+  view.setUint16(offset + 20, blockAlign, true);
+  view.setUint16(offset + 22, bitDepth, true);
+  if (float) {
+    view.setUint16(offset + 24, 0, true);
+  }
+  offset += 8 + fmtSize;
+
+  // fact chunk (sample frames per channel)
+  if (float) {
+    writeAscii(view, offset, 'fact');
+    view.setUint32(offset + 4, 4, true);
+    view.setUint32(offset + 8, frameCount, true);
+    offset += factSize;
+  }
+
+  // data chunk
+  writeAscii(view, offset, 'data');
+  view.setUint32(offset + 4, dataSize, true);
+  offset += 8;
+
+  const maxInt = Math.pow(2, bitDepth - 1) - 1;
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    for (let c = 0; c < channelCount; c++) {
+      const sample = Math.max(-1, Math.min(1, channels[c][frame] || 0));
+
+      if (float) {
+        view.setFloat32(offset, sample, true);
+      } else {
+        const value = Math.round(sample * maxInt);
+        if (bitDepth === 16) {
+          view.setInt16(offset, value, true);
+        } else if (bitDepth === 24) {
+          view.setUint8(offset, value & 0xff);
+          view.setUint8(offset + 1, (value >> 8) & 0xff);
+          view.setUint8(offset + 2, (value >> 16) & 0xff);
+        } else {
+          view.setInt32(offset, value, true);
+        }
+      }
+
+      offset += bytesPerSample;
+    }
+  }
+
+  return buffer;
+}
+
+/**
+ * Decodes a WAV file written by encodeWav (PCM 16/24/32 or 32-bit float)
+ * @param {ArrayBuffer} buffer - WAV file contents
+ * @returns {Object} - { sampleRate, bitDepth, float, channels }
+ */
+export function decodeWav(buffer) {
+  const view = new DataView(buffer);
+
+  if (buffer.byteLength < 12 || readAscii(view, 0) !== 'RIFF' || readAscii(view, 8) !== 'WAVE') {
+    throw new SyntaxError('Not a RIFF/WAVE file');
+  }
+
+  let format = null;
+  let offset = 12;
+
+  while (offset + 8 <= buffer.byteLength) {
+    const id = readAscii(view, offset);
+    const size = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+
+    if (id === 'fmt ') {
+      format = {
+        tag: view.getUint16(body, true),
+        channelCount: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        bitDepth: view.getUint16(body + 14, true)
+      };
+    } else if (id === 'data') {
+      if (!format) throw new SyntaxError('WAV data chunk before fmt chunk');
+
+      const float = format.tag === WAVE_FORMAT_IEEE_FLOAT;
+      const bytesPerSample = format.bitDepth / 8;
+      const frameCount = Math.floor(size / (bytesPerSample * format.channelCount));
+      const maxInt = Math.pow(2, format.bitDepth - 1) - 1;
+      const channels = Array.from({ length: format.channelCount }, () => new Float32Array(frameCount));
+
+      let position = body;
+      for (let frame = 0; frame < frameCount; frame++) {
+        for (let c = 0; c < format.channelCount; c++) {
+          let value;
+          if (float) {
+            value = view.getFloat32(position, true);
+          } else if (format.bitDepth === 16) {
+            value = view.getInt16(position, true) / maxInt;
+          } else if (format.bitDepth === 24) {
+            const raw = view.getUint8(position) | (view.getUint8(position + 1) << 8) | (view.getInt8(position + 2) << 16);
+            value = raw / maxInt;
+          } else {
+            value = view.getInt32(position, true) / maxInt;
+          }
+          channels[c][frame] = value;
+          position += bytesPerSample;
+        }
+      }
+
+      return { sampleRate: format.sampleRate, bitDepth: format.bitDepth, float, channels };
+    }
+
+    // Chunks are word aligned
+    offset = body + size + (size % 2);
+  }
+
+  throw new SyntaxError('WAV file has no data chunk');
+}
+
+export default {
+  encodeWav,
+  decodeWav
+};
@@ -3,8 +3,11 @@
  * 
  * Computes and normalizes waveform data for visualization and synthesis.
  * Offloads heavy calculations to a Web Worker for better performance.
+ * The worker runs the same partial summation as the main thread (PartialModel).
  */
 
+import { sumPartials, crestFactor, normalizeWaveform } from './PartialModel.js';
+
 export default class WaveformCalculator {
   constructor(eventGear, appState) {
     this.eventGear = eventGear;
@@ -15,7 +18,7 @@ export default class WaveformCalculator {
     
     // Listen for harmonic series updates
     this.eventGear.on('harmonicSeries.updated', (data) => {
-      this.calculateWaveform(data.harmonicSeries);
+      this.calculateWaveform(data.partials);
     });
   }
   
@@ -27,42 +30,26 @@ export default class WaveformCalculator {
     const workerCode = `
       // Waveform calculation worker
       
+      // Shared partial model functions (injected from PartialModel.js)
+      ${sumPartials.toString()}
+      ${crestFactor.toString()}
+      ${normalizeWaveform.toString()}
+      
       /**
-       * Calculates a waveform based on harmonic series
-       * @param {Array} harmonicSeries - Array of harmonic values
+       * Calculates a normalized waveform from partials
+       * @param {Array} partials - Partials ({ ratio, amplitude, phase, detune })
        * @param {number} resolution - Number of points in the waveform
        * @returns {Object} - Calculated waveform data
        */
-      function calculateWaveform(harmonicSeries, resolution) {
-        const waveform = new Array(resolution).fill(0);
-        const timeStep = 2 * Math.PI / resolution;
-        
-        // For each harmonic, add its contribution to the waveform
-        for (let i = 0; i < harmonicSeries.length; i++) {
-          const harmonic = harmonicSeries[i];
-          const amplitude = 1 / (i + 1); // Amplitude decreases with harmonic number
-          
-          for (let t = 0; t < resolution; t++) {
-            const angle = timeStep * t * harmonic;
-            waveform[t] += amplitude * Math.sin(angle);
-          }
-        }
-        
-        // Normalize the waveform
-        let max = 0;
-        for (let i = 0; i < resolution; i++) {
-          max = Math.max(max, Math.abs(waveform[i]));
-        }
-        
-        if (max > 0) {
-          for (let i = 0; i < resolution; i++) {
-            waveform[i] /= max;
-          }
-        }
+      function calculateWaveform(partials, resolution) {
+        const waveform = sumPartials(partials, resolution);
+        const crest = crestFactor(waveform);
+        const max = normalizeWaveform(waveform);
         
         return {
           waveform,
           max,
+          crestFactor: crest,
           resolution
         };
       }
@@ -70,7 +57,7 @@ export default class WaveformCalculator {
       self.onmessage = function(e) {
         if (e.data.action === 'calculate') {
           const result = calculateWaveform(
-            e.data.harmonicSeries,
+            e.data.partials,
             e.data.resolution
           );
           self.postMessage({ result });
@@ -110,11 +97,11 @@ export default class WaveformCalculator {
   
   /**
    * Triggers waveform calculation
-   * @param {Array} harmonicSeries - Array of harmonic values to use
+   * @param {Array} partials - Partials to sum ({ ratio, amplitude, phase, detune })
    */
-  calculateWaveform(harmonicSeries) {
-    if (!harmonicSeries || harmonicSeries.length === 0) {
-      console.warn('Empty harmonic series provided, skipping calculation');
+  calculateWaveform(partials) {
+    if (!partials || partials.length === 0) {
+      console.warn('Empty partial list provided, skipping calculation');
       return;
     }
     
@@ -125,12 +112,12 @@ export default class WaveformCalculator {
         // Use Web Worker for calculation
         this.worker.postMessage({
           action: 'calculate',
-          harmonicSeries,
+          partials,
           resolution
         });
       } else {
         // Fall back to main thread calculation
-        this.calculateWaveformSync(harmonicSeries, resolution);
+        this.calculateWaveformSync(partials, resolution);
       }
     } catch (error) {
       console.error('Error during waveform calculation:', error);
@@ -139,39 +126,18 @@ export default class WaveformCalculator {
   
   /**
    * Synchronous waveform calculation (fallback if Web Worker fails)
-   * @param {Array} harmonicSeries - Array of harmonic values
+   * @param {Array} partials - Partials ({ ratio, amplitude, phase, detune })
    * @param {number} resolution - Number of points in the waveform
    */
-  calculateWaveformSync(harmonicSeries, resolution) {
-    const waveform = new Array(resolution).fill(0);
-    const timeStep = 2 * Math.PI / resolution;
-    
-    // For each harmonic, add its contribution to the waveform
-    for (let i = 0; i < harmonicSeries.length; i++) {
-      const harmonic = harmonicSeries[i];
-      const amplitude = 1 / (i + 1); // Amplitude decreases with harmonic number
-      
-      for (let t = 0; t < resolution; t++) {
-        const angle = timeStep * t * harmonic;
-        waveform[t] += amplitude * Math.sin(angle);
-      }
-    }
-    
-    // Normalize the waveform
-    let max = 0;
-    for (let i = 0; i < resolution; i++) {
-      max = Math.max(max, Math.abs(waveform[i]));
-    }
-    
-    if (max > 0) {
-      for (let i = 0; i < resolution; i++) {
-        waveform[i] /= max;
-      }
-    }
+  calculateWaveformSync(partials, resolution) {
+    const waveform = sumPartials(partials, resolution);
+    const crest = crestFactor(waveform);
+    const max = normalizeWaveform(waveform);
     
     const result = {
       waveform,
       max,
+      crestFactor: crest,
       resolution
     };
     
@@ -0,0 +1,90 @@
+/**
+ * WaveformPlot.js
+ *
+ * Maps one cycle of the normalized waveform into canvas coordinates for
+ * each coordinate system, so the waveform shares the axes drawn by
+ * GeometryRenderer.drawCoordinateSystem:
+ *   cartesian   - time left to right across the grid, amplitude up
+ *   radial      - wrapped around the circle, amplitude modulating the radius,
+ *                 starting at the rotation angle
+ *   logarithmic - like cartesian with a symmetric dB amplitude axis
+ *                 (quiet detail is expanded, the center line is the floor)
+ * Pure functions.
+ */
+
+// Coordinate systems (AppState coordinateSystem)
+export const COORDINATE_SYSTEMS = ['cartesian', 'radial', 'logarithmic'];
+
+/**
+ * Maps a sample to a symmetric logarithmic (dB) amplitude
+ * @param {number} value - Sample (-1..1)
+ * @param {number} rangeDb - Dynamic range shown (dB below full scale)
+ * @returns {number} - Signed level (-1..1), 0 at or below -rangeDb
+ */
+export function logAmplitude(value, rangeDb = 48) {
+  const magnitude = Math.abs(value);
+  if (magnitude === 0) return 0;
+
+  const level = 1 + (20 * Math.log10(magnitude)) / rangeDb;
+  return Math.sign(value) * Math.max(0, Math.min(1, level));
+}
+
+/**
+ * dB value of a logarithmic axis position
+ * @param {number} level - Position from the center line (0..1)
+ * @param {number} rangeDb - Dynamic range shown (dB)
+ * @returns {number} - Level in dB (0 at the edge, -rangeDb at the center)
+ */
+export function levelToDb(level, rangeDb = 48) {
+  return -rangeDb * (1 - level);
+}
+
+/**
+ * Maps a waveform cycle to canvas points
+ * @param {Array|Float32Array} waveform - Normalized samples (-1..1) over one cycle
+ * @param {Object} options - Plot options
+ * @param {string} options.system - Coordinate system (see COORDINATE_SYSTEMS)
+ * @param {number} options.centerX - Plot center x
+ * @param {number} options.centerY - Plot center y
+ * @param {number} options.radius - Half the grid size / circle radius
+ * @param {number} options.angle - Start angle of the radial plot (radians)
+ * @param {number} options.rangeDb - Dynamic range of the logarithmic axis (dB)
+ * @returns {Object} - { points: [x, y, ...], closed }
+ */
+export function waveformPoints(waveform, {
+  system = 'cartesian',
+  centerX = 0,
+  centerY = 0,
+  radius = 50,
+  angle = 0,
+  rangeDb = 48
+} = {}) {
+  const resolution = waveform.length;
+  const points = new Array(resolution * 2);
+
+  if (system === 'radial') {
+    for (let i = 0; i < resolution; i++) {
+      const theta = angle + (i / resolution) * 2 * Math.PI;
+      const r = radius + waveform[i] * radius;
+      points[i * 2] = centerX + Math.cos(theta) * r;
+      points[i * 2 + 1] = centerY + Math.sin(theta) * r;
+    }
+    return { points, closed: true };
+  }
+
+  // Cartesian baseline (logarithmic shares it with a dB amplitude axis)
+  const scale = system === 'logarithmic' ? value => logAmplitude(value, rangeDb) : value => value;
+  const step = resolution > 1 ? (2 * radius) / (resolution - 1) : 0;
+  for (let i = 0; i < resolution; i++) {
+    points[i * 2] = centerX - radius + i * step;
+    points[i * 2 + 1] = centerY - scale(waveform[i]) * radius;
+  }
+  return { points, closed: false };
+}
+
+export default {
+  COORDINATE_SYSTEMS,
+  logAmplitude,
+  levelToDb,
+  waveformPoints
+};
@@ -0,0 +1,177 @@
+/**
+ * Canvas2DBackend.js
+ *
+ * GeometryRenderer backend drawing with Canvas 2D calls. This is the
+ * original drawing path and the fallback when WebGL2 is unavailable.
+ */
+
+export default class Canvas2DBackend {
+  /**
+   * Creates the backend if the canvas provides a 2D context
+   * @param {HTMLCanvasElement} canvas - Target canvas
+   * @returns {Canvas2DBackend|null} - Backend, null without a 2D context
+   */
+  static create(canvas) {
+    const ctx = canvas.getContext('2d');
+    return ctx ? new Canvas2DBackend(canvas, ctx) : null;
+  }
+
+  /**
+   * @param {HTMLCanvasElement} canvas - Target canvas
+   * @param {CanvasRenderingContext2D} ctx - 2D context
+   */
+  constructor(canvas, ctx) {
+    this.id = 'canvas2d';
+    this.canvas = canvas;
+    this.ctx = ctx;
+  }
+
+  /**
+   * Updates the drawing buffer size (the canvas is already resized)
+   * @param {number} width - Width in pixels
+   * @param {number} height - Height in pixels
+   */
+  resize(width, height) {
+    this.width = width;
+    this.height = height;
+  }
+
+  /**
+   * Clears the canvas
+   * @param {string|null} color - Background color (null = transparent)
+   */
+  clear(color) {
+    if (!color) {
+      this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+      return;
+    }
+    this.ctx.fillStyle = color;
+    this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+  }
+
+  /**
+   * Applies a stroke style
+   * @param {Object} style - { color, width, dash, alpha }
+   */
+  applyStroke(style) {
+    this.ctx.strokeStyle = style.color;
+    this.ctx.lineWidth = style.width || 1;
+    this.ctx.setLineDash(style.dash || []);
+    this.ctx.globalAlpha = style.alpha === undefined ? 1 : style.alpha;
+  }
+
+  /**
+   * Resets state changed by applyStroke
+   */
+  resetStroke() {
+    this.ctx.setLineDash([]);
+    this.ctx.globalAlpha = 1;
+  }
+
+  /**
+   * Strokes independent segments in one path
+   * @param {Array} segments - [x1, y1, x2, y2, ...]
+   * @param {Object} style - Stroke style
+   */
+  lines(segments, style) {
+    this.applyStroke(style);
+    this.ctx.beginPath();
+    for (let i = 0; i + 3 < segments.length; i += 4) {
+      this.ctx.moveTo(segments[i], segments[i + 1]);
+      this.ctx.lineTo(segments[i + 2], segments[i + 3]);
+    }
+    this.ctx.stroke();
+    this.resetStroke();
+  }
+
+  /**
+   * Strokes connected points
+   * @param {Array} points - [x, y, ...]
+   * @param {Object} style - Stroke style (closed joins the last point to the first)
+   */
+  polyline(points, style) {
+    if (points.length < 4) return;
+
+    this.applyStroke(style);
+    this.ctx.beginPath();
+    this.ctx.moveTo(points[0], points[1]);
+    for (let i = 2; i + 1 < points.length; i += 2) {
+      this.ctx.lineTo(points[i], points[i + 1]);
+    }
+    if (style.closed) this.ctx.closePath();
+    this.ctx.stroke();
+    this.resetStroke();
+  }
+
+  /**
+   * Strokes a circle
+   * @param {number} x - Center x
+   * @param {number} y - Center y
+   * @param {number} radius - Radius
+   * @param {Object} style - Stroke style
+   */
+  circle(x, y, radius, style) {
+    this.applyStroke(style);
+    this.ctx.beginPath();
+    this.ctx.arc(x, y, radius, 0, 2 * Math.PI);
+    this.ctx.stroke();
+    this.resetStroke();
+  }
+
+  /**
+   * Fills a circle
+   * @param {number} x - Center x
+   * @param {number} y - Center y
+   * @param {number} radius - Radius
+   * @param {Object} style - { color, alpha }
+   */
+  dot(x, y, radius, style) {
+    this.ctx.fillStyle = style.color;
+    this.ctx.globalAlpha = style.alpha === undefined ? 1 : style.alpha;
+    this.ctx.beginPath();
+    this.ctx.arc(x, y, radius, 0, 2 * Math.PI);
+    this.ctx.fill();
+    this.ctx.globalAlpha = 1;
+  }
+
+  /**
+   * Fills a rectangle
+   * @param {number} x - Left
+   * @param {number} y - Top
+   * @param {number} width - Width
+   * @param {number} height - Height
+   * @param {Object} style - { color, alpha }
+   */
+  rect(x, y, width, height, style) {
+    this.ctx.fillStyle = style.color;
+    this.ctx.globalAlpha = style.alpha === undefined ? 1 : style.alpha;
+    this.ctx.fillRect(x, y, width, height);
+    this.ctx.globalAlpha = 1;
+  }
+
+  /**
+   * Draws a label
+   * @param {string} text - Label text
+   * @param {number} x - Anchor x
+   * @param {number} y - Baseline y
+   * @param {Object} style - { color, font, align }
+   */
+  text(text, x, y, style) {
+    this.ctx.fillStyle = style.color;
+    this.ctx.font = style.font || '10px monospace';
+    this.ctx.textAlign = style.align || 'left';
+    this.ctx.fillText(text, x, y);
+  }
+
+  /**
+   * Ends the frame (Canvas 2D draws immediately)
+   */
+  flush() {}
+
+  /**
+   * Releases resources (nothing to release for Canvas 2D)
+   */
+  dispose() {
+    this.ctx = null;
+  }
+}
@@ -0,0 +1,210 @@
+/**
+ * LayerManager.js
+ *
+ * Multi-layer compositing for GeometryRenderer. Every layer is drawn into
+ * its own canvas (stacked over the base canvas, transparent, ignoring the
+ * pointer) with its own backend, and is redrawn only when it is dirty:
+ *   - a param it depends on changed (invalidate, fed by state.changed)
+ *   - a watched value differs from the one it was drawn with (values that
+ *     change without events, such as the rotation angle)
+ *   - it was marked dirty (data events, resize)
+ *
+ * Targets without a DOM to stack canvases in (headless { width, height }
+ * targets, detached canvases) share one backend: all layers are drawn in
+ * order whenever any of them is dirty.
+ */
+
+import { createRenderBackend } from './index.js';
+
+export default class LayerManager {
+  /**
+   * @param {HTMLCanvasElement|Object} target - Base canvas (bottom layer) or headless target
+   * @param {Array} layers - Layer definitions bottom first ({ id, params, watch })
+   * @param {Object} options - Backend options
+   * @param {string} options.backend - Backend id or 'auto'
+   * @param {boolean} options.antialias - Multisampled WebGL drawing buffer
+   * @param {boolean} options.composite - Stack one canvas per layer when possible
+   */
+  constructor(target, layers, { backend = 'auto', antialias = true, composite = true } = {}) {
+    if (!Array.isArray(layers) || layers.length === 0) {
+      throw new TypeError('LayerManager needs at least one layer');
+    }
+
+    this.target = target;
+    this.backendOptions = { antialias };
+    this.base = createRenderBackend(target, backend, this.backendOptions);
+
+    // One canvas per layer needs a canvas in the document
+    this.shared = !(composite && layers.length > 1 && target.parentNode && typeof document !== 'undefined');
+
+    let previous = target;
+    this.layers = layers.map(({ id, params = [], watch = [] }, index) => {
+      const layer = {
+        id,
+        index,
+        params: new Set(params),
+        watch,
+        canvas: target,
+        backend: this.base,
+        dirty: true,
+        drawn: {}
+      };
+
+      if (index > 0 && !this.shared) {
+        layer.canvas = document.createElement('canvas');
+        layer.canvas.width = target.width;
+        layer.canvas.height = target.height;
+        layer.canvas.style.cssText = 'position: absolute; left: 0; top: 0; width: 100%; height: 100%; pointer-events: none;';
+        target.parentNode.insertBefore(layer.canvas, previous.nextSibling);
+        layer.backend = createRenderBackend(layer.canvas, this.base.id, this.backendOptions);
+        previous = layer.canvas;
+      }
+      return layer;
+    });
+  }
+
+  /**
+   * Gets a layer
+   * @param {string} id - Layer id
+   * @returns {Object|undefined} - Layer
+   */
+  get(id) {
+    return this.layers.find(layer => layer.id === id);
+  }
+
+  /**
+   * Marks the layers depending on changed params dirty
+   * @param {Array} params - Changed param names
+   * @returns {Array} - Ids of the layers marked
+   */
+  invalidate(params) {
+    const marked = [];
+    this.layers.forEach(layer => {
+      if (params.some(param => layer.params.has(param))) {
+        layer.dirty = true;
+        marked.push(layer.id);
+      }
+    });
+    return marked;
+  }
+
+  /**
+   * Marks a layer dirty
+   * @param {string} id - Layer id
+   */
+  markDirty(id) {
+    const layer = this.get(id);
+    if (layer) layer.dirty = true;
+  }
+
+  /**
+   * Marks every layer dirty
+   */
+  markAllDirty() {
+    this.layers.forEach(layer => {
+      layer.dirty = true;
+    });
+  }
+
+  /**
+   * Layers to draw this frame
+   * @param {Object} values - Current watched values
+   * @returns {Array} - Layers bottom first (all of them in shared mode when any is dirty)
+   */
+  dirtyLayers(values) {
+    const dirty = this.layers.filter(layer =>
+      layer.dirty || layer.watch.some(key => layer.drawn[key] !== values[key]));
+
+    if (this.shared && dirty.length > 0) return this.layers;
+    return dirty;
+  }
+
+  /**
+   * Starts drawing a layer: the bottom layer is filled with the background,
+   * stacked layers are cleared to transparent
+   * @param {Object} layer - Layer
+   * @param {string} background - Background color
+   */
+  begin(layer, background) {
+    if (layer.index === 0) {
+      layer.backend.clear(background);
+    } else if (!this.shared) {
+      layer.backend.clear(null);
+    }
+  }
+
+  /**
+   * Finishes drawing a layer and remembers the values it was drawn with
+   * @param {Object} layer - Layer
+   * @param {Object} values - Current watched values
+   */
+  end(layer, values) {
+    if (!this.shared || layer.index === this.layers.length - 1) {
+      layer.backend.flush();
+    }
+
+    layer.watch.forEach(key => {
+      layer.drawn[key] = values[key];
+    });
+    layer.dirty = false;
+  }
+
+  /**
+   * Resizes the layer canvases and backends (the base canvas is already resized)
+   * @param {number} width - Width in pixels
+   * @param {number} height - Height in pixels
+   */
+  resize(width, height) {
+    this.layers.forEach(layer => {
+      if (layer.canvas !== this.target) {
+        layer.canvas.width = width;
+        layer.canvas.height = height;
+      }
+      if (layer.index === 0 || !this.shared) {
+        layer.backend.resize(width, height);
+      }
+    });
+    this.markAllDirty();
+  }
+
+  /**
+   * Canvases making up the picture, bottom first (layer canvases and the
+   * WebGL label overlays above them)
+   * @returns {Array} - Canvases
+   */
+  surfaces() {
+    const surfaces = [];
+    this.layers.forEach(layer => {
+      if (layer.index > 0 && this.shared) return;
+
+      surfaces.push(layer.canvas);
+      if (layer.backend.overlay) surfaces.push(layer.backend.overlay);
+    });
+    return surfaces;
+  }
+
+  /**
+   * Flattens the layers into one 2D context (e.g. for video capture)
+   * @param {CanvasRenderingContext2D} ctx - Destination context (same size as the layers)
+   */
+  composite(ctx) {
+    ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+    this.surfaces().forEach(surface => {
+      ctx.drawImage(surface, 0, 0);
+    });
+  }
+
+  /**
+   * Releases the backends and removes the stacked canvases
+   */
+  dispose() {
+    this.layers.forEach(layer => {
+      if (layer.index > 0 && this.shared) return;
+
+      layer.backend.dispose();
+      if (layer.canvas !== this.target && layer.canvas.parentNode) {
+        layer.canvas.parentNode.removeChild(layer.canvas);
+      }
+    });
+  }
+}
@@ -0,0 +1,213 @@
+/**
+ * SVGBackend.js
+ *
+ * GeometryRenderer backend writing an SVG document instead of pixels. It
+ * needs no DOM: the target is a plain { width, height } object, so figures
+ * can be rendered under Node (see SvgExport.js and scripts/render-svg.js).
+ */
+
+// Decimal places kept for coordinates
+const PRECISION = 2;
+
+/**
+ * Formats a number for SVG attributes
+ * @param {number} value - Number
+ * @returns {string} - Rounded value without trailing zeros
+ */
+function num(value) {
+  return String(Number(value.toFixed(PRECISION)));
+}
+
+/**
+ * Escapes text for SVG content and attribute values
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+export function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Converts a point list to an SVG points attribute
+ * @param {Array} points - [x, y, ...]
+ * @returns {string} - "x,y x,y ..."
+ */
+function pointList(points) {
+  const pairs = [];
+  for (let i = 0; i + 1 < points.length; i += 2) {
+    pairs.push(`${num(points[i])},${num(points[i + 1])}`);
+  }
+  return pairs.join(' ');
+}
+
+/**
+ * Converts a stroke style to SVG presentation attributes
+ * @param {Object} style - { color, width, dash, alpha }
+ * @returns {string} - Attribute string
+ */
+function strokeAttributes(style) {
+  let attributes = `fill="none" stroke="${escapeXml(style.color)}" stroke-width="${num(style.width || 1)}"`;
+  if (style.dash) attributes += ` stroke-dasharray="${style.dash.map(num).join(' ')}"`;
+  if (style.alpha !== undefined && style.alpha !== 1) attributes += ` stroke-opacity="${num(style.alpha)}"`;
+  return attributes;
+}
+
+export default class SVGBackend {
+  /**
+   * Creates the backend for a headless target
+   * @param {Object} target - { width, height } in pixels
+   * @returns {SVGBackend} - Backend
+   */
+  static create(target) {
+    return new SVGBackend(target);
+  }
+
+  /**
+   * @param {Object} target - { width, height } in pixels
+   */
+  constructor(target) {
+    this.id = 'svg';
+    this.target = target;
+    this.background = null;
+
+    // Elements of the current frame
+    this.elements = [];
+
+    this.resize(target.width, target.height);
+  }
+
+  /**
+   * Sets the document size
+   * @param {number} width - Width in pixels
+   * @param {number} height - Height in pixels
+   */
+  resize(width, height) {
+    this.width = width;
+    this.height = height;
+  }
+
+  /**
+   * Starts a new document
+   * @param {string|null} color - Background color (null = transparent)
+   */
+  clear(color) {
+    this.elements = [];
+    this.background = color;
+  }
+
+  /**
+   * Adds independent segments as one path
+   * @param {Array} segments - [x1, y1, x2, y2, ...]
+   * @param {Object} style - Stroke style
+   */
+  lines(segments, style) {
+    const commands = [];
+    for (let i = 0; i + 3 < segments.length; i += 4) {
+      commands.push(`M${num(segments[i])} ${num(segments[i + 1])}L${num(segments[i + 2])} ${num(segments[i + 3])}`);
+    }
+    if (commands.length === 0) return;
+
+    this.elements.push(`<path d="${commands.join('')}" ${strokeAttributes(style)}/>`);
+  }
+
+  /**
+   * Adds connected points (a polygon when style.closed is set)
+   * @param {Array} points - [x, y, ...]
+   * @param {Object} style - Stroke style
+   */
+  polyline(points, style) {
+    if (points.length < 4) return;
+
+    const tag = style.closed ? 'polygon' : 'polyline';
+    this.elements.push(`<${tag} points="${pointList(points)}" ${strokeAttributes(style)}/>`);
+  }
+
+  /**
+   * Adds a circle outline
+   * @param {number} x - Center x
+   * @param {number} y - Center y
+   * @param {number} radius - Radius
+   * @param {Object} style - Stroke style
+   */
+  circle(x, y, radius, style) {
+    this.elements.push(`<circle cx="${num(x)}" cy="${num(y)}" r="${num(radius)}" ${strokeAttributes(style)}/>`);
+  }
+
+  /**
+   * Adds a filled circle
+   * @param {number} x - Center x
+   * @param {number} y - Center y
+   * @param {number} radius - Radius
+   * @param {Object} style - { color, alpha }
+   */
+  dot(x, y, radius, style) {
+    let attributes = `fill="${escapeXml(style.color)}"`;
+    if (style.alpha !== undefined && style.alpha !== 1) attributes += ` fill-opacity="${num(style.alpha)}"`;
+    this.elements.push(`<circle cx="${num(x)}" cy="${num(y)}" r="${num(radius)}" ${attributes}/>`);
+  }
+
+  /**
+   * Adds a filled rectangle
+   * @param {number} x - Left
+   * @param {number} y - Top
+   * @param {number} width - Width
+   * @param {number} height - Height
+   * @param {Object} style - { color, alpha }
+   */
+  rect(x, y, width, height, style) {
+    let attributes = `fill="${escapeXml(style.color)}"`;
+    if (style.alpha !== undefined && style.alpha !== 1) attributes += ` fill-opacity="${num(style.alpha)}"`;
+    this.elements.push(`<rect x="${num(x)}" y="${num(y)}" width="${num(width)}" height="${num(height)}" ${attributes}/>`);
+  }
+
+  /**
+   * Adds a label
+   * @param {string} text - Label text
+   * @param {number} x - Anchor x
+   * @param {number} y - Baseline y
+   * @param {Object} style - { color, font, align }
+   */
+  text(text, x, y, style) {
+    const anchor = { center: 'middle', right: 'end', end: 'end' }[style.align] || 'start';
+    const [, size = '10px', family = 'monospace'] = /^(\S+)\s+(.+)$/.exec(style.font || '') || [];
+    this.elements.push(
+      `<text x="${num(x)}" y="${num(y)}" fill="${escapeXml(style.color)}" font-size="${escapeXml(size)}" ` +
+      `font-family="${escapeXml(family)}" text-anchor="${anchor}">${escapeXml(text)}</text>`
+    );
+  }
+
+  /**
+   * Ends the frame (elements are kept until the next clear)
+   */
+  flush() {}
+
+  /**
+   * Serializes the current frame
+   * @returns {string} - Standalone SVG document
+   */
+  toSVG() {
+    const width = num(this.width);
+    const height = num(this.height);
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+    ];
+    if (this.background) {
+      lines.push(`  <rect width="100%" height="100%" fill="${escapeXml(this.background)}"/>`);
+    }
+    this.elements.forEach(element => lines.push(`  ${element}`));
+    lines.push('</svg>', '');
+    return lines.join('\n');
+  }
+
+  /**
+   * Releases the collected elements
+   */
+  dispose() {
+    this.elements = [];
+  }
+}
@@ -0,0 +1,496 @@
+/**
+ * WebGLBackend.js
+ *
+ * GeometryRenderer backend for WebGL2. Every primitive of a frame is
+ * tessellated into triangles (thick lines with miter joins, dashes, circle
+ * fans) and collected in one vertex buffer with per-vertex colors, which is
+ * drawn with a single call in flush(). Labels go to a 2D overlay canvas.
+ * The tessellation functions are pure and exported for testing.
+ */
+
+// Floats per vertex: x, y, r, g, b, a
+const VERTEX_SIZE = 6;
+
+// Miter joins longer than this many half widths are clamped
+const MITER_LIMIT = 4;
+
+const VERTEX_SHADER = `#version 300 es
+in vec2 a_position;
+in vec4 a_color;
+uniform vec2 u_resolution;
+out vec4 v_color;
+void main() {
+  vec2 clip = a_position / u_resolution * 2.0 - 1.0;
+  gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+  v_color = a_color;
+}`;
+
+const FRAGMENT_SHADER = `#version 300 es
+precision mediump float;
+in vec4 v_color;
+out vec4 outColor;
+void main() {
+  outColor = vec4(v_color.rgb * v_color.a, v_color.a);
+}`;
+
+/**
+ * Parses a CSS color (#rgb, #rrggbb, #rrggbbaa, rgb(), rgba())
+ * @param {string} color - CSS color
+ * @param {number} alpha - Extra alpha multiplier
+ * @returns {Array} - [r, g, b, a] in 0-1 (opaque white when unparsable)
+ */
+export function parseColor(color, alpha = 1) {
+  let rgba = [1, 1, 1, 1];
+
+  if (typeof color === 'string') {
+    const hex = color.trim().match(/^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i);
+    const fn = color.trim().match(/^rgba?\(([^)]+)\)$/i);
+
+    if (hex) {
+      let digits = hex[1];
+      if (digits.length === 3) digits = digits.split('').map(d => d + d).join('');
+      rgba = [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16) / 255);
+      rgba.push(digits.length === 8 ? parseInt(digits.slice(6, 8), 16) / 255 : 1);
+    } else if (fn) {
+      const parts = fn[1].split(',').map(part => parseFloat(part));
+      rgba = [parts[0] / 255, parts[1] / 255, parts[2] / 255, parts.length > 3 ? parts[3] : 1];
+    }
+  }
+
+  rgba[3] *= alpha;
+  return rgba;
+}
+
+/**
+ * Splits a polyline into dashes
+ * @param {Array} points - [x, y, ...]
+ * @param {boolean} closed - Whether the last point joins the first
+ * @param {Array} pattern - [on, off] lengths in pixels
+ * @returns {Array} - Dash polylines ([x, y, ...] each)
+ */
+export function dashPolyline(points, closed, [on, off]) {
+  const path = closed ? [...points, points[0], points[1]] : points;
+  const dashes = [];
+  let current = [path[0], path[1]];
+  let drawing = true;
+  let remaining = on;
+
+  for (let i = 0; i + 3 < path.length; i += 2) {
+    let x = path[i];
+    let y = path[i + 1];
+    const x2 = path[i + 2];
+    const y2 = path[i + 3];
+    let length = Math.hypot(x2 - x, y2 - y);
+
+    while (length > remaining) {
+      const t = remaining / length;
+      x += (x2 - x) * t;
+      y += (y2 - y) * t;
+      length -= remaining;
+
+      if (drawing) {
+        current.push(x, y);
+        dashes.push(current);
+      } else {
+        current = [x, y];
+      }
+      drawing = !drawing;
+      remaining = drawing ? on : off;
+    }
+
+    remaining -= length;
+    if (drawing) current.push(x2, y2);
+  }
+
+  if (drawing && current.length >= 4) dashes.push(current);
+  return dashes;
+}
+
+/**
+ * Tessellates a thick polyline into triangles with miter joins
+ * @param {Array} points - [x, y, ...]
+ * @param {number} width - Line width in pixels
+ * @param {boolean} closed - Whether the last point joins the first
+ * @param {Array} out - Receives triangle vertices [x, y, ...]
+ * @returns {Array} - The out array
+ */
+export function strokePolyline(points, width, closed = false, out = []) {
+  // Drop repeated points (zero-length segments have no direction)
+  const pts = [];
+  for (let i = 0; i + 1 < points.length; i += 2) {
+    const n = pts.length;
+    if (n === 0 || pts[n - 2] !== points[i] || pts[n - 1] !== points[i + 1]) {
+      pts.push(points[i], points[i + 1]);
+    }
+  }
+  if (closed && pts.length > 4 && pts[0] === pts[pts.length - 2] && pts[1] === pts[pts.length - 1]) {
+    pts.length -= 2;
+  }
+
+  const count = pts.length / 2;
+  if (count < 2) return out;
+
+  const half = width / 2;
+  const segmentCount = closed ? count : count - 1;
+
+  // Unit normal of each segment
+  const normals = [];
+  for (let s = 0; s < segmentCount; s++) {
+    const a = s * 2;
+    const b = ((s + 1) % count) * 2;
+    const dx = pts[b] - pts[a];
+    const dy = pts[b + 1] - pts[a + 1];
+    const length = Math.hypot(dx, dy);
+    normals.push(-dy / length, dx / length);
+  }
+
+  // Offset of each vertex along its join normal
+  const left = [];
+  const right = [];
+  for (let v = 0; v < count; v++) {
+    const hasPrev = closed || v > 0;
+    const hasNext = closed || v < count - 1;
+    const prev = ((v - 1 + segmentCount) % segmentCount) * 2;
+    const next = (v % segmentCount) * 2;
+
+    let nx;
+    let ny;
+    let scale = half;
+    if (hasPrev && hasNext) {
+      nx = normals[prev] + normals[next];
+      ny = normals[prev + 1] + normals[next + 1];
+      const length = Math.hypot(nx, ny);
+      if (length < 1e-9) {
+        // Segment doubles back: square it off
+        nx = normals[next];
+        ny = normals[next + 1];
+      } else {
+        nx /= length;
+        ny /= length;
+        const cos = nx * normals[next] + ny * normals[next + 1];
+        scale = Math.min(half / cos, half * MITER_LIMIT);
+      }
+    } else {
+      const n = hasNext ? next : prev;
+      nx = normals[n];
+      ny = normals[n + 1];
+    }
+
+    const x = pts[v * 2];
+    const y = pts[v * 2 + 1];
+    left.push(x + nx * scale, y + ny * scale);
+    right.push(x - nx * scale, y - ny * scale);
+  }
+
+  for (let s = 0; s < segmentCount; s++) {
+    const a = s * 2;
+    const b = ((s + 1) % count) * 2;
+    out.push(
+      left[a], left[a + 1], right[a], right[a + 1], left[b], left[b + 1],
+      right[a], right[a + 1], right[b], right[b + 1], left[b], left[b + 1]
+    );
+  }
+
+  return out;
+}
+
+/**
+ * Points on a circle
+ * @param {number} x - Center x
+ * @param {number} y - Center y
+ * @param {number} radius - Radius
+ * @returns {Array} - [x, y, ...] (not repeating the first point)
+ */
+export function circlePoints(x, y, radius) {
+  const steps = Math.max(16, Math.min(256, Math.ceil(radius / 2)));
+  const points = [];
+  for (let i = 0; i < steps; i++) {
+    const angle = (i / steps) * 2 * Math.PI;
+    points.push(x + Math.cos(angle) * radius, y + Math.sin(angle) * radius);
+  }
+  return points;
+}
+
+export default class WebGLBackend {
+  /**
+   * Creates the backend if the canvas provides a WebGL2 context
+   * @param {HTMLCanvasElement} canvas - Target canvas
+   * @param {Object} options - { antialias }
+   * @returns {WebGLBackend|null} - Backend, null without WebGL2
+   */
+  static create(canvas, { antialias = true } = {}) {
+    const gl = canvas.getContext('webgl2', { antialias, premultipliedAlpha: true });
+    return gl ? new WebGLBackend(canvas, gl) : null;
+  }
+
+  /**
+   * @param {HTMLCanvasElement} canvas - Target canvas
+   * @param {WebGL2RenderingContext} gl - WebGL2 context
+   */
+  constructor(canvas, gl) {
+    this.id = 'webgl';
+    this.canvas = canvas;
+    this.gl = gl;
+    this.overlay = null;
+    this.overlayCtx = null;
+
+    // Vertex batch of the current frame (grown as needed)
+    this.vertices = new Float32Array(VERTEX_SIZE * 4096);
+    this.vertexCount = 0;
+
+    this.initGL();
+    this.resize(canvas.width, canvas.height);
+  }
+
+  /**
+   * Compiles the shaders and sets up the vertex layout
+   */
+  initGL() {
+    const gl = this.gl;
+
+    const compile = (type, source) => {
+      const shader = gl.createShader(type);
+      gl.shaderSource(shader, source);
+      gl.compileShader(shader);
+      if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        throw new Error(`Shader compile failed: ${gl.getShaderInfoLog(shader)}`);
+      }
+      return shader;
+    };
+
+    this.program = gl.createProgram();
+    gl.attachShader(this.program, compile(gl.VERTEX_SHADER, VERTEX_SHADER));
+    gl.attachShader(this.program, compile(gl.FRAGMENT_SHADER, FRAGMENT_SHADER));
+    gl.linkProgram(this.program);
+    if (!gl.getProgramParameter(this.program, gl.LINK_STATUS)) {
+      throw new Error(`Program link failed: ${gl.getProgramInfoLog(this.program)}`);
+    }
+
+    this.resolutionLocation = gl.getUniformLocation(this.program, 'u_resolution');
+    this.buffer = gl.createBuffer();
+    this.vao = gl.createVertexArray();
+
+    gl.bindVertexArray(this.vao);
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.buffer);
+    const stride = VERTEX_SIZE * 4;
+    const position = gl.getAttribLocation(this.program, 'a_position');
+    const color = gl.getAttribLocation(this.program, 'a_color');
+    gl.enableVertexAttribArray(position);
+    gl.vertexAttribPointer(position, 2, gl.FLOAT, false, stride, 0);
+    gl.enableVertexAttribArray(color);
+    gl.vertexAttribPointer(color, 4, gl.FLOAT, false, stride, 8);
+    gl.bindVertexArray(null);
+
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+  }
+
+  /**
+   * Updates the viewport to the drawing buffer size
+   * @param {number} width - Width in pixels
+   * @param {number} height - Height in pixels
+   */
+  resize(width, height) {
+    this.width = width;
+    this.height = height;
+    this.gl.viewport(0, 0, width, height);
+
+    if (this.overlay) {
+      this.overlay.width = width;
+      this.overlay.height = height;
+    }
+  }
+
+  /**
+   * Starts a frame
+   * @param {string|null} color - Background color (null = transparent)
+   */
+  clear(color) {
+    const [r, g, b, a] = color ? parseColor(color) : [0, 0, 0, 0];
+    this.gl.clearColor(r * a, g * a, b * a, a);
+    this.gl.clear(this.gl.COLOR_BUFFER_BIT);
+    this.vertexCount = 0;
+
+    if (this.overlayCtx) {
+      this.overlayCtx.clearRect(0, 0, this.overlay.width, this.overlay.height);
+    }
+  }
+
+  /**
+   * Appends triangles to the batch
+   * @param {Array} triangles - [x, y, ...] triangle vertices
+   * @param {Array} rgba - Color [r, g, b, a]
+   */
+  pushTriangles(triangles, [r, g, b, a]) {
+    const count = triangles.length / 2;
+    const needed = (this.vertexCount + count) * VERTEX_SIZE;
+    if (needed > this.vertices.length) {
+      const grown = new Float32Array(Math.max(needed, this.vertices.length * 2));
+      grown.set(this.vertices.subarray(0, this.vertexCount * VERTEX_SIZE));
+      this.vertices = grown;
+    }
+
+    let offset = this.vertexCount * VERTEX_SIZE;
+    for (let i = 0; i < triangles.length; i += 2) {
+      this.vertices[offset++] = triangles[i];
+      this.vertices[offset++] = triangles[i + 1];
+      this.vertices[offset++] = r;
+      this.vertices[offset++] = g;
+      this.vertices[offset++] = b;
+      this.vertices[offset++] = a;
+    }
+    this.vertexCount += count;
+  }
+
+  /**
+   * Batches a stroked polyline (dashed when style.dash is set)
+   * @param {Array} points - [x, y, ...]
+   * @param {boolean} closed - Whether the last point joins the first
+   * @param {Object} style - Stroke style
+   */
+  strokePath(points, closed, style) {
+    const width = style.width || 1;
+    const triangles = [];
+
+    if (style.dash) {
+      dashPolyline(points, closed, style.dash).forEach(dash => strokePolyline(dash, width, false, triangles));
+    } else {
+      strokePolyline(points, width, closed, triangles);
+    }
+
+    this.pushTriangles(triangles, parseColor(style.color, style.alpha === undefined ? 1 : style.alpha));
+  }
+
+  /**
+   * Batches independent segments
+   * @param {Array} segments - [x1, y1, x2, y2, ...]
+   * @param {Object} style - Stroke style
+   */
+  lines(segments, style) {
+    for (let i = 0; i + 3 < segments.length; i += 4) {
+      this.strokePath([segments[i], segments[i + 1], segments[i + 2], segments[i + 3]], false, style);
+    }
+  }
+
+  /**
+   * Batches a polyline as a thick line strip
+   * @param {Array} points - [x, y, ...]
+   * @param {Object} style - Stroke style (closed joins the last point to the first)
+   */
+  polyline(points, style) {
+    if (points.length < 4) return;
+    this.strokePath(points, Boolean(style.closed), style);
+  }
+
+  /**
+   * Batches a circle outline
+   * @param {number} x - Center x
+   * @param {number} y - Center y
+   * @param {number} radius - Radius
+   * @param {Object} style - Stroke style
+   */
+  circle(x, y, radius, style) {
+    this.strokePath(circlePoints(x, y, radius), true, style);
+  }
+
+  /**
+   * Batches a filled circle (triangle fan)
+   * @param {number} x - Center x
+   * @param {number} y - Center y
+   * @param {number} radius - Radius
+   * @param {Object} style - { color, alpha }
+   */
+  dot(x, y, radius, style) {
+    const rim = circlePoints(x, y, radius);
+    const triangles = [];
+    for (let i = 0; i < rim.length; i += 2) {
+      const j = (i + 2) % rim.length;
+      triangles.push(x, y, rim[i], rim[i + 1], rim[j], rim[j + 1]);
+    }
+    this.pushTriangles(triangles, parseColor(style.color, style.alpha === undefined ? 1 : style.alpha));
+  }
+
+  /**
+   * Batches a filled rectangle (two triangles)
+   * @param {number} x - Left
+   * @param {number} y - Top
+   * @param {number} width - Width
+   * @param {number} height - Height
+   * @param {Object} style - { color, alpha }
+   */
+  rect(x, y, width, height, style) {
+    const right = x + width;
+    const bottom = y + height;
+    this.pushTriangles(
+      [x, y, right, y, right, bottom, x, y, right, bottom, x, bottom],
+      parseColor(style.color, style.alpha === undefined ? 1 : style.alpha)
+    );
+  }
+
+  /**
+   * Draws a label on the 2D overlay canvas (created on first use)
+   * @param {string} text - Label text
+   * @param {number} x - Anchor x
+   * @param {number} y - Baseline y
+   * @param {Object} style - { color, font, align }
+   */
+  text(text, x, y, style) {
+    if (!this.overlayCtx && !this.createOverlay()) return;
+
+    this.overlayCtx.fillStyle = style.color;
+    this.overlayCtx.font = style.font || '10px monospace';
+    this.overlayCtx.textAlign = style.align || 'left';
+    this.overlayCtx.fillText(text, x, y);
+  }
+
+  /**
+   * Stacks a transparent 2D canvas right above the WebGL canvas for labels
+   * @returns {boolean} - Whether the overlay exists
+   */
+  createOverlay() {
+    const parent = this.canvas.parentNode;
+    if (!parent || typeof document === 'undefined') return false;
+
+    this.overlay = document.createElement('canvas');
+    this.overlay.width = this.width;
+    this.overlay.height = this.height;
+    this.overlay.style.cssText = 'position: absolute; left: 0; top: 0; width: 100%; height: 100%; pointer-events: none;';
+    parent.insertBefore(this.overlay, this.canvas.nextSibling);
+    this.overlayCtx = this.overlay.getContext('2d');
+    return Boolean(this.overlayCtx);
+  }
+
+  /**
+   * Uploads the batch and draws it with one call
+   */
+  flush() {
+    if (this.vertexCount === 0) return;
+
+    const gl = this.gl;
+    gl.useProgram(this.program);
+    gl.uniform2f(this.resolutionLocation, this.width, this.height);
+    gl.bindVertexArray(this.vao);
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.buffer);
+    gl.bufferData(gl.ARRAY_BUFFER, this.vertices.subarray(0, this.vertexCount * VERTEX_SIZE), gl.DYNAMIC_DRAW);
+    gl.drawArrays(gl.TRIANGLES, 0, this.vertexCount);
+    gl.bindVertexArray(null);
+  }
+
+  /**
+   * Releases GL objects and removes the overlay
+   */
+  dispose() {
+    const gl = this.gl;
+    if (gl) {
+      gl.deleteBuffer(this.buffer);
+      gl.deleteVertexArray(this.vao);
+      gl.deleteProgram(this.program);
+    }
+    if (this.overlay && this.overlay.parentNode) {
+      this.overlay.parentNode.removeChild(this.overlay);
+    }
+    this.gl = null;
+    this.overlay = null;
+    this.overlayCtx = null;
+  }
+}
@@ -0,0 +1,128 @@
+/**
+ * renderers/index.js
+ *
+ * Registry of GeometryRenderer drawing backends. GeometryRenderer computes
+ * the geometry and hands it to a backend as primitives; a backend turns
+ * them into pixels (Canvas 2D calls, WebGL vertex batches, ...).
+ *
+ * A backend instance implements:
+ *   id                                  - Registered backend id
+ *   resize(width, height)               - Drawing buffer size in pixels
+ *   clear(color)                        - Starts a frame (null color = transparent)
+ *   lines(segments, style)              - Independent segments [x1, y1, x2, y2, ...]
+ *   polyline(points, style)             - Connected points [x, y, ...] (style.closed joins the ends)
+ *   circle(x, y, radius, style)         - Circle outline
+ *   dot(x, y, radius, style)            - Filled circle
+ *   rect(x, y, width, height, style)    - Filled rectangle
+ *   text(text, x, y, style)             - Label ({ color, font, align })
+ *   flush()                             - Ends the frame (batched backends draw here)
+ *   dispose()                           - Releases resources
+ *
+ * Stroke styles are { color, width, dash: [on, off] | null, alpha }.
+ *
+ * Targets are canvases (webgl, canvas2d) or headless { width, height }
+ * objects (svg).
+ */
+
+import Canvas2DBackend from './Canvas2DBackend.js';
+import WebGLBackend from './WebGLBackend.js';
+import SVGBackend from './SVGBackend.js';
+
+// Registered backends by id
+const backends = new Map();
+
+/**
+ * Registers a drawing backend
+ * @param {Object} backend - Backend definition
+ * @param {string} backend.id - Unique id (used in AppConfig.rendering.backend)
+ * @param {string} backend.label - Display name
+ * @param {number} backend.priority - Order for automatic selection (highest first)
+ * @param {Function} backend.isSupported - (target) => boolean
+ * @param {Function} backend.create - (target, options) => backend instance
+ */
+export function registerRenderBackend({ id, label = id, priority = 0, isSupported, create }) {
+  if (!id || typeof id !== 'string') {
+    throw new TypeError('Render backend needs a string id');
+  }
+  if (typeof isSupported !== 'function' || typeof create !== 'function') {
+    throw new TypeError(`Render backend "${id}" needs isSupported and create functions`);
+  }
+
+  backends.set(id, { id, label, priority, isSupported, create });
+}
+
+/**
+ * Lists registered backends
+ * @returns {Array} - Backends ({ id, label, priority }) ordered by priority
+ */
+export function getRenderBackends() {
+  return Array.from(backends.values())
+    .sort((a, b) => b.priority - a.priority)
+    .map(({ id, label, priority }) => ({ id, label, priority }));
+}
+
+/**
+ * Creates the preferred backend for a drawing target, falling back to the
+ * next supported backend by priority (the Canvas 2D path for canvases)
+ * @param {HTMLCanvasElement|Object} target - Drawing target
+ * @param {string} preferred - Backend id or 'auto'
+ * @param {Object} options - Backend options (e.g. { antialias })
+ * @returns {Object} - Backend instance
+ */
+export function createRenderBackend(target, preferred = 'auto', options = {}) {
+  const ordered = getRenderBackends().map(({ id }) => id);
+  const candidates = preferred === 'auto' || !backends.has(preferred)
+    ? ordered
+    : [preferred, ...ordered.filter(id => id !== preferred)];
+
+  if (preferred !== 'auto' && !backends.has(preferred)) {
+    console.warn(`Unknown render backend "${preferred}", selecting automatically`);
+  }
+
+  for (const id of candidates) {
+    const backend = backends.get(id);
+    if (!backend.isSupported(target)) continue;
+
+    try {
+      const instance = backend.create(target, options);
+      if (instance) return instance;
+    } catch (error) {
+      console.warn(`Render backend "${id}" failed, trying the next one:`, error);
+    }
+  }
+
+  throw new Error('No render backend supports this target');
+}
+
+// ==================== Built-in backends ====================
+
+registerRenderBackend({
+  id: 'webgl',
+  label: 'WebGL2',
+  priority: 20,
+  isSupported: target => Boolean(target && typeof target.getContext === 'function'),
+  create: (canvas, options) => WebGLBackend.create(canvas, options)
+});
+
+registerRenderBackend({
+  id: 'canvas2d',
+  label: 'Canvas 2D',
+  priority: 10,
+  isSupported: target => Boolean(target && typeof target.getContext === 'function'),
+  create: (canvas) => Canvas2DBackend.create(canvas)
+});
+
+registerRenderBackend({
+  id: 'svg',
+  label: 'SVG',
+  priority: 0,
+  isSupported: target => Boolean(target) && typeof target.getContext !== 'function' &&
+    Number.isFinite(target.width) && Number.isFinite(target.height),
+  create: (target) => SVGBackend.create(target)
+});
+
+export default {
+  registerRenderBackend,
+  getRenderBackends,
+  createRenderBackend
+};
@@ -264,6 +264,12 @@ export default class EventGearLite {
         return this;
     }
 
+    clearFrequencyMonitors() {
+        this.#frequencyMonitors.forEach(monitor => clearInterval(monitor.intervalId));
+        this.#frequencyMonitors.clear();
+        return this;
+    }
+
     #updateFrequencyMonitors(timestamp) {
         // Monitors are updated via intervals, this is a placeholder for event-based updates
     }
@@ -0,0 +1,94 @@
+/**
+ * mock-midi-access.js
+ *
+ * Headless stand-in for the Web MIDI API (MIDIAccess, MIDIInput, MIDIOutput).
+ * Inputs can inject messages with `receive(bytes)`; outputs record every
+ * message passed to `send()`.
+ */
+
+/**
+ * Mock MIDI input port
+ */
+export class MockMIDIInput {
+    constructor(id, name = id) {
+        this.id = id;
+        this.name = name;
+        this.type = 'input';
+        this.state = 'connected';
+        this.onmidimessage = null;
+    }
+
+    /**
+     * Simulates an incoming MIDI message
+     * @param {Array} bytes - MIDI message bytes
+     * @param {number} timeStamp - Event timestamp
+     */
+    receive(bytes, timeStamp = 0) {
+        if (this.onmidimessage) {
+            this.onmidimessage({ data: Uint8Array.from(bytes), timeStamp, target: this });
+        }
+    }
+}
+
+/**
+ * Mock MIDI output port
+ */
+export class MockMIDIOutput {
+    constructor(id, name = id) {
+        this.id = id;
+        this.name = name;
+        this.type = 'output';
+        this.state = 'connected';
+        this.sent = [];
+    }
+
+    /**
+     * Records an outgoing MIDI message
+     * @param {Array} bytes - MIDI message bytes
+     * @param {number} timestamp - Scheduled time
+     */
+    send(bytes, timestamp = 0) {
+        this.sent.push({ data: Array.from(bytes), timestamp });
+    }
+
+    /**
+     * Clears recorded messages
+     */
+    clear() {
+        this.sent = [];
+    }
+}
+
+/**
+ * Mock MIDIAccess with connect/disconnect helpers
+ */
+export class MockMIDIAccess {
+    constructor({ inputs = [], outputs = [] } = {}) {
+        this.inputs = new Map(inputs.map(port => [port.id, port]));
+        this.outputs = new Map(outputs.map(port => [port.id, port]));
+        this.onstatechange = null;
+        this.sysexEnabled = false;
+    }
+
+    /**
+     * Adds a port and fires a statechange event
+     * @param {MockMIDIInput|MockMIDIOutput} port - Port to connect
+     */
+    connect(port) {
+        (port.type === 'input' ? this.inputs : this.outputs).set(port.id, port);
+        port.state = 'connected';
+        if (this.onstatechange) this.onstatechange({ port });
+    }
+
+    /**
+     * Removes a port and fires a statechange event
+     * @param {MockMIDIInput|MockMIDIOutput} port - Port to disconnect
+     */
+    disconnect(port) {
+        (port.type === 'input' ? this.inputs : this.outputs).delete(port.id);
+        port.state = 'disconnected';
+        if (this.onstatechange) this.onstatechange({ port });
+    }
+}
+
+export default MockMIDIAccess;
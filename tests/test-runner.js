@@ -4,7 +4,9 @@
  * CLI test framework for HarmonicXplorer core modules.
  * Validates all EventGear utilities, metrics, and bridges.
  *
- * Usage: node tests/test-runner.js [--all]
+ * Usage: node tests/test-runner.js [--all] [--update-golden]
+ *
+ * --update-golden rewrites the golden files in tests/golden/ instead of comparing them.
  */
 
 import {
@@ -468,6 +470,2401 @@ async function runTests() {
         logException('EventGearCallback tests failed', err);
     }
 
+    // ==================== HarmonicTypes Tests ====================
+    info('--- Testing HarmonicTypes ---');
+
+    try {
+        const {
+            registerHarmonicType,
+            unregisterHarmonicType,
+            getHarmonicType,
+            getHarmonicTypes,
+            resolveTypeParams
+        } = await import('../src/modules/HarmonicTypes.js');
+        const { default: HarmonicSeries } = await import('../src/modules/HarmonicSeries.js');
+        const { default: AppState } = await import('../src/core/AppState.js');
+        const { default: EventGearLite } = await import('../src/utils/EventGearLite.js');
+        const { AppConfig, validateParam } = await import('../src/config/app-config.js');
+
+        success('HarmonicTypes module loaded successfully');
+
+        // Built-in types
+        const builtinIds = getHarmonicTypes().map(t => t.id);
+        ['natural', 'octave', 'numOdd', 'numPrime', 'numFibo', 'upper', 'lower', 'under'].forEach(id => {
+            assert(builtinIds.includes(id), `Built-in type "${id}" is registered`);
+        });
+        assertEqual(getHarmonicType('numPrime').generate(5).join(','), '2,3,5,7,11', 'numPrime generator');
+        assertEqual(getHarmonicType('numFibo').generate(6).join(','), '1,1,2,3,5,8', 'numFibo generator');
+
+        // Registration validation
+        assertThrows(() => registerHarmonicType({ id: 'broken' }), 'TypeError', 'registerHarmonicType throws without generate');
+        assertThrows(() => registerHarmonicType({ id: 'natural', generate: () => [] }), 'Error', 'registerHarmonicType throws on duplicate id');
+
+        // Custom type with extra parameters
+        registerHarmonicType({
+            id: 'testArithmetic',
+            label: 'Arithmetic',
+            params: [{ name: 'step', default: 0.5, min: 0.1, max: 4 }],
+            generate: (count, { step }) => Array.from({ length: count }, (_, i) => 1 + i * step)
+        });
+        assert(AppConfig.constraints.harmonicsType.options.includes('testArithmetic'), 'Registered type appears in AppConfig.constraints');
+        assertEqual(validateParam('harmonicsType', 'testArithmetic'), 'testArithmetic', 'validateParam accepts registered type');
+        assertEqual(validateParam('harmonicsType', 'bogus'), AppConfig.defaults.harmonicsType, 'validateParam rejects unknown type');
+        assertEqual(resolveTypeParams('testArithmetic', {}).step, 0.5, 'resolveTypeParams fills defaults');
+        assertEqual(resolveTypeParams('testArithmetic', { step: 10 }).step, 4, 'resolveTypeParams clamps to max');
+
+        // HarmonicSeries uses the registry and keys the cache on extra parameters
+        const gear = new EventGearLite(50);
+        const state = new AppState(gear);
+        const series = new HarmonicSeries(gear, state);
+        const a = series.calculateSeries(3, 'testArithmetic', { step: 0.5 });
+        const b = series.calculateSeries(3, 'testArithmetic', { step: 1 });
+        assertEqual(a.join(','), '1,1.5,2', 'calculateSeries uses registered generator');
+        assertEqual(b.join(','), '1,2,3', 'calculateSeries cache key includes extra parameters');
+        assertEqual(series.calculateSeries(3, 'missingType').join(','), '1,2,3', 'Unknown type falls back to natural');
+
+        state.updateParam('harmonicsType', 'testArithmetic');
+        state.updateParam('harmonicsTypeParams', { step: 2 });
+        assertEqual(state.getCachedData('harmonicSeries').slice(0, 3).join(','), '1,3,5', 'updateSeries reads harmonicsTypeParams from AppState');
+
+        let changedEvent = null;
+        gear.on('harmonicTypes.changed', (data) => { changedEvent = data; });
+        series.registerType({ id: 'testConstant', generate: (count) => new Array(count).fill(1) });
+        assertEqual(changedEvent && changedEvent.registered, 'testConstant', 'registerType emits harmonicTypes.changed');
+
+        unregisterHarmonicType('testArithmetic');
+        unregisterHarmonicType('testConstant');
+        assert(!AppConfig.constraints.harmonicsType.options.includes('testArithmetic'), 'unregisterHarmonicType updates constraints');
+        series.dispose();
+
+    } catch (err) {
+        logException('HarmonicTypes tests failed', err);
+    }
+
+    // ==================== Tuning Tests ====================
+    info('--- Testing Tuning ---');
+
+    try {
+        const {
+            parseScl,
+            parseKbm,
+            equalTemperament,
+            justIntonation,
+            loadScala,
+            getTuning,
+            scaleRatios,
+            quantizeRatio,
+            noteToFrequency,
+            ratioToCents
+        } = await import('../src/modules/Tuning.js');
+        const { getHarmonicType } = await import('../src/modules/HarmonicTypes.js');
+        const { default: HarmonicSeries } = await import('../src/modules/HarmonicSeries.js');
+        const { default: AppState } = await import('../src/core/AppState.js');
+        const { default: EventGearLite } = await import('../src/utils/EventGearLite.js');
+
+        success('Tuning module loaded successfully');
+
+        const near = (a, b, eps = 1e-6) => Math.abs(a - b) < eps;
+
+        // Scala parsing
+        const scl = [
+            '! meantone.scl',
+            '!',
+            'Test scale',
+            ' 4',
+            '!',
+            ' 203.910',
+            ' 5/4   major third',
+            ' 3/2',
+            ' 2'
+        ].join('\n');
+        const parsed = parseScl(scl);
+        assertEqual(parsed.description, 'Test scale', 'parseScl reads description');
+        assertEqual(parsed.degrees.length, 4, 'parseScl reads all degrees');
+        assert(near(parsed.degrees[0], 9 / 8, 1e-5), 'parseScl converts cents to ratio', 9 / 8, parsed.degrees[0]);
+        assertEqual(parsed.degrees[1], 1.25, 'parseScl parses ratios and ignores trailing text');
+        assertEqual(parsed.period, 2, 'parseScl uses the last degree as period');
+        assertThrows(() => parseScl('Broken\n3\n1/1\n'), 'SyntaxError', 'parseScl throws on missing pitches');
+
+        const kbm = parseKbm(['! test.kbm', '0', '0', '127', '60', '69', '440.0', '0'].join('\n'));
+        assertEqual(kbm.referenceFrequency, 440, 'parseKbm reads reference frequency');
+        assertEqual(kbm.mapping.length, 0, 'parseKbm reads empty (linear) mapping');
+        const whiteKeys = parseKbm(['! white.kbm', '12', '21', '108', '60', '69', '440.0', '7', '0', 'x', '1', 'x', '2', '3', 'x', '4', 'x', '5', 'x', '6'].join('\n'));
+        assertEqual(whiteKeys.mapping.join(','), '0,,1,,2,3,,4,,5,,6', 'parseKbm reads x as unmapped keys');
+
+        // Ratio generators
+        const tet = equalTemperament(12);
+        assert(near(tet.degrees[5], Math.SQRT2), '12-TET tritone is sqrt(2)');
+        assert(near(tet.degrees[11], 2), '12-TET ends on the octave');
+        const ji = justIntonation(5, 16);
+        assert(ji.degrees.some(r => near(r, 5 / 4)) && ji.degrees.some(r => near(r, 3 / 2)), 'justIntonation contains 5/4 and 3/2');
+        assert(!ji.degrees.some(r => near(r, 7 / 4)), 'justIntonation(5) excludes 7-limit ratios');
+
+        // Scale ratios and quantization
+        const just5 = getTuning('just5');
+        assertEqual(scaleRatios(just5, 9).slice(7).join(','), '2,2.25', 'scaleRatios continues into the next period');
+        assert(near(quantizeRatio(7, getTuning('edo12')), Math.pow(2, 34 / 12)), 'quantizeRatio snaps 7/1 to nearest 12-TET degree');
+        assertEqual(quantizeRatio(3, just5), 3, 'quantizeRatio keeps exact just ratios');
+        assert(near(ratioToCents(2), 1200), 'ratioToCents(2) = 1200');
+        assert(near(noteToFrequency(81, getTuning('edo12')), 880), 'noteToFrequency maps A5 to 880 Hz');
+        assert(near(noteToFrequency(62, just5, whiteKeys), 440 * (9 / 8) / (5 / 3)), 'noteToFrequency maps keys to degrees relative to the reference key');
+        assert(near(noteToFrequency(72, just5, whiteKeys), 440 * 2 / (5 / 3)), 'Mapped keys repeat every mapping size at the octave degree');
+        assert(noteToFrequency(61, just5, whiteKeys) === null && noteToFrequency(20, just5, whiteKeys) === null, 'Unmapped keys and keys outside the range have no frequency');
+
+        // Tuning as harmonic type and as quantizer
+        assert(getHarmonicType('tuning') !== undefined, 'Tuning registers the "tuning" harmonic type');
+        loadScala(scl, 'scl:test');
+        const gear = new EventGearLite(50);
+        const state = new AppState(gear);
+        const series = new HarmonicSeries(gear, state);
+        state.updateParam('harmonics', 5);
+        state.updateParam('tuningSystem', 'scl:test');
+        state.updateParam('harmonicsType', 'tuning');
+        const tuned = state.getCachedData('harmonicSeries');
+        assertEqual(tuned.slice(1, 5).map(r => r.toFixed(3)).join(','), '1.125,1.250,1.500,2.000', 'Tuning type follows tuningSystem');
+
+        state.updateParam('harmonicsType', 'natural');
+        state.updateParam('tuningSystem', 'edo12');
+        state.updateParam('tuningQuantize', true);
+        const quantized = state.getCachedData('harmonicSeries');
+        assert(near(quantized[4], Math.pow(2, 28 / 12)), 'Quantizer snaps 5th harmonic to 12-TET', Math.pow(2, 28 / 12), quantized[4]);
+        series.dispose();
+
+    } catch (err) {
+        logException('Tuning tests failed', err);
+    }
+
+    // ==================== PartialModel Tests ====================
+    info('--- Testing PartialModel ---');
+
+    try {
+        const {
+            ROLLOFF_LAWS,
+            createPartials,
+            withPartialOverride,
+            partialFrequency,
+            sumPartials,
+            normalizeWaveform
+        } = await import('../src/modules/PartialModel.js');
+        const { default: HarmonicSeries } = await import('../src/modules/HarmonicSeries.js');
+        const { default: AppState } = await import('../src/core/AppState.js');
+        const { default: EventGearLite } = await import('../src/utils/EventGearLite.js');
+
+        success('PartialModel module loaded successfully');
+
+        const near = (a, b, eps = 1e-9) => Math.abs(a - b) < eps;
+
+        ['inverse', 'inverseSquare', 'flat', 'sawtooth', 'square', 'triangle'].forEach(id => {
+            assert(ROLLOFF_LAWS[id] !== undefined, `Rolloff law "${id}" exists`);
+        });
+
+        // Default law matches the previous fixed 1/(n+1) rolloff
+        const natural = [1, 2, 3, 4];
+        const inverse = createPartials(natural);
+        assertEqual(inverse.map(p => p.amplitude.toFixed(4)).join(','), '1.0000,0.5000,0.3333,0.2500', 'inverse law gives 1/n');
+        assert(inverse.every(p => p.phase === 0 && p.detune === 0), 'inverse law has zero phase and detune');
+
+        const square = createPartials(natural, { rolloff: 'square' });
+        assertEqual(square.map(p => p.amplitude.toFixed(4)).join(','), '1.0000,0.0000,0.3333,0.0000', 'square law keeps odd harmonics at 1/h');
+        const triangle = createPartials([1, 3, 5], { rolloff: 'triangle' });
+        assert(near(triangle[1].amplitude, 1 / 9) && near(triangle[1].phase, Math.PI), 'triangle law: 1/h^2 with alternating sign');
+        const saw = createPartials([1, 2], { rolloff: 'sawtooth' });
+        assert(near(saw[1].phase, Math.PI), 'sawtooth law alternates sign');
+
+        // Overrides
+        let overrides = withPartialOverride({}, 1, { amplitude: 0.9, detune: 12 });
+        overrides = withPartialOverride(overrides, 1, { phase: 1 });
+        const edited = createPartials(natural, { overrides });
+        assertEqual(edited[1].amplitude, 0.9, 'override replaces amplitude');
+        assertEqual(edited[1].detune, 12, 'override keeps earlier detune');
+        assertEqual(edited[1].phase, 1, 'override sets phase');
+        assertEqual(Object.keys(withPartialOverride(overrides, 1, null)).length, 0, 'null override clears the partial');
+
+        assert(near(partialFrequency({ ratio: 2, detune: 1200 }, 100), 400), 'partialFrequency applies detune in cents');
+
+        // Waveform summation
+        const wave = sumPartials([{ ratio: 1, amplitude: 1, phase: Math.PI / 2, detune: 0 }], 4);
+        assert(near(wave[0], 1, 1e-12), 'sumPartials honors phase offset (cosine starts at 1)');
+        const peak = normalizeWaveform(wave);
+        assert(near(peak, 1, 1e-12), 'normalizeWaveform returns peak');
+
+        // AppState drives the partial model
+        const gear = new EventGearLite(50);
+        const state = new AppState(gear);
+        const series = new HarmonicSeries(gear, state);
+        let emitted = null;
+        gear.on('harmonicSeries.updated', (data) => { emitted = data; });
+        state.updateParam('partialRolloff', 'flat');
+        assert(emitted && emitted.partials.every(p => p.amplitude === 1), 'partialRolloff change re-emits partials');
+        state.updateParam('partialOverrides', withPartialOverride({}, 0, { amplitude: 0.25 }));
+        assertEqual(state.getCachedData('partials')[0].amplitude, 0.25, 'partialOverrides are applied from AppState');
+        series.dispose();
+
+    } catch (err) {
+        logException('PartialModel tests failed', err);
+    }
+
+    // ==================== Phase Mode Tests ====================
+    info('--- Testing Phase Modes ---');
+
+    try {
+        const {
+            PHASE_MODES,
+            resolvePhaseMode,
+            randomPhases,
+            schroederPhases,
+            createPartials,
+            sumPartials,
+            crestFactor
+        } = await import('../src/modules/PartialModel.js');
+        const { default: HarmonicSeries } = await import('../src/modules/HarmonicSeries.js');
+        const { default: AppState } = await import('../src/core/AppState.js');
+        const { default: EventGearLite } = await import('../src/utils/EventGearLite.js');
+        const { AppConfig, validateParam } = await import('../src/config/app-config.js');
+
+        const near = (a, b, eps = 1e-9) => Math.abs(a - b) < eps;
+        const flat = (count) => Array.from({ length: count }, (_, i) => i + 1);
+
+        ['sine', 'cosine', 'alternating', 'inverted', 'random', 'schroeder'].forEach(id => {
+            assert(PHASE_MODES[id] !== undefined, `Phase mode "${id}" exists`);
+            assert(AppConfig.constraints.harmonicsPhase.options.includes(id), `Phase mode "${id}" passes validation`);
+        });
+        assertEqual(resolvePhaseMode('phaseFull'), 'sine', 'phaseFull is an alias for sine');
+        assertEqual(resolvePhaseMode('phaseDown'), 'inverted', 'phaseDown is an alias for inverted');
+        assertEqual(resolvePhaseMode('bogus'), 'sine', 'Unknown phase mode resolves to sine');
+        assertEqual(validateParam('harmonicsPhase', 'bogus'), AppConfig.defaults.harmonicsPhase, 'validateParam rejects unknown phase mode');
+
+        const cosine = createPartials([1, 2, 3], { phaseMode: 'cosine' });
+        assert(cosine.every(p => near(p.phase, Math.PI / 2)), 'cosine mode starts every partial at PI/2');
+        const alternating = createPartials([1, 2, 3], { phaseMode: 'alternating' });
+        assertEqual(alternating.map(p => p.phase.toFixed(4)).join(','), `0.0000,${Math.PI.toFixed(4)},0.0000`, 'alternating mode inverts every other partial');
+        const sawInverted = createPartials([1, 2], { rolloff: 'sawtooth', phaseMode: 'inverted' });
+        assert(near(sawInverted[0].phase, Math.PI) && near(sawInverted[1].phase, 0), 'phase mode adds to rolloff phase');
+        const overridden = createPartials([1, 2], { phaseMode: 'cosine', overrides: { 1: { phase: 0.5 } } });
+        assertEqual(overridden[1].phase, 0.5, 'Per-partial phase override wins over phase mode');
+
+        // Random phases are reproducible for a seed
+        assertEqual(randomPhases(4, 7).join(','), randomPhases(4, 7).join(','), 'randomPhases is deterministic per seed');
+        assert(randomPhases(4, 7).join(',') !== randomPhases(4, 8).join(','), 'randomPhases depends on the seed');
+        assert(randomPhases(16, 3).every(p => p >= 0 && p < 2 * Math.PI), 'randomPhases stays within [0, 2PI)');
+
+        // Schroeder phases lower the crest factor of a flat spectrum
+        const sinePartials = createPartials(flat(16), { rolloff: 'flat', phaseMode: 'sine' });
+        const cosinePartials = createPartials(flat(16), { rolloff: 'flat', phaseMode: 'cosine' });
+        const schroederPartials = createPartials(flat(16), { rolloff: 'flat', phaseMode: 'schroeder' });
+        const cosineCrest = crestFactor(sumPartials(cosinePartials, 2048));
+        const schroederCrest = crestFactor(sumPartials(schroederPartials, 2048));
+        assert(near(cosineCrest, Math.sqrt(32), 1e-6), 'In-phase cosines have crest factor sqrt(2N)');
+        assert(schroederCrest < 2, `Schroeder phases give a low crest factor (${schroederCrest.toFixed(3)})`);
+        assert(crestFactor(sumPartials(sinePartials, 2048)) > schroederCrest, 'Schroeder beats sine phases');
+        assertEqual(schroederPhases([1, 1]).length, 2, 'schroederPhases returns one phase per partial');
+        assertEqual(crestFactor([0, 0]), 0, 'crestFactor of silence is 0');
+
+        // Ratios stay positive; phase only reaches the partial model
+        const gear = new EventGearLite(50);
+        const state = new AppState(gear);
+        const series = new HarmonicSeries(gear, state);
+        state.updateParam('harmonicsPhase', 'phaseDown');
+        assert(state.getCachedData('harmonicSeries').every(r => r > 0), 'Legacy phaseDown no longer negates ratios');
+        assert(state.getCachedData('partials').every(p => near(p.phase, Math.PI)), 'Legacy phaseDown inverts partial phases');
+        state.updateParam('harmonicsPhase', 'random');
+        const firstRandom = state.getCachedData('partials').map(p => p.phase).join(',');
+        state.updateParam('harmonicsPhaseSeed', 99);
+        assert(state.getCachedData('partials').map(p => p.phase).join(',') !== firstRandom, 'harmonicsPhaseSeed reseeds random phases');
+        series.dispose();
+
+    } catch (err) {
+        logException('Phase mode tests failed', err);
+    }
+
+    // ==================== AdditiveEngine Tests ====================
+    info('--- Testing AdditiveEngine ---');
+
+    try {
+        const { default: AdditiveEngine } = await import('../src/modules/AdditiveEngine.js');
+        const { createPartials, sumPartials } = await import('../src/modules/PartialModel.js');
+
+        success('AdditiveEngine module loaded successfully');
+
+        assertThrows(() => new AdditiveEngine(0), 'TypeError', 'AdditiveEngine rejects a zero sample rate');
+
+        // Without smoothing the engine renders exactly the shared partial model
+        const cycle = 64;
+        const partials = createPartials([1, 2, 3], { phaseMode: 'schroeder' });
+        const exact = new AdditiveEngine(48000, { smoothingTime: 0, frequency: 48000 / cycle });
+        exact.setPartials(partials);
+        exact.setLevel(1);
+        const rendered = exact.render(new Float32Array(cycle));
+        const reference = sumPartials(partials, cycle);
+        const maxError = Math.max(...Array.from(rendered, (v, i) => Math.abs(v - AdditiveEngine.PARTIAL_GAIN * reference[i])));
+        assert(maxError < 1e-5, `Engine output matches sumPartials (max error ${maxError.toExponential(2)})`);
+
+        // Partials at or above Nyquist are muted
+        const nyquist = new AdditiveEngine(8000, { smoothingTime: 0, frequency: 1000 });
+        nyquist.setPartials([{ ratio: 5, amplitude: 1, phase: 0, detune: 0 }]);
+        nyquist.setLevel(1);
+        assert(nyquist.render(new Float32Array(128)).every(v => v === 0), 'Partials above Nyquist are silent');
+
+        // Smoothed changes do not click
+        const smooth = new AdditiveEngine(48000, { smoothingTime: 0.005, frequency: 220 });
+        smooth.setPartials(createPartials([1, 2, 3, 4]));
+        smooth.setLevel(1);
+        const block = new Float32Array(4800);
+        smooth.render(block);
+        assert(Math.abs(block[0]) < 0.01, 'Engine fades in from silence');
+        const maxStep = (buffer) => {
+            let step = 0;
+            for (let i = 1; i < buffer.length; i++) step = Math.max(step, Math.abs(buffer[i] - buffer[i - 1]));
+            return step;
+        };
+        const steadyStep = maxStep(block.subarray(2400));
+        smooth.setPartials(createPartials([1, 3, 5, 7], { rolloff: 'flat' }));
+        smooth.setFrequency(330);
+        const changed = smooth.render(new Float32Array(4800));
+        const settledStep = maxStep(changed.subarray(2400));
+        assert(maxStep(changed.subarray(0, 2400)) <= Math.max(steadyStep, settledStep) * 1.05, 'Series and frequency changes are smoothed');
+
+        // Partial banks in the hundreds
+        const natural = Array.from({ length: 300 }, (_, i) => i + 1);
+        const large = new AdditiveEngine(48000, { frequency: 50 });
+        large.setPartials(createPartials(natural));
+        large.setLevel(1);
+        large.render(new Float32Array(128));
+        assertEqual(large.bank.length, 300, 'Engine holds 300 partials');
+        large.setPartials(createPartials(Array.from({ length: 1000 }, (_, i) => i + 1)));
+        assertEqual(large.bank.length, AdditiveEngine.MAX_PARTIALS, 'Engine caps the bank at MAX_PARTIALS');
+
+        // Level 0 fades out; removed partials are dropped once silent
+        large.setPartials(createPartials([1]));
+        large.setLevel(0);
+        large.render(new Float32Array(48000));
+        assert(!large.isActive(), 'Engine is inactive after fading out');
+        assertEqual(large.bank.length, 1, 'Silent trailing partials are released');
+
+    } catch (err) {
+        logException('AdditiveEngine tests failed', err);
+    }
+
+    // ==================== Envelope & VoicePool Tests ====================
+    info('--- Testing Envelope and VoicePool ---');
+
+    try {
+        const { default: Envelope, STAGE, envelopeFromParams, normalizeEnvelope } = await import('../src/modules/Envelope.js');
+        const { default: VoicePool } = await import('../src/modules/VoicePool.js');
+        const { default: AdditiveEngine } = await import('../src/modules/AdditiveEngine.js');
+        const { createPartials } = await import('../src/modules/PartialModel.js');
+        const { AppConfig } = await import('../src/config/app-config.js');
+
+        success('Envelope and VoicePool modules loaded successfully');
+
+        const near = (a, b, eps = 1e-6) => Math.abs(a - b) < eps;
+        const peakOf = (buffer) => buffer.reduce((max, v) => Math.max(max, Math.abs(v)), 0);
+
+        // Envelope stages (sample rate 1000 -> 1 sample per millisecond)
+        const env = new Envelope(1000, { attack: 0.01, decay: 0.01, sustain: 0.5, release: 0.02 });
+        assertEqual(env.stage, STAGE.IDLE, 'Envelope starts idle');
+        env.gateOn(1);
+        const attack = env.process(new Float32Array(10));
+        assert(near(attack[4], 0.5) && near(attack[9], 1), 'Attack ramps linearly to the peak');
+        const decay = env.process(new Float32Array(10));
+        assert(near(decay[9], 0.5), 'Decay settles at the sustain level');
+        env.process(new Float32Array(100));
+        assertEqual(env.stage, STAGE.SUSTAIN, 'Envelope holds the sustain level');
+        env.gateOff();
+        const release = env.process(new Float32Array(20));
+        assert(near(release[9], 0.25) && release[19] === 0, 'Release ramps from the current level to 0');
+        assert(!env.isActive(), 'Envelope is idle after the release');
+
+        const soft = new Envelope(1000, { attack: 0, decay: 0, sustain: 1, release: 0 });
+        soft.gateOn(0.25);
+        assert(near(soft.next(), 0.25), 'Velocity scales the peak (zero attack jumps)');
+        soft.gateOff();
+        assertEqual(soft.next(), 0, 'Zero release stops at once');
+
+        assertEqual(normalizeEnvelope({ sustain: 2, attack: -1 }).sustain, 1, 'normalizeEnvelope clamps sustain');
+        assertEqual(normalizeEnvelope({ attack: -1 }).attack, 0, 'normalizeEnvelope clamps negative times');
+        const fromDefaults = envelopeFromParams(AppConfig.defaults);
+        assertEqual(fromDefaults.release, AppConfig.defaults.envelopeRelease, 'envelopeFromParams reads AppState params');
+
+        // Engine notes: release fades to silence and the engine goes idle
+        const engine = new AdditiveEngine(8000, { smoothingTime: 0, frequency: 200 });
+        engine.setEnvelope({ attack: 0.01, decay: 0.05, sustain: 0.5, release: 0.05 });
+        engine.setPartials(createPartials([1, 2]));
+        engine.noteOn(1);
+        engine.render(new Float32Array(800));
+        assert(engine.isActive(), 'Engine is active while the note is held');
+        engine.noteOff();
+        const tail = engine.render(new Float32Array(800));
+        assert(peakOf(tail.subarray(0, 40)) > 0.1 && peakOf(tail.subarray(400)) === 0, 'noteOff releases through the envelope');
+        assert(!engine.isActive(), 'Engine is idle after the release');
+
+        // Per-partial envelope: a partial with a long attack starts quieter
+        const perPartial = new AdditiveEngine(8000, { smoothingTime: 0, frequency: 100 });
+        perPartial.setEnvelope({ attack: 0, decay: 0, sustain: 1, release: 0.01 });
+        perPartial.setPartials(createPartials([1, 3], {
+            rolloff: 'flat',
+            overrides: { 1: { envelope: { attack: 1 } } }
+        }));
+        perPartial.noteOn(1);
+        perPartial.render(new Float32Array(80));
+        assert(perPartial.bank[1].envelope !== null && perPartial.bank[0].envelope === null, 'Partial envelope override creates its own envelope');
+        assert(perPartial.bank[1].envelope.value < 0.02, 'Partial envelope override follows its own attack');
+
+        // Polyphony
+        const pool = new VoicePool(8000, { maxVoices: 2, smoothingTime: 0 });
+        pool.setEnvelope({ attack: 0, decay: 0, sustain: 1, release: 0.01 });
+        pool.setPartials(createPartials([1]));
+        const a = pool.noteOn(200, 1);
+        const b = pool.noteOn(300, 0.5);
+        assert(a !== b, 'noteOn returns distinct voice ids');
+        const both = pool.render(new Float32Array(400));
+        assert(peakOf(both) > AdditiveEngine.PARTIAL_GAIN, 'Voices are mixed');
+        pool.noteOn(400, 1, 'custom');
+        assertEqual(pool.voices.size, 2, 'Oldest voice is stolen when the pool is full');
+        assert(!pool.voices.has(a), 'Stolen voice is the oldest one');
+        pool.noteOn(450, 1, 'custom');
+        assertEqual(pool.voices.get('custom').frequency, 450, 'Reusing an id retriggers the voice');
+        pool.allNotesOff();
+        pool.render(new Float32Array(400));
+        assertEqual(pool.voices.size, 0, 'Released voices are removed after the release');
+        assert(!pool.noteOff('missing'), 'noteOff of an unknown voice returns false');
+
+    } catch (err) {
+        logException('Envelope and VoicePool tests failed', err);
+    }
+
+    // ==================== WAV Export Tests ====================
+    info('--- Testing WavEncoder and AudioExport ---');
+
+    try {
+        const { encodeWav, decodeWav, WAVE_FORMAT_IEEE_FLOAT } = await import('../src/modules/WavEncoder.js');
+        const { renderPartials, renderTimbreToWav } = await import('../src/modules/AudioExport.js');
+        const { createPartials } = await import('../src/modules/PartialModel.js');
+        const { default: HarmonicSeries } = await import('../src/modules/HarmonicSeries.js');
+        const { default: AppState } = await import('../src/core/AppState.js');
+        const { default: EventGearLite } = await import('../src/utils/EventGearLite.js');
+        const fs = await import('fs');
+
+        success('WavEncoder and AudioExport modules loaded successfully');
+
+        const text = (buffer, offset) => String.fromCharCode(...new Uint8Array(buffer, offset, 4));
+
+        // 16-bit PCM header, byte by byte
+        const pcm = encodeWav([new Float32Array([0, 1, -1, 0.5])], { sampleRate: 8000, bitDepth: 16 });
+        const view = new DataView(pcm);
+        assertEqual(pcm.byteLength, 44 + 8, '16-bit mono file is 44 header bytes plus 2 bytes per sample');
+        assertEqual(text(pcm, 0) + text(pcm, 8) + text(pcm, 12) + text(pcm, 36), 'RIFFWAVEfmt data', 'Chunk ids are in place');
+        assertEqual(view.getUint32(4, true), pcm.byteLength - 8, 'RIFF size excludes the RIFF header');
+        assertEqual(view.getUint16(20, true), 1, 'Format tag is PCM');
+        assertEqual(view.getUint32(28, true), 16000, 'Byte rate is sampleRate * blockAlign');
+        assertEqual(view.getInt16(46, true), 32767, 'Full scale positive sample');
+        assertEqual(view.getInt16(48, true), -32767, 'Full scale negative sample (symmetric)');
+
+        // Float files carry a fact chunk
+        const float = encodeWav([new Float32Array([0.25, -0.5]), new Float32Array([0, 1])], { sampleRate: 48000, bitDepth: 32, float: true });
+        const floatView = new DataView(float);
+        assertEqual(floatView.getUint16(20, true), WAVE_FORMAT_IEEE_FLOAT, 'Format tag is IEEE float');
+        assertEqual(text(float, 38), 'fact', 'Float files include a fact chunk');
+        assertEqual(floatView.getUint32(46, true), 2, 'fact chunk holds the frame count');
+
+        // Round trips
+        const signal = Float32Array.from({ length: 32 }, (_, i) => Math.sin(i / 3) * 0.9);
+        [16, 24, 32].forEach(bitDepth => {
+            const decoded = decodeWav(encodeWav([signal], { sampleRate: 44100, bitDepth }));
+            const error = Math.max(...Array.from(signal, (v, i) => Math.abs(v - decoded.channels[0][i])));
+            assert(decoded.bitDepth === bitDepth && error < Math.pow(2, 1 - bitDepth) * 2, `${bitDepth}-bit PCM round trip`);
+        });
+        const decodedFloat = decodeWav(float);
+        assert(decodedFloat.float && decodedFloat.channels[1][1] === 1 && decodedFloat.channels[0][1] === -0.5, 'Float stereo round trip');
+
+        assertThrows(() => encodeWav([], {}), 'TypeError', 'encodeWav rejects missing channels');
+        assertThrows(() => encodeWav([signal], { bitDepth: 8 }), 'TypeError', 'encodeWav rejects unsupported bit depths');
+        assertThrows(() => encodeWav([signal], { bitDepth: 16, float: true }), 'TypeError', 'encodeWav rejects 16-bit float');
+        assertThrows(() => decodeWav(new ArrayBuffer(8)), 'SyntaxError', 'decodeWav rejects non-WAV data');
+
+        // Offline rendering
+        const envelope = { attack: 0.01, decay: 0.05, sustain: 0.5, release: 0.1 };
+        const rendered = renderPartials(createPartials([1, 2, 3]), { frequency: 220, sampleRate: 8000, duration: 0.5, envelope, normalize: true });
+        assertEqual(rendered.length, 4000, 'renderPartials honors duration and sample rate');
+        const peak = rendered.reduce((max, v) => Math.max(max, Math.abs(v)), 0);
+        assert(Math.abs(peak - 0.89) < 1e-6, 'renderPartials normalizes to the target peak');
+        assert(Math.abs(rendered[rendered.length - 1]) < 1e-3, 'Release ends with the buffer');
+
+        // Export from AppState
+        const gear = new EventGearLite(50);
+        const state = new AppState(gear);
+        const series = new HarmonicSeries(gear, state);
+        state.updateParam('audioExportDuration', 0.25);
+        state.updateParam('audioExportSampleRate', 22050);
+        const exported = decodeWav(renderTimbreToWav(state));
+        assert(exported.sampleRate === 22050 && exported.bitDepth === 16, 'renderTimbreToWav reads the export params');
+        assertEqual(exported.channels[0].length, Math.round(0.25 * 22050), 'Exported length matches audioExportDuration');
+        assert(decodeWav(renderTimbreToWav(state, { float: true })).float, 'renderTimbreToWav can write 32-bit float');
+        series.dispose();
+
+        // Golden file (rewrite with --update-golden)
+        const goldenPath = new URL('./golden/timbre-natural-16bit.wav', import.meta.url);
+        const golden = encodeWav([renderPartials(createPartials([1, 2, 3, 4]), {
+            frequency: 441, sampleRate: 8000, duration: 0.05, envelope, normalize: true
+        })], { sampleRate: 8000, bitDepth: 16 });
+        if (process.argv.includes('--update-golden') || !fs.existsSync(goldenPath)) {
+            fs.mkdirSync(new URL('./golden/', import.meta.url), { recursive: true });
+            fs.writeFileSync(goldenPath, Buffer.from(golden));
+            info('Golden file written: tests/golden/timbre-natural-16bit.wav');
+        }
+        const expected = fs.readFileSync(goldenPath);
+        const actual = Buffer.from(golden);
+        let mismatches = 0;
+        for (let i = 0; i < actual.length; i += 2) {
+            // Allow 1 LSB of difference between platforms' Math.sin
+            if (i < 44 ? actual.readUInt16LE(i) !== expected.readUInt16LE(i) : Math.abs(actual.readInt16LE(i) - expected.readInt16LE(i)) > 1) mismatches++;
+        }
+        assert(expected.length === actual.length && mismatches === 0, 'Rendered WAV matches the golden file');
+
+    } catch (err) {
+        logException('WAV export tests failed', err);
+    }
+
+    // ==================== MIDI Input Tests ====================
+    info('--- Testing MidiController ---');
+
+    try {
+        const {
+            default: MidiController,
+            parseMidiMessage,
+            normalizeMapping,
+            scaleMidiValue
+        } = await import('../src/modules/MidiController.js');
+        const { MockMIDIAccess, MockMIDIInput } = await import('./mock-midi-access.js');
+        const { default: AppState } = await import('../src/core/AppState.js');
+        const { default: EventGearLite } = await import('../src/utils/EventGearLite.js');
+        const { AppConfig } = await import('../src/config/app-config.js');
+
+        success('MidiController module loaded successfully');
+
+        // Message parsing
+        assertEqual(parseMidiMessage([0x91, 60, 100]).type, 'noteOn', 'Note on is parsed');
+        assertEqual(parseMidiMessage([0x91, 60, 100]).channel, 1, 'Channel comes from the status byte');
+        assertEqual(parseMidiMessage([0x90, 60, 0]).type, 'noteOff', 'Note on with velocity 0 is a note off');
+        assertEqual(parseMidiMessage([0xe0, 0x00, 0x40]).value, 8192, 'Pitch bend combines LSB and MSB');
+        assertEqual(parseMidiMessage([0xf8]), null, 'Unsupported messages are ignored');
+
+        // Scaling
+        const linear = normalizeMapping({ source: 'cc', number: 1, param: 'harmonics' });
+        assert(linear.min === AppConfig.constraints.harmonics.min && linear.max === AppConfig.constraints.harmonics.max, 'Mapping range defaults to the param constraints');
+        assertEqual(scaleMidiValue(linear, 127), AppConfig.constraints.harmonics.max, 'Full CC reaches the maximum');
+        assert(Number.isInteger(scaleMidiValue(linear, 50)), 'Integer params are rounded');
+        const expo = normalizeMapping({ source: 'cc', number: 2, param: 'calcFrequency', min: 100, max: 1600, curve: 'exponential' });
+        assert(Math.abs(scaleMidiValue(expo, 63.5) - 400) < 1e-9, 'Exponential curve is geometric between positive bounds');
+        const bend = normalizeMapping({ source: 'pitchbend', param: 'envelopeSustain', min: 0, max: 1 });
+        assert(Math.abs(scaleMidiValue(bend, 16383) - 1) < 1e-9 && scaleMidiValue(bend, 0) === 0, 'Pitch bend uses its 14-bit range');
+        assertEqual(scaleMidiValue(normalizeMapping({ source: 'cc', number: 3, param: 'showRatios' }), 100), true, 'Boolean params switch at the midpoint');
+        assertEqual(scaleMidiValue(normalizeMapping({ source: 'cc', number: 4, param: 'partialRolloff' }), 0), 'inverse', 'Enumerated params step through their options');
+        assertThrows(() => normalizeMapping({ source: 'aftertouch', param: 'harmonics' }), 'TypeError', 'Unknown sources are rejected');
+        assertThrows(() => normalizeMapping({ source: 'cc', number: 1, param: 'missing' }), 'TypeError', 'Unknown params are rejected');
+
+        // Headless controller with a mock MIDIAccess
+        const gear = new EventGearLite(50);
+        const state = new AppState(gear);
+        const midi = new MidiController(gear, state);
+        const input = new MockMIDIInput('keys');
+        const access = new MockMIDIAccess({ inputs: [input] });
+        assert(await midi.initialize(access), 'initialize accepts an injected MIDIAccess');
+
+        const notes = [];
+        gear.on('synth.noteOn', data => notes.push(['on', data]));
+        gear.on('synth.noteOff', data => notes.push(['off', data]));
+
+        input.receive([0x90, 69, 127]);
+        const near = (a, b) => Math.abs(a - b) < 1e-9;
+        assert(near(state.getParam('calcFrequency'), 440), 'A4 sets calcFrequency to 440 Hz');
+        input.receive([0x90, 81, 64]);
+        assert(near(state.getParam('calcFrequency'), 880), 'Notes follow the selected tuning');
+        assert(notes[1][1].id === 'midi:0:81' && Math.abs(notes[1][1].velocity - 64 / 127) < 1e-9, 'Note on triggers a synth note with velocity');
+        input.receive([0x80, 81, 0]);
+        assert(notes[2][0] === 'off' && notes[2][1].id === 'midi:0:81', 'Note off releases the synth note');
+        input.receive([0x80, 50, 0]);
+        assertEqual(notes.length, 3, 'Note off without a held note is ignored');
+
+        // Keyboard mapping: white keys play the degrees of a 7-note scale
+        const whiteKeys = ['! white.kbm', '12', '21', '108', '60', '69', '440.0', '7', '0', 'x', '1', 'x', '2', '3', 'x', '4', 'x', '5', 'x', '6'].join('\n');
+        state.updateMultipleParams({ tuningSystem: 'just5', tuningKeyboardMap: whiteKeys });
+        input.receive([0x90, 62, 100]);
+        assert(Math.abs(state.getParam('calcFrequency') - 297) < 1e-9, 'Notes follow the loaded .kbm mapping');
+        input.receive([0x90, 61, 100]);
+        assertEqual(notes.length, 4, 'Unmapped keys play nothing');
+        input.receive([0x80, 62, 0]);
+        state.updateMultipleParams({ tuningSystem: 'edo12', tuningKeyboardMap: '' });
+
+        // CC mapping
+        midi.addMapping({ source: 'cc', channel: 0, number: 7, param: 'envelopeSustain', min: 0, max: 1 });
+        input.receive([0xb0, 7, 127]);
+        assertEqual(state.getParam('envelopeSustain'), 1, 'Mapped CC updates the param');
+        input.receive([0xb1, 7, 0]);
+        assertEqual(state.getParam('envelopeSustain'), 1, 'Mappings are channel specific');
+        const historySize = state.history.size;
+        for (let value = 0; value <= 127; value += 8) {
+            input.receive([0xb0, 7, value]);
+        }
+        input.receive([0x90, 64, 100]);
+        input.receive([0x80, 64, 0]);
+        assert(state.history.size === historySize && state.getParam('envelopeSustain') === 120 / 127, 'A CC sweep and played notes add no history entries');
+        midi.addMapping({ source: 'cc', channel: 0, number: 7, param: 'zoomManual' });
+        assertEqual(midi.getMappings().length, 1, 'Mapping the same controller replaces the old mapping');
+
+        // MIDI learn through the UI events
+        const learned = [];
+        gear.on('midi.learned', data => learned.push(data.mapping));
+        gear.emit('midi.learn', { param: 'rotationSpeed', min: -0.1, max: 0.1 });
+        input.receive([0xb2, 21, 127]);
+        assert(learned.length === 1 && learned[0].number === 21 && learned[0].channel === 2, 'MIDI learn maps the next controller');
+        assertEqual(state.getParam('rotationSpeed'), AppConfig.defaults.rotationSpeed, 'The learned message itself does not move the param');
+        input.receive([0xb2, 21, 0]);
+        assertEqual(state.getParam('rotationSpeed'), -0.1, 'Learned mapping uses the requested range');
+        gear.emit('midi.learn', { param: 'harmonics' });
+        gear.emit('midi.learnCancel', {});
+        input.receive([0xb0, 22, 127]);
+        assertEqual(learned.length, 1, 'Cancelled learn creates no mapping');
+        assertThrows(() => midi.startLearn('missing'), 'TypeError', 'startLearn rejects unknown params');
+
+        // Persistence through the state JSON
+        const saved = JSON.parse(JSON.stringify(state.getAllParams()));
+        const restored = new AppState(new EventGearLite(50));
+        restored.updateParam('midiMappings', saved.midiMappings);
+        assertEqual(restored.getParam('midiMappings').length, 2, 'Mappings are saved with the state JSON');
+
+        // Hot-plugged inputs are attached
+        const pads = new MockMIDIInput('pads');
+        access.connect(pads);
+        pads.receive([0x90, 57, 100]);
+        assert(near(state.getParam('calcFrequency'), 220), 'Newly connected inputs are attached');
+
+        midi.dispose();
+        assertEqual(input.onmidimessage, null, 'dispose detaches inputs');
+        assertEqual(notes[notes.length - 1][0], 'off', 'dispose releases held notes');
+
+    } catch (err) {
+        logException('MidiController tests failed', err);
+    }
+
+    // ==================== MIDI Output Tests ====================
+    info('--- Testing MidiFile and MidiOutput ---');
+
+    try {
+        const {
+            frequencyToNote,
+            encodeVarLen,
+            layoutNotes,
+            scheduleMidiEvents,
+            encodeMidiFile,
+            seriesToMidiFile,
+            ChannelAllocator,
+            PITCH_BEND_CENTER
+        } = await import('../src/modules/MidiFile.js');
+        const { default: MidiOutput, renderSeriesToMidi } = await import('../src/modules/MidiOutput.js');
+        const { MockMIDIAccess, MockMIDIOutput } = await import('./mock-midi-access.js');
+        const { default: HarmonicSeries } = await import('../src/modules/HarmonicSeries.js');
+        const { default: AppState } = await import('../src/core/AppState.js');
+        const { default: EventGearLite } = await import('../src/utils/EventGearLite.js');
+
+        success('MidiFile and MidiOutput modules loaded successfully');
+
+        const hex = bytes => Array.from(bytes, b => b.toString(16).padStart(2, '0')).join(' ');
+
+        // Variable-length quantities (SMF spec examples)
+        assertEqual(hex(encodeVarLen(0)), '00', 'VLQ 0');
+        assertEqual(hex(encodeVarLen(0x7f)), '7f', 'VLQ 0x7F');
+        assertEqual(hex(encodeVarLen(0x80)), '81 00', 'VLQ 0x80');
+        assertEqual(hex(encodeVarLen(0x3fff)), 'ff 7f', 'VLQ 0x3FFF');
+        assertEqual(hex(encodeVarLen(0x200000)), '81 80 80 00', 'VLQ 0x200000');
+        assertThrows(() => encodeVarLen(-1), 'TypeError', 'VLQ rejects negative values');
+
+        // Pitch to note plus bend
+        const a4 = frequencyToNote(440);
+        assert(a4.note === 69 && a4.bend === PITCH_BEND_CENTER, 'A4 is note 69 without bend');
+        const seventh = frequencyToNote(440 * 7 / 4, 2);
+        assert(seventh.note === 79 && Math.abs(seventh.cents + 31.17) < 0.01, '7/4 is 31 cents flat of G5');
+        assertEqual(seventh.bend, Math.round(PITCH_BEND_CENTER - 0.3117409 / 2 * PITCH_BEND_CENTER), 'Bend encodes the cents offset over the bend range');
+        assertEqual(frequencyToNote(30000), null, 'Frequencies above the MIDI range are dropped');
+
+        // Byte-level file: one A4 for half a second
+        const single = encodeMidiFile([
+            { time: 0, data: [0x90, 69, 127] },
+            { time: 0.5, data: [0x80, 69, 0] }
+        ], { ticksPerQuarter: 480, bpm: 120 });
+        assertEqual(hex(single),
+            '4d 54 68 64 00 00 00 06 00 00 00 01 01 e0 ' +
+            '4d 54 72 6b 00 00 00 14 ' +
+            '00 ff 51 03 07 a1 20 ' +
+            '00 90 45 7f ' +
+            '83 60 80 45 00 ' +
+            '00 ff 2f 00',
+            'Single note file matches the SMF bytes');
+        const named = encodeMidiFile([], { trackName: 'Hx' });
+        assertEqual(hex(named.subarray(29, 35)), '00 ff 03 02 48 78', 'Track name meta event');
+        assertThrows(() => encodeMidiFile([], { ticksPerQuarter: 0 }), 'TypeError', 'Invalid time division is rejected');
+
+        // Layouts
+        const chord = layoutNotes([100, 200, 300], { mode: 'chord', step: 0.5 });
+        assert(chord.every(note => note.start === 0 && note.duration === 1.5), 'Chord notes start together');
+        const arpeggio = layoutNotes([100, 200, 300], { mode: 'arpeggio', step: 0.5 });
+        assert(arpeggio[2].start === 1 && arpeggio[0].duration === 1.5 && arpeggio[2].duration === 0.5, 'Arpeggio notes are staggered and held');
+        const sequence = layoutNotes([100, 200, 300], { mode: 'sequence', step: 0.5 });
+        assert(sequence.every((note, i) => note.start === i * 0.5 && note.duration === 0.5), 'Sequence notes follow each other');
+        assertThrows(() => layoutNotes([100], { mode: 'strum' }), 'TypeError', 'Unknown layouts are rejected');
+
+        // MPE: every chord note gets its own member channel and bend
+        const ratios = [1, 5 / 4, 7 / 4];
+        const mpe = scheduleMidiEvents(layoutNotes(ratios.map(r => 220 * r)), { pitchMode: 'mpe', bendRange: 2 });
+        const noteOns = mpe.filter(e => (e.data[0] & 0xf0) === 0x90);
+        const channels = noteOns.map(e => e.data[0] & 0x0f);
+        assert(new Set(channels).size === 3 && !channels.includes(0), 'MPE chord notes use distinct member channels');
+        assertEqual(hex(mpe[0].data) + ' ' + hex(mpe[1].data) + ' ' + hex(mpe[2].data), 'b0 65 00 b0 64 06 b0 06 0f', 'MPE starts with the MCM on the master channel');
+        noteOns.forEach(on => {
+            const before = mpe.slice(0, mpe.indexOf(on));
+            assert(before.some(e => e.data[0] === (0xe0 | (on.data[0] & 0x0f))), `Pitch bend precedes note ${on.data[1]} on its channel`);
+        });
+        const lastOn = mpe.lastIndexOf(noteOns[2]);
+        assert(mpe.slice(lastOn + 1).every(e => (e.data[0] & 0xf0) === 0x80), 'Note offs end the chord');
+
+        const plain = scheduleMidiEvents(layoutNotes([440, 550], { mode: 'sequence' }), { pitchMode: 'none' });
+        assert(plain.every(e => (e.data[0] & 0x0f) === 0 && (e.data[0] & 0xf0) !== 0xe0), 'Pitch mode none uses channel 0 without bends');
+        assertEqual(plain[1].data[0] & 0xf0, 0x80, 'Note off sorts before a note on at the same time');
+
+        const bendChannels = new ChannelAllocator('bend').channels;
+        assert(bendChannels.length === 15 && !bendChannels.includes(9), 'Bend mode skips the drum channel');
+        const allocator = new ChannelAllocator('mpe');
+        const first = allocator.allocate();
+        allocator.allocate();
+        allocator.release(first);
+        assert(allocator.allocate() !== first, 'Allocator prefers channels idle the longest');
+
+        // A bend re-tunes its whole channel: only notes with the same bend share one
+        const warnings = [];
+        const originalWarn = console.warn;
+        console.warn = message => warnings.push(message);
+        try {
+            const crowded = scheduleMidiEvents(layoutNotes(Array.from({ length: 20 }, (_, k) => 100 * Math.pow(k + 1, 1.1))), { pitchMode: 'mpe' });
+            const bends = new Map();
+            crowded.filter(e => (e.data[0] & 0xf0) === 0xe0).forEach(e => {
+                const channel = e.data[0] & 0x0f;
+                bends.set(channel, new Set(bends.get(channel)).add(e.data[1] | e.data[2] << 7));
+            });
+            assert(crowded.filter(e => (e.data[0] & 0xf0) === 0x90).length <= 15 && Array.from(bends.values()).every(set => set.size === 1), 'Differently bent notes never share a channel');
+            assert(warnings.length === 1 && /left out/.test(warnings[0]), 'Notes beyond the free channels are left out with a warning');
+            const tempered = scheduleMidiEvents(layoutNotes(Array.from({ length: 20 }, (_, k) => 220 * Math.pow(2, k / 12))), { pitchMode: 'mpe' });
+            assertEqual(tempered.filter(e => (e.data[0] & 0xf0) === 0x90).length, 20, 'Notes with the same bend share channels');
+            const full = new ChannelAllocator('bend');
+            full.channels.forEach((_, i) => full.allocate(i));
+            assertEqual(full.allocate(100), null, 'allocate returns null when no channel is free for the bend');
+            assert(full.isShared(full.allocate(0)), 'A channel is shared by notes with its bend');
+        } finally {
+            console.warn = originalWarn;
+        }
+
+        const file = seriesToMidiFile([220, 330, 440], { mode: 'arpeggio', pitchMode: 'bend' });
+        assertEqual(hex(file.subarray(0, 4)), '4d 54 68 64', 'seriesToMidiFile writes an SMF header');
+        assertEqual(new DataView(file.buffer).getUint32(18), file.length - 22, 'Track length covers the track data');
+
+        // Export and live output from AppState
+        const gear = new EventGearLite(50);
+        const state = new AppState(gear);
+        const series = new HarmonicSeries(gear, state);
+        state.updateParam('harmonics', 4);
+        const exported = renderSeriesToMidi(state, { mode: 'sequence', pitchMode: 'none' });
+        const exportedOns = [];
+        for (let i = 22; i < exported.length - 2; i++) {
+            if (exported[i] === 0x90) exportedOns.push(exported[i + 1]);
+        }
+        assertEqual(exportedOns.join(','), '69,81,88,93', 'Exported series holds the natural harmonics of A4');
+
+        const port = new MockMIDIOutput('synth');
+        const midiOut = new MidiOutput(gear, state);
+        assert(await midiOut.initialize(new MockMIDIAccess({ outputs: [port] })), 'MidiOutput selects the first output');
+        assert(port.sent.some(m => hex(m.data) === 'b0 64 06'), 'Selecting an output sends the MPE configuration');
+
+        port.clear();
+        gear.emit('note.on', { id: 'v1', frequency: 440 * 7 / 4, velocity: 1 });
+        assertEqual(port.sent.length, 0, 'Notes are not mirrored while midiOutputEnabled is off');
+        state.updateParam('midiOutputEnabled', true);
+        gear.emit('note.on', { id: 'v1', frequency: 440 * 7 / 4, velocity: 1 });
+        const [bendMsg, onMsg] = port.sent.map(m => m.data);
+        assert((bendMsg[0] & 0xf0) === 0xe0 && ((bendMsg[2] << 7) | bendMsg[1]) === seventh.bend, 'Live note sends its pitch bend');
+        assert(hex(onMsg).endsWith('4f 7f') && (onMsg[0] & 0x0f) === (bendMsg[0] & 0x0f), 'Live note on follows on the same channel');
+        gear.emit('note.frequency', { id: 'v1', frequency: 440 * 7 / 4 * Math.pow(2, 10 / 1200) });
+        assertEqual(port.sent[port.sent.length - 1].data[0] & 0xf0, 0xe0, 'Small frequency changes bend the sounding note');
+        gear.emit('note.off', { id: 'v1' });
+        assertEqual(hex(port.sent[port.sent.length - 1].data), hex([0x80 | (onMsg[0] & 0x0f), 79, 0]), 'note.off releases the MIDI note');
+
+        gear.emit('note.on', { id: 'v2', frequency: 220, velocity: 0.5 });
+        state.updateParam('midiOutputEnabled', false);
+        assertEqual(midiOut.notes.size, 0, 'Disabling output releases sounding notes');
+
+        port.clear();
+        const count = midiOut.playSeries({ mode: 'arpeggio' });
+        assert(count === port.sent.length && port.sent[port.sent.length - 1].timestamp > port.sent[0].timestamp, 'playSeries schedules timestamped messages');
+
+        midiOut.dispose();
+        series.dispose();
+
+    } catch (err) {
+        logException('MIDI output tests failed', err);
+    }
+
+    // ==================== Spectrum Analyzer Tests ====================
+    info('--- Testing SpectrumAnalyzer ---');
+
+    try {
+        const {
+            default: SpectrumAnalyzer,
+            fft,
+            computeSpectrum,
+            detectPeaks,
+            labelPeaks,
+            frequencyToPosition,
+            dbToLevel
+        } = await import('../src/modules/SpectrumAnalyzer.js');
+        const { renderPartials } = await import('../src/modules/AudioExport.js');
+        const { createPartials } = await import('../src/modules/PartialModel.js');
+        const { default: HarmonicSeries } = await import('../src/modules/HarmonicSeries.js');
+        const { default: AppState } = await import('../src/core/AppState.js');
+        const { default: EventGearLite } = await import('../src/utils/EventGearLite.js');
+
+        success('SpectrumAnalyzer module loaded successfully');
+
+        // FFT against known transforms
+        const re = new Float64Array([1, 0, 0, 0, 0, 0, 0, 0]);
+        const im = new Float64Array(8);
+        fft(re, im);
+        assert(Array.from(re).every(v => Math.abs(v - 1) < 1e-12) && Array.from(im).every(v => Math.abs(v) < 1e-12), 'FFT of an impulse is flat');
+        const cosine = Float64Array.from({ length: 16 }, (_, i) => Math.cos(2 * Math.PI * 3 * i / 16));
+        const cosineIm = new Float64Array(16);
+        fft(cosine, cosineIm);
+        assert(Math.abs(cosine[3] - 8) < 1e-9 && Math.abs(cosine[13] - 8) < 1e-9 && Math.abs(cosine[4]) < 1e-9, 'FFT of a cosine peaks at its bin');
+        assertThrows(() => fft(new Float64Array(12), new Float64Array(12)), 'TypeError', 'FFT rejects sizes that are not powers of two');
+
+        // Peak detection with sub-bin accuracy
+        const sampleRate = 44100;
+        const tone = Float32Array.from({ length: 8192 }, (_, i) => 0.5 * Math.sin(2 * Math.PI * 1000 * i / sampleRate));
+        const tonePeaks = detectPeaks(computeSpectrum(tone, 8192), { sampleRate });
+        assertEqual(tonePeaks.length, 1, 'A pure tone gives a single peak');
+        assert(Math.abs(tonePeaks[0].frequency - 1000) < 0.5, 'Parabolic interpolation finds the tone between bins');
+
+        // Axis and level mapping
+        assert(Math.abs(frequencyToPosition(Math.sqrt(20 * 20000)) - 0.5) < 1e-12, 'Log axis puts the geometric mean in the middle');
+        assertEqual(frequencyToPosition(10010, { scale: 'linear', minFrequency: 20, maxFrequency: 20000 }), 0.5, 'Linear axis puts the arithmetic mean in the middle');
+        assert(dbToLevel(-55, -100, -10) === 0.5 && dbToLevel(-300) === 0 && dbToLevel(0) === 1, 'dB levels are scaled and clamped');
+
+        // Labelling against the series, including a detuned partial
+        const partials = createPartials([1, 2, 3], { overrides: { 2: { detune: 20 } } });
+        const labelled = labelPeaks([{ frequency: 200 }, { frequency: 400 }, { frequency: 600 * Math.pow(2, 20 / 1200) }, { frequency: 517 }], partials, 200, 30);
+        assertEqual(labelled.map(p => p.harmonic).join(','), '1,2,3,', 'Peaks are labelled with their harmonic number');
+        assert(Math.abs(labelled[2].cents) < 1e-9, 'Detuned partials are expected at their detuned frequency');
+        assertEqual(labelled[3].harmonic, null, 'Peaks away from every partial stay unlabelled');
+
+        // Synthesized series matches the theoretical series
+        const gear = new EventGearLite(50);
+        const state = new AppState(gear);
+        const series = new HarmonicSeries(gear, state);
+        state.updateParam('calcFrequency', 220);
+        const analyzer = new SpectrumAnalyzer(gear, state);
+        let emitted = null;
+        let updates = 0;
+        gear.on('spectrum.updated', data => { emitted = data; updates++; });
+
+        const samples = renderPartials(state.getCachedData('partials'), { frequency: 220, sampleRate, duration: 0.5 });
+        const analysis = analyzer.analyzeSamples(samples.subarray(0, 16384), sampleRate);
+        assert(updates === 1 && emitted.peaks.length === analysis.peaks.length && analysis.scale === 'log', 'analyzeSamples emits spectrum.updated');
+        const harmonics = analysis.peaks.map(p => p.harmonic);
+        assertEqual(harmonics.join(','), '1,2,3,4,5,6,7,8', 'Rendered partials are detected as harmonics 1-8');
+        assert(analysis.peaks.every(p => Math.abs(p.cents) < 2), 'Detected partials are within 2 cents of the series');
+        assert(analysis.peaks[0].db - analysis.peaks[1].db > 5, 'Peak levels follow the 1/n rolloff');
+
+        // AnalyserNode tap on mainGain
+        const connections = [];
+        const analyserNode = {
+            frequencyBinCount: 4096,
+            context: { sampleRate },
+            getFloatFrequencyData: bins => bins.set(computeSpectrum(samples, 8192))
+        };
+        const synth = {
+            context: { createAnalyser: () => analyserNode },
+            mainGain: { connect: node => connections.push(node), disconnect: () => connections.pop() }
+        };
+        const tapped = new SpectrumAnalyzer(gear, state, synth);
+        assert(connections[0] === analyserNode && analyserNode.fftSize === 8192, 'Analyser taps AudioSynthesis.mainGain');
+        gear.emit('animation.frame', { timestamp: 1000, delta: 16 });
+        assertEqual(updates, 1, 'No analysis while the overlay is hidden');
+        state.updateParam('showSpectrum', true);
+        gear.emit('animation.frame', { timestamp: 1000, delta: 16 });
+        assert(updates === 2 && emitted.peaks.length === 8, 'Animation frames analyse the tap while the overlay is shown');
+        tapped.dispose();
+        assertEqual(connections.length, 0, 'dispose disconnects the tap');
+
+        series.dispose();
+
+    } catch (err) {
+        logException('SpectrumAnalyzer tests failed', err);
+    }
+
+    // ==================== Render Backend Tests ====================
+    info('--- Testing render backends ---');
+
+    try {
+        const {
+            registerRenderBackend,
+            getRenderBackends,
+            createRenderBackend
+        } = await import('../src/modules/renderers/index.js');
+        const { default: Canvas2DBackend } = await import('../src/modules/renderers/Canvas2DBackend.js');
+        const {
+            default: WebGLBackend,
+            parseColor,
+            dashPolyline,
+            strokePolyline,
+            circlePoints
+        } = await import('../src/modules/renderers/WebGLBackend.js');
+        const { default: GeometryRenderer } = await import('../src/modules/GeometryRenderer.js');
+        const { default: AppState } = await import('../src/core/AppState.js');
+        const { default: EventGearLite } = await import('../src/utils/EventGearLite.js');
+
+        success('Render backend modules loaded successfully');
+
+        // Recording 2D context: every method call is logged by name
+        const makeCtx = (calls) => new Proxy({}, {
+            get: (target, key) => (key in target ? target[key] : (...args) => calls.push([key, ...args])),
+            set: (target, key, value) => { target[key] = value; return true; }
+        });
+
+        // Stub WebGL2 context: no-op methods, successful compile/link, draws recorded
+        const makeGL = (draws) => new Proxy({ COMPILE_STATUS: 1, LINK_STATUS: 2, TRIANGLES: 4 }, {
+            get: (target, key) => {
+                if (key in target) return target[key];
+                if (key === 'getShaderParameter' || key === 'getProgramParameter') return () => true;
+                if (key === 'drawArrays') return (mode, first, count) => draws.push({ mode, first, count });
+                return () => ({});
+            }
+        });
+
+        const makeCanvas = ({ webgl = null, ctx = null } = {}) => ({
+            width: 200,
+            height: 100,
+            clientWidth: 200,
+            clientHeight: 100,
+            getContext: type => (type === 'webgl2' ? webgl : type === '2d' ? ctx : null)
+        });
+
+        // Registry
+        const ids = getRenderBackends().map(b => b.id);
+        assertEqual(ids.join(','), 'webgl,canvas2d,svg', 'WebGL2 is preferred over Canvas 2D');
+        assertThrows(() => registerRenderBackend({ id: 'broken' }), 'TypeError', 'Backends need isSupported and create');
+
+        // Selection and fallback
+        const calls = [];
+        const draws = [];
+        assertEqual(createRenderBackend(makeCanvas({ webgl: makeGL(draws), ctx: makeCtx(calls) })).id, 'webgl', 'auto selects WebGL2 when available');
+        assertEqual(createRenderBackend(makeCanvas({ ctx: makeCtx(calls) })).id, 'canvas2d', 'auto falls back to Canvas 2D without WebGL2');
+        assertEqual(createRenderBackend(makeCanvas({ webgl: makeGL(draws), ctx: makeCtx(calls) }), 'canvas2d').id, 'canvas2d', 'A configured backend is preferred');
+        const originalWarn = console.warn;
+        console.warn = () => {};
+        const unknown = createRenderBackend(makeCanvas({ ctx: makeCtx(calls) }), 'vulkan');
+        console.warn = originalWarn;
+        assertEqual(unknown.id, 'canvas2d', 'Unknown backend ids select automatically');
+        assertThrows(() => createRenderBackend({}), 'Error', 'Targets without a supported backend are rejected');
+
+        // Canvas 2D backend issues the original drawing calls
+        const ctxCalls = [];
+        const canvas2d = Canvas2DBackend.create(makeCanvas({ ctx: makeCtx(ctxCalls) }));
+        canvas2d.lines([0, 0, 10, 0, 0, 5, 10, 5], { color: '#fff', width: 1, dash: [5, 5] });
+        const names = ctxCalls.map(c => c[0]);
+        assertEqual(names.filter(n => n === 'moveTo').length, 2, 'Segments share one path');
+        assertEqual(names.filter(n => n === 'stroke').length, 1, 'Segments are stroked once');
+        assert(ctxCalls.some(c => c[0] === 'setLineDash' && c[1].length === 2), 'Dashed styles set a line dash');
+        assertEqual(ctxCalls[ctxCalls.length - 1][0], 'setLineDash', 'Dash pattern is reset after stroking');
+
+        // Tessellation
+        assertEqual(parseColor('#ff0000').join(','), '1,0,0,1', 'parseColor reads #rrggbb');
+        assertEqual(parseColor('#0f0').join(','), '0,1,0,1', 'parseColor reads #rgb');
+        assertEqual(parseColor('#0000ff80').map(v => Math.round(v * 100) / 100).join(','), '0,0,1,0.5', 'parseColor reads #rrggbbaa');
+        assertEqual(parseColor('rgba(0, 0, 255, 0.5)', 0.5).join(','), '0,0,1,0.25', 'parseColor reads rgba() and applies alpha');
+        const strip = strokePolyline([0, 0, 10, 0, 10, 10], 2);
+        assertEqual(strip.length, 2 * 6 * 2, 'Each segment becomes two triangles');
+        const inner = strip.slice(4, 6);
+        const outer = strip.slice(8, 10);
+        assert(Math.abs(inner[0] - 9) < 1e-9 && Math.abs(inner[1] - 1) < 1e-9 && Math.abs(outer[0] - 11) < 1e-9 && Math.abs(outer[1] + 1) < 1e-9, 'Corners use a miter join');
+        assertEqual(strokePolyline([0, 0, 10, 0, 10, 10, 0, 10], 2, true).length, 4 * 12, 'Closed strips include the closing segment');
+        assertEqual(strokePolyline([5, 5, 5, 5], 2).length, 0, 'Zero-length strips produce no triangles');
+        const dashes = dashPolyline([0, 0, 22, 0], false, [5, 5]);
+        assertEqual(dashes.map(d => d[d.length - 2] - d[0]).join(','), '5,5,2', 'Dashes follow the pattern along the path');
+        assertEqual(circlePoints(0, 0, 10).length, 32, 'Small circles use at least 16 steps');
+
+        // WebGL backend batches a frame into one draw call
+        const glDraws = [];
+        const webgl = WebGLBackend.create(makeCanvas({ webgl: makeGL(glDraws) }));
+        webgl.clear('#000000');
+        webgl.lines([0, 0, 10, 0, 0, 5, 10, 5], { color: '#fff', width: 1 });
+        webgl.polyline([0, 0, 10, 0, 10, 10], { color: '#fff', width: 2, closed: true });
+        webgl.dot(50, 50, 3, { color: '#f00' });
+        webgl.flush();
+        assertEqual(glDraws.length, 1, 'A frame is drawn with a single call');
+        assertEqual(glDraws[0].count, 2 * 6 + 3 * 6 + 16 * 3, 'The batch holds every primitive');
+        webgl.clear('#000000');
+        webgl.flush();
+        assertEqual(glDraws.length, 1, 'Empty frames skip the draw call');
+        webgl.dispose();
+        assertEqual(webgl.gl, null, 'dispose releases the context');
+
+        // GeometryRenderer draws through the selected backend
+        const originalWindow = globalThis.window;
+        globalThis.window = { addEventListener: () => {}, removeEventListener: () => {} };
+        try {
+            const gear = new EventGearLite(50);
+            const state = new AppState(gear);
+            let selected = null;
+            gear.on('renderer.backendSelected', data => { selected = data.backend; });
+            const frameDraws = [];
+            const renderer = new GeometryRenderer(gear, state, makeCanvas({ webgl: makeGL(frameDraws), ctx: makeCtx([]) }));
+            assert(renderer.backend.id === 'webgl' && selected === 'webgl', 'GeometryRenderer reports the selected backend');
+            renderer.render(0, 16);
+            assertEqual(frameDraws.length, 1, 'GeometryRenderer draws a frame with one WebGL call');
+
+            const fallbackCalls = [];
+            const fallback = new GeometryRenderer(gear, state, makeCanvas({ ctx: makeCtx(fallbackCalls) }));
+            fallback.render(0, 16);
+            assert(fallback.backend.id === 'canvas2d' && fallbackCalls.some(c => c[0] === 'stroke'), 'GeometryRenderer falls back to Canvas 2D');
+
+            renderer.dispose();
+            fallback.dispose();
+        } finally {
+            globalThis.window = originalWindow;
+        }
+
+    } catch (err) {
+        logException('Render backend tests failed', err);
+    }
+
+    // ==================== SVG Export Tests ====================
+    info('--- Testing SVG export ---');
+
+    try {
+        const fs = await import('fs');
+        const { createRenderBackend } = await import('../src/modules/renderers/index.js');
+        const { default: SVGBackend, escapeXml } = await import('../src/modules/renderers/SVGBackend.js');
+        const { renderStateToSvg, stateToSvg } = await import('../src/modules/SvgExport.js');
+        const { default: HarmonicSeries } = await import('../src/modules/HarmonicSeries.js');
+        const { default: AppState } = await import('../src/core/AppState.js');
+        const { default: EventGearLite } = await import('../src/utils/EventGearLite.js');
+
+        success('SvgExport module loaded successfully');
+
+        // Backend primitives
+        assertEqual(createRenderBackend({ width: 100, height: 50 }).id, 'svg', 'Headless targets select the SVG backend');
+        const svgBackend = SVGBackend.create({ width: 100, height: 50 });
+        svgBackend.clear('#000000');
+        svgBackend.polyline([0, 0, 10, 0, 10, 10], { color: '#fff', width: 2, closed: true });
+        svgBackend.polyline([0, 0, 1 / 3, 0], { color: '#fff', width: 1, dash: [5, 5], alpha: 0.4 });
+        svgBackend.text('a<b', 5, 5, { color: '#fff', font: '10px monospace', align: 'center' });
+        const doc = svgBackend.toSVG();
+        assert(doc.includes('<polygon points="0,0 10,0 10,10"'), 'Closed polylines become polygons');
+        assert(doc.includes('points="0,0 0.33,0"') && doc.includes('stroke-dasharray="5 5"') && doc.includes('stroke-opacity="0.4"'), 'Open polylines keep dash, alpha and rounded coordinates');
+        assert(doc.includes('text-anchor="middle">a&lt;b</text>'), 'Labels are escaped and anchored');
+        assertEqual(escapeXml('"&"'), '&quot;&amp;&quot;', 'escapeXml escapes quotes and ampersands');
+        assert(doc.includes('viewBox="0 0 100 50"') && doc.includes('<rect width="100%" height="100%" fill="#000000"/>'), 'Document has the target size and background');
+
+        // Rendering saved state without a DOM
+        assertEqual(typeof globalThis.window, 'undefined', 'SVG export runs without window');
+        const figure = stateToSvg({
+            showCircle: true,
+            showHex: true,
+            showTriangle: true,
+            showWave: true,
+            showAxis: true,
+            coordinateSystem: 'radial',
+            axis: 6,
+            rotationAngle: 30,
+            unknownKey: 1
+        }, { width: 400, height: 300 });
+        assertEqual((figure.match(/<circle /g) || []).length, 1, 'Circle is drawn');
+        assertEqual((figure.match(/<polygon /g) || []).length, 3, 'Hexagon, triangle and waveform are polygons');
+        assertEqual(figure.match(/<path d="[^"]*"/)[0].split('M').length - 1, 6, 'Radial coordinate system has one segment per axis');
+        const waveform = figure.match(/<polygon points="([^"]*)"/g).pop();
+        assertEqual(waveform.split(' ').length, 1024 + 1, 'Waveform path has one point per waveform sample');
+        assertThrows(() => stateToSvg([1, 2]), 'TypeError', 'stateToSvg rejects non-object state');
+        const timers = () => process.getActiveResourcesInfo().filter(resource => resource === 'Timeout').length;
+        const running = timers();
+        stateToSvg({ showWave: true }, { width: 100, height: 100 });
+        assertEqual(timers(), running, 'stateToSvg leaves no timers running');
+
+        // Live state renders without subscribing to its animation frames
+        const gear = new EventGearLite(50);
+        const state = new AppState(gear);
+        const series = new HarmonicSeries(gear, state);
+        state.updateParam('showCircle', false);
+        const subscribed = [];
+        const originalOn = gear.on.bind(gear);
+        gear.on = (type, callback) => { subscribed.push(type); return originalOn(type, callback); };
+        assert(!renderStateToSvg(state, { width: 200, height: 200 }).includes('<circle '), 'renderStateToSvg follows the current params');
+        assertEqual(subscribed.length, 0, 'renderStateToSvg leaves the app event bus untouched');
+        series.dispose();
+
+        // Golden file (rewrite with --update-golden)
+        const goldenPath = new URL('./golden/geometry-radial.svg', import.meta.url);
+        if (process.argv.includes('--update-golden') || !fs.existsSync(goldenPath)) {
+            fs.mkdirSync(new URL('./golden/', import.meta.url), { recursive: true });
+            fs.writeFileSync(goldenPath, figure);
+            info('Golden file written: tests/golden/geometry-radial.svg');
+        }
+        assertEqual(figure, fs.readFileSync(goldenPath, 'utf8'), 'Rendered SVG matches the golden file');
+
+    } catch (err) {
+        logException('SVG export tests failed', err);
+    }
+
+    // ==================== Lissajous Tests ====================
+    info('--- Testing Lissajous mode ---');
+
+    try {
+        const { lissajousPoints, lissajousRatio } = await import('../src/modules/Lissajous.js');
+        const { renderStateToSvg } = await import('../src/modules/SvgExport.js');
+        const { default: GeometryRenderer } = await import('../src/modules/GeometryRenderer.js');
+        const { createPartials } = await import('../src/modules/PartialModel.js');
+        const { default: HarmonicSeries } = await import('../src/modules/HarmonicSeries.js');
+        const { default: AppState } = await import('../src/core/AppState.js');
+        const { default: EventGearLite } = await import('../src/utils/EventGearLite.js');
+        const { validateParam } = await import('../src/config/app-config.js');
+
+        success('Lissajous module loaded successfully');
+
+        const series = createPartials([1, 2, 3, 4]);
+        const isCircle = points => {
+            for (let i = 0; i < points.length; i += 2) {
+                if (Math.abs(Math.hypot(points[i], points[i + 1]) - 1) > 1e-5) return false;
+            }
+            return true;
+        };
+
+        // Partial pairs
+        const unison = lissajousPoints(series, { x: 1, y: 1, phase: 90, resolution: 64 });
+        assertEqual(unison.length, 65 * 2, 'Figures have resolution + 1 points');
+        assert(isCircle(unison), '1:1 with a 90 degree offset is a circle');
+        const octave = lissajousPoints(series, { x: 1, y: 2, phase: 90, resolution: 64 });
+        assert(Math.abs(octave[0]) < 1e-6 && Math.abs(octave[1] - 1) < 1e-6, 'Phase offset applies to the y partial');
+        assert(Math.abs(octave[128] - octave[0]) < 1e-5 && Math.abs(octave[129] - octave[1]) < 1e-5, 'Harmonic figures close after one cycle');
+        assertEqual(lissajousRatio(series, 2, 3), 1.5, 'lissajousRatio gives the y/x frequency ratio');
+        assertEqual(lissajousRatio(series, 1, 100), 4, 'Partial numbers are clamped to the series');
+
+        // Waveform sources
+        const sine = createPartials([1]);
+        assert(isCircle(lissajousPoints(sine, { source: 'derivative', resolution: 64 })), 'A sine against its slope is a circle');
+        assert(isCircle(lissajousPoints(sine, { source: 'delay', delay: 0.25, phase: 0, resolution: 64 })), 'A sine against a quarter-cycle delay is a circle');
+        const diagonal = lissajousPoints(series, { source: 'delay', delay: 0, phase: 0, resolution: 64 });
+        assert(Array.from({ length: 65 }, (_, i) => Math.abs(diagonal[i * 2] - diagonal[i * 2 + 1])).every(d => d < 1e-6), 'Zero delay gives the diagonal');
+        assertEqual(lissajousPoints([], {}).length, 0, 'No partials give an empty figure');
+        assertThrows(() => lissajousPoints(series, { source: 'polar' }), 'TypeError', 'Unknown sources are rejected');
+        assertEqual(validateParam('visualizationMode', 'unknown'), 'geometry', 'Unknown visualization modes fall back to geometry');
+
+        // Rendering through GeometryRenderer (headless SVG target)
+        const gear = new EventGearLite(50);
+        const state = new AppState(gear);
+        const harmonicSeries = new HarmonicSeries(gear, state);
+        state.updateParam('visualizationMode', 'lissajous');
+        const figure = renderStateToSvg(state, { width: 200, height: 200 });
+        assert(!figure.includes('<circle ') && (figure.match(/<polyline /g) || []).length === 1, 'Lissajous mode replaces shapes with one figure');
+        assertEqual(figure.match(/<polyline points="([^"]*)"/)[1].split(' ').length, 1025, 'Figure uses the configured resolution');
+
+        const renderer = new GeometryRenderer(gear, state, { width: 200, height: 200 });
+        const alphas = () => renderer.backend.elements
+            .filter(element => element.startsWith('<polyline'))
+            .map(element => (/stroke-opacity="([^"]*)"/.exec(element) || [0, '1'])[1]);
+        renderer.render(0, 16);
+        renderer.render(16, 16);
+        renderer.render(32, 16);
+        assertEqual(alphas().join(','), '0.36,0.6,1', 'Trail figures fade with the persistence');
+        state.updateParam('lissajousTrail', 0);
+        renderer.render(48, 16);
+        assertEqual(alphas().join(','), '1', 'Zero persistence draws only the current figure');
+        state.updateParam('lissajousTrail', 0.5);
+        renderer.render(64, 16);
+        state.updateParam('visualizationMode', 'geometry');
+        assertEqual(renderer.renderState.lissajousTrail.length, 0, 'Changing the mode clears the trail');
+        renderer.dispose();
+        harmonicSeries.dispose();
+
+    } catch (err) {
+        logException('Lissajous tests failed', err);
+    }
+
+    // ==================== Waveform Plot Tests ====================
+    info('--- Testing waveform coordinate systems ---');
+
+    try {
+        const { logAmplitude, levelToDb, waveformPoints } = await import('../src/modules/WaveformPlot.js');
+        const { stateToSvg } = await import('../src/modules/SvgExport.js');
+
+        success('WaveformPlot module loaded successfully');
+
+        // Logarithmic amplitude axis
+        assert(logAmplitude(1) === 1 && logAmplitude(-1) === -1 && logAmplitude(0) === 0, 'Full scale maps to the edges, silence to the center');
+        assert(Math.abs(logAmplitude(Math.pow(10, -24 / 20), 48) - 0.5) < 1e-12, '-24 dB is halfway on a 48 dB axis');
+        assertEqual(logAmplitude(-1e-6, 48), 0, 'Levels below the range sit on the center line');
+        assertEqual(levelToDb(0.5, 48), -24, 'levelToDb inverts the axis position');
+
+        // Point mapping per coordinate system
+        const wave = [0, 1, 0, -0.5];
+        const cartesian = waveformPoints(wave, { system: 'cartesian', centerX: 100, centerY: 100, radius: 30 });
+        assert(!cartesian.closed && cartesian.points[0] === 70 && cartesian.points[6] === 130, 'Cartesian plots span the grid left to right');
+        assert(cartesian.points[3] === 70 && cartesian.points[7] === 115, 'Cartesian amplitude points up');
+        const radial = waveformPoints(wave, { system: 'radial', centerX: 100, centerY: 100, radius: 30, angle: Math.PI / 2 });
+        assert(radial.closed && Math.abs(radial.points[0] - 100) < 1e-9 && Math.abs(radial.points[1] - 130) < 1e-9, 'Radial plots start at the rotation angle');
+        assert(Math.abs(radial.points[2] - 40) < 1e-9 && Math.abs(radial.points[3] - 100) < 1e-9, 'Radial amplitude modulates the radius');
+        const logarithmic = waveformPoints(wave, { system: 'logarithmic', centerX: 100, centerY: 100, radius: 30, rangeDb: 48 });
+        assert(Math.abs(logarithmic.points[7] - (100 + logAmplitude(0.5, 48) * 30)) < 1e-9 && !logarithmic.closed, 'Logarithmic plots use the dB axis');
+
+        // GeometryRenderer honors the coordinate system
+        const cartesianSvg = stateToSvg({ showWave: true, showCircle: false, showAxis: false, coordinateSystem: 'cartesian' }, { width: 200, height: 200 });
+        assert(cartesianSvg.includes('<polyline ') && !cartesianSvg.includes('<polygon '), 'Cartesian waveform is an open line');
+        const logSvg = stateToSvg({ showWave: true, coordinateSystem: 'logarithmic', axis: 4 }, { width: 200, height: 200 });
+        assert(logSvg.includes('>-24 dB</text>') && logSvg.includes('>0 dB</text>'), 'Logarithmic grid lines are labelled in dB');
+
+    } catch (err) {
+        logException('Waveform plot tests failed', err);
+    }
+
+    // ==================== Cymatics Tests ====================
+    info('--- Testing cymatics mode ---');
+
+    try {
+        const { besselJ, besselZeros, plateModes, cymaticsField, contourSegments, computeCymatics } = await import('../src/modules/Cymatics.js');
+        const { default: CymaticsCalculator } = await import('../src/modules/CymaticsCalculator.js');
+        const { stateToSvg } = await import('../src/modules/SvgExport.js');
+        const { createPartials } = await import('../src/modules/PartialModel.js');
+        const { default: HarmonicSeries } = await import('../src/modules/HarmonicSeries.js');
+        const { default: AppState } = await import('../src/core/AppState.js');
+        const { default: EventGearLite } = await import('../src/utils/EventGearLite.js');
+
+        success('Cymatics modules loaded successfully');
+
+        // Bessel functions
+        assert(Math.abs(besselJ(0, 0) - 1) < 1e-12 && Math.abs(besselJ(1, 0)) < 1e-12, 'J0(0) = 1, J1(0) = 0');
+        assert(Math.abs(besselZeros(0, 1)[0] - 2.404826) < 1e-5, 'First zero of J0 is 2.4048');
+        const j1 = besselZeros(1, 2);
+        assert(Math.abs(j1[0] - 3.831706) < 1e-5 && Math.abs(j1[1] - 7.015587) < 1e-5, 'Zeros of J1 are 3.8317 and 7.0156');
+
+        // Plate modes
+        const square = plateModes('square');
+        assert(square[0].m === 0 && square[0].n === 1 && square[0].frequency === 1, 'Lowest square plate mode is (0, 1)');
+        assert(square[1].m === 1 && square[1].n === 1 && Math.abs(square[1].frequency - 2) < 1e-12, 'Mode (1, 1) is at twice the lowest frequency');
+        assert(plateModes('radial').every(mode => mode.m === 0), 'Radial plates only have axisymmetric modes');
+
+        // Marching squares
+        const ramp = new Float32Array([-1, 1, -1, 1]);
+        const crossing = contourSegments(ramp, 2, 0);
+        assertEqual(Array.from(crossing).join(','), '0.5,0,0.5,1', 'Contours cross cell edges at the interpolated level');
+        assertEqual(contourSegments(new Float32Array([NaN, 1, -1, 1]), 2, 0).length, 0, 'Cells with NaN corners are skipped');
+
+        // Fields
+        const options = { plate: 'square', source: 'mode', m: 0, n: 1, resolution: 33, maxModes: 64, contourLevels: [0.5] };
+        const diagonal = computeCymatics([], options);
+        assert(diagonal.nodal.length > 0, 'Single modes have nodal lines');
+        assert(Array.from({ length: diagonal.nodal.length / 2 }, (_, i) => Math.abs(diagonal.nodal[i * 2] - diagonal.nodal[i * 2 + 1])).every(d => d < 1e-6), 'Mode (0, 1) of a square plate has a diagonal nodal line');
+        assertEqual(diagonal.contours.map(contour => contour.level).join(','), '0.5,-0.5', 'Contours are drawn at plus and minus each level');
+        assertEqual(Math.max(...Array.from(diagonal.field, Math.abs)), 1, 'Fields are normalized to a peak of 1');
+        const circular = cymaticsField(createPartials([1, 2, 3]), { ...options, plate: 'circular', source: 'series' });
+        assert(Number.isNaN(circular.field[0]) && !Number.isNaN(circular.field[16 * 33 + 16]), 'Circular plates are undefined outside the circle');
+        const radial = cymaticsField(createPartials([1, 2, 3, 4]), { ...options, plate: 'radial', source: 'series' });
+        assert(radial.modes.length > 1 && radial.modes.every(mode => mode.m === 0), 'Series partials excite distinct radial modes');
+
+        // Calculation follows the mode and the series (worker fallback under Node)
+        const gear = new EventGearLite(50);
+        const state = new AppState(gear);
+        const harmonicSeries = new HarmonicSeries(gear, state);
+        const calculator = new CymaticsCalculator(gear, state);
+        const results = [];
+        gear.on('cymatics.calculated', data => results.push(data.cymaticsData));
+        state.updateParam('harmonics', 4);
+        assertEqual(results.length, 0, 'No field is computed outside the cymatics mode');
+        state.updateParam('visualizationMode', 'cymatics');
+        assertEqual(results.length, 1, 'Switching to the cymatics mode computes the field');
+        assert(state.getCachedData('cymaticsData') === results[0] && results[0].plate === 'square', 'Fields are cached in AppState');
+        state.updateParam('cymaticsPlate', 'radial');
+        assertEqual(results[results.length - 1].plate, 'radial', 'Plate changes recompute the field');
+        calculator.dispose();
+        harmonicSeries.dispose();
+
+        // Rendering (headless SVG)
+        const svg = stateToSvg({ visualizationMode: 'cymatics', cymaticsSource: 'mode', cymaticsM: 0, cymaticsN: 1 }, { width: 200, height: 200 });
+        assert(svg.includes('<polygon ') && !svg.includes('<circle '), 'Square plates are outlined without the geometry shapes');
+        assert((svg.match(/<path /g) || []).length >= 2 && svg.includes('stroke-opacity="0.35"'), 'Nodal and contour lines are drawn');
+
+    } catch (err) {
+        logException('Cymatics tests failed', err);
+    }
+
+    // ==================== Spectrogram Tests ====================
+    info('--- Testing spectrogram view ---');
+
+    try {
+        const { colorAt, colorPalette, partialsFrame, binsFrame, SpectrogramBuffer, timeRange } = await import('../src/modules/Spectrogram.js');
+        const { default: SpectrogramRecorder } = await import('../src/modules/SpectrogramRecorder.js');
+        const { frequencyToPosition, positionToFrequency, default: SpectrumAnalyzer } = await import('../src/modules/SpectrumAnalyzer.js');
+        const { default: GeometryRenderer } = await import('../src/modules/GeometryRenderer.js');
+        const { default: Canvas2DBackend } = await import('../src/modules/renderers/Canvas2DBackend.js');
+        const { default: UIControllerSimple } = await import('../src/modules/UIControllerSimple.js');
+        const { createPartials } = await import('../src/modules/PartialModel.js');
+        const { default: HarmonicSeries } = await import('../src/modules/HarmonicSeries.js');
+        const { default: AppState } = await import('../src/core/AppState.js');
+        const { default: EventGearLite } = await import('../src/utils/EventGearLite.js');
+
+        success('Spectrogram modules loaded successfully');
+
+        // Color maps
+        assertEqual(colorAt('gray', 0.5), '#808080', 'Color maps interpolate between stops');
+        assertEqual(colorAt('viridis', 2), '#fde725', 'Levels are clamped to the map');
+        assertEqual(colorPalette('magma', 16).length, 16, 'colorPalette samples the requested size');
+        assertThrows(() => colorAt('rainbow', 0), 'TypeError', 'Unknown color maps are rejected');
+
+        // Frames on the spectrum axis
+        const axis = { bands: 30, scale: 'log', minFrequency: 20, maxFrequency: 20000 };
+        assert(Math.abs(positionToFrequency(frequencyToPosition(440, axis), axis) - 440) < 1e-9, 'positionToFrequency inverts frequencyToPosition');
+        const synthesized = partialsFrame(createPartials([1, 2]), 1000, axis);
+        assert(synthesized[16] === 0 && Math.abs(synthesized[20] + 6.0206) < 1e-3, 'Partials land in their bands relative to the strongest');
+        assertEqual(synthesized.filter(db => db === -200).length, 28, 'Bands without partials are silent');
+        const bins = new Float32Array(2400).fill(-100);
+        bins[100] = -20;
+        const analysed = binsFrame(bins, 48000, axis);
+        assert(analysed[16] === -20 && analysed[0] === -100, 'Analyser bands keep the strongest bin and interpolate narrow bands');
+
+        // Ring buffer
+        const buffer = new SpectrogramBuffer(3);
+        [0, 1, 2, 3, 4].forEach(time => buffer.push({ time }));
+        assert(buffer.length === 3 && buffer.at(0).time === 2 && buffer.latest().time === 4, 'The ring buffer drops the oldest frames');
+        assertEqual(buffer.frames(3).map(frame => frame.time).join(','), '3,4', 'frames() lists recent frames oldest first');
+        assert(buffer.frameAt(3.5).time === 3 && buffer.frameAt(1) === null, 'frameAt finds the frame showing a time');
+        assertEqual(timeRange(buffer, 2, 50).start, 4 + 50 - 2000, 'The time window ends one interval after the newest frame');
+        assertThrows(() => new SpectrogramBuffer(0), 'TypeError', 'Capacity must be positive');
+
+        // Recording and restoring
+        const gear = new EventGearLite(50);
+        const state = new AppState(gear);
+        const harmonicSeries = new HarmonicSeries(gear, state);
+        const recorder = new SpectrogramRecorder(gear, state);
+        assertEqual(recorder.select(0.5), false, 'Nothing is restored before the first frame');
+        gear.emit('animation.frame', { timestamp: 0, delta: 16 });
+        assertEqual(recorder.buffer.length, 0, 'Nothing is recorded while another view is shown');
+        state.updateParam('visualizationMode', 'spectrogram');
+        [0, 10, 100].forEach(timestamp => gear.emit('animation.frame', { timestamp, delta: 16 }));
+        assertEqual(recorder.buffer.length, 2, 'Synthesized frames are recorded at the frame interval');
+        state.updateParam('calcFrequency', 220);
+        gear.emit('animation.frame', { timestamp: 200, delta: 16 });
+        assert(recorder.buffer.at(0).state === recorder.buffer.at(1).state && recorder.buffer.latest().state.calcFrequency === 220, 'Frames share the snapshot until a parameter changes');
+        state.updateParam('spectrogramColorMap', 'gray');
+        const history = state.history.size;
+        assert(recorder.select(0.985), 'Selecting a column restores its state');
+        assert(state.getParam('calcFrequency') === 440 && state.getParam('spectrogramColorMap') === 'gray' && state.getParam('visualizationMode') === 'spectrogram', 'Restoring keeps the view params');
+        assertEqual(state.history.size, history + 1, 'A restore is one history step');
+        assertEqual(state.restoreState({ calcFrequency: 440 }), false, 'Restoring an identical state changes nothing');
+
+        // The controls follow a restored column
+        const originalDocument = globalThis.document;
+        const inputs = { frequency: { value: '' }, spectrogramColorMap: { value: '', addEventListener: () => {} } };
+        globalThis.document = { getElementById: id => inputs[id] ?? null };
+        try {
+            const ui = new UIControllerSimple(gear, state);
+            ui.setupSpectrogramControls();
+            state.updateParam('calcFrequency', 330);
+            assert(recorder.select(0.985) && inputs.frequency.value === 440, 'Restoring a column updates the inputs');
+        } finally {
+            globalThis.document = originalDocument;
+        }
+
+        state.updateParam('spectrogramSource', 'analyser');
+        assertEqual(recorder.buffer.length, 0, 'Switching the source clears the history');
+        gear.emit('spectrum.updated', { bins, sampleRate: 48000 });
+        assertEqual(recorder.buffer.latest().source, 'analyser', 'Analyser spectra are recorded');
+        const analyzer = new SpectrumAnalyzer(gear, state);
+        assert(analyzer.isShown(), 'The analyser runs for an analyser-fed spectrogram');
+
+        // Rendering
+        state.updateParam('spectrogramSource', 'partials');
+        [0, 50, 100].forEach(timestamp => gear.emit('animation.frame', { timestamp, delta: 16 }));
+        const renderer = new GeometryRenderer(gear, state, { width: 200, height: 100 });
+        gear.emit('spectrogram.select', { position: 0.99 });
+        renderer.render(0, 16);
+        const svg = renderer.backend.toSVG();
+        assert(svg.includes('<rect x="0" y="0" width="200" height="100" fill="#000000"/>'), 'The view is filled with the color of silence');
+        assert((svg.match(/<rect /g) || []).length > 3 && svg.includes('>1 kHz</text>'), 'Frames are drawn as colored bands with frequency labels');
+        assert(svg.includes('stroke-dasharray'), 'The restored column is marked');
+        renderer.dispose();
+        analyzer.dispose();
+        recorder.dispose();
+        harmonicSeries.dispose();
+
+        const fills = [];
+        new Canvas2DBackend({}, { fillRect: (...args) => fills.push(args) }).rect(1, 2, 3, 4, { color: '#fff' });
+        assertEqual(fills.join(';'), '1,2,3,4', 'Canvas 2D fills rectangles');
+
+    } catch (err) {
+        logException('Spectrogram tests failed', err);
+    }
+
+    // ==================== Video Export Tests ====================
+    info('--- Testing video export ---');
+
+    try {
+        const { selectMimeType, frameTimestamps, default: VideoRecorder } = await import('../src/modules/VideoRecorder.js');
+        const { default: Clock } = await import('../src/core/Clock.js');
+        const { createPartials } = await import('../src/modules/PartialModel.js');
+        const { default: AppState } = await import('../src/core/AppState.js');
+        const { default: EventGearLite } = await import('../src/utils/EventGearLite.js');
+
+        success('Video export modules loaded successfully');
+
+        // MIME type and frame timing
+        assertEqual(selectMimeType(type => type !== 'video/webm;codecs=vp9,opus'), 'video/webm;codecs=vp8,opus', 'The first supported WebM type is picked');
+        assertEqual(selectMimeType(type => type === 'video/webm;codecs=vp9', false), 'video/webm;codecs=vp9', 'Video-only recordings skip the audio codecs');
+        assertEqual(selectMimeType(() => false), '', 'The browser chooses when no type is supported');
+        const timestamps = frameTimestamps(0.1, 30, 1000);
+        assert(timestamps.length === 3 && timestamps[0] === 1000 && Math.abs(timestamps[2] - (1000 + 2000 / 30)) < 1e-9, 'Frames are placed at exact timestamps');
+
+        // Browser media stubs
+        class FakeMediaRecorder {
+            constructor(stream, options) {
+                this.stream = stream;
+                this.options = options;
+                this.state = 'inactive';
+            }
+            start() {
+                this.state = 'recording';
+            }
+            stop() {
+                this.state = 'inactive';
+                this.ondataavailable({ data: new Blob(['webm']) });
+                this.onstop();
+            }
+            static isTypeSupported(type) {
+                return type.startsWith('video/webm');
+            }
+        }
+        class FakeMediaStream {
+            constructor(tracks) {
+                this.tracks = tracks;
+            }
+        }
+        globalThis.MediaRecorder = FakeMediaRecorder;
+        globalThis.MediaStream = FakeMediaStream;
+
+        const requested = [];
+        const captures = [];
+        const canvas = {
+            captureStream: (frameRate) => {
+                captures.push(frameRate);
+                return { getVideoTracks: () => [{ kind: 'video', requestFrame: () => requested.push(true) }] };
+            }
+        };
+        const taps = [];
+        const soundtracks = [];
+        const audioSynthesis = {
+            mainGain: {
+                connect: (node) => taps.push(node),
+                disconnect: (node) => taps.splice(taps.indexOf(node), 1)
+            },
+            context: {
+                sampleRate: 8000,
+                state: 'suspended',
+                resume() { this.state = 'running'; return Promise.resolve(); },
+                suspend() { this.state = 'suspended'; return Promise.resolve(); },
+                createMediaStreamDestination: () => ({ stream: { getAudioTracks: () => [{ kind: 'audio' }] } }),
+                createBuffer: (channels, length) => ({ length, copyToChannel: () => {} }),
+                createBufferSource: () => {
+                    const source = { connect: () => {}, start: () => soundtracks.push(audioSynthesis.context.state), stop: () => {} };
+                    return source;
+                }
+            }
+        };
+        const frames = [];
+        const visualizer = {
+            isAnimating: true,
+            clock: new Clock({ mode: 'manual' }),
+            stop() { this.isAnimating = false; },
+            start() { this.isAnimating = true; },
+            renderFrameAt: (timestamp, delta) => frames.push([timestamp, delta])
+        };
+
+        visualizer.clock.seek(500);
+        const gear = new EventGearLite(50);
+        const state = new AppState(gear);
+        state.setCachedData('partials', createPartials([1, 2]));
+        const recorder = new VideoRecorder(gear, state, { canvas, visualizer, audioSynthesis });
+        const recorded = [];
+        gear.on('video.recorded', (data) => recorded.push(data));
+
+        // Live recording with a fixed duration
+        assert(recorder.isSupported(), 'Recording is supported with captureStream and MediaRecorder');
+        const live = await recorder.start({ duration: 0.02 });
+        assert(live.mode === 'live' && live.blob.size === 4 && live.mimeType === 'video/webm;codecs=vp9,opus', 'A fixed-duration recording stops by itself');
+        assert(captures[0] === 30 && taps.length === 0, 'Live mode captures at the video frame rate and removes its audio tap');
+        assertEqual(recorder.state, 'idle', 'The recorder is idle after stopping');
+
+        // Frame-stepped rendering
+        const stepped = await recorder.renderFrames({ duration: 0.1 });
+        assertEqual(frames.map(([timestamp]) => timestamp.toFixed(3)).join(','), [1, 2, 3].map(i => (500 + (i * 1000) / 30).toFixed(3)).join(','), 'Frames are rendered at exact timestamps continuing the loop clock');
+        assert(frames.every(([, delta]) => delta === 1000 / 30) && requested.length === 3, 'Every frame has the frame duration and is pushed to the stream');
+        assert(captures[1] === 0 && soundtracks.length === 1, 'Frames are captured on request with the offline soundtrack');
+        assert(soundtracks[0] === 'running' && audioSynthesis.context.state === 'suspended', 'A context suspended by the clock runs for the soundtrack only');
+        assert(stepped.frames === 3 && stepped.duration === 0.1 && visualizer.isAnimating, 'The result describes the frames and the loop restarts');
+        assertEqual(visualizer.clock.time, 600, 'The clock continues after the last rendered frame');
+        assertEqual(recorded.length, 2, 'Recordings are emitted as video.recorded');
+
+        const rejection = await recorder.renderFrames({ duration: 0 }).catch(error => error);
+        assertEqual(rejection.name, 'TypeError', 'Frame-stepped recording needs a duration');
+        assertEqual(new VideoRecorder(gear, state, { canvas: {}, visualizer }).isSupported(), false, 'Recording needs canvas.captureStream');
+
+        recorder.dispose();
+        delete globalThis.MediaRecorder;
+        delete globalThis.MediaStream;
+
+    } catch (err) {
+        logException('Video export tests failed', err);
+    }
+
+    // ==================== Clock Tests ====================
+    info('--- Testing animation clock ---');
+
+    try {
+        const { CLOCK_MODES, default: Clock } = await import('../src/core/Clock.js');
+        const { default: Visualizer } = await import('../src/core/Visualizer.js');
+        const { default: SpectrogramRecorder } = await import('../src/modules/SpectrogramRecorder.js');
+        const { default: AppState } = await import('../src/core/AppState.js');
+        const { default: EventGearLite } = await import('../src/utils/EventGearLite.js');
+
+        success('Clock modules loaded successfully');
+
+        assertEqual(CLOCK_MODES.join(','), 'realtime,fixed,manual', 'Clock modes are listed');
+
+        // Realtime: wall clock minus paused spans
+        let wall = 1000;
+        const realtime = new Clock({ now: () => wall });
+        assertEqual(realtime.tick(1016).time, 16, 'Realtime frames follow the wall clock from the start');
+        realtime.pause();
+        const held = realtime.tick(1100);
+        assert(held.time === 16 && held.delta === 0, 'A paused clock holds its time');
+        wall = 2000;
+        realtime.resume();
+        assertEqual(realtime.tick(2010).time, 26, 'Resuming continues without the paused span');
+
+        // Fixed timestep: one step per tick whatever the wall clock says
+        const fixed = new Clock({ mode: 'fixed', timestep: 40 });
+        const ticks = [5, 500, 501].map(time => fixed.tick(time));
+        assertEqual(ticks.map(frame => `${frame.time}/${frame.delta}`).join(','), '40/40,80/40,120/40', 'Fixed mode advances exactly one timestep per tick');
+
+        // Manual stepping, pauseAt and seek
+        const manual = new Clock({ mode: 'manual', timestep: 10 });
+        assertEqual(manual.tick(1000).time, 0, 'Manual clocks ignore ticks');
+        assertEqual(manual.step(3).map(frame => frame.time).join(','), '10,20,30', 'step(n) renders n timesteps');
+        manual.pauseAt(45);
+        const steps = manual.step(5);
+        assert(steps.length === 2 && manual.time === 45 && manual.paused && manual.pauseTime === null, 'Stepping stops at the pause time');
+        assertEqual(manual.seek(15).delta, -30, 'Seeking reports the jump');
+        manual.resume();
+        manual.pauseAt(5);
+        assert(manual.paused && manual.pauseTime === null && manual.time === 15, 'A pause time already passed pauses right away');
+        manual.resume();
+        manual.pauseAt(25);
+        manual.seek(30);
+        assert(manual.pauseTime === null && manual.step(2).length === 2, 'Seeking past a pending pause time cancels it');
+        manual.seek(15);
+        manual.pause();
+        manual.setMode('fixed');
+        assertEqual(manual.tick().time, 15, 'A paused clock holds its time in fixed mode');
+        assertThrows(() => manual.setMode('warp'), 'TypeError', 'Unknown clock modes are rejected');
+        assertThrows(() => new Clock({ timestep: 0 }), 'TypeError', 'The timestep must be positive');
+        assertThrows(() => manual.step(-1), 'TypeError', 'Step counts must be non-negative integers');
+        assertThrows(() => manual.seek(NaN), 'TypeError', 'Seek times must be finite');
+
+        // Visualizer driven by a manual clock
+        const originalWindow = globalThis.window;
+        globalThis.window = { innerWidth: 800, innerHeight: 600, addEventListener: () => {}, removeEventListener: () => {} };
+        try {
+            const gear = new EventGearLite(50);
+            const visualizer = new Visualizer(gear, { clock: new Clock({ mode: 'manual', timestep: 40 }), performanceTracking: false });
+            const frames = [];
+            const changes = [];
+            gear.on('animation.frame', (data) => frames.push(`${data.timestamp}/${data.delta}`));
+            gear.on('clock.changed', (data) => changes.push(data.reason));
+
+            assertEqual(visualizer.step(3), 120, 'Visualizer.step returns the clock time');
+            assertEqual(frames.join(','), '40/40,80/40,120/40', 'Stepped frames have exact timestamps and deltas');
+            assertEqual(visualizer.fps, 25, 'FPS follows the timestep');
+
+            const state = new AppState(gear);
+            const recorder = new SpectrogramRecorder(gear, state);
+            state.updateParam('visualizationMode', 'spectrogram');
+            recorder.record(new Float32Array(4), 'partials', 120);
+            visualizer.seek(20);
+            assert(frames[3] === '20/-100' && changes.join(',') === 'step,seek', 'Seeking renders a frame at the new time');
+            assert(recorder.buffer.length === 1 && recorder.buffer.latest().time === 20, 'Seeking back restarts the spectrogram history');
+            recorder.dispose();
+        } finally {
+            globalThis.window = originalWindow;
+        }
+
+    } catch (err) {
+        logException('Clock tests failed', err);
+    }
+
+    // ==================== Layer Compositing Tests ====================
+    info('--- Testing layered rendering ---');
+
+    try {
+        const { default: LayerManager } = await import('../src/modules/renderers/LayerManager.js');
+        const { default: GeometryRenderer } = await import('../src/modules/GeometryRenderer.js');
+        const { default: AppState } = await import('../src/core/AppState.js');
+        const { default: EventGearLite } = await import('../src/utils/EventGearLite.js');
+
+        success('LayerManager module loaded successfully');
+
+        const definitions = [
+            { id: 'bottom', params: ['a'], watch: ['angle'] },
+            { id: 'top', params: ['b'] }
+        ];
+        assertThrows(() => new LayerManager({ width: 10, height: 10 }, []), 'TypeError', 'A layer manager needs layers');
+
+        // Headless target: one shared backend, all layers drawn together
+        const shared = new LayerManager({ width: 100, height: 100 }, definitions);
+        const drawAll = (manager, values) => {
+            const dirty = manager.dirtyLayers(values);
+            dirty.forEach(layer => {
+                manager.begin(layer, '#000000');
+                manager.end(layer, values);
+            });
+            return dirty.map(layer => layer.id).join(',');
+        };
+        assert(shared.shared && shared.get('top').backend === shared.base, 'Headless targets share one backend');
+        assertEqual(drawAll(shared, { angle: 0 }), 'bottom,top', 'New layers are dirty');
+        assertEqual(drawAll(shared, { angle: 0 }), '', 'Clean layers are not redrawn');
+        assertEqual(shared.invalidate(['b', 'c']).join(','), 'top', 'Params mark the layers depending on them');
+        assertEqual(drawAll(shared, { angle: 0 }), 'bottom,top', 'Shared layers are redrawn together');
+        shared.dispose();
+
+        // Canvas in a document: one stacked canvas and backend per layer
+        const inserted = [];
+        const fakeCanvas = () => {
+            const calls = [];
+            return {
+                calls,
+                width: 0,
+                height: 0,
+                style: {},
+                getContext: type => (type === '2d' ? new Proxy({}, {
+                    get: (target, key) => (key in target ? target[key] : (...args) => calls.push(key)),
+                    set: (target, key, value) => { target[key] = value; return true; }
+                }) : null)
+            };
+        };
+        const parent = {
+            insertBefore: (node) => { inserted.push(node); node.parentNode = parent; },
+            removeChild: (node) => { inserted.splice(inserted.indexOf(node), 1); }
+        };
+        const base = { ...fakeCanvas(), width: 100, height: 50, nextSibling: null, parentNode: parent };
+        globalThis.document = { createElement: () => fakeCanvas() };
+        const stacked = new LayerManager(base, definitions, { backend: 'canvas2d' });
+        const top = stacked.get('top');
+        assert(!stacked.shared && inserted.length === 1 && top.canvas !== base, 'Layers above the first get their own canvas');
+        assert(top.canvas.width === 100 && top.canvas.style.cssText.includes('pointer-events: none'), 'Stacked canvases match the base and let clicks through');
+        assertEqual(drawAll(stacked, { angle: 0 }), 'bottom,top', 'Every layer is drawn first');
+        assertEqual(drawAll(stacked, { angle: 1 }), 'bottom', 'A watched value redraws only its layer');
+        stacked.markDirty('top');
+        top.canvas.calls.length = 0;
+        assertEqual(drawAll(stacked, { angle: 1 }), 'top', 'Marked layers are redrawn alone');
+        assert(top.canvas.calls.includes('clearRect') && !top.canvas.calls.includes('fillRect'), 'Upper layers are cleared to transparent');
+        stacked.resize(300, 200);
+        assert(top.canvas.width === 300 && stacked.dirtyLayers({ angle: 1 }).length === 2, 'Resizing resizes and redraws every layer');
+        const flat = [];
+        stacked.composite({ canvas: { width: 300, height: 200 }, clearRect: () => {}, drawImage: surface => flat.push(surface) });
+        assert(flat.length === 2 && flat[0] === base && flat[1] === top.canvas, 'Compositing draws the layers bottom first');
+        stacked.dispose();
+        assertEqual(inserted.length, 0, 'Disposing removes the stacked canvases');
+        delete globalThis.document;
+
+        // GeometryRenderer redraws on state changes only (geometry mode, no rotation)
+        const gear = new EventGearLite(50);
+        const state = new AppState(gear);
+        const renderer = new GeometryRenderer(gear, state, { width: 200, height: 200 });
+        assertEqual(GeometryRenderer.LAYERS.map(layer => layer.id).join(','), 'background,shapes,waveform,hud', 'The picture has four layers');
+        renderer.render(0, 16);
+        renderer.render(16, 16);
+        assertEqual(renderer.metrics.frameCount + '/' + renderer.metrics.skippedFrames, '1/1', 'Unchanged frames are skipped');
+        const changed = [];
+        const legacy = [];
+        gear.on('state.changed', data => changed.push(data.changedParams.join(',')));
+        gear.on('state.change', data => legacy.push(data.changedParams.join(',')));
+        state.updateParam('circleColor', '#111111');
+        state.updateParam('circleColor', '#123456');
+        renderer.render(32, 16);
+        assert(renderer.metrics.frameCount === 2 && renderer.backend.toSVG().includes('#123456'), 'A param change redraws the frame');
+        state.undo();
+        assertEqual(changed.join('|'), 'circleColor|circleColor|circleColor', 'Undo emits state.changed');
+        assertEqual(legacy.join('|'), 'circleColor|circleColor', 'Updates still emit the deprecated state.change');
+        renderer.render(48, 16);
+        assert(!renderer.backend.toSVG().includes('#123456'), 'Undo redraws the frame');
+        state.updateParam('rotationSpeed', 2);
+        renderer.render(64, 16);
+        assertEqual(renderer.metrics.skippedFrames, 2, 'Params no layer depends on do not redraw');
+        state.setCachedData('angleSinCos', { sin: 1, cos: 0 });
+        renderer.render(80, 16);
+        assertEqual(renderer.metrics.frameCount, 4, 'A new rotation angle redraws the turning layers');
+        assert(renderer.getCaptureCanvas() === renderer.canvas, 'Shared layers are captured from the canvas itself');
+        renderer.dispose();
+
+    } catch (err) {
+        logException('Layer compositing tests failed', err);
+    }
+
+    // ==================== Theme Tests ====================
+    info('--- Testing themes ---');
+
+    try {
+        const {
+            THEME_COLOR_PARAMS, rampColor, rampColors, registerTheme, getTheme, getThemes,
+            themeParams, exportTheme, parseTheme
+        } = await import('../src/modules/Theme.js');
+        const { default: ThemeManager } = await import('../src/modules/ThemeManager.js');
+        const { default: GeometryRenderer } = await import('../src/modules/GeometryRenderer.js');
+        const { default: AppState } = await import('../src/core/AppState.js');
+        const { default: EventGearLite } = await import('../src/utils/EventGearLite.js');
+        const { AppConfig, validateParam } = await import('../src/config/app-config.js');
+
+        success('Theme modules loaded successfully');
+
+        // Registry
+        assertEqual(getThemes().map(theme => theme.id).join(','), 'dark,light,high-contrast,colorblind', 'Built-in themes are registered');
+        assert(THEME_COLOR_PARAMS.every(param => getTheme('dark').colors[param] === AppConfig.defaults[param]), 'The dark theme is the default palette');
+        assert(THEME_COLOR_PARAMS.every(param => param in AppConfig.defaults), 'Every theme color is an AppState param');
+        assertEqual(validateParam('theme', 'sepia'), 'dark', 'Unknown themes fall back to dark');
+        assertEqual(getTheme('high-contrast').colors.backgroundColor, '#000000', 'High contrast draws on black');
+
+        // Color ramps
+        assertEqual(rampColor(['#000000', '#ffffff'], 0.5), '#808080', 'Ramps interpolate between stops');
+        assertEqual(rampColor(['#ff0000'], 0.7), '#ff0000', 'A single stop is a solid color');
+        assertEqual(rampColors(['#000000', '#0000ff', '#ffffff'], 3).join(','), '#000000,#0000ff,#ffffff', 'Ramp colors span the stops');
+
+        // Validation and JSON round trip
+        const dark = getTheme('dark');
+        assertThrows(() => registerTheme({ ...dark, id: 'broken', colors: { ...dark.colors, circleColor: 'green' } }), 'TypeError', 'Theme colors must be #rrggbb');
+        assertThrows(() => registerTheme({ ...dark, id: 'broken', partialRamp: [] }), 'TypeError', 'Themes need a partial ramp');
+        assertThrows(() => parseTheme('{"id": "x"}'), 'SyntaxError', 'Theme files need the format tag');
+        assertThrows(() => parseTheme('{'), 'SyntaxError', 'Invalid JSON is rejected');
+        const sepia = parseTheme(exportTheme({ ...dark, id: 'sepia', label: 'Sepia', colors: { ...dark.colors, circleColor: '#704214' } }));
+        assertEqual(registerTheme(sepia).colors.circleColor, '#704214', 'Exported themes import again');
+
+        // Applying in one step
+        const gear = new EventGearLite(50);
+        const state = new AppState(gear);
+        const properties = {};
+        const stored = {};
+        const storage = {
+            getItem: key => stored[key] ?? null,
+            setItem: (key, value) => { stored[key] = value; }
+        };
+        const manager = new ThemeManager(gear, state, { root: { style: { setProperty: (name, value) => { properties[name] = value; } } }, storage, key: 'test-themes' });
+        assertEqual(properties['--ui-background'], '#000000', 'The initial theme sets the CSS variables');
+        const history = state.history.size;
+        gear.emit('theme.apply', { id: 'light' });
+        assert(state.getParam('theme') === 'light' && state.getParam('circleColor') === getTheme('light').colors.circleColor, 'Applying a theme sets its colors');
+        assert(state.history.size === history + 1 && properties['--ui-background'] === '#f7f7f2', 'A theme switch is one step and restyles the UI');
+        state.updateParam('circleColor', '#123456');
+        let exported = null;
+        gear.on('theme.exported', data => { exported = data; });
+        gear.emit('theme.export', {});
+        assert(exported.id === 'light' && JSON.parse(exported.json).colors.circleColor === '#123456', 'Exports include edited colors');
+        state.resetToDefaults();
+        assertEqual(properties['--ui-background'], '#000000', 'The UI follows the theme param on reset');
+        const imported = manager.import(exportTheme({ ...themeParams(getTheme('colorblind')), ...getTheme('colorblind'), id: 'mine' }));
+        assert(imported.id === 'mine' && state.getParam('theme') === 'mine', 'Importing registers and applies the theme');
+        assertThrows(() => manager.apply('nope'), 'TypeError', 'Unknown themes cannot be applied');
+        gear.emit('theme.apply', { id: 'nope' });
+        assertEqual(state.getParam('theme'), 'mine', 'theme.apply with an unknown id changes nothing');
+
+        // Imports never replace built-in themes; imported themes can be removed
+        const edited = manager.import(exportTheme({ ...dark, colors: { ...dark.colors, circleColor: '#654321' } }));
+        assert(edited.id === 'dark-imported' && getTheme('dark').colors.circleColor === dark.colors.circleColor, 'An import with a built-in id is registered under its own id');
+        assertThrows(() => manager.remove('dark'), 'TypeError', 'Built-in themes cannot be removed');
+        gear.emit('theme.delete', { id: 'dark-imported' });
+        assert(!getTheme('dark-imported') && validateParam('theme', 'dark-imported') === 'dark', 'Removed themes are unregistered');
+        assert(state.getParam('theme') === 'dark' && !stored['test-themes'].includes('dark-imported'), 'Removing the current theme switches to dark and forgets it');
+
+        // Imported themes are registered again after a reload
+        assertEqual(JSON.parse(stored['test-themes'])[0].id, 'mine', 'Imported themes are stored');
+        stored['test-themes'] = JSON.stringify([JSON.parse(exportTheme({ ...dark, id: 'stored', label: 'Stored' })), { id: 'garbage' }]);
+        const reloaded = new ThemeManager(gear, state, { root: null, storage, key: 'test-themes' });
+        assert(getTheme('stored') && validateParam('theme', 'stored') === 'stored' && reloaded.imported.size === 1, 'Stored themes are registered on construction, broken ones skipped');
+        reloaded.dispose();
+
+        // Rendering with the theme
+        state.updateMultipleParams({ ...themeParams(getTheme('light')), showWave: true, waveGradient: ['#ff0000', '#0000ff'], showPartials: true });
+        const renderer = new GeometryRenderer(gear, state, { width: 200, height: 200 });
+        state.setCachedData('partials', [{ ratio: 1, amplitude: 1, phase: 0, detune: 0 }, { ratio: 2, amplitude: 0.5, phase: 0, detune: 0 }]);
+        renderer.renderState.lastWaveformData = { waveform: Array.from({ length: 128 }, (_, i) => Math.sin(i / 20)), max: 1.5 };
+        renderer.render(0, 16);
+        const svg = renderer.backend.toSVG();
+        assert(svg.includes('fill="#f7f7f2"'), 'The background comes from the theme');
+        assert(svg.includes('stroke="#ff0000"') && svg.includes('stroke="#0000ff"'), 'The waveform is drawn in the gradient');
+        const ramp = rampColors(state.getParam('partialRamp'), 2);
+        assert(svg.includes(`stroke="${ramp[0]}"`) && svg.includes(`stroke="${ramp[1]}"`), 'Partial waves are colored along the ramp');
+        renderer.dispose();
+        manager.dispose();
+
+    } catch (err) {
+        logException('Theme tests failed', err);
+    }
+
+    // ==================== Param Schema Tests ====================
+    info('--- Testing the param schema ---');
+
+    try {
+        const { PARAM_SCHEMA, PARAM_TYPES, RUNTIME_PARAMS, coerceParam, isParamActive } = await import('../src/config/param-schema.js');
+        const { AppConfig, validateParam, checkParam, setParamOptions } = await import('../src/config/app-config.js');
+        const { scaleMidiValue, normalizeMapping } = await import('../src/modules/MidiController.js');
+        const { default: SpectrogramRecorder } = await import('../src/modules/SpectrogramRecorder.js');
+        const { default: AppState } = await import('../src/core/AppState.js');
+        const { default: EventGearLite } = await import('../src/utils/EventGearLite.js');
+
+        success('Param schema modules loaded successfully');
+
+        // Defaults and constraints are derived from the schema
+        assert(Object.values(PARAM_SCHEMA).every(definition => PARAM_TYPES.includes(definition.type) && definition.label && definition.group), 'Every param has a known type, a label and a group');
+        assert(Object.keys(PARAM_SCHEMA).every(param => AppConfig.defaults[param] === PARAM_SCHEMA[param].default), 'Defaults come from the schema');
+        assert(Object.keys(PARAM_SCHEMA).every(param => coerceParam(PARAM_SCHEMA[param], PARAM_SCHEMA[param].default).valid), 'Every default passes its own definition');
+        assertEqual(AppConfig.constraints.lissajousTrail.max, PARAM_SCHEMA.lissajousTrail.max, 'Constraints come from the schema');
+        assert(AppConfig.constraints.harmonicsType.options.includes('natural'), 'Registries fill the enum options');
+
+        // Params of the running session are flagged once
+        assertEqual(RUNTIME_PARAMS.join(','), 'rotationAngle,isAddSynthPlaying,midiOutputEnabled,fps,calculationTime', 'Runtime params are flagged in the schema');
+        assert(RUNTIME_PARAMS.every(param => SpectrogramRecorder.VIEW_PARAMS.includes(param)), 'Spectrogram columns never restore runtime params');
+
+        // Coercion and rejection
+        assertEqual(checkParam('harmonics', '12').value, 12, 'Numeric strings are converted');
+        assertEqual(checkParam('harmonics', 7.6).value, 8, 'Integer params are rounded');
+        assertEqual(checkParam('harmonics', 1000).value, 256, 'Numbers are clamped to the range');
+        assert(!checkParam('harmonics', 'abc').valid, 'Non-numeric strings are rejected');
+        assert(!checkParam('calcFrequency', NaN).valid && !checkParam('calcFrequency', null).valid, 'NaN and null are not numbers');
+        assertEqual(checkParam('showWave', 'true').value, true, 'Boolean strings are converted');
+        assert(!checkParam('showWave', 'yes').valid, 'Other strings are not booleans');
+        assertEqual(checkParam('audioExportSampleRate', '48000').value, 48000, 'Numeric enum options match their string form');
+        assert(!checkParam('partialRolloff', 'loud').valid, 'Unknown enum values are rejected');
+        assert(checkParam('circleColor', '#0f0').valid && !checkParam('circleColor', 'green').valid, 'Colors must be hex colors');
+        assert(!checkParam('partialRamp', ['#ff0000', 'blue']).valid, 'Color lists must hold hex colors');
+        assert(!checkParam('midiMappings', {}).valid && !checkParam('partialOverrides', []).valid, 'Arrays and objects are told apart');
+        assert(!checkParam('missing', 1).valid, 'Unknown params are rejected');
+        assertEqual(validateParam('harmonics', 'abc'), AppConfig.defaults.harmonics, 'validateParam falls back to the default');
+        assertThrows(() => setParamOptions('harmonics', [1, 2]), 'TypeError', 'Only enum params have options');
+
+        // Dependencies
+        assert(isParamActive('lissajousX', { visualizationMode: 'lissajous', lissajousSource: 'partials' }), 'Params apply when their dependencies hold');
+        assert(!isParamActive('lissajousX', { visualizationMode: 'geometry', lissajousSource: 'partials' }), 'Params do not apply in other modes');
+        assert(isParamActive('midiBendRange', { midiPitchMode: 'bend' }) && !isParamActive('midiBendRange', { midiPitchMode: 'none' }), 'Dependencies can allow several values');
+        assert(isParamActive('harmonics', {}), 'Params without dependencies always apply');
+
+        // AppState validates every update
+        const gear = new EventGearLite(100);
+        const state = new AppState(gear);
+        const validations = [];
+        gear.on('state.validation', data => validations.push(data));
+        const originalWarn = console.warn;
+        console.warn = () => {};
+        try {
+            assert(!state.updateParam('harmonics', 'abc'), 'A remote harmonics: "abc" is rejected');
+            assertEqual(state.getParam('harmonics'), AppConfig.defaults.harmonics, 'Rejected values leave the param unchanged');
+            assertEqual(validations[0].result, 'rejected', 'Rejections emit state.validation');
+            assert(state.updateParam('harmonics', '16'), 'Convertible values are accepted');
+            assertEqual(state.getParam('harmonics'), 16, 'The converted value is stored');
+            assert(validations[1].result === 'coerced' && validations[1].coercedValue === 16, 'Conversions emit state.validation');
+            assert(state.updateParam('circleColor', '#123456') && validations.length === 2, 'Valid values emit no validation event');
+            state.updateMultipleParams({ axis: 40, showWave: 'maybe', waveColor: '#abcdef' });
+            assert(state.getParam('axis') === 12 && state.getParam('showWave') === false && state.getParam('waveColor') === '#abcdef', 'Bulk updates clamp, reject and apply per param');
+        } finally {
+            console.warn = originalWarn;
+        }
+
+        // MIDI scaling follows the schema types
+        assert(Number.isInteger(scaleMidiValue(normalizeMapping({ source: 'cc', number: 1, param: 'axis' }), 64)), 'MIDI values of integer params are rounded');
+
+    } catch (err) {
+        logException('Param schema tests failed', err);
+    }
+
+    // ==================== Batch and Computed Param Tests ====================
+    info('--- Testing batched updates and computed params ---');
+
+    try {
+        const { default: AppState } = await import('../src/core/AppState.js');
+        const { default: HarmonicSeries } = await import('../src/modules/HarmonicSeries.js');
+        const { default: EventGearLite } = await import('../src/utils/EventGearLite.js');
+        const { SPEED_OF_SOUND } = await import('../src/config/param-schema.js');
+
+        success('Batch modules loaded successfully');
+
+        const gear = new EventGearLite(100);
+        const state = new AppState(gear);
+        const series = new HarmonicSeries(gear, state);
+        const changes = [];
+        let seriesUpdates = 0;
+        gear.on('state.changed', data => changes.push(data));
+        gear.on('harmonicSeries.updated', () => seriesUpdates++);
+        state.updateParam('showWave', true);
+        changes.length = 0;
+        seriesUpdates = 0;
+
+        // One event, one recalculation and one history entry per batch
+        const diff = state.batch(() => {
+            state.updateParam('harmonics', 12);
+            state.updateParam('harmonicsType', 'numOdd');
+            state.updateParam('partialRolloff', 'square');
+            state.updateParam('calcFrequency', 220);
+        });
+        assertEqual(changes.length, 1, 'A batch emits a single state.changed');
+        assertEqual(seriesUpdates, 1, 'The series is regenerated once per batch');
+        assert(diff.harmonics.oldValue === 8 && diff.harmonics.newValue === 12, 'The batch returns the diff');
+        assert(changes[0].diff.calcFrequency.newValue === 220 && changes[0].changedParams.length === 4, 'state.changed carries the diff');
+        state.undo();
+        assertEqual(state.getParam('harmonics'), 8, 'A batch is one undo step');
+        assertEqual(state.getParam('calcFrequency'), 440, 'Undo reverts every param of the batch');
+
+        changes.length = 0;
+        state.batch(() => {
+            state.updateParam('axis', 6);
+            state.updateParam('axis', 3);
+        });
+        assertEqual(changes.length, 0, 'Params changed back do not count');
+
+        assertThrows(() => state.batch(() => {
+            state.updateParam('axis', 6);
+            throw new TypeError('broken preset');
+        }), 'TypeError', 'Errors in a batch are rethrown');
+        assert(state.getParam('axis') === 3 && changes.length === 0, 'A failed batch is rolled back silently');
+
+        state.batch(() => {
+            state.updateParam('axis', 5);
+            state.batch(() => state.updateParam('zoomManual', 2));
+        });
+        assert(changes.length === 1 && changes[0].changedParams.join(',') === 'axis,zoomManual', 'Nested batches join the outer one');
+
+        // Changes opting out of the history stay out of the batch entry
+        const entries = state.history.size;
+        changes.length = 0;
+        state.batch(() => {
+            state.updateParam('axis', 8, false);
+            state.updateParam('zoomManual', 3, false);
+        });
+        assert(state.history.size === entries && changes.length === 1, 'A batch without history changes adds no history entry');
+        state.batch(() => {
+            state.updateParam('axis', 9);
+            state.updateParam('zoomManual', 4, false);
+        });
+        state.undo();
+        assert(state.getParam('axis') === 8 && state.getParam('zoomManual') === 4, 'Only the changes asking for history are undone');
+
+        // Bulk updates and restores are batches
+        seriesUpdates = 0;
+        changes.length = 0;
+        state.updateMultipleParams({ harmonics: 20, harmonicsPhase: 'cosine', tuningQuantize: true });
+        assert(seriesUpdates === 1 && changes.length === 1 && changes[0].isBulkUpdate, 'updateMultipleParams recalculates once');
+        seriesUpdates = 0;
+        state.restoreState({ ...state.getAllParams(), harmonics: 4, harmonicsType: 'natural', partialRolloff: 'flat' });
+        assertEqual(seriesUpdates, 1, 'Restoring a snapshot recalculates once');
+
+        // Computed params
+        assertEqual(state.getParam('period'), 1000 / state.getParam('calcFrequency'), 'The period follows the frequency');
+        assertEqual(state.getComputed('acousticWavelength'), SPEED_OF_SOUND / state.getParam('calcFrequency'), 'The wavelength in air follows the frequency');
+        state.updateParam('partialOverrides', { 1: { amplitude: 0 }, 2: { amplitude: 0.5 }, 30: { amplitude: 0 } });
+        assertEqual(state.getParam('activePartials'), 3, 'Muted partials are not counted');
+
+        let computeCalls = 0;
+        state.defineComputed('nyquistPartials', {
+            inputs: ['calcFrequency', 'harmonics'],
+            compute: ({ calcFrequency, harmonics }) => {
+                computeCalls++;
+                return Math.min(harmonics, Math.floor(24000 / calcFrequency));
+            }
+        });
+        computeCalls = 0;
+        changes.length = 0;
+        state.updateParam('axis', 7);
+        assertEqual(computeCalls, 0, 'Computed params are not recalculated for unrelated changes');
+        state.batch(() => {
+            state.updateParam('calcFrequency', 4000);
+            state.updateParam('harmonics', 10);
+        });
+        assertEqual(computeCalls, 1, 'A batch recalculates a computed param once');
+        assert(state.getParam('nyquistPartials') === 6 && changes[1].computedParams.includes('nyquistPartials'), 'Changed computed params are listed in state.changed');
+        state.undo();
+        assertEqual(state.getParam('nyquistPartials'), Math.min(4, Math.floor(24000 / state.getParam('calcFrequency'))), 'Undo recalculates computed params');
+        assert(!state.updateParam('period', 3) && !('period' in state.getAllParams()), 'Computed params cannot be set and are not saved');
+        assertThrows(() => state.defineComputed('harmonics', { inputs: ['axis'], compute: () => 1 }), 'TypeError', 'Computed params cannot shadow params');
+        assertThrows(() => state.defineComputed('bogus', { inputs: ['missing'], compute: () => 1 }), 'TypeError', 'Computed params need param inputs');
+
+        series.dispose();
+
+    } catch (err) {
+        logException('Batch tests failed', err);
+    }
+
+    // ==================== History Tests ====================
+    info('--- Testing undo history, checkpoints and persistence ---');
+
+    try {
+        const { default: StateHistory, HISTORY_FORMAT } = await import('../src/core/StateHistory.js');
+        const { default: HistoryManager } = await import('../src/modules/HistoryManager.js');
+        const { RUNTIME_PARAMS } = await import('../src/config/param-schema.js');
+        const { default: AppState } = await import('../src/core/AppState.js');
+        const { default: EventGearLite } = await import('../src/utils/EventGearLite.js');
+
+        success('History modules loaded successfully');
+
+        // Diff entries and coalescing of continuous edits
+        let time = 0;
+        const history = new StateHistory({ a: 1, b: 1 }, { maxEntries: 6, coalesceWindow: 100, now: () => time });
+        history.record({ a: { oldValue: 1, newValue: 2 } });
+        time = 50;
+        const second = history.record({ a: { oldValue: 2, newValue: 3 } });
+        assert(second.coalesced && history.size === 2, 'Edits of the same param within the window are coalesced');
+        assert(second.entry.diff.a.oldValue === 1 && second.entry.diff.a.newValue === 3, 'A coalesced entry spans the whole edit');
+        time = 300;
+        history.record({ a: { oldValue: 3, newValue: 4 } });
+        assertEqual(history.size, 3, 'Edits after a pause start a new entry');
+        time = 320;
+        history.record({ b: { oldValue: 1, newValue: 2 } });
+        assertEqual(history.size, 4, 'Edits of other params start a new entry');
+        time = 340;
+        history.record({ b: { oldValue: 2, newValue: 1 } });
+        assertEqual(history.size, 3, 'An edit coalesced back to where it started is dropped');
+
+        // Undo, redo and branches
+        assertEqual(history.undo().changes.a, 3, 'Undo returns the previous values');
+        assertEqual(history.redo().changes.a, 4, 'Redo returns the next values');
+        history.undo();
+        history.undo();
+        assert(!history.canUndo() && history.undo() === null, 'Nothing to undo at the root');
+        time = 1000;
+        const branch = history.record({ b: { oldValue: 1, newValue: 5 } }).entry;
+        assertEqual(history.size, 4, 'Editing after an undo keeps the old branch');
+        const jump = history.jumpTo(2);
+        assert(jump.changes.a === 4 && jump.changes.b === 1, 'Jumping to another branch applies both paths');
+        assertEqual(history.redo(), null, 'Nothing to redo at a leaf');
+        const timeline = history.timeline();
+        assert(timeline.find(entry => entry.id === branch.id).depth === 1 && timeline.find(entry => entry.id === 2).current, 'The timeline marks branches and the current entry');
+        assert(JSON.stringify(history.stateAt(branch.id)) === JSON.stringify({ a: 1, b: 5 }), 'stateAt replays the path to an entry');
+
+        // Checkpoints
+        history.checkpoint(' good ');
+        time = 1010;
+        history.record({ a: { oldValue: 4, newValue: 6 } });
+        assert(history.findCheckpoint('good').id === 2 && history.size === 5, 'Checkpoints are named and not coalesced into');
+        assertThrows(() => history.checkpoint(''), 'TypeError', 'Checkpoint names must not be empty');
+        assertThrows(() => history.checkpoint('x', 99), 'TypeError', 'Checkpoints need an existing entry');
+
+        // Pruning keeps the current path and checkpoints
+        for (let i = 0; i < 10; i++) {
+            time += 1000;
+            history.record({ b: { oldValue: history.stateAt().b, newValue: i + 10 } });
+        }
+        assert(history.size <= 6 && history.findCheckpoint('good'), 'Old entries are pruned, checkpoints stay');
+        assert(history.stateAt().b === 19 && history.stateAt().a === 6, 'Pruning keeps the current state');
+
+        // Serialization
+        const data = JSON.parse(JSON.stringify(history.serialize()));
+        assertEqual(data.format, HISTORY_FORMAT, 'The history serializes with its format');
+        const restored = StateHistory.deserialize(data);
+        assert(JSON.stringify(restored.stateAt()) === JSON.stringify(history.stateAt()) && restored.current === history.current, 'A deserialized history is at the same state');
+        assertEqual(restored.findCheckpoint('good').id, 2, 'Checkpoints are serialized');
+        const filtered = StateHistory.deserialize(data, { validate: param => param !== 'a' });
+        assert(!('a' in filtered.stateAt()), 'Values rejected by validate are dropped');
+        assertThrows(() => StateHistory.deserialize({ format: 'other' }), 'SyntaxError', 'Other documents are rejected');
+        assertThrows(() => StateHistory.deserialize({ ...data, version: 99 }), 'SyntaxError', 'Unknown versions are rejected');
+
+        // AppState: slider drags are one undo step, moves are announced
+        const gear = new EventGearLite(100);
+        const state = new AppState(gear);
+        let clock = 0;
+        state.history.now = () => clock;
+        const moves = [];
+        gear.on('state.changed', data => {
+            if (data.action) moves.push(data.action);
+        });
+        state.updateParam('calcFrequency', 300);
+        clock = 100;
+        state.updateParam('calcFrequency', 310);
+        clock = 200;
+        state.updateParam('calcFrequency', 320);
+        state.undo();
+        assertEqual(state.getParam('calcFrequency'), 440, 'A continuous edit is undone in one step');
+        state.redo();
+        clock = 5000;
+        state.updateParam('harmonics', 12);
+        state.checkpoint('twelve');
+        clock = 10000;
+        state.updateParam('harmonics', 3);
+        state.jumpTo(state.history.findCheckpoint('twelve').id);
+        assert(state.getParam('harmonics') === 12 && moves.join(',') === 'undo,redo,jump', 'Jumps are announced with state.changed');
+
+        // Runtime params stay out of the history
+        const entries = state.history.size;
+        state.updateParam('isAddSynthPlaying', true);
+        state.updateMultipleParams({ fps: 30, midiOutputEnabled: true });
+        assertEqual(state.history.size, entries, 'Runtime param changes add no entries');
+        const serialized = JSON.stringify(state.history.serialize());
+        assert(RUNTIME_PARAMS.every(param => !serialized.includes(`"${param}"`)), 'Neither the base nor the diffs hold runtime params');
+
+        // HistoryManager: persistence through a storage
+        const stored = {};
+        const storage = {
+            getItem: key => stored[key] ?? null,
+            setItem: (key, value) => { stored[key] = value; }
+        };
+        const manager = new HistoryManager(gear, state, { storage, key: 'test-history', saveDelay: 60000 });
+        gear.emit('history.undo', {});
+        assertEqual(state.getParam('harmonics'), 8, 'history.undo undoes');
+        gear.emit('history.redo', {});
+        gear.emit('history.checkpoint', { name: 'saved' });
+        assert(manager.saveTimer !== null && !stored['test-history'], 'Saves are debounced');
+        manager.dispose();
+        assert(manager.saveTimer === null && stored['test-history'], 'Dispose saves pending changes');
+
+        const gear2 = new EventGearLite(100);
+        const state2 = new AppState(gear2);
+        const manager2 = new HistoryManager(gear2, state2, { storage, key: 'test-history', saveDelay: 60000 });
+        assert(state2.getParam('harmonics') === 12 && state2.getParam('calcFrequency') === 320, 'A stored history restores its state');
+        assert(state2.history.findCheckpoint('saved') && state2.history.canUndo(), 'A stored history keeps its entries and checkpoints');
+        gear2.emit('history.undo', {});
+        assert(state2.getParam('harmonics') === 8 && state2.getParam('calcFrequency') === 320, 'Restored entries can be undone');
+        manager2.save();
+        manager2.dispose();
+
+        stored['test-history'] = '{ not json';
+        const manager3 = new HistoryManager(gear2, state2, { storage, key: 'test-history', saveDelay: 60000 });
+        assertEqual(manager3.load(), false, 'A corrupt stored history is ignored');
+        manager3.storage = { setItem: () => { throw new Error('QuotaExceededError'); } };
+        assertEqual(manager3.save(), false, 'A full storage does not throw');
+        gear2.emit('history.clear', {});
+        assert(!state2.history.canUndo() && state2.history.size === 1, 'history.clear drops the entries');
+        assert(RUNTIME_PARAMS.every(param => !(param in state2.history.stateAt())), 'A cleared history starts without runtime params');
+        manager3.dispose();
+
+    } catch (err) {
+        logException('History tests failed', err);
+    }
+
+    // ==================== Preset Tests ====================
+    info('--- Testing preset format, migrations and library ---');
+
+    try {
+        const {
+            PRESET_PARAMS, PRESET_VERSION, FACTORY_PRESETS, createPreset, presetToParams, exportPreset, parsePreset, normalizeTags,
+            exportState, parseState
+        } = await import('../src/modules/Preset.js');
+        const { default: PresetManager, renderThumbnail } = await import('../src/modules/PresetManager.js');
+        const { stateToSvg } = await import('../src/modules/SvgExport.js');
+        const { default: AppState } = await import('../src/core/AppState.js');
+        const { default: EventGearLite } = await import('../src/utils/EventGearLite.js');
+        const { AppConfig, checkParam } = await import('../src/config/app-config.js');
+        await import('../src/modules/HarmonicTypes.js');
+
+        success('Preset modules loaded successfully');
+
+        // Format
+        assert(PRESET_PARAMS.includes('harmonics') && PRESET_PARAMS.includes('envelopeDecay'), 'Presets cover series and envelope params');
+        assert(!PRESET_PARAMS.includes('circleColor') && !PRESET_PARAMS.includes('midiMappings') && !PRESET_PARAMS.includes('fps'), 'Colors, MIDI and runtime params are not part of presets');
+        assert(PRESET_PARAMS.every(param => !AppConfig.schema[param].runtime), 'Presets skip every runtime param');
+        const preset = createPreset({ ...AppConfig.defaults, harmonics: 5, circleColor: '#123456' }, { name: ' Five ', tags: 'Warm, soft,warm' });
+        assert(preset.name === 'Five' && JSON.stringify(preset.params) === JSON.stringify({ harmonics: 5 }), 'Presets keep the non-default preset params');
+        assertEqual(preset.tags.join(','), 'warm,soft', 'Tags are normalized');
+        assertEqual(normalizeTags(['A', ' ', 3, 'b']).join(','), 'a,b', 'Tag lists drop empty and non-string tags');
+        assertThrows(() => createPreset({}, { name: ' ' }), 'TypeError', 'Presets need a name');
+        const applied = presetToParams(preset);
+        assert(applied.harmonics === 5 && applied.partialRolloff === AppConfig.defaults.partialRolloff && !('circleColor' in applied), 'Applying sets the defaults of the other preset params');
+
+        const roundTrip = parsePreset(exportPreset(preset));
+        assert(roundTrip.id === preset.id && roundTrip.params.harmonics === 5 && roundTrip.tags.length === 2, 'Presets survive export and import');
+        assertEqual(JSON.parse(exportPreset(preset)).version, PRESET_VERSION, 'Exported presets carry the version');
+
+        // Migrations
+        const legacy = parsePreset(JSON.stringify({ ...AppConfig.defaults, harmonics: 7, partialRolloff: 'square', bogus: 1, harmonicsPhase: 'nonsense' }));
+        assert(legacy.name === 'Imported state' && JSON.stringify(legacy.params) === JSON.stringify({ harmonics: 7, partialRolloff: 'square' }), 'Raw state dumps (version 0) are migrated');
+        assertThrows(() => parsePreset('{ broken'), 'SyntaxError', 'Invalid JSON is rejected');
+        assertThrows(() => parsePreset(JSON.stringify({ format: 'harmonic-explorer-theme' })), 'SyntaxError', 'Other documents are rejected');
+        assertThrows(() => parsePreset(JSON.stringify({ format: 'harmonic-explorer-preset', version: 99, name: 'x', params: {} })), 'SyntaxError', 'Newer versions are rejected');
+
+        // Saved states keep every persistable param
+        const mappings = [{ source: 'cc', channel: 0, number: 74, param: 'calcFrequency', min: 110, max: 880 }];
+        const savedState = exportState({ ...AppConfig.defaults, harmonics: 6, midiMappings: mappings, circleColor: '#123456', fps: 60 });
+        const loadedState = parseState(savedState);
+        assert(JSON.stringify(loadedState.midiMappings) === JSON.stringify(mappings) && loadedState.circleColor === '#123456' && loadedState.harmonics === 6, 'Saved states round-trip the MIDI mappings and colors');
+        assertEqual(loadedState.theme, AppConfig.defaults.theme, 'Saved states restore the theme');
+        assert(!('fps' in JSON.parse(savedState).params) && !('fps' in loadedState), 'Runtime params are not saved');
+        const legacyState = parseState(JSON.stringify({ ...AppConfig.defaults, harmonics: 7, midiMappings: mappings, circleColor: 'nonsense' }));
+        assert(legacyState.harmonics === 7 && legacyState.midiMappings.length === 1 && legacyState.circleColor === AppConfig.defaults.circleColor, 'Raw state dumps load as full states, invalid values as defaults');
+        assert(parseState(exportPreset(preset)).harmonics === 5 && !('midiMappings' in parseState(exportPreset(preset))), 'Preset files load as their preset params');
+        assertThrows(() => parseState(JSON.stringify({ format: 'harmonic-explorer-state', version: 99, params: {} })), 'SyntaxError', 'Newer state versions are rejected');
+        const stateFigure = stateToSvg(JSON.parse(exportState({ ...AppConfig.defaults, showCircle: false, showWave: true })), { width: 100, height: 100 });
+        assertEqual(stateFigure, stateToSvg({ showCircle: false, showWave: true }, { width: 100, height: 100 }), 'Saved state documents render with their params');
+
+        // Factory pack
+        assertEqual(FACTORY_PRESETS.map(p => p.name).join(','), 'Saw,Square,Bell,Prime cluster', 'The factory pack covers saw, square, bell and prime cluster');
+        assert(FACTORY_PRESETS.every(p => Object.entries(p.params).every(([param, value]) => checkParam(param, value).valid)), 'Factory presets hold valid params');
+
+        // Library
+        const stored = {};
+        const storage = {
+            getItem: key => stored[key] ?? null,
+            setItem: (key, value) => { stored[key] = value; }
+        };
+        const gear = new EventGearLite(100);
+        const state = new AppState(gear);
+        const manager = new PresetManager(gear, state, { storage, key: 'test-presets' });
+        const libraries = [];
+        gear.on('presets.changed', data => libraries.push(data));
+
+        gear.emit('preset.apply', { id: 'factory:saw' });
+        assert(state.getParam('harmonics') === 32 && state.getParam('partialRolloff') === 'sawtooth', 'Factory presets apply');
+        manager.apply('factory:bell');
+        assert(state.getParam('harmonicsType') === 'stretched' && state.getParam('envelopeSustain') === 0, 'The bell preset stretches the partials');
+        state.undo();
+        assert(state.getParam('harmonicsType') === 'natural' && state.getParam('partialRolloff') === 'sawtooth', 'Applying a preset is one undo step');
+        assertThrows(() => manager.apply('missing'), 'TypeError', 'Unknown presets are rejected');
+
+        state.updateParam('harmonics', 9);
+        gear.emit('preset.save', { name: 'Nine', description: 'Nine saw partials', tags: 'lesson' });
+        const nine = manager.list('lesson')[0];
+        assert(nine && nine.params.harmonics === 9 && nine.description === 'Nine saw partials', 'The current state is saved as a preset');
+        assert(libraries.length === 1 && libraries[0].tags.includes('lesson'), 'presets.changed lists presets and tags');
+        assert(JSON.parse(stored['test-presets']).length === 1, 'User presets are stored');
+        state.updateParam('harmonics', 10);
+        manager.save({ name: 'Nine', tags: ['lesson'] });
+        assert(manager.list().length === FACTORY_PRESETS.length + 1 && manager.get(nine.id).params.harmonics === 10, 'Saving under the same name replaces the preset');
+        assertThrows(() => manager.remove('factory:saw'), 'TypeError', 'Factory presets cannot be deleted');
+
+        const imported = manager.import(exportPreset(manager.get(nine.id)));
+        assert(imported.id !== nine.id && manager.list('lesson').length === 2, 'Imported presets with a taken id get a new one');
+        assert(manager.remove(imported.id) && !manager.get(imported.id), 'User presets can be deleted');
+
+        // Stored libraries are migrated and survive reloads
+        stored['test-presets'] = JSON.stringify([JSON.parse(stored['test-presets'])[0], { harmonics: 3 }, 'garbage']);
+        const reloaded = new PresetManager(gear, state, { storage, key: 'test-presets' });
+        assert(reloaded.get(nine.id).params.harmonics === 10 && reloaded.list().length === FACTORY_PRESETS.length + 2, 'Stored presets are loaded and migrated, broken ones skipped');
+
+        // Thumbnails crop the middle of the picture
+        assertEqual(manager.captureThumbnail(), null, 'No thumbnail without a canvas');
+        const drawn = [];
+        const originalDocument = globalThis.document;
+        globalThis.document = {
+            createElement: () => ({
+                getContext: () => ({ fillRect: () => {}, drawImage: (...args) => drawn.push(args) }),
+                toDataURL: type => `data:${type};base64,AAAA`
+            })
+        };
+        try {
+            const url = renderThumbnail([{ width: 800, height: 400 }, { width: 800, height: 400 }], { width: 160, height: 100 });
+            assertEqual(url, 'data:image/jpeg;base64,AAAA', 'Thumbnails are JPEG data URLs');
+            assert(drawn.length === 2 && drawn[0].slice(1).join(',') === '80,0,640,400,0,0,160,100', 'Every layer is drawn, cropped to the thumbnail aspect');
+        } finally {
+            globalThis.document = originalDocument;
+        }
+
+        manager.dispose();
+        reloaded.dispose();
+
+    } catch (err) {
+        logException('Preset tests failed', err);
+    }
+
+    // ==================== URL State Tests ====================
+    info('--- Testing shareable URL state ---');
+
+    try {
+        const { encodeUrlState, decodeUrlState, URL_STATE_PARAMS } = await import('../src/core/StateUrl.js');
+        const { default: UrlStateManager } = await import('../src/modules/UrlStateManager.js');
+        const { default: AppState } = await import('../src/core/AppState.js');
+        const { default: EventGearLite } = await import('../src/utils/EventGearLite.js');
+        const { AppConfig } = await import('../src/config/app-config.js');
+
+        success('URL state modules loaded successfully');
+
+        // Encoding
+        assertEqual(encodeUrlState(AppConfig.defaults), '', 'Default params encode to nothing');
+        const params = {
+            ...AppConfig.defaults,
+            harmonics: 12,
+            partialRolloff: 'square',
+            showWave: !AppConfig.defaults.showWave,
+            circleColor: '#123456',
+            partialOverrides: { 2: { amplitude: 0 } },
+            rotationAngle: 123,
+            fps: 60
+        };
+        const encoded = encodeUrlState(params);
+        assert(encoded.startsWith('v=1&') && encoded.includes('harmonics=12') && encoded.includes(`showWave=${params.showWave ? 1 : 0}`), 'Non-default params are encoded after the version');
+        assert(!encoded.includes('rotationAngle') && !encoded.includes('fps') && !URL_STATE_PARAMS.includes('midiMappings'), 'Runtime and device params stay out of links');
+
+        const { RUNTIME_PARAMS } = await import('../src/config/param-schema.js');
+        assert(RUNTIME_PARAMS.every(param => !URL_STATE_PARAMS.includes(param)), 'Links skip every runtime param');
+
+        // Decoding goes through the schema
+        const decoded = decodeUrlState(`#${encoded}`);
+        assert(decoded.params.harmonics === 12 && decoded.params.circleColor === '#123456' && decoded.params.partialOverrides[2].amplitude === 0, 'Encoded params decode to their values');
+        assertEqual(decoded.rejected.length, 0, 'A link of valid params rejects nothing');
+        const checked = decodeUrlState('v=1&harmonics=99999&harmonicsType=bogus&partialOverrides=%7Bbroken&nope=1&showAxis=0');
+        assert(checked.params.harmonics === AppConfig.schema.harmonics.max && checked.params.showAxis === false, 'Values are converted and clamped to the constraints');
+        assertEqual(checked.rejected.map(r => r.param).sort().join(','), 'harmonicsType,nope,partialOverrides', 'Invalid values and unknown params are rejected');
+        assertEqual(decodeUrlState('#section-2'), null, 'Hashes without a version hold no state');
+        assertThrows(() => decodeUrlState('v=9&harmonics=3'), 'SyntaxError', 'Unknown versions are rejected');
+
+        // AppState
+        const gear = new EventGearLite(100);
+        const state = new AppState(gear);
+        state.updateParam('axis', 6);
+        const result = state.applyUrlState(encoded);
+        assert(state.getParam('harmonics') === 12 && state.getParam('axis') === AppConfig.defaults.axis, 'A link restores its params on top of the defaults');
+        assert(result.changedParams.includes('harmonics') && state.toUrlState() === encoded, 'The restored state encodes to the same link');
+        state.undo();
+        assert(state.getParam('axis') === 6 && state.getParam('harmonics') === AppConfig.defaults.harmonics, 'Restoring a link is one undo step');
+
+        // UrlStateManager with a fake page
+        const location = { href: 'https://example.org/app/?lang=en#v=1&harmonics=5', pathname: '/app/', search: '?lang=en', hash: '#v=1&harmonics=5' };
+        const urls = [];
+        const history = {
+            state: null,
+            replaceState: (data, title, url) => {
+                urls.push(url);
+                location.hash = url.slice(url.indexOf('#') === -1 ? url.length : url.indexOf('#'));
+            }
+        };
+        const copied = [];
+        const clipboard = { writeText: async text => { copied.push(text); } };
+        const restored = [];
+        gear.on('share.restored', data => restored.push(data));
+        const manager = new UrlStateManager(gear, state, { location, history, clipboard, updateDelay: 60000 });
+        assert(state.getParam('harmonics') === 5 && restored.length === 1, 'The state of the opened link is restored');
+        state.updateParam('partialRolloff', 'flat');
+        assert(manager.updateTimer !== null && urls.length === 0, 'Hash updates are debounced');
+        assert(manager.updateHash() && urls[0] === '/app/?lang=en#v=1&harmonics=5&partialRolloff=flat', 'The hash follows the state');
+        assertEqual(manager.updateHash(), false, 'An unchanged state leaves the hash alone');
+
+        const links = [];
+        gear.on('share.linkCopied', data => links.push(data));
+        await manager.copyLink();
+        assert(copied[0] === 'https://example.org/app/?lang=en#v=1&harmonics=5&partialRolloff=flat' && links[0].copied, 'Copy link writes the link to the clipboard');
+        manager.clipboard = { writeText: async () => { throw new Error('denied'); } };
+        assertEqual(await manager.copyLink(), false, 'A refused clipboard is reported');
+
+        location.hash = '#v=7&harmonics=3';
+        assert(manager.restore() === null && state.getParam('harmonics') === 5, 'Links of unknown versions leave the state alone');
+        manager.dispose();
+        assertEqual(manager.updateTimer, null, 'Dispose cancels the pending hash update');
+
+    } catch (err) {
+        logException('URL state tests failed', err);
+    }
+
     // ==================== Index Module Tests ====================
     info('--- Testing Index Module Exports ---');
 